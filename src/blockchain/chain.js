@@ -18,6 +18,8 @@ const AsyncObject = require('../utils/asyncobject');
 const Network = require('../protocol/network');
 const Logger = require('../node/logger');
 const ChainDB = require('./chaindb');
+const Subscriptions = require('./subscriptions');
+const CoinReserve = require('./coinreserve');
 const common = require('./common');
 const consensus = require('../protocol/consensus');
 const util = require('../utils/util');
@@ -90,12 +92,10 @@ function Chain(options) {
   this.orphanMap = new Map();
   this.orphanPrev = new Map();
 
-  this.subscribers = {};
-  this.subscribeJobs = {};
-  this._subscribes = {
-    cmds: [],
-    cp: null
-  };
+  this.subscriptions = new Subscriptions(this);
+  this.db.subscriptions = this.subscriptions;
+  this.reserve = new CoinReserve(this);
+
   this._notifies = {
     cmds: [],
     cp: null
@@ -152,6 +152,8 @@ Chain.prototype._open = async function _open() {
 
   this.logger.memory();
 
+  await this.subscriptions.open();
+
   this.emit('tip', tip);
 
   this.maybeSync();
@@ -163,7 +165,8 @@ Chain.prototype._open = async function _open() {
  * @returns {Promise}
  */
 
-Chain.prototype._close = function _close() {
+Chain.prototype._close = async function _close() {
+  await this.subscriptions.close();
   return this.db.close();
 };
 
@@ -1198,8 +1201,6 @@ Chain.prototype.setBestChain = async function setBestChain(entry, block, prev, f
     this._handleBlockNotify();
   }
 
-  this._handleSubscription(block, entry.height);
-
   // Expose the new state.
   this.tip = entry;
   this.height = entry.height;
@@ -1244,110 +1245,30 @@ Chain.prototype._handleBlockNotify = function _handleBlockNotify() {
 };
 
 /**
- * To subscribe event for addresses on balance changed.
- * @private
- * @param {Array} base58 addresses
- * @param {Number} confirmation
+ * Subscribe addresses to a webhook, notified when an
+ * output pays to or an input spends from the addresses.
+ * @param {String[]} addrs - Base58 or bech32 addresses.
+ * @param {Object} options
+ * @param {String} options.url - Webhook url.
+ * @param {String?} options.secret - HMAC secret for signing bodies.
+ * @param {Number?} options.confirmations
+ * @returns {Promise} - Returns {@link Subscription}[].
  */
 
-Chain.prototype.subscribe = function subscribe(addrs, confirmation) {
-  addrs.forEach(addr => this.subscribers[addr] = confirmation);
+Chain.prototype.subscribe = function subscribe(addrs, options) {
+  return this.subscriptions.add(addrs, options);
 };
 
 /**
- * Unsubscribe event for addresses on balance changed.
- * @private
- * @param {Array} base58 addresses
+ * Unsubscribe addresses, dropping their pending deliveries.
+ * @param {String[]} addrs - Base58 or bech32 addresses.
+ * @returns {Promise}
  */
 
 Chain.prototype.unsubscribe = function unsubscribe(addrs) {
-  addrs.forEach(addr => delete this.subscribers[addr]);
+  return this.subscriptions.remove(addrs);
 };
 
-/**
- * Handle subscription.
- * @private
- * @param {Block} block
- */
-
-Chain.prototype._handleSubscription = function _handleSubscription(block, height) {
-  if (!this.options.subscribeCmd || !Object.keys(this.subscribers).length)
-    return;
-
-  try {
-    for (let tx of block.txs) {
-      for (let output of tx.outputs) {
-        const addr = output.getAddress();
-        if (!addr)
-          continue;
-
-        const address = addr.toString(this.network);
-        if (this.subscribers.hasOwnProperty(address)) {
-          const confirmation = this.subscribers[address];
-          let jobs = this.subscribeJobs[height+confirmation];
-
-          if (!jobs)
-            this.subscribeJobs[height+confirmation] = jobs = [];
-
-          jobs.push({address, hash: tx.rhash()});
-        }
-      }
-    }
-
-    this._handleSubscriptionJobs(height);
-  } catch(e) {
-    this.logger.error(e);
-  }
-};
-
-/**
- * Handle subscription jobs, non-blocking.
- * @private
- * @param {Number} height
- */
-
-Chain.prototype._handleSubscriptionJobs = function _handleSubscriptionJobs(height) {
-  if (!this.subscribeJobs[height])
-    return;
-
-  const cmds = [];
-  for (let {address, hash} of this.subscribeJobs[height]) {
-    const cmd = util.fmt(this.options.subscribeCmd, address, hash);
-    this._subscribes.cmds.push(cmd);
-  }
-
-  this._handleSubscriptionJob();
-  delete this.subscribeJobs[height];
-}
-
-/**
- * Handle subscription job queue.
- * @private
- * @param {String} commands
- */
-
-Chain.prototype._handleSubscriptionJob = function _handleSubscriptionJob() {
-  if (!this._subscribes.cmds.length || this._subscribes.cp)
-    return;
-
-  const cp = exec(this._subscribes.cmds[0], (err, stdout, stderr) => {
-    this._subscribes.cmds.shift();
-
-    if (err)
-      return this.logger.error(err);
-
-    if (stdout || stderr)
-      this.logger.debug(`stdout: ${stdout},\nstderr: ${stderr}`);
-  });
-
-  cp.on('close', code => {
-    this._subscribes.cp = null;
-    this._handleSubscriptionJob();
-  });
-
-  this._subscribes.cp = cp;
-}
-
 /**
  * Save block on an alternate chain.
  * @private
@@ -2193,6 +2114,56 @@ Chain.prototype.getBlockView = function getBlockView(block) {
   return this.db.getBlockView(block);
 };
 
+/**
+ * Get a page of confirmed transactions pertinent to addresses.
+ * @param {Address[]} addrs
+ * @param {Object?} options - See {@link ChainDB#getHistoryByAddress}.
+ * @returns {Promise} - Returns {Object}.
+ */
+
+Chain.prototype.getHistoryByAddress = function getHistoryByAddress(addrs, options) {
+  return this.db.getHistoryByAddress(addrs, options);
+};
+
+/**
+ * Get the confirmed balance of an address (requires index-balance).
+ * @param {Address|Hash} addr
+ * @returns {Promise} - Returns {@link AddressBalance}.
+ */
+
+Chain.prototype.getBalance = function getBalance(addr) {
+  return this.db.getBalance(addr);
+};
+
+/**
+ * Get the confirmed balances of several addresses.
+ * @param {Address[]|Hash[]} addrs
+ * @returns {Promise} - Returns {@link AddressBalance}[].
+ */
+
+Chain.prototype.getBalances = function getBalances(addrs) {
+  return this.db.getBalances(addrs);
+};
+
+/**
+ * Get the supply totals of the main chain.
+ * @returns {ChainSupply|null} - Null if the supply index is unavailable.
+ */
+
+Chain.prototype.getSupply = function getSupply() {
+  return this.db.state.supply;
+};
+
+/**
+ * Get the supply changes introduced by a main chain block.
+ * @param {Number} height
+ * @returns {Promise} - Returns {@link ChainSupply}.
+ */
+
+Chain.prototype.getSupplyDelta = function getSupplyDelta(height) {
+  return this.db.getSupplyDelta(height);
+};
+
 /**
  * Get a transaction with metadata.
  * @param {Hash} hash
@@ -2952,6 +2923,8 @@ function ChainOptions(options) {
   this.prune = false;
   this.indexTX = true;
   this.indexAddress = true;
+  this.indexBalance = false;
+  this.indexSupply = false;
   this.forceFlags = false;
 
   this.coinCache = 0;
@@ -2960,7 +2933,8 @@ function ChainOptions(options) {
   this.checkpoints = true;
 
   this.blockNotify = null;
-  this.subscribeCmd = null;
+  this.subscribeRetries = 10;
+  this.subscribeTimeout = 10000;
 
   if (options)
     this.fromOptions(options);
@@ -3040,6 +3014,16 @@ ChainOptions.prototype.fromOptions = function fromOptions(options) {
     this.indexAddress = options.indexAddress;
   }
 
+  if (options.indexBalance != null) {
+    assert(typeof options.indexBalance === 'boolean');
+    this.indexBalance = options.indexBalance;
+  }
+
+  if (options.indexSupply != null) {
+    assert(typeof options.indexSupply === 'boolean');
+    this.indexSupply = options.indexSupply;
+  }
+
   if (options.forceFlags != null) {
     assert(typeof options.forceFlags === 'boolean');
     this.forceFlags = options.forceFlags;
@@ -3080,9 +3064,15 @@ ChainOptions.prototype.fromOptions = function fromOptions(options) {
     this.blockNotify = options.blockNotify;
   }
 
-  if (options.subscribeCmd != null) {
-    assert(typeof options.subscribeCmd === 'string');
-    this.subscribeCmd = options.subscribeCmd;
+  if (options.subscribeRetries != null) {
+    assert(util.isU8(options.subscribeRetries));
+    assert(options.subscribeRetries > 0);
+    this.subscribeRetries = options.subscribeRetries;
+  }
+
+  if (options.subscribeTimeout != null) {
+    assert(util.isU32(options.subscribeTimeout));
+    this.subscribeTimeout = options.subscribeTimeout;
   }
 
   return this;
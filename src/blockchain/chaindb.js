@@ -65,6 +65,10 @@ function ChainDB(options) {
 
   this.pending = null;
   this.current = null;
+  this.history = false;
+
+  // Set by the chain, shares our block batches.
+  this.subscriptions = null;
 
   this.coinCache = new LRU(this.options.coinCache, getSize);
   this.cacheHash = new LRU(this.options.entryCache);
@@ -109,10 +113,40 @@ ChainDB.prototype.open = async function open() {
     // Grab the chainstate if we have one.
     this.state = state;
 
+    // Load the supply index.
+    if (this.options.indexSupply) {
+      this.state.supply = await this.getSupply();
+      assert(this.state.supply, 'Supply index not found.');
+    }
+
+    // Check the address history index. It
+    // is only built retroactively on request.
+    if (this.options.indexTX && this.options.indexAddress) {
+      this.history = await this.db.has(layout.a);
+
+      if (!this.history && this.options.forceFlags && !this.options.prune) {
+        await this.buildHistory();
+        this.history = true;
+      }
+
+      if (!this.history) {
+        this.logger.warning(
+          'Address history index not built (use --force-flags to build).');
+      }
+    }
+
     this.logger.info('ChainDB successfully loaded.');
   } else {
     // Database is fresh.
     // Write initial state.
+    if (this.options.indexSupply)
+      this.state.supply = new ChainSupply();
+
+    if (this.options.indexTX && this.options.indexAddress) {
+      await this.db.put(layout.a, null);
+      this.history = true;
+    }
+
     await this.saveFlags();
     await this.saveDeployments();
     await this.saveGenesis();
@@ -206,6 +240,9 @@ ChainDB.prototype.drop = function drop() {
   this.cacheHeight.drop();
   this.stateCache.drop();
 
+  if (this.subscriptions)
+    this.subscriptions.drop();
+
   batch.clear();
 };
 
@@ -226,6 +263,10 @@ ChainDB.prototype.commit = async function commit() {
     this.coinCache.drop();
     this.cacheHash.drop();
     this.cacheHeight.drop();
+
+    if (this.subscriptions)
+      this.subscriptions.drop();
+
     throw e;
   }
 
@@ -244,6 +285,9 @@ ChainDB.prototype.commit = async function commit() {
   this.cacheHash.commit();
   this.cacheHeight.commit();
   this.stateCache.commit();
+
+  if (this.subscriptions)
+    this.subscriptions.commit();
 };
 
 /**
@@ -639,6 +683,7 @@ ChainDB.prototype.verifyFlags = async function verifyFlags(state) {
   const flags = await this.getFlags();
   let needsSave = false;
   let needsPrune = false;
+  let needsSupply = false;
 
   if (!flags)
     throw new Error('No flags found.');
@@ -691,6 +736,30 @@ ChainDB.prototype.verifyFlags = async function verifyFlags(state) {
   if (!options.indexAddress && flags.indexAddress)
     throw new Error('Cannot retroactively disable address indexing.');
 
+  if (options.indexBalance && !flags.indexBalance)
+    throw new Error('Cannot retroactively enable balance indexing.');
+
+  if (!options.indexBalance && flags.indexBalance)
+    throw new Error('Cannot retroactively disable balance indexing.');
+
+  if (options.indexSupply && !flags.indexSupply) {
+    if (!options.forceFlags)
+      throw new Error('Cannot retroactively enable supply indexing.');
+    needsSupply = true;
+    needsSave = true;
+  }
+
+  if (!options.indexSupply && flags.indexSupply) {
+    if (!options.forceFlags)
+      throw new Error('Cannot retroactively disable supply indexing.');
+    needsSave = true;
+  }
+
+  if (needsSupply) {
+    await this.logger.info('Retroactively indexing supply.');
+    await this.buildSupply();
+  }
+
   if (needsSave) {
     await this.logger.info('Rewriting chain flags.');
     await this.saveFlags();
@@ -1348,6 +1417,148 @@ ChainDB.prototype.getMetaByAddress = async function getMetaByAddress(addrs) {
   return txs;
 };
 
+/**
+ * Get a page of transactions pertinent to addresses, ordered
+ * by height and position in the block. Pass the returned
+ * cursor as `after` to continue with the next page.
+ * @param {Address[]} addrs
+ * @param {Object?} options
+ * @param {Number?} options.limit - Maximum number of results.
+ * @param {Object?} options.after - Cursor ({height, index}) to continue after.
+ * @param {Boolean?} options.reverse - Return newest first.
+ * @param {Number?} options.start - Lowest height (inclusive).
+ * @param {Number?} options.end - Highest height (inclusive).
+ * @returns {Promise} - Returns {Object} with `txs` ({@link TXMeta}[])
+ * and `next` (cursor or null when exhausted).
+ */
+
+ChainDB.prototype.getHistoryByAddress = async function getHistoryByAddress(addrs, options) {
+  if (!options)
+    options = {};
+
+  if (!Array.isArray(addrs))
+    addrs = [addrs];
+
+  const limit = options.limit != null ? options.limit : 100;
+  const reverse = options.reverse || false;
+  const start = options.start != null ? options.start : 0;
+  const end = options.end != null ? options.end : 0xffffffff;
+  const after = options.after || null;
+
+  assert(util.isU32(limit) && limit > 0, 'Invalid limit.');
+  assert(util.isU32(start) && util.isU32(end), 'Invalid height range.');
+
+  if (after) {
+    assert(util.isU32(after.height), 'Invalid cursor.');
+    assert(util.isU32(after.index), 'Invalid cursor.');
+  }
+
+  if (!this.history)
+    throw new Error('Address history index not available.');
+
+  const items = new Map();
+
+  for (const addr of addrs) {
+    const hash = Address.getHash(addr);
+
+    let gte = layout.A(hash, start, 0, encoding.ZERO_HASH);
+    let lte = layout.A(hash, end, 0xffffffff, encoding.MAX_HASH);
+
+    // Keys at the cursor position are excluded
+    // by bounding on the extreme tx hashes.
+    if (after) {
+      if (!reverse && after.height >= start)
+        gte = layout.A(hash, after.height, after.index, encoding.MAX_HASH);
+      else if (reverse && after.height <= end)
+        lte = layout.A(hash, after.height, after.index, encoding.ZERO_HASH);
+    }
+
+    const keys = await this.db.keys({
+      gte: gte,
+      lte: lte,
+      limit: limit,
+      reverse: reverse,
+      parse: layout.Aa
+    });
+
+    for (const [height, index, hash] of keys)
+      items.set(hash, [height, index, hash]);
+  }
+
+  const sorted = [...items.values()].sort((a, b) => {
+    const cmp = a[0] - b[0] || a[1] - b[1];
+    return reverse ? -cmp : cmp;
+  });
+
+  const page = sorted.slice(0, limit);
+  const txs = [];
+
+  for (const [, , hash] of page) {
+    const meta = await this.getMeta(hash);
+    assert(meta);
+    txs.push(meta);
+  }
+
+  let next = null;
+
+  if (page.length === limit) {
+    const [height, index] = page[page.length - 1];
+    next = { height, index };
+  }
+
+  return { txs, next };
+};
+
+/**
+ * Build the address history index from stored blocks.
+ * Requires block and undo data for every block, so
+ * it cannot be built on pruned databases.
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.buildHistory = async function buildHistory() {
+  if (this.options.prune)
+    throw new Error('Cannot build address history index when pruned.');
+
+  const tip = await this.getTip();
+
+  assert(tip);
+
+  this.logger.info('Building address history index to height %d.',
+    tip.height);
+
+  let batch = this.db.batch();
+
+  for (let height = 0; height <= tip.height; height++) {
+    const hash = await this.getHash(height);
+    const block = await this.getBlock(hash);
+
+    assert(block, 'Block not found.');
+
+    const view = await this.getBlockView(block);
+
+    for (let i = 0; i < block.txs.length; i++) {
+      const tx = block.txs[i];
+      const txid = tx.hash();
+
+      for (const addr of tx.getHashes(view))
+        batch.put(layout.A(addr, height, i, txid), null);
+    }
+
+    if (height % 1000 === 0) {
+      await batch.write();
+      batch = this.db.batch();
+      this.logger.info('Address history index built to height %d.', height);
+    }
+  }
+
+  batch.put(layout.a, null);
+
+  await batch.write();
+
+  this.logger.info('Address history index successfully built.');
+};
+
 /**
  * Get fifo coins pertinent to an address.
  * @param {Address[]} addrs
@@ -1383,6 +1594,120 @@ ChainDB.prototype.getFifoByAddress = async function getFifoByAddress(addr, min)
   return {coins, total};
 };
 
+/**
+ * Retrieve the supply totals.
+ * @returns {Promise} - Returns {@link ChainSupply}.
+ */
+
+ChainDB.prototype.getSupply = async function getSupply() {
+  const data = await this.db.get(layout.M);
+
+  if (!data)
+    return null;
+
+  return ChainSupply.fromRaw(data);
+};
+
+/**
+ * Retrieve the supply changes introduced by a main chain block.
+ * @param {Number} height
+ * @returns {Promise} - Returns {@link ChainSupply}.
+ */
+
+ChainDB.prototype.getSupplyDelta = async function getSupplyDelta(height) {
+  const data = await this.db.get(layout.m(height));
+
+  if (!data)
+    return null;
+
+  return ChainSupply.fromRaw(data);
+};
+
+/**
+ * Build the supply index from the stored main chain.
+ * Requires block and undo data for every block, so
+ * it cannot be built on pruned databases.
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.buildSupply = async function buildSupply() {
+  if (this.options.prune)
+    throw new Error('Cannot build supply index when pruned.');
+
+  const tip = await this.getTip();
+  const supply = new ChainSupply();
+
+  assert(tip);
+
+  this.logger.info('Building supply index to height %d.', tip.height);
+
+  let batch = this.db.batch();
+
+  for (let height = 0; height <= tip.height; height++) {
+    const hash = await this.getHash(height);
+    const block = await this.getBlock(hash);
+
+    assert(block, 'Block not found.');
+
+    const view = await this.getBlockView(block);
+    const delta = ChainSupply.fromBlock(block, view);
+
+    supply.add(delta);
+    batch.put(layout.m(height), delta.toRaw());
+
+    if (height % 1000 === 0) {
+      await batch.write();
+      batch = this.db.batch();
+      this.logger.info('Supply index built to height %d.', height);
+    }
+  }
+
+  batch.put(layout.M, supply.toRaw());
+
+  await batch.write();
+
+  this.state.supply = supply;
+
+  this.logger.info('Supply index successfully built.');
+};
+
+/**
+ * Get the confirmed balance of an address.
+ * @param {Address|Hash} addr
+ * @returns {Promise} - Returns {@link AddressBalance}.
+ */
+
+ChainDB.prototype.getBalance = async function getBalance(addr) {
+  if (!this.options.indexBalance)
+    return null;
+
+  const hash = Address.getHash(addr, 'hex');
+  const data = await this.db.get(layout.B(hash));
+
+  if (!data)
+    return new AddressBalance(hash);
+
+  return AddressBalance.fromRaw(hash, data);
+};
+
+/**
+ * Get the confirmed balances of several addresses.
+ * @param {Address[]|Hash[]} addrs
+ * @returns {Promise} - Returns {@link AddressBalance}[].
+ */
+
+ChainDB.prototype.getBalances = async function getBalances(addrs) {
+  if (!this.options.indexBalance)
+    return [];
+
+  const balances = [];
+
+  for (const addr of addrs)
+    balances.push(await this.getBalance(addr));
+
+  return balances;
+};
+
 /**
  * Scan the blockchain for transactions containing specified address hashes.
  * @param {Hash} start - Block hash to start at.
@@ -1909,6 +2234,21 @@ ChainDB.prototype.connectBlock = async function connectBlock(entry, block, view)
     this.indexTX(tx, view, entry, i);
   }
 
+  // Update address balances if enabled.
+  await this.indexBalance(block, view, entry);
+
+  // Update the supply index.
+  if (this.pending.supply) {
+    const delta = ChainSupply.fromBlock(block, view);
+    this.pending.supply.add(delta);
+    this.put(layout.m(entry.height), delta.toRaw());
+    this.put(layout.M, this.pending.supply.toRaw());
+  }
+
+  // Schedule subscription jobs atomically.
+  if (this.subscriptions)
+    await this.subscriptions.connect(entry, block, view, this.current);
+
   // Commit new coin state.
   this.saveView(view);
 
@@ -1963,12 +2303,28 @@ ChainDB.prototype.disconnectBlock = async function disconnectBlock(entry, block)
     }
 
     // Remove from transaction index.
-    this.unindexTX(tx, view);
+    this.unindexTX(tx, view, entry, i);
   }
 
   // Undo coins should be empty.
   assert(undo.isEmpty(), 'Undo coins data inconsistency.');
 
+  // Revert address balances if enabled.
+  await this.unindexBalance(block);
+
+  // Revert the supply index.
+  if (this.pending.supply) {
+    const delta = await this.getSupplyDelta(entry.height);
+    assert(delta, 'Supply index inconsistency.');
+    this.pending.supply.sub(delta);
+    this.del(layout.m(entry.height));
+    this.put(layout.M, this.pending.supply.toRaw());
+  }
+
+  // Revert subscription jobs atomically.
+  if (this.subscriptions)
+    await this.subscriptions.disconnect(entry, block, this.current);
+
   // Commit new coin state.
   this.saveView(view);
 
@@ -2005,6 +2361,9 @@ ChainDB.prototype.pruneBlock = async function pruneBlock(entry) {
 
   this.del(layout.b(hash));
   this.del(layout.u(hash));
+
+  if (this.options.indexBalance)
+    this.del(layout.U(hash));
 };
 
 /**
@@ -2036,8 +2395,10 @@ ChainDB.prototype.indexTX = function indexTX(tx, view, entry, index) {
 
     if (this.options.indexAddress) {
       const hashes = tx.getHashes(view);
-      for (const addr of hashes)
+      for (const addr of hashes) {
         this.put(layout.T(addr, hash), null);
+        this.put(layout.A(addr, entry.height, index, hash), null);
+      }
     }
   }
 
@@ -2071,17 +2432,21 @@ ChainDB.prototype.indexTX = function indexTX(tx, view, entry, index) {
  * @private
  * @param {TX} tx
  * @param {CoinView} view
+ * @param {ChainEntry} entry
+ * @param {Number} index
  */
 
-ChainDB.prototype.unindexTX = function unindexTX(tx, view) {
+ChainDB.prototype.unindexTX = function unindexTX(tx, view, entry, index) {
   const hash = tx.hash();
 
   if (this.options.indexTX) {
     this.del(layout.t(hash));
     if (this.options.indexAddress) {
       const hashes = tx.getHashes(view);
-      for (const addr of hashes)
+      for (const addr of hashes) {
         this.del(layout.T(addr, hash));
+        this.del(layout.A(addr, entry.height, index, hash));
+      }
     }
   }
 
@@ -2110,6 +2475,109 @@ ChainDB.prototype.unindexTX = function unindexTX(tx, view) {
   }
 };
 
+/**
+ * Update address balances for a connected block
+ * and write the previous records as undo data.
+ * @private
+ * @param {Block} block
+ * @param {CoinView} view
+ * @param {ChainEntry} entry
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.indexBalance = async function indexBalance(block, view, entry) {
+  if (!this.options.indexBalance)
+    return;
+
+  const balances = new Map();
+  const undo = new BalanceUndo();
+
+  const read = async (hash) => {
+    let balance = balances.get(hash);
+
+    if (!balance) {
+      const data = await this.db.get(layout.B(hash));
+
+      if (data) {
+        balance = AddressBalance.fromRaw(hash, data);
+        undo.push(hash, data);
+      } else {
+        balance = new AddressBalance(hash);
+        undo.push(hash, null);
+      }
+
+      balances.set(hash, balance);
+    }
+
+    return balance;
+  };
+
+  for (const tx of block.txs) {
+    const seen = new Set();
+
+    if (!tx.isCoinbase()) {
+      for (const {prevout} of tx.inputs) {
+        const output = view.getOutput(prevout);
+        const hash = output.getHash('hex');
+
+        if (!hash)
+          continue;
+
+        const balance = await read(hash);
+        balance.sent += output.value;
+        seen.add(hash);
+      }
+    }
+
+    for (const output of tx.outputs) {
+      const hash = output.getHash('hex');
+
+      if (!hash)
+        continue;
+
+      const balance = await read(hash);
+      balance.received += output.value;
+      seen.add(hash);
+    }
+
+    for (const hash of seen)
+      balances.get(hash).touch(entry.height);
+  }
+
+  for (const [hash, balance] of balances)
+    this.put(layout.B(hash), balance.toRaw());
+
+  this.put(layout.U(block.hash()), undo.toRaw());
+};
+
+/**
+ * Restore address balances of a disconnected block.
+ * @private
+ * @param {Block} block
+ * @returns {Promise}
+ */
+
+ChainDB.prototype.unindexBalance = async function unindexBalance(block) {
+  if (!this.options.indexBalance)
+    return;
+
+  const hash = block.hash();
+  const data = await this.db.get(layout.U(hash));
+
+  assert(data, 'Balance undo data not found.');
+
+  const undo = BalanceUndo.fromRaw(data);
+
+  for (const [addr, raw] of undo.items) {
+    if (raw)
+      this.put(layout.B(addr), raw);
+    else
+      this.del(layout.B(addr));
+  }
+
+  this.del(layout.U(hash));
+};
+
 /**
  * Chain Flags
  * @alias module:blockchain.ChainFlags
@@ -2128,6 +2596,8 @@ function ChainFlags(options) {
   this.prune = false;
   this.indexTX = true;
   this.indexAddress = true;
+  this.indexBalance = false;
+  this.indexSupply = false;
 
   if (options)
     this.fromOptions(options);
@@ -2166,6 +2636,16 @@ ChainFlags.prototype.fromOptions = function fromOptions(options) {
     this.indexAddress = options.indexAddress;
   }
 
+  if (options.indexBalance != null) {
+    assert(typeof options.indexBalance === 'boolean');
+    this.indexBalance = options.indexBalance;
+  }
+
+  if (options.indexSupply != null) {
+    assert(typeof options.indexSupply === 'boolean');
+    this.indexSupply = options.indexSupply;
+  }
+
   return this;
 };
 
@@ -2198,6 +2678,12 @@ ChainFlags.prototype.toRaw = function toRaw() {
   if (this.bip148)
     flags |= 1 << 6;
 
+  if (this.indexBalance)
+    flags |= 1 << 7;
+
+  if (this.indexSupply)
+    flags |= 1 << 8;
+
   bw.writeU32(this.network.magic);
   bw.writeU32(flags);
   bw.writeU32(0);
@@ -2219,6 +2705,8 @@ ChainFlags.prototype.fromRaw = function fromRaw(data) {
   this.indexAddress = (flags & 16) !== 0;
   this.bip91 = (flags & 32) !== 0;
   this.bip148 = (flags & 64) !== 0;
+  this.indexBalance = (flags & 128) !== 0;
+  this.indexSupply = (flags & 256) !== 0;
 
   return this;
 };
@@ -2238,6 +2726,7 @@ function ChainState() {
   this.tx = 0;
   this.coin = 0;
   this.value = 0;
+  this.supply = null;
   this.committed = false;
 }
 
@@ -2251,6 +2740,7 @@ ChainState.prototype.clone = function clone() {
   state.tx = this.tx;
   state.coin = this.coin;
   state.value = this.value;
+  state.supply = this.supply ? this.supply.clone() : null;
   return state;
 };
 
@@ -2299,6 +2789,279 @@ ChainState.fromRaw = function fromRaw(data) {
   return state;
 };
 
+/**
+ * Address Balance
+ * Confirmed totals of a single address hash.
+ * @alias module:blockchain.AddressBalance
+ * @constructor
+ * @param {Hash?} hash
+ * @property {Hash} hash - Address hash.
+ * @property {Amount} received - Total value received.
+ * @property {Amount} sent - Total value spent.
+ * @property {Number} txs - Number of transactions.
+ * @property {Number} first - Height first seen (-1 if never).
+ * @property {Number} last - Height last seen (-1 if never).
+ */
+
+function AddressBalance(hash) {
+  if (!(this instanceof AddressBalance))
+    return new AddressBalance(hash);
+
+  this.hash = hash || encoding.NULL_HASH;
+  this.received = 0;
+  this.sent = 0;
+  this.txs = 0;
+  this.first = -1;
+  this.last = -1;
+}
+
+AddressBalance.prototype.getBalance = function getBalance() {
+  return this.received - this.sent;
+};
+
+AddressBalance.prototype.touch = function touch(height) {
+  this.txs += 1;
+
+  if (this.first === -1)
+    this.first = height;
+
+  this.last = height;
+};
+
+AddressBalance.prototype.getJSON = function getJSON() {
+  return {
+    hash: this.hash,
+    balance: this.getBalance(),
+    received: this.received,
+    sent: this.sent,
+    txs: this.txs,
+    first: this.first,
+    last: this.last
+  };
+};
+
+AddressBalance.prototype.toRaw = function toRaw() {
+  const bw = new StaticWriter(28);
+  bw.writeU64(this.received);
+  bw.writeU64(this.sent);
+  bw.writeU32(this.txs);
+  bw.writeI32(this.first);
+  bw.writeI32(this.last);
+  return bw.render();
+};
+
+AddressBalance.fromRaw = function fromRaw(hash, data) {
+  const balance = new AddressBalance(hash);
+  const br = new BufferReader(data);
+  balance.received = br.readU64();
+  balance.sent = br.readU64();
+  balance.txs = br.readU32();
+  balance.first = br.readI32();
+  balance.last = br.readI32();
+  return balance;
+};
+
+/**
+ * Balance Undo
+ * Address balances as they were before a block.
+ * @constructor
+ * @ignore
+ */
+
+function BalanceUndo() {
+  this.items = [];
+}
+
+BalanceUndo.prototype.push = function push(hash, raw) {
+  this.items.push([hash, raw]);
+};
+
+BalanceUndo.prototype.toRaw = function toRaw() {
+  let size = encoding.sizeVarint(this.items.length);
+
+  for (const [hash, raw] of this.items) {
+    size += 1 + hash.length / 2;
+    size += 1 + (raw ? raw.length : 0);
+  }
+
+  const bw = new StaticWriter(size);
+
+  bw.writeVarint(this.items.length);
+
+  for (const [hash, raw] of this.items) {
+    bw.writeU8(hash.length / 2);
+    bw.writeString(hash, 'hex');
+    if (raw) {
+      bw.writeU8(raw.length);
+      bw.writeBytes(raw);
+    } else {
+      bw.writeU8(0);
+    }
+  }
+
+  return bw.render();
+};
+
+BalanceUndo.fromRaw = function fromRaw(data) {
+  const undo = new BalanceUndo();
+  const br = new BufferReader(data);
+  const count = br.readVarint();
+
+  for (let i = 0; i < count; i++) {
+    const hash = br.readBytes(br.readU8()).toString('hex');
+    const size = br.readU8();
+    const raw = size > 0 ? br.readBytes(size) : null;
+    undo.push(hash, raw);
+  }
+
+  return undo;
+};
+
+/**
+ * Chain Supply
+ * Emission totals of the main chain, or the
+ * changes introduced by a single block.
+ * @alias module:blockchain.ChainSupply
+ * @constructor
+ * @property {Amount} coinbase - New coins claimed by the
+ * non-reserve coinbase outputs (fees excluded).
+ * @property {Amount} reserve - Value of the coinreserve outputs.
+ * @property {Amount} spent - Value of spent coinreserve outputs.
+ * @property {Amount} fees - Transaction fees collected.
+ * @property {Amount} burned - Value of unspendable outputs.
+ */
+
+function ChainSupply() {
+  if (!(this instanceof ChainSupply))
+    return new ChainSupply();
+
+  this.coinbase = 0;
+  this.reserve = 0;
+  this.spent = 0;
+  this.fees = 0;
+  this.burned = 0;
+}
+
+ChainSupply.prototype.clone = function clone() {
+  const supply = new ChainSupply();
+  supply.coinbase = this.coinbase;
+  supply.reserve = this.reserve;
+  supply.spent = this.spent;
+  supply.fees = this.fees;
+  supply.burned = this.burned;
+  return supply;
+};
+
+ChainSupply.prototype.add = function add(delta) {
+  this.coinbase += delta.coinbase;
+  this.reserve += delta.reserve;
+  this.spent += delta.spent;
+  this.fees += delta.fees;
+  this.burned += delta.burned;
+};
+
+ChainSupply.prototype.sub = function sub(delta) {
+  this.coinbase -= delta.coinbase;
+  this.reserve -= delta.reserve;
+  this.spent -= delta.spent;
+  this.fees -= delta.fees;
+  this.burned -= delta.burned;
+};
+
+ChainSupply.prototype.getIssued = function getIssued() {
+  return this.coinbase + this.reserve;
+};
+
+ChainSupply.prototype.getReserve = function getReserve() {
+  return this.reserve - this.spent;
+};
+
+ChainSupply.prototype.getCirculating = function getCirculating() {
+  return this.getIssued() - this.burned;
+};
+
+ChainSupply.prototype.getJSON = function getJSON() {
+  return {
+    issued: this.getIssued(),
+    circulating: this.getCirculating(),
+    coinbase: this.coinbase,
+    reserve: this.reserve,
+    reserveUnspent: this.getReserve(),
+    reserveSpent: this.spent,
+    fees: this.fees,
+    burned: this.burned
+  };
+};
+
+ChainSupply.prototype.toRaw = function toRaw() {
+  const bw = new StaticWriter(40);
+  bw.writeI64(this.coinbase);
+  bw.writeI64(this.reserve);
+  bw.writeI64(this.spent);
+  bw.writeI64(this.fees);
+  bw.writeI64(this.burned);
+  return bw.render();
+};
+
+ChainSupply.fromRaw = function fromRaw(data) {
+  const supply = new ChainSupply();
+  const br = new BufferReader(data);
+  supply.coinbase = br.readI64();
+  supply.reserve = br.readI64();
+  supply.spent = br.readI64();
+  supply.fees = br.readI64();
+  supply.burned = br.readI64();
+  return supply;
+};
+
+/**
+ * Calculate the supply changes of a connected block.
+ * @param {Block} block
+ * @param {CoinView} view - View containing the spent coins.
+ * @returns {ChainSupply}
+ */
+
+ChainSupply.fromBlock = function fromBlock(block, view) {
+  const supply = new ChainSupply();
+
+  for (let i = 0; i < block.txs.length; i++) {
+    const tx = block.txs[i];
+
+    if (i > 0) {
+      for (const {prevout} of tx.inputs) {
+        const coin = view.getEntry(prevout);
+
+        assert(coin, 'Spent coin not found.');
+
+        supply.fees += coin.output.value;
+
+        // Second coinbase output is the coinreserve.
+        if (coin.coinbase && prevout.index === 1)
+          supply.spent += coin.output.value;
+      }
+    }
+
+    for (let j = 0; j < tx.outputs.length; j++) {
+      const output = tx.outputs[j];
+
+      if (output.script.isUnspendable())
+        supply.burned += output.value;
+
+      if (i > 0)
+        supply.fees -= output.value;
+      else if (j === 1)
+        supply.reserve += output.value;
+      else
+        supply.coinbase += output.value;
+    }
+  }
+
+  // Fees are redistributed, not issued.
+  supply.coinbase -= supply.fees;
+
+  return supply;
+};
+
 /**
  * StateCache
  * @alias module:blockchain.StateCache
@@ -2394,4 +3157,8 @@ function getSize(value) {
  * Expose
  */
 
-module.exports = ChainDB;
+exports = ChainDB;
+exports.AddressBalance = AddressBalance;
+exports.ChainSupply = ChainSupply;
+
+module.exports = exports;
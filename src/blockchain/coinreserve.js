@@ -0,0 +1,472 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * coinreserve.js - coinreserve explorer and audit for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const util = require('../utils/util');
+const consensus = require('../protocol/consensus');
+
+/**
+ * Coin Reserve
+ * Read-only view of the coinreserve output (the second
+ * output of every coinbase). Reports the reserve address,
+ * per-block and cumulative reserve value, movements of
+ * reserve coins and re-checks the consensus rules over
+ * a range of blocks.
+ * @alias module:blockchain.CoinReserve
+ * @constructor
+ * @param {Chain} chain
+ */
+
+function CoinReserve(chain) {
+  if (!(this instanceof CoinReserve))
+    return new CoinReserve(chain);
+
+  assert(chain, 'CoinReserve requires a chain.');
+
+  this.chain = chain;
+  this.options = chain.options;
+  this.network = chain.network;
+  this.logger = chain.options.logger.context('coinreserve');
+}
+
+/**
+ * Maximum number of blocks a single history
+ * or verification request may cover.
+ * @const {Number}
+ * @default
+ */
+
+CoinReserve.MAX_RANGE = 10000;
+
+/**
+ * Get the reserve output of a block.
+ * @param {Block} block
+ * @returns {Output|null}
+ */
+
+CoinReserve.prototype.getOutput = function getOutput(block) {
+  if (block.txs.length === 0 || !block.txs[0].isCoinbase())
+    return null;
+
+  return block.getCoinreserve() || null;
+};
+
+/**
+ * Get the expected reserve value created by a block.
+ * @param {Number} height
+ * @returns {Amount}
+ */
+
+CoinReserve.prototype.getExpected = function getExpected(height) {
+  if (height === 0)
+    return consensus.INITIAL_COINRESERVE;
+
+  return consensus.BASE_RESERVE;
+};
+
+/**
+ * Retrieve a block by height, failing if it is unavailable.
+ * @private
+ * @param {Number} height
+ * @returns {Promise} - Returns [{@link ChainEntry}, {@link Block}].
+ */
+
+CoinReserve.prototype.read = async function read(height) {
+  const entry = await this.chain.getEntryByHeight(height);
+
+  if (!entry)
+    return [null, null];
+
+  const block = await this.chain.getBlock(entry.hash);
+
+  if (!block)
+    throw new Error(`Block ${height} not available (pruned?).`);
+
+  return [entry, block];
+};
+
+/**
+ * Build a reserve record for a block.
+ * @param {Number} height
+ * @param {Boolean?} movements - Collect reserve spends and deposits.
+ * @returns {Promise} - Returns {@link ReserveRecord}.
+ */
+
+CoinReserve.prototype.getRecord = async function getRecord(height, movements) {
+  assert(!this.options.spv, 'Cannot read reserve in SPV mode.');
+
+  const [entry, block] = await this.read(height);
+
+  if (!entry)
+    return null;
+
+  const record = new ReserveRecord();
+  const output = this.getOutput(block);
+
+  record.height = entry.height;
+  record.hash = entry.hash;
+  record.time = entry.time;
+  record.output = output;
+  record.expected = this.getExpected(height);
+
+  if (height > 0) {
+    const [, prev] = await this.read(height - 1);
+    const prevcr = this.getOutput(prev);
+
+    if (output && prevcr)
+      record.changed = !this.chain.isCoinreserveEquals(output, prevcr, height);
+    else
+      record.changed = output !== prevcr;
+  }
+
+  if (movements && output)
+    await this.collect(record, block, output);
+
+  return record;
+};
+
+/**
+ * Collect spends of reserve coins and non-coinbase
+ * deposits to the reserve address within a block.
+ * @private
+ * @param {ReserveRecord} record
+ * @param {Block} block
+ * @param {Output} output - Reserve output of the block.
+ * @returns {Promise}
+ */
+
+CoinReserve.prototype.collect = async function collect(record, block, output) {
+  const view = await this.chain.getBlockView(block);
+
+  for (let i = 1; i < block.txs.length; i++) {
+    const tx = block.txs[i];
+    const hash = tx.hash('hex');
+
+    for (let j = 0; j < tx.inputs.length; j++) {
+      const {prevout} = tx.inputs[j];
+      const coin = view.getEntry(prevout);
+
+      if (!coin || !coin.coinbase || prevout.index !== 1)
+        continue;
+
+      record.spent.push({
+        hash: hash,
+        index: j,
+        prevout: prevout,
+        height: coin.height,
+        value: coin.output.value
+      });
+    }
+
+    for (let j = 0; j < tx.outputs.length; j++) {
+      const out = tx.outputs[j];
+
+      if (!out.script.equals(output.script))
+        continue;
+
+      record.received.push({
+        hash: hash,
+        index: j,
+        value: out.value
+      });
+    }
+  }
+};
+
+/**
+ * Get a summary of the current reserve state.
+ * Unspent totals require the address index.
+ * @returns {Promise} - Returns {Object}.
+ */
+
+CoinReserve.prototype.getInfo = async function getInfo() {
+  assert(!this.options.spv, 'Cannot read reserve in SPV mode.');
+
+  const tip = this.chain.tip;
+  const [, genesis] = await this.read(0);
+  const [, block] = await this.read(tip.height);
+  const output = this.getOutput(block);
+  const initial = this.getOutput(genesis);
+
+  // Consensus forces every reserve output from height 2
+  // onward to equal the one at height 1, so the cumulative
+  // value follows from the genesis and first reserve.
+  let cumulative = initial ? initial.value : 0;
+  let perBlock = 0;
+
+  if (tip.height > 0 && output) {
+    perBlock = output.value;
+    cumulative += perBlock * tip.height;
+  }
+
+  let address = null;
+
+  if (output) {
+    const addr = output.getAddress();
+    if (addr)
+      address = addr.toString(this.network);
+  }
+
+  const info = {
+    height: tip.height,
+    hash: tip.rhash(),
+    address: address,
+    script: output ? output.script.toJSON() : null,
+    initial: initial ? initial.value : 0,
+    perBlock: perBlock,
+    cumulative: cumulative,
+    expected: consensus.INITIAL_COINRESERVE
+      + consensus.BASE_RESERVE * tip.height,
+    unspent: -1,
+    coins: -1
+  };
+
+  if (output && this.options.indexAddress) {
+    const coins = await this.chain.getCoinsByAddress(output.getAddress());
+
+    info.unspent = 0;
+    info.coins = coins.length;
+
+    for (const coin of coins)
+      info.unspent += coin.value;
+  }
+
+  return info;
+};
+
+/**
+ * Validate a height range.
+ * @private
+ * @param {Number} start
+ * @param {Number} end
+ */
+
+CoinReserve.prototype.checkRange = function checkRange(start, end) {
+  assert(util.isU32(start) && util.isU32(end), 'Invalid height range.');
+  assert(start <= end, 'Start height must not exceed end height.');
+  assert(end <= this.chain.height, 'End height exceeds chain height.');
+  assert(end - start < CoinReserve.MAX_RANGE, 'Height range too large.');
+};
+
+/**
+ * Get reserve movements over a height range. Blocks are
+ * included when the reserve output changed or reserve
+ * coins were spent or deposited.
+ * @param {Number} start
+ * @param {Number} end
+ * @returns {Promise} - Returns {Object}.
+ */
+
+CoinReserve.prototype.getHistory = async function getHistory(start, end) {
+  this.checkRange(start, end);
+
+  const records = [];
+
+  let issued = 0;
+  let spent = 0;
+  let received = 0;
+
+  for (let height = start; height <= end; height++) {
+    const record = await this.getRecord(height, true);
+
+    assert(record);
+
+    issued += record.getValue();
+
+    for (const item of record.spent)
+      spent += item.value;
+
+    for (const item of record.received)
+      received += item.value;
+
+    if (record.changed || record.spent.length || record.received.length)
+      records.push(record.getJSON(this.network));
+  }
+
+  return {
+    start: start,
+    end: end,
+    issued: issued,
+    spent: spent,
+    received: received,
+    records: records
+  };
+};
+
+/**
+ * Re-check every reserve output in a height range against
+ * the consensus rules. Reserves which differ from the expected
+ * schedule are reported as deviations, which do not affect
+ * the validity of the range.
+ * @param {Number} start
+ * @param {Number} end
+ * @returns {Promise} - Returns {Object}.
+ */
+
+CoinReserve.prototype.verify = async function verify(start, end) {
+  this.checkRange(start, end);
+
+  const errors = [];
+  const deviations = [];
+
+  let prev = null;
+  let issued = 0;
+
+  if (start > 0) {
+    const [, block] = await this.read(start - 1);
+    prev = this.getOutput(block);
+  }
+
+  this.logger.info('Verifying coinreserve from %d to %d.', start, end);
+
+  for (let height = start; height <= end; height++) {
+    const [entry, block] = await this.read(height);
+    const output = this.getOutput(block);
+
+    const fail = (reason) => {
+      errors.push({ height: height, hash: entry.rhash(), reason: reason });
+    };
+
+    if (!output) {
+      fail('bad-txns-coinreserve-missing');
+      prev = null;
+      continue;
+    }
+
+    issued += output.value;
+
+    if (height > 0) {
+      if (!prev)
+        fail('bad-txns-coinreserve-missing');
+      else if (!this.chain.isCoinreserveEquals(output, prev, height))
+        fail('bad-txns-coinreserve-mismatch');
+    }
+
+    const expected = this.getExpected(height);
+
+    if (output.value !== expected) {
+      deviations.push({
+        height: height,
+        hash: entry.rhash(),
+        value: output.value,
+        expected: expected
+      });
+    }
+
+    prev = output;
+  }
+
+  const result = {
+    start: start,
+    end: end,
+    checked: end - start + 1,
+    valid: errors.length === 0,
+    issued: issued,
+    expected: -1,
+    errors: errors,
+    deviations: deviations
+  };
+
+  if (start === 0) {
+    result.expected = consensus.INITIAL_COINRESERVE
+      + consensus.BASE_RESERVE * end;
+  }
+
+  this.logger.info(
+    'Coinreserve verification finished'
+    + ' (checked=%d, errors=%d, deviations=%d).',
+    result.checked, errors.length, deviations.length);
+
+  return result;
+};
+
+/**
+ * Reserve Record
+ * Reserve state of a single block.
+ * @alias module:blockchain.ReserveRecord
+ * @constructor
+ */
+
+function ReserveRecord() {
+  if (!(this instanceof ReserveRecord))
+    return new ReserveRecord();
+
+  this.height = -1;
+  this.hash = null;
+  this.time = 0;
+  this.output = null;
+  this.expected = 0;
+  this.changed = false;
+  this.spent = [];
+  this.received = [];
+}
+
+/**
+ * Get the reserve value created by the block.
+ * @returns {Amount}
+ */
+
+ReserveRecord.prototype.getValue = function getValue() {
+  if (!this.output)
+    return 0;
+  return this.output.value;
+};
+
+/**
+ * Convert the record to an object suitable for JSON serialization.
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+ReserveRecord.prototype.getJSON = function getJSON(network) {
+  let address = null;
+
+  if (this.output) {
+    const addr = this.output.getAddress();
+    if (addr)
+      address = addr.toString(network);
+  }
+
+  return {
+    height: this.height,
+    hash: util.revHex(this.hash),
+    time: this.time,
+    address: address,
+    value: this.getValue(),
+    expected: this.expected,
+    changed: this.changed,
+    spent: this.spent.map((item) => {
+      return {
+        txid: util.revHex(item.hash),
+        index: item.index,
+        prevout: item.prevout.toJSON(),
+        height: item.height,
+        value: item.value
+      };
+    }),
+    received: this.received.map((item) => {
+      return {
+        txid: util.revHex(item.hash),
+        index: item.index,
+        value: item.value
+      };
+    })
+  };
+};
+
+/*
+ * Expose
+ */
+
+exports = CoinReserve;
+exports.ReserveRecord = ReserveRecord;
+
+module.exports = exports;
@@ -15,7 +15,9 @@
  */
 
 exports.ChainDB = require('./chaindb');
+exports.CoinReserve = require('./coinreserve');
 exports.ChainEntry = require('./chainentry');
 exports.Chain = require('./chain');
 exports.common = require('./common');
 exports.layout = require('./layout');
+exports.Subscriptions = require('./subscriptions');
@@ -20,6 +20,9 @@ const layout = {
   R: 'R',
   O: 'O',
   V: 'v',
+  M: 'M',
+  a: 'a',
+  D: 'D',
   e: function e(hash) {
     return 'e' + hex(hash);
   },
@@ -73,6 +76,26 @@ const layout = {
     assert(addr.length === 40);
     return 'C' + addr + hex(hash) + pad32(index);
   },
+  A: function A(addr, height, index, hash) {
+    addr = hex(addr);
+
+    if (addr.length === 64)
+      return 'Y' + addr + pad32(height) + pad32(index) + hex(hash);
+
+    assert(addr.length === 40);
+    return 'A' + addr + pad32(height) + pad32(index) + hex(hash);
+  },
+  Aa: function Aa(key) {
+    assert(typeof key === 'string');
+    assert(key.length === 149 || key.length === 125);
+
+    const off = key.length - 84;
+    const height = parseInt(key.slice(off, off + 10), 10);
+    const index = parseInt(key.slice(off + 10, off + 20), 10);
+    const hash = key.slice(off + 20);
+
+    return [height, index, hash];
+  },
   pp: function pp(key) {
     assert(typeof key === 'string');
     assert(key.length === 65);
@@ -102,6 +125,46 @@ const layout = {
 
     assert(key.length === 105);
     return key.slice(41);
+  },
+  s: function s(addr) {
+    assert(typeof addr === 'string');
+    return 's' + addr;
+  },
+  ss: function ss(key) {
+    assert(typeof key === 'string');
+    assert(key.length > 1);
+    return key.slice(1);
+  },
+  j: function j(height, hash, index, type) {
+    return 'j' + pad32(height) + hex(hash) + pad32(index) + pad8(type);
+  },
+  k: function k(height, hash, index, type) {
+    return 'k' + pad32(height) + hex(hash) + pad32(index) + pad8(type);
+  },
+  z: function z(hash, index, type) {
+    return 'z' + hex(hash) + pad32(index) + pad8(type);
+  },
+  d: function d(id) {
+    return 'd' + pad32(id);
+  },
+  x: function x(id) {
+    return 'x' + pad32(id);
+  },
+  dd: function dd(key) {
+    assert(typeof key === 'string');
+    assert(key.length === 11);
+    return parseInt(key.slice(1), 10);
+  },
+  m: function m(height) {
+    return 'm' + pad32(height);
+  },
+  B: function B(addr) {
+    addr = hex(addr);
+    assert(addr.length === 40 || addr.length === 64);
+    return 'B' + addr;
+  },
+  U: function U(hash) {
+    return 'U' + hex(hash);
   }
 };
 
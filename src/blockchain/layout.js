@@ -29,8 +29,22 @@ const assert = require('assert');
  *   v[bit][hash] -> versionbits state
  *   T[addr-hash][hash] -> dummy (tx by address)
  *   C[addr-hash][hash][index] -> dummy (coin by address)
+ *   A[addr-hash][height][index][hash] -> dummy (tx by address and height)
  *   W+T[witaddr-hash][hash] -> dummy (tx by address)
  *   W+C[witaddr-hash][hash][index] -> dummy (coin by address)
+ *   W+A[witaddr-hash][height][index][hash] -> dummy (tx by address and height)
+ *   a -> address history index built
+ *   s[addr] -> address subscription
+ *   j[height][hash][index][type] -> pending subscription job
+ *   k[height][hash][index][type] -> notified subscription job
+ *   z[hash][index][type] -> unconfirmed subscription job
+ *   d[id] -> queued subscription delivery
+ *   x[id] -> dead subscription delivery
+ *   D -> next subscription delivery id
+ *   M -> supply totals
+ *   m[height] -> supply delta
+ *   B[addr-hash] -> address balance
+ *   U[hash] -> address balance undo
  */
 
 const layout = {
@@ -38,6 +52,9 @@ const layout = {
   R: Buffer.from([0x52]),
   O: Buffer.from([0x4f]),
   V: Buffer.from([0x76]),
+  M: Buffer.from([0x4d]),
+  a: Buffer.from([0x61]),
+  D: Buffer.from([0x44]),
   e: function e(hash) {
     return pair(0x65, hash);
   },
@@ -128,6 +145,44 @@ const layout = {
 
     return key;
   },
+  A: function A(addr, height, index, hash) {
+    let len = addr.length;
+
+    assert(typeof height === 'number');
+    assert(typeof index === 'number');
+
+    if (typeof addr === 'string')
+      len /= 2;
+
+    let key;
+    if (len === 32) {
+      key = Buffer.allocUnsafe(73);
+      key[0] = 0x98; // W + A
+    } else if (len === 20) {
+      key = Buffer.allocUnsafe(61);
+      key[0] = 0x41; // A
+    } else {
+      assert(false);
+    }
+
+    write(key, addr, 1);
+    key.writeUInt32BE(height, 1 + len, true);
+    key.writeUInt32BE(index, 5 + len, true);
+    write(key, hash, 9 + len);
+
+    return key;
+  },
+  Aa: function Aa(key) {
+    assert(Buffer.isBuffer(key));
+    assert(key.length === 73 || key.length === 61);
+
+    const off = key.length - 40;
+    const height = key.readUInt32BE(off, true);
+    const index = key.readUInt32BE(off + 4, true);
+    const hash = key.toString('hex', off + 8, off + 40);
+
+    return [height, index, hash];
+  },
   pp: function pp(key) {
     assert(Buffer.isBuffer(key));
     assert(key.length === 33);
@@ -157,6 +212,65 @@ const layout = {
 
     assert(key.length === 53);
     return key.toString('hex', 21, 53);
+  },
+  s: function s(addr) {
+    assert(typeof addr === 'string');
+    const len = Buffer.byteLength(addr, 'ascii');
+    const key = Buffer.allocUnsafe(1 + len);
+    key[0] = 0x73;
+    key.write(addr, 1, 'ascii');
+    return key;
+  },
+  ss: function ss(key) {
+    assert(Buffer.isBuffer(key));
+    assert(key.length > 1);
+    return key.toString('ascii', 1);
+  },
+  j: function j(height, hash, index, type) {
+    return jpair(0x6a, height, hash, index, type);
+  },
+  k: function k(height, hash, index, type) {
+    return jpair(0x6b, height, hash, index, type);
+  },
+  z: function z(hash, index, type) {
+    const key = Buffer.allocUnsafe(38);
+    assert(typeof index === 'number');
+    assert(typeof type === 'number');
+    key[0] = 0x7a;
+    write(key, hash, 1);
+    key.writeUInt32BE(index, 33, true);
+    key[37] = type;
+    return key;
+  },
+  d: function d(id) {
+    return ipair(0x64, id);
+  },
+  x: function x(id) {
+    return ipair(0x78, id);
+  },
+  dd: function dd(key) {
+    assert(Buffer.isBuffer(key));
+    assert(key.length === 5);
+    return key.readUInt32BE(1, true);
+  },
+  m: function m(height) {
+    return ipair(0x6d, height);
+  },
+  B: function B(addr) {
+    let len = addr.length;
+
+    if (typeof addr === 'string')
+      len /= 2;
+
+    assert(len === 20 || len === 32);
+
+    const key = Buffer.allocUnsafe(1 + len);
+    key[0] = 0x42;
+    write(key, addr, 1);
+    return key;
+  },
+  U: function U(hash) {
+    return pair(0x55, hash);
   }
 };
 
@@ -186,6 +300,19 @@ function ipair(prefix, num) {
   return key;
 }
 
+function jpair(prefix, height, hash, index, type) {
+  const key = Buffer.allocUnsafe(42);
+  assert(typeof height === 'number');
+  assert(typeof index === 'number');
+  assert(typeof type === 'number');
+  key[0] = prefix;
+  key.writeUInt32BE(height, 1, true);
+  write(key, hash, 5);
+  key.writeUInt32BE(index, 37, true);
+  key[41] = type;
+  return key;
+}
+
 function bpair(prefix, hash, index) {
   const key = Buffer.allocUnsafe(37);
   assert(typeof index === 'number');
@@ -0,0 +1,1451 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * subscriptions.js - address subscription webhooks for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const util = require('../utils/util');
+const co = require('../utils/co');
+const digest = require('../crypto/digest');
+const encoding = require('../utils/encoding');
+const BufferReader = require('../utils/reader');
+const StaticWriter = require('../utils/staticwriter');
+const request = require('../http/request');
+const pkg = require('../pkg');
+const layout = require('./layout');
+const Outpoint = require('../primitives/outpoint');
+
+/**
+ * Address Subscriptions
+ * Delivers webhook notifications for outputs paying to and
+ * inputs spending from subscribed addresses, optionally as
+ * soon as they enter the mempool. Subscriptions, jobs and
+ * deliveries are persisted in the chain database.
+ * @alias module:blockchain.Subscriptions
+ * @constructor
+ * @param {Chain} chain
+ */
+
+function Subscriptions(chain) {
+  if (!(this instanceof Subscriptions))
+    return new Subscriptions(chain);
+
+  assert(chain, 'Subscriptions require a chain.');
+
+  this.chain = chain;
+  this.options = chain.options;
+  this.network = chain.network;
+  this.logger = chain.options.logger.context('subscriptions');
+  this.db = chain.db.db;
+
+  this.map = new Map();
+  this.unconfirmed = new Map();
+  this.queue = [];
+  this.dead = [];
+  this.nextID = 0;
+
+  this.timer = null;
+  this.flushing = false;
+  this.current = null;
+  this.pending = null;
+}
+
+/**
+ * Interval to check the delivery queue (ms).
+ * @const {Number}
+ * @default
+ */
+
+Subscriptions.FLUSH_INTERVAL = 5000;
+
+/**
+ * Base delay of the retry backoff (seconds).
+ * @const {Number}
+ * @default
+ */
+
+Subscriptions.RETRY_BASE = 10;
+
+/**
+ * Maximum delay of the retry backoff (seconds).
+ * @const {Number}
+ * @default
+ */
+
+Subscriptions.RETRY_MAX = 60 * 60;
+
+/**
+ * Open subscriptions, load state from the database.
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.open = async function open() {
+  if (this.options.spv)
+    return;
+
+  const subs = await this.db.range({
+    gte: layout.s('\x00'),
+    lte: layout.s('\x7f'),
+    parse: (key, value) => Subscription.fromRaw(layout.ss(key), value)
+  });
+
+  for (const sub of subs)
+    this.map.set(sub.address, sub);
+
+  const jobs = await this.getUnconfirmed();
+
+  for (const job of jobs)
+    this.addUnconfirmed(job);
+
+  this.queue = await this.db.range({
+    gte: layout.d(0),
+    lte: layout.d(0xffffffff),
+    parse: (key, value) => Delivery.fromRaw(layout.dd(key), value)
+  });
+
+  this.dead = await this.db.range({
+    gte: layout.x(0),
+    lte: layout.x(0xffffffff),
+    parse: (key, value) => Delivery.fromRaw(layout.dd(key), value)
+  });
+
+  const id = await this.db.get(layout.D);
+
+  if (id)
+    this.nextID = id.readUInt32LE(0, true);
+
+  for (const item of this.queue)
+    this.nextID = Math.max(this.nextID, item.id + 1);
+
+  for (const item of this.dead)
+    this.nextID = Math.max(this.nextID, item.id + 1);
+
+  this.logger.info(
+    'Loaded %d subscriptions (%d queued, %d dead deliveries).',
+    this.map.size, this.queue.length, this.dead.length);
+
+  this.timer = co.setInterval(this.flush, Subscriptions.FLUSH_INTERVAL, this);
+};
+
+/**
+ * Close subscriptions.
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.close = async function close() {
+  if (this.timer != null) {
+    co.clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  this.map.clear();
+  this.unconfirmed.clear();
+  this.queue = [];
+  this.dead = [];
+};
+
+/**
+ * Get a subscription by address.
+ * @param {String} addr - Base58 or bech32 address.
+ * @returns {Subscription|null}
+ */
+
+Subscriptions.prototype.get = function get(addr) {
+  return this.map.get(addr) || null;
+};
+
+/**
+ * Test whether an address is subscribed.
+ * @param {String} addr
+ * @returns {Boolean}
+ */
+
+Subscriptions.prototype.has = function has(addr) {
+  return this.map.has(addr);
+};
+
+/**
+ * Subscribe addresses to a webhook. Existing
+ * subscriptions for the addresses are replaced.
+ * @param {String[]} addrs
+ * @param {Object} options
+ * @param {String} options.url - Webhook url.
+ * @param {String?} options.secret - HMAC secret.
+ * @param {Number?} options.confirmations
+ * @returns {Promise} - Returns {@link Subscription}[].
+ */
+
+Subscriptions.prototype.add = async function add(addrs, options) {
+  const batch = this.db.batch();
+  const subs = [];
+
+  for (const addr of addrs) {
+    const sub = Subscription.fromOptions(addr, options);
+    const prev = this.map.get(addr);
+
+    if (prev) {
+      sub.delivered = prev.delivered;
+      sub.failed = prev.failed;
+      sub.lastSuccess = prev.lastSuccess;
+      sub.lastError = prev.lastError;
+    }
+
+    batch.put(layout.s(addr), sub.toRaw());
+    subs.push(sub);
+  }
+
+  await batch.write();
+
+  for (const sub of subs)
+    this.map.set(sub.address, sub);
+
+  return subs;
+};
+
+/**
+ * Unsubscribe addresses. Removes pending
+ * jobs and deliveries for the addresses.
+ * @param {String[]} addrs
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.remove = async function remove(addrs) {
+  const set = new Set(addrs);
+  const batch = this.db.batch();
+
+  for (const addr of set)
+    batch.del(layout.s(addr));
+
+  const jobs = await this.getJobs();
+
+  for (const job of jobs) {
+    if (set.has(job.address))
+      batch.del(job.toKey());
+  }
+
+  const notified = await this.getNotified();
+
+  for (const job of notified) {
+    if (set.has(job.address))
+      batch.del(job.toKey());
+  }
+
+  const unconfirmed = await this.getUnconfirmed();
+
+  for (const job of unconfirmed) {
+    if (set.has(job.address)) {
+      batch.del(job.toKey());
+      this.removeUnconfirmed(job);
+    }
+  }
+
+  for (const item of this.queue) {
+    if (set.has(item.address))
+      batch.del(layout.d(item.id));
+  }
+
+  for (const item of this.dead) {
+    if (set.has(item.address))
+      batch.del(layout.x(item.id));
+  }
+
+  await batch.write();
+
+  for (const addr of set)
+    this.map.delete(addr);
+
+  this.queue = this.queue.filter(item => !set.has(item.address));
+  this.dead = this.dead.filter(item => !set.has(item.address));
+};
+
+/**
+ * Get all pending jobs.
+ * @param {Number?} height - Only jobs due at or below height.
+ * @returns {Promise} - Returns {@link Job}[].
+ */
+
+Subscriptions.prototype.getJobs = function getJobs(height) {
+  if (height == null)
+    height = 0xffffffff;
+
+  return this.db.range({
+    gte: layout.j(0, encoding.ZERO_HASH, 0, 0),
+    lte: layout.j(height, encoding.MAX_HASH, 0xffffffff, 0xff),
+    parse: (key, value) => Job.fromRaw(value)
+  });
+};
+
+/**
+ * Get jobs which were already notified.
+ * @param {Number?} height - Only jobs confirmed at height.
+ * @returns {Promise} - Returns {@link Job}[].
+ */
+
+Subscriptions.prototype.getNotified = function getNotified(height) {
+  let start = 0;
+  let end = 0xffffffff;
+
+  if (height != null) {
+    start = height;
+    end = height;
+  }
+
+  return this.db.range({
+    gte: layout.k(start, encoding.ZERO_HASH, 0, 0),
+    lte: layout.k(end, encoding.MAX_HASH, 0xffffffff, 0xff),
+    parse: (key, value) => Job.fromRaw(value)
+  });
+};
+
+/**
+ * Get jobs which were notified from the mempool.
+ * @returns {Promise} - Returns {@link Job}[].
+ */
+
+Subscriptions.prototype.getUnconfirmed = function getUnconfirmed() {
+  return this.db.range({
+    gte: layout.z(encoding.ZERO_HASH, 0, 0),
+    lte: layout.z(encoding.MAX_HASH, 0xffffffff, 0xff),
+    parse: (key, value) => Job.fromRaw(value)
+  });
+};
+
+/**
+ * Index an unconfirmed job in memory.
+ * @private
+ * @param {Job} job
+ */
+
+Subscriptions.prototype.addUnconfirmed = function addUnconfirmed(job) {
+  let jobs = this.unconfirmed.get(job.hash);
+
+  if (!jobs) {
+    jobs = [];
+    this.unconfirmed.set(job.hash, jobs);
+  }
+
+  jobs.push(job);
+};
+
+/**
+ * Remove an unconfirmed job from memory.
+ * @private
+ * @param {Job} job
+ */
+
+Subscriptions.prototype.removeUnconfirmed = function removeUnconfirmed(job) {
+  const jobs = this.unconfirmed.get(job.hash);
+
+  if (!jobs)
+    return;
+
+  const index = jobs.indexOf(job);
+
+  if (index !== -1)
+    jobs.splice(index, 1);
+
+  if (jobs.length === 0)
+    this.unconfirmed.delete(job.hash);
+};
+
+/**
+ * Handle a newly connected block. Schedules jobs
+ * for subscribed outputs and spends and stages every
+ * job which reached its confirmation depth. Writes go
+ * to the chain's block batch, deliveries are queued
+ * by {@link Subscriptions#commit} once it is written.
+ * @param {ChainEntry} entry
+ * @param {Block} block
+ * @param {CoinView} view
+ * @param {Batch} batch - ChainDB batch.
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.connect = async function connect(entry, block, view, batch) {
+  this.pending = null;
+
+  if (this.options.spv)
+    return;
+
+  if (this.map.size === 0)
+    return;
+
+  const items = await this._connect(entry, block, view, batch);
+
+  this.pending = { items, dropped: [] };
+};
+
+/**
+ * Handle a newly connected block.
+ * @private
+ * @param {ChainEntry} entry
+ * @param {Block} block
+ * @param {CoinView} view
+ * @param {Batch} batch
+ * @returns {Promise} - Returns {@link Delivery}[].
+ */
+
+Subscriptions.prototype._connect = async function _connect(entry, block, view, batch) {
+  const items = [];
+
+  for (const tx of block.txs) {
+    const hash = tx.hash('hex');
+    const prior = this.unconfirmed.get(hash) || [];
+
+    // Seen in the mempool, the follow-up
+    // is delivered as a confirmation.
+    for (const job of prior)
+      batch.del(job.toKey());
+
+    this.unconfirmed.delete(hash);
+
+    const isPrior = (job) => {
+      return prior.some(p => p.type === job.type && p.index === job.index);
+    };
+
+    if (!tx.isCoinbase()) {
+      for (let i = 0; i < tx.inputs.length; i++) {
+        const {prevout} = tx.inputs[i];
+        const output = view.getOutput(prevout);
+
+        if (!output)
+          continue;
+
+        const job = this.createJob(
+          Job.types.SPENT, hash, i, output, entry.height);
+
+        if (!job)
+          continue;
+
+        job.prevout = prevout;
+
+        this.schedule(batch, job, entry.height, items,
+          isPrior(job) ? 'confirmed' : null);
+      }
+    }
+
+    for (let i = 0; i < tx.outputs.length; i++) {
+      const output = tx.outputs[i];
+      const job = this.createJob(
+        Job.types.RECEIVED, hash, i, output, entry.height);
+
+      if (!job)
+        continue;
+
+      this.schedule(batch, job, entry.height, items,
+        isPrior(job) ? 'confirmed' : null);
+    }
+  }
+
+  const jobs = await this.getJobs(entry.height);
+
+  for (const job of jobs) {
+    batch.del(job.toKey());
+
+    if (!this.map.has(job.address))
+      continue;
+
+    this.schedule(batch, job, entry.height, items);
+  }
+
+  // Forget notified jobs which are too
+  // deep to be affected by a reorg.
+  const depth = entry.height - this.network.block.keepBlocks;
+
+  if (depth >= 0) {
+    await this.db.keys({
+      gte: layout.k(0, encoding.ZERO_HASH, 0, 0),
+      lte: layout.k(depth, encoding.MAX_HASH, 0xffffffff, 0xff),
+      parse: key => batch.del(key)
+    });
+  }
+
+  for (const item of items)
+    batch.put(layout.d(item.id), item.toRaw());
+
+  if (items.length > 0)
+    this.saveID(batch);
+
+  return items;
+};
+
+/**
+ * Handle a disconnected block. Cancels jobs which
+ * have not reached their confirmation depth yet and
+ * stages a `reverted` delivery for every notified one
+ * in the chain's block batch.
+ * @param {ChainEntry} entry
+ * @param {Block} block
+ * @param {Batch} batch - ChainDB batch.
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.disconnect = async function disconnect(entry, block, batch) {
+  this.pending = null;
+
+  if (this.options.spv)
+    return;
+
+  this.pending = await this._disconnect(entry, block, batch);
+};
+
+/**
+ * Handle a disconnected block.
+ * @private
+ * @param {ChainEntry} entry
+ * @param {Block} block
+ * @param {Batch} batch
+ * @returns {Promise} - Returns Object.
+ */
+
+Subscriptions.prototype._disconnect = async function _disconnect(entry, block, batch) {
+  const items = [];
+  const dropped = [];
+
+  const jobs = await this.getJobs();
+
+  for (const job of jobs) {
+    if (job.height === entry.height)
+      batch.del(job.toKey());
+  }
+
+  const notified = await this.getNotified(entry.height);
+
+  for (const job of notified) {
+    batch.del(job.toKey());
+
+    // Never sent, simply drop it.
+    const queued = this.queue.find(item => item.id === job.id);
+
+    if (queued && queued !== this.current) {
+      batch.del(layout.d(queued.id));
+      dropped.push(queued);
+      continue;
+    }
+
+    if (!this.map.has(job.address))
+      continue;
+
+    items.push(this.createDelivery(job, entry.height, 'reverted'));
+  }
+
+  for (const item of items)
+    batch.put(layout.d(item.id), item.toRaw());
+
+  if (items.length > 0)
+    this.saveID(batch);
+
+  return { items, dropped };
+};
+
+/**
+ * Queue the deliveries staged by the last connect
+ * or disconnect. Called once the batch is written.
+ */
+
+Subscriptions.prototype.commit = function commit() {
+  const pending = this.pending;
+
+  if (!pending)
+    return;
+
+  this.pending = null;
+
+  for (const item of pending.dropped)
+    this.removeQueued(item);
+
+  if (pending.items.length === 0)
+    return;
+
+  for (const item of pending.items)
+    this.queue.push(item);
+
+  this.logger.debug('Queued %d subscription deliveries.',
+    pending.items.length);
+
+  this.flush();
+};
+
+/**
+ * Forget staged deliveries (the batch was dropped).
+ */
+
+Subscriptions.prototype.drop = function drop() {
+  this.pending = null;
+};
+
+/**
+ * Handle a transaction entering the mempool. Notifies
+ * subscriptions which do not require confirmations.
+ * @param {TX} tx
+ * @param {CoinView} view
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.addTX = async function addTX(tx, view) {
+  if (this.options.spv)
+    return;
+
+  if (this.map.size === 0)
+    return;
+
+  try {
+    await this._addTX(tx, view);
+  } catch (e) {
+    this.logger.error(e);
+  }
+};
+
+/**
+ * Handle a transaction entering the mempool.
+ * @private
+ * @param {TX} tx
+ * @param {CoinView} view
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype._addTX = async function _addTX(tx, view) {
+  const hash = tx.hash('hex');
+  const jobs = [];
+
+  if (this.unconfirmed.has(hash))
+    return;
+
+  for (let i = 0; i < tx.inputs.length; i++) {
+    const {prevout} = tx.inputs[i];
+    const output = view.getOutput(prevout);
+
+    if (!output)
+      continue;
+
+    const job = this.createJob(Job.types.SPENT, hash, i, output, -1);
+
+    if (!job)
+      continue;
+
+    job.prevout = prevout;
+
+    jobs.push(job);
+  }
+
+  for (let i = 0; i < tx.outputs.length; i++) {
+    const output = tx.outputs[i];
+    const job = this.createJob(Job.types.RECEIVED, hash, i, output, -1);
+
+    if (!job)
+      continue;
+
+    jobs.push(job);
+  }
+
+  if (jobs.length === 0)
+    return;
+
+  const batch = this.db.batch();
+  const items = [];
+
+  for (const job of jobs) {
+    const item = this.createDelivery(job, -1);
+
+    job.id = item.id;
+
+    this.addUnconfirmed(job);
+
+    batch.put(job.toKey(), job.toRaw());
+    batch.put(layout.d(item.id), item.toRaw());
+
+    items.push(item);
+  }
+
+  this.saveID(batch);
+
+  for (const item of items)
+    this.queue.push(item);
+
+  await batch.write();
+
+  this.logger.debug('Queued %d unconfirmed deliveries.', items.length);
+
+  this.flush();
+};
+
+/**
+ * Handle a transaction leaving the mempool without
+ * being confirmed (evicted or double-spent).
+ * @param {TX} tx
+ * @param {String} event - `evicted` or `doublespent`.
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.removeTX = async function removeTX(tx, event) {
+  const hash = tx.hash('hex');
+  const jobs = this.unconfirmed.get(hash);
+
+  if (!jobs)
+    return;
+
+  this.unconfirmed.delete(hash);
+
+  try {
+    await this.evict(jobs, event);
+  } catch (e) {
+    this.logger.error(e);
+  }
+};
+
+/**
+ * Queue eviction deliveries for unconfirmed jobs.
+ * @private
+ * @param {Job[]} jobs
+ * @param {String} event
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.evict = async function evict(jobs, event) {
+  const batch = this.db.batch();
+  const items = [];
+
+  for (const job of jobs) {
+    batch.del(job.toKey());
+
+    if (!this.map.has(job.address))
+      continue;
+
+    const item = this.createDelivery(job, -1, event);
+
+    batch.put(layout.d(item.id), item.toRaw());
+    items.push(item);
+  }
+
+  if (items.length > 0)
+    this.saveID(batch);
+
+  for (const item of items)
+    this.queue.push(item);
+
+  await batch.write();
+
+  if (items.length === 0)
+    return;
+
+  this.logger.debug('Queued %d %s deliveries.', items.length, event);
+
+  this.flush();
+};
+
+/**
+ * Evict unconfirmed jobs for transactions no longer
+ * in the mempool (e.g. a non-persistent mempool
+ * after restart).
+ * @param {Mempool} mempool
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.sync = async function sync(mempool) {
+  if (this.options.spv)
+    return;
+
+  const jobs = [];
+
+  for (const [hash, items] of this.unconfirmed) {
+    if (mempool.hasEntry(hash))
+      continue;
+
+    this.unconfirmed.delete(hash);
+
+    for (const job of items)
+      jobs.push(job);
+  }
+
+  if (jobs.length === 0)
+    return;
+
+  this.logger.info('Evicting %d unconfirmed subscription jobs.', jobs.length);
+
+  await this.evict(jobs, 'evicted');
+};
+
+/**
+ * Create a job if the output pays to a subscribed address.
+ * @param {Number} type - See {@link Job.types}.
+ * @param {Hash} hash - Transaction hash.
+ * @param {Number} index - Output or input index.
+ * @param {Output} output - Received or spent output.
+ * @param {Number} height - Block height, -1 if unconfirmed.
+ * @returns {Job|null}
+ */
+
+Subscriptions.prototype.createJob = function createJob(type, hash, index, output, height) {
+  const addr = output.getAddress();
+
+  if (!addr)
+    return null;
+
+  const address = addr.toString(this.network);
+  const sub = this.map.get(address);
+
+  if (!sub)
+    return null;
+
+  // Only zero-conf subscriptions see the mempool.
+  if (height === -1 && sub.confirmations !== 0)
+    return null;
+
+  const job = new Job();
+  job.type = type;
+  job.address = address;
+  job.hash = hash;
+  job.index = index;
+  job.value = output.value;
+  job.height = height;
+  job.target = -1;
+
+  if (height !== -1)
+    job.target = height + Math.max(sub.confirmations, 1) - 1;
+
+  return job;
+};
+
+/**
+ * Write a job as pending, or create its delivery
+ * if it reached the confirmation depth.
+ * @private
+ * @param {Batch} batch
+ * @param {Job} job
+ * @param {Number} height - Current chain height.
+ * @param {Delivery[]} items - Created deliveries.
+ * @param {String?} event
+ */
+
+Subscriptions.prototype.schedule = function schedule(batch, job, height, items, event) {
+  if (job.target > height) {
+    batch.put(job.toKey(), job.toRaw());
+    return;
+  }
+
+  const item = this.createDelivery(job, height, event);
+
+  job.id = item.id;
+  job.notified = true;
+
+  batch.put(job.toKey(), job.toRaw());
+  items.push(item);
+};
+
+/**
+ * Save the delivery id counter so ids are
+ * never reused after a restart.
+ * @private
+ * @param {Batch} batch
+ */
+
+Subscriptions.prototype.saveID = function saveID(batch) {
+  const bw = new StaticWriter(4);
+  bw.writeU32(this.nextID);
+  batch.put(layout.D, bw.render());
+};
+
+/**
+ * Create a delivery for a job.
+ * @param {Job} job
+ * @param {Number} height - Current chain height.
+ * @param {String?} event - Defaults to the job type.
+ * @returns {Delivery}
+ */
+
+Subscriptions.prototype.createDelivery = function createDelivery(job, height, event) {
+  const item = new Delivery();
+
+  item.id = this.nextID++;
+  item.address = job.address;
+  item.event = event || job.getType();
+  item.time = util.now();
+  item.next = item.time;
+
+  const json = {
+    id: item.id,
+    event: item.event,
+    type: job.getType(),
+    address: job.address,
+    txid: util.revHex(job.hash),
+    index: job.index,
+    value: job.value,
+    height: job.height,
+    confirmations: 0,
+    time: item.time
+  };
+
+  if (job.height !== -1 && item.event !== 'reverted')
+    json.confirmations = height - job.height + 1;
+
+  if (job.type === Job.types.SPENT) {
+    json.prevout = {
+      txid: util.revHex(job.prevout.hash),
+      index: job.prevout.index
+    };
+  }
+
+  item.body = JSON.stringify(json);
+
+  return item;
+};
+
+/**
+ * Send all deliveries which are due.
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.flush = async function flush() {
+  if (request.unsupported)
+    return;
+
+  if (this.flushing)
+    return;
+
+  this.flushing = true;
+
+  try {
+    const now = util.now();
+    const items = this.queue.slice();
+
+    for (const item of items) {
+      if (item.next > now)
+        continue;
+
+      await this.deliver(item);
+    }
+  } catch (e) {
+    this.logger.error(e);
+  } finally {
+    this.flushing = false;
+  }
+};
+
+/**
+ * Attempt a delivery, reschedule or
+ * move it to the dead queue on failure.
+ * @param {Delivery} item
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.deliver = async function deliver(item) {
+  const sub = this.map.get(item.address);
+
+  // Unsubscribed in the meantime.
+  if (!sub) {
+    await this.db.del(layout.d(item.id));
+    this.removeQueued(item);
+    return;
+  }
+
+  let error = null;
+
+  this.current = item;
+
+  try {
+    await this.send(sub, item);
+  } catch (e) {
+    error = e.message;
+  } finally {
+    this.current = null;
+  }
+
+  const batch = this.db.batch();
+
+  item.attempts += 1;
+
+  if (!error) {
+    sub.delivered += 1;
+    sub.lastSuccess = util.now();
+    batch.del(layout.d(item.id));
+    this.removeQueued(item);
+    this.logger.debug('Delivered %s to %s (%d).',
+      item.event, sub.url, item.id);
+  } else {
+    sub.failed += 1;
+    sub.lastError = error;
+    item.error = error;
+
+    if (item.attempts >= this.options.subscribeRetries) {
+      batch.del(layout.d(item.id));
+      batch.put(layout.x(item.id), item.toRaw());
+      this.removeQueued(item);
+      this.dead.push(item);
+      this.logger.warning('Delivery %d to %s is dead after %d attempts: %s.',
+        item.id, sub.url, item.attempts, error);
+    } else {
+      item.next = util.now() + this.getBackoff(item.attempts);
+      batch.put(layout.d(item.id), item.toRaw());
+      this.logger.debug('Delivery %d to %s failed: %s.',
+        item.id, sub.url, error);
+    }
+  }
+
+  batch.put(layout.s(sub.address), sub.toRaw());
+
+  await batch.write();
+};
+
+/**
+ * Post a delivery to the subscription webhook.
+ * @param {Subscription} sub
+ * @param {Delivery} item
+ * @returns {Promise}
+ */
+
+Subscriptions.prototype.send = async function send(sub, item) {
+  const body = Buffer.from(item.body, 'utf8');
+  const headers = Object.create(null);
+
+  headers['User-Agent'] = `wmcc-core/${pkg.version}`;
+  headers['Content-Type'] = 'application/json; charset=utf-8';
+  headers['Content-Length'] = body.length.toString(10);
+  headers['X-WMCC-Event'] = item.event;
+  headers['X-WMCC-Delivery'] = item.id.toString(10);
+
+  if (sub.secret) {
+    const key = Buffer.from(sub.secret, 'utf8');
+    const mac = digest.hmac('sha256', body, key);
+    headers['X-WMCC-Signature'] = `sha256=${mac.toString('hex')}`;
+  }
+
+  const res = await request({
+    method: 'POST',
+    uri: sub.url,
+    body: body,
+    headers: headers,
+    timeout: this.options.subscribeTimeout
+  });
+
+  if (res.statusCode < 200 || res.statusCode >= 300)
+    throw new Error(`Status code: ${res.statusCode}.`);
+};
+
+/**
+ * Calculate retry delay for an attempt count.
+ * @param {Number} attempts
+ * @returns {Number} Seconds.
+ */
+
+Subscriptions.prototype.getBackoff = function getBackoff(attempts) {
+  const delay = Subscriptions.RETRY_BASE * Math.pow(2, attempts - 1);
+  return Math.min(delay, Subscriptions.RETRY_MAX);
+};
+
+/**
+ * Remove a delivery from the in-memory queue.
+ * @private
+ * @param {Delivery} item
+ */
+
+Subscriptions.prototype.removeQueued = function removeQueued(item) {
+  const index = this.queue.indexOf(item);
+
+  if (index !== -1)
+    this.queue.splice(index, 1);
+};
+
+/**
+ * Move dead deliveries back into the queue.
+ * @param {String[]?} addrs - Only retry deliveries for these addresses.
+ * @returns {Promise} - Returns Number.
+ */
+
+Subscriptions.prototype.retry = async function retry(addrs) {
+  const set = addrs ? new Set(addrs) : null;
+  const batch = this.db.batch();
+  const items = [];
+
+  for (const item of this.dead) {
+    if (set && !set.has(item.address))
+      continue;
+
+    item.attempts = 0;
+    item.next = util.now();
+    item.error = '';
+
+    batch.del(layout.x(item.id));
+    batch.put(layout.d(item.id), item.toRaw());
+    items.push(item);
+  }
+
+  await batch.write();
+
+  for (const item of items) {
+    this.dead.splice(this.dead.indexOf(item), 1);
+    this.queue.push(item);
+  }
+
+  this.flush();
+
+  return items.length;
+};
+
+/**
+ * Convert subscriptions to JSON, including delivery state.
+ * @param {Boolean?} details - Include queued and dead deliveries.
+ * @returns {Object[]}
+ */
+
+Subscriptions.prototype.toJSON = function toJSON(details) {
+  const out = [];
+
+  for (const sub of this.map.values()) {
+    const queued = this.queue.filter(item => item.address === sub.address);
+    const dead = this.dead.filter(item => item.address === sub.address);
+    const json = sub.toJSON();
+
+    json.pending = queued.length;
+    json.dead = dead.length;
+
+    if (details) {
+      json.deliveries = queued.map(item => item.toJSON());
+      json.deadDeliveries = dead.map(item => item.toJSON());
+    }
+
+    out.push(json);
+  }
+
+  return out;
+};
+
+/**
+ * Subscription
+ * @alias module:blockchain.Subscription
+ * @constructor
+ */
+
+function Subscription() {
+  if (!(this instanceof Subscription))
+    return new Subscription();
+
+  this.address = '';
+  this.url = '';
+  this.secret = '';
+  this.confirmations = 1;
+  this.time = 0;
+  this.delivered = 0;
+  this.failed = 0;
+  this.lastSuccess = 0;
+  this.lastError = '';
+}
+
+/**
+ * Inject properties from options.
+ * @private
+ * @param {String} addr
+ * @param {Object} options
+ * @returns {Subscription}
+ */
+
+Subscription.prototype.fromOptions = function fromOptions(addr, options) {
+  assert(typeof addr === 'string');
+  assert(options && typeof options.url === 'string');
+  assert(/^https?:\/\//.test(options.url), 'Invalid webhook url.');
+
+  this.address = addr;
+  this.url = options.url;
+  this.time = util.now();
+
+  if (options.secret != null) {
+    assert(typeof options.secret === 'string');
+    this.secret = options.secret;
+  }
+
+  if (options.confirmations != null) {
+    assert(util.isU32(options.confirmations));
+    this.confirmations = options.confirmations;
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate subscription from options.
+ * @param {String} addr
+ * @param {Object} options
+ * @returns {Subscription}
+ */
+
+Subscription.fromOptions = function fromOptions(addr, options) {
+  return new Subscription().fromOptions(addr, options);
+};
+
+/**
+ * Get serialization size.
+ * @returns {Number}
+ */
+
+Subscription.prototype.getSize = function getSize() {
+  let size = 0;
+  size += encoding.sizeVarString(this.url, 'utf8');
+  size += encoding.sizeVarString(this.secret, 'utf8');
+  size += 24;
+  size += encoding.sizeVarString(this.lastError, 'utf8');
+  return size;
+};
+
+/**
+ * Serialize the subscription.
+ * @returns {Buffer}
+ */
+
+Subscription.prototype.toRaw = function toRaw() {
+  const size = this.getSize();
+  const bw = new StaticWriter(size);
+
+  bw.writeVarString(this.url, 'utf8');
+  bw.writeVarString(this.secret, 'utf8');
+  bw.writeU32(this.confirmations);
+  bw.writeU32(this.time);
+  bw.writeU32(this.delivered);
+  bw.writeU32(this.failed);
+  bw.writeU64(this.lastSuccess);
+  bw.writeVarString(this.lastError, 'utf8');
+
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {String} addr
+ * @param {Buffer} data
+ * @returns {Subscription}
+ */
+
+Subscription.prototype.fromRaw = function fromRaw(addr, data) {
+  const br = new BufferReader(data);
+
+  this.address = addr;
+  this.url = br.readVarString('utf8');
+  this.secret = br.readVarString('utf8');
+  this.confirmations = br.readU32();
+  this.time = br.readU32();
+  this.delivered = br.readU32();
+  this.failed = br.readU32();
+  this.lastSuccess = br.readU64();
+  this.lastError = br.readVarString('utf8');
+
+  return this;
+};
+
+/**
+ * Instantiate subscription from serialized data.
+ * @param {String} addr
+ * @param {Buffer} data
+ * @returns {Subscription}
+ */
+
+Subscription.fromRaw = function fromRaw(addr, data) {
+  return new Subscription().fromRaw(addr, data);
+};
+
+/**
+ * Convert the subscription to a more json-friendly object.
+ * The secret is never exposed.
+ * @returns {Object}
+ */
+
+Subscription.prototype.toJSON = function toJSON() {
+  return {
+    address: this.address,
+    url: this.url,
+    signed: this.secret.length > 0,
+    confirmations: this.confirmations,
+    time: this.time,
+    delivered: this.delivered,
+    failed: this.failed,
+    lastSuccess: this.lastSuccess || null,
+    lastError: this.lastError || null
+  };
+};
+
+/**
+ * Job
+ * A subscribed output or spend, either waiting for
+ * confirmations or already notified.
+ * @constructor
+ * @ignore
+ */
+
+function Job() {
+  this.type = 0;
+  this.notified = false;
+  this.hash = encoding.NULL_HASH;
+  this.index = -1;
+  this.address = '';
+  this.value = 0;
+  this.height = -1;
+  this.target = -1;
+  this.id = 0;
+  this.prevout = new Outpoint();
+}
+
+/**
+ * Job types.
+ * @enum {Number}
+ */
+
+Job.types = {
+  RECEIVED: 0,
+  SPENT: 1
+};
+
+/**
+ * Job types by value.
+ * @const {Object}
+ */
+
+Job.typesByVal = [
+  'received',
+  'spent'
+];
+
+Job.prototype.getType = function getType() {
+  return Job.typesByVal[this.type];
+};
+
+Job.prototype.toKey = function toKey() {
+  if (this.height === -1)
+    return layout.z(this.hash, this.index, this.type);
+
+  if (this.notified)
+    return layout.k(this.height, this.hash, this.index, this.type);
+
+  return layout.j(this.target, this.hash, this.index, this.type);
+};
+
+Job.prototype.getSize = function getSize() {
+  return encoding.sizeVarString(this.address, 'ascii') + 94;
+};
+
+Job.prototype.toRaw = function toRaw() {
+  const size = this.getSize();
+  const bw = new StaticWriter(size);
+
+  bw.writeU8(this.type);
+  bw.writeU8(this.notified ? 1 : 0);
+  bw.writeHash(this.hash);
+  bw.writeU32(this.index);
+  bw.writeVarString(this.address, 'ascii');
+  bw.writeU64(this.value);
+  bw.writeI32(this.height);
+  bw.writeI32(this.target);
+  bw.writeU32(this.id);
+  this.prevout.toWriter(bw);
+
+  return bw.render();
+};
+
+Job.prototype.fromRaw = function fromRaw(data) {
+  const br = new BufferReader(data);
+
+  this.type = br.readU8();
+  this.notified = br.readU8() === 1;
+  this.hash = br.readHash('hex');
+  this.index = br.readU32();
+  this.address = br.readVarString('ascii');
+  this.value = br.readU64();
+  this.height = br.readI32();
+  this.target = br.readI32();
+  this.id = br.readU32();
+  this.prevout.fromReader(br);
+
+  return this;
+};
+
+Job.fromRaw = function fromRaw(data) {
+  return new Job().fromRaw(data);
+};
+
+/**
+ * Delivery
+ * A queued webhook request.
+ * @constructor
+ * @ignore
+ */
+
+function Delivery() {
+  this.id = 0;
+  this.address = '';
+  this.event = '';
+  this.body = '';
+  this.time = 0;
+  this.next = 0;
+  this.attempts = 0;
+  this.error = '';
+}
+
+Delivery.prototype.getSize = function getSize() {
+  let size = 0;
+  size += encoding.sizeVarString(this.address, 'ascii');
+  size += encoding.sizeVarString(this.event, 'ascii');
+  size += encoding.sizeVarString(this.body, 'utf8');
+  size += 9;
+  size += encoding.sizeVarString(this.error, 'utf8');
+  return size;
+};
+
+Delivery.prototype.toRaw = function toRaw() {
+  const size = this.getSize();
+  const bw = new StaticWriter(size);
+
+  bw.writeVarString(this.address, 'ascii');
+  bw.writeVarString(this.event, 'ascii');
+  bw.writeVarString(this.body, 'utf8');
+  bw.writeU32(this.time);
+  bw.writeU32(this.next);
+  bw.writeU8(this.attempts);
+  bw.writeVarString(this.error, 'utf8');
+
+  return bw.render();
+};
+
+Delivery.prototype.fromRaw = function fromRaw(id, data) {
+  const br = new BufferReader(data);
+
+  this.id = id;
+  this.address = br.readVarString('ascii');
+  this.event = br.readVarString('ascii');
+  this.body = br.readVarString('utf8');
+  this.time = br.readU32();
+  this.next = br.readU32();
+  this.attempts = br.readU8();
+  this.error = br.readVarString('utf8');
+
+  return this;
+};
+
+Delivery.fromRaw = function fromRaw(id, data) {
+  return new Delivery().fromRaw(id, data);
+};
+
+Delivery.prototype.toJSON = function toJSON() {
+  return {
+    id: this.id,
+    event: this.event,
+    time: this.time,
+    next: this.next,
+    attempts: this.attempts,
+    error: this.error || null,
+    payload: JSON.parse(this.body)
+  };
+};
+
+/*
+ * Expose
+ */
+
+exports = Subscriptions;
+exports.Subscription = Subscription;
+exports.Job = Job;
+exports.Delivery = Delivery;
+
+module.exports = exports;
@@ -0,0 +1,494 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * argon2.js - argon2id for wmcc_core.
+ *
+ * Resources:
+ *   https://tools.ietf.org/html/rfc9106
+ *   https://github.com/P-H-C/phc-winner-argon2/blob/master/src/ref.c
+ */
+
+'use strict';
+
+/**
+ * @module crypto/argon2
+ */
+
+const co = require('../utils/co');
+const cleanse = require('./cleanse');
+const Blake2b = require('./blake2b');
+
+/*
+ * Constants
+ */
+
+const VERSION = 0x13;
+const TYPE = 2;
+const SYNC_POINTS = 4;
+const WORDS = 256;
+const ADDRESSES = 128;
+const ZERO = new Uint32Array(WORDS);
+
+/*
+ * Word offsets of the 16 registers
+ * permuted by each row (first 128)
+ * and column (last 128) round.
+ */
+
+const INDEX = new Uint16Array(256);
+
+for (let i = 0; i < 8; i++) {
+  for (let j = 0; j < 16; j++)
+    INDEX[i * 16 + j] = (i * 16 + j) * 2;
+
+  for (let j = 0; j < 8; j++) {
+    INDEX[128 + i * 16 + j * 2] = (2 * i + 16 * j) * 2;
+    INDEX[128 + i * 16 + j * 2 + 1] = (2 * i + 16 * j + 1) * 2;
+  }
+}
+
+/**
+ * Javascript argon2id implementation (version 0x13).
+ * Used for wallet master key encryption.
+ * @alias module:crypto/argon2.derive
+ * @param {Buffer} passwd
+ * @param {Buffer} salt - At least 8 bytes.
+ * @param {Number} t - Passes.
+ * @param {Number} m - Memory in KiB.
+ * @param {Number} p - Lanes.
+ * @param {Number} len
+ * @param {Buffer?} secret
+ * @param {Buffer?} ad - Associated data.
+ * @returns {Buffer}
+ */
+
+function derive(passwd, salt, t, m, p, len, secret, ad) {
+  const ctx = new Context(passwd, salt, t, m, p, len, secret, ad);
+
+  for (let pass = 0; pass < ctx.passes; pass++) {
+    for (let slice = 0; slice < SYNC_POINTS; slice++) {
+      for (let lane = 0; lane < ctx.lanes; lane++)
+        ctx.fillSegment(pass, slice, lane);
+    }
+  }
+
+  return ctx.finalize();
+}
+
+/**
+ * Asynchronous argon2id implementation.
+ * @alias module:crypto/argon2.deriveAsync
+ * @param {Buffer} passwd
+ * @param {Buffer} salt
+ * @param {Number} t
+ * @param {Number} m
+ * @param {Number} p
+ * @param {Number} len
+ * @param {Buffer?} secret
+ * @param {Buffer?} ad
+ * @returns {Promise}
+ */
+
+async function deriveAsync(passwd, salt, t, m, p, len, secret, ad) {
+  const ctx = new Context(passwd, salt, t, m, p, len, secret, ad);
+
+  for (let pass = 0; pass < ctx.passes; pass++) {
+    for (let slice = 0; slice < SYNC_POINTS; slice++) {
+      for (let lane = 0; lane < ctx.lanes; lane++) {
+        ctx.fillSegment(pass, slice, lane);
+        await co.wait();
+      }
+    }
+  }
+
+  return ctx.finalize();
+}
+
+/**
+ * Argon2 state.
+ * @constructor
+ * @ignore
+ */
+
+function Context(passwd, salt, t, m, p, len, secret, ad) {
+  if (!secret)
+    secret = Buffer.alloc(0);
+
+  if (!ad)
+    ad = Buffer.alloc(0);
+
+  if (!isU32(t) || t < 1)
+    throw new Error('EINVAL');
+
+  if (!isU32(p) || p < 1 || p > 0xffffff)
+    throw new Error('EINVAL');
+
+  if (!isU32(m) || m < 8 * p)
+    throw new Error('EINVAL');
+
+  if (!isU32(len) || len < 4)
+    throw new Error('EINVAL');
+
+  if (salt.length < 8)
+    throw new Error('EINVAL');
+
+  const segment = Math.floor(m / (SYNC_POINTS * p));
+
+  this.passes = t;
+  this.lanes = p;
+  this.length = len;
+  this.segmentLength = segment;
+  this.laneLength = segment * SYNC_POINTS;
+  this.blocks = this.laneLength * p;
+  this.memory = new Uint32Array(this.blocks * WORDS);
+  this.R = new Uint32Array(WORDS);
+  this.T = new Uint32Array(WORDS);
+  this.input = new Uint32Array(WORDS);
+  this.address = new Uint32Array(WORDS);
+
+  const ctx = new Blake2b();
+
+  ctx.init(64);
+  ctx.update(u32(p));
+  ctx.update(u32(len));
+  ctx.update(u32(m));
+  ctx.update(u32(t));
+  ctx.update(u32(VERSION));
+  ctx.update(u32(TYPE));
+  ctx.update(u32(passwd.length));
+  ctx.update(passwd);
+  ctx.update(u32(salt.length));
+  ctx.update(salt);
+  ctx.update(u32(secret.length));
+  ctx.update(secret);
+  ctx.update(u32(ad.length));
+  ctx.update(ad);
+
+  const seed = Buffer.alloc(72);
+
+  ctx.final().copy(seed, 0);
+
+  for (let lane = 0; lane < p; lane++) {
+    const index = lane * this.laneLength;
+
+    seed.writeUInt32LE(0, 64, true);
+    seed.writeUInt32LE(lane, 68, true);
+    this.load(index, hashLong(seed, 1024));
+
+    seed.writeUInt32LE(1, 64, true);
+    this.load(index + 1, hashLong(seed, 1024));
+  }
+
+  cleanse(seed);
+}
+
+/**
+ * Load a block from bytes.
+ * @param {Number} index
+ * @param {Buffer} data
+ */
+
+Context.prototype.load = function load(index, data) {
+  const off = index * WORDS;
+
+  for (let i = 0; i < WORDS; i++)
+    this.memory[off + i] = data.readUInt32LE(i * 4, true);
+
+  cleanse(data);
+};
+
+/**
+ * Generate the next block of reference addresses.
+ */
+
+Context.prototype.nextAddresses = function nextAddresses() {
+  const {R, T, input, address} = this;
+
+  input[12] += 1;
+
+  compress(R, T, ZERO, 0, input, 0, address, 0, false);
+  compress(R, T, ZERO, 0, address, 0, address, 0, false);
+};
+
+/**
+ * Fill one segment of a lane.
+ * @param {Number} pass
+ * @param {Number} slice
+ * @param {Number} lane
+ */
+
+Context.prototype.fillSegment = function fillSegment(pass, slice, lane) {
+  const {R, T, memory, address} = this;
+  const independent = pass === 0 && slice < SYNC_POINTS / 2;
+
+  let start = 0;
+
+  if (pass === 0 && slice === 0)
+    start = 2;
+
+  if (independent) {
+    this.input.fill(0);
+    this.input[0] = pass;
+    this.input[2] = lane;
+    this.input[4] = slice;
+    this.input[6] = this.blocks;
+    this.input[8] = this.passes;
+    this.input[10] = TYPE;
+
+    if (start !== 0)
+      this.nextAddresses();
+  }
+
+  let cur = lane * this.laneLength + slice * this.segmentLength + start;
+
+  for (let i = start; i < this.segmentLength; i++, cur++) {
+    const prev = cur % this.laneLength === 0
+      ? cur + this.laneLength - 1
+      : cur - 1;
+
+    let j1, j2;
+
+    if (independent) {
+      const k = i % ADDRESSES;
+
+      if (k === 0)
+        this.nextAddresses();
+
+      j1 = address[k * 2];
+      j2 = address[k * 2 + 1];
+    } else {
+      j1 = memory[prev * WORDS];
+      j2 = memory[prev * WORDS + 1];
+    }
+
+    let refLane = j2 % this.lanes;
+
+    if (pass === 0 && slice === 0)
+      refLane = lane;
+
+    const refIndex = this.indexAlpha(pass, slice, i, j1, refLane === lane);
+    const ref = refLane * this.laneLength + refIndex;
+
+    compress(R, T,
+      memory, prev * WORDS,
+      memory, ref * WORDS,
+      memory, cur * WORDS,
+      pass !== 0);
+  }
+};
+
+/**
+ * Map a pseudo-random value to a reference block.
+ * @param {Number} pass
+ * @param {Number} slice
+ * @param {Number} index
+ * @param {Number} j1
+ * @param {Boolean} sameLane
+ * @returns {Number}
+ */
+
+Context.prototype.indexAlpha = function indexAlpha(pass, slice, index, j1, sameLane) {
+  const segment = this.segmentLength;
+
+  let size;
+
+  if (pass === 0) {
+    if (slice === 0)
+      size = index - 1;
+    else if (sameLane)
+      size = slice * segment + index - 1;
+    else
+      size = slice * segment + (index === 0 ? -1 : 0);
+  } else {
+    if (sameLane)
+      size = this.laneLength - segment + index - 1;
+    else
+      size = this.laneLength - segment + (index === 0 ? -1 : 0);
+  }
+
+  let pos = mulHi(j1, j1);
+
+  pos = size - 1 - mulHi(size, pos);
+
+  let start = 0;
+
+  if (pass !== 0 && slice !== SYNC_POINTS - 1)
+    start = (slice + 1) * segment;
+
+  return (start + pos) % this.laneLength;
+};
+
+/**
+ * Hash the last column into the tag and wipe memory.
+ * @returns {Buffer}
+ */
+
+Context.prototype.finalize = function finalize() {
+  const {memory} = this;
+  const last = this.laneLength - 1;
+  const block = Buffer.allocUnsafe(WORDS * 4);
+
+  for (let i = 0; i < WORDS; i++) {
+    let word = 0;
+
+    for (let lane = 0; lane < this.lanes; lane++)
+      word ^= memory[(lane * this.laneLength + last) * WORDS + i];
+
+    block.writeUInt32LE(word >>> 0, i * 4, true);
+  }
+
+  memory.fill(0);
+
+  const tag = hashLong(block, this.length);
+
+  cleanse(block);
+
+  return tag;
+};
+
+/*
+ * Helpers
+ */
+
+function isU32(num) {
+  return Number.isSafeInteger(num) && num >= 0 && num <= 0xffffffff;
+}
+
+function u32(num) {
+  const data = Buffer.allocUnsafe(4);
+  data.writeUInt32LE(num, 0, true);
+  return data;
+}
+
+function hashLong(data, size) {
+  if (size <= 64) {
+    const ctx = new Blake2b();
+    ctx.init(size);
+    ctx.update(u32(size));
+    ctx.update(data);
+    return ctx.final();
+  }
+
+  const out = Buffer.allocUnsafe(size);
+  const ctx = new Blake2b();
+
+  ctx.init(64);
+  ctx.update(u32(size));
+  ctx.update(data);
+
+  let v = ctx.final();
+  let pos = 0;
+
+  while (size - pos > 64) {
+    v.copy(out, pos, 0, 32);
+    pos += 32;
+    v = Blake2b.digest(v, Math.min(size - pos, 64));
+  }
+
+  v.copy(out, pos);
+
+  return out;
+}
+
+function mulHi(x, y) {
+  const xl = x & 0xffff;
+  const xh = x >>> 16;
+  const yl = y & 0xffff;
+  const yh = y >>> 16;
+  const m1 = xl * yh;
+  const m2 = xh * yl;
+  const lo = xl * yl + (m1 & 0xffff) * 0x10000 + (m2 & 0xffff) * 0x10000;
+
+  return xh * yh + (m1 >>> 16) + (m2 >>> 16)
+    + Math.floor(lo / 0x100000000);
+}
+
+function fBlaMka(v, a, b) {
+  const x = v[a];
+  const y = v[b];
+  const xl = x & 0xffff;
+  const xh = x >>> 16;
+  const yl = y & 0xffff;
+  const yh = y >>> 16;
+  const m1 = xl * yh;
+  const m2 = xh * yl;
+
+  // 2 * lo32(a) * lo32(b)
+  let lo = xl * yl + (m1 & 0xffff) * 0x10000 + (m2 & 0xffff) * 0x10000;
+  let hi = xh * yh + (m1 >>> 16) + (m2 >>> 16)
+    + Math.floor(lo / 0x100000000);
+
+  lo >>>= 0;
+  hi = (hi << 1) | (lo >>> 31);
+  lo = (lo << 1) >>> 0;
+
+  const n = x + y + lo;
+
+  v[a + 1] += v[b + 1] + hi + Math.floor(n / 0x100000000);
+  v[a] = n;
+}
+
+function GB(v, a, b, c, d) {
+  fBlaMka(v, a, b);
+
+  let dl = v[d] ^ v[a];
+  let dh = v[d + 1] ^ v[a + 1];
+  v[d] = dh;
+  v[d + 1] = dl;
+
+  fBlaMka(v, c, d);
+
+  let bl = v[b] ^ v[c];
+  let bh = v[b + 1] ^ v[c + 1];
+  v[b] = (bl >>> 24) ^ (bh << 8);
+  v[b + 1] = (bh >>> 24) ^ (bl << 8);
+
+  fBlaMka(v, a, b);
+
+  dl = v[d] ^ v[a];
+  dh = v[d + 1] ^ v[a + 1];
+  v[d] = (dl >>> 16) ^ (dh << 16);
+  v[d + 1] = (dh >>> 16) ^ (dl << 16);
+
+  fBlaMka(v, c, d);
+
+  bl = v[b] ^ v[c];
+  bh = v[b + 1] ^ v[c + 1];
+  v[b] = (bh >>> 31) ^ (bl << 1);
+  v[b + 1] = (bl >>> 31) ^ (bh << 1);
+}
+
+function round(v, o) {
+  const I = INDEX;
+  GB(v, I[o + 0], I[o + 4], I[o + 8], I[o + 12]);
+  GB(v, I[o + 1], I[o + 5], I[o + 9], I[o + 13]);
+  GB(v, I[o + 2], I[o + 6], I[o + 10], I[o + 14]);
+  GB(v, I[o + 3], I[o + 7], I[o + 11], I[o + 15]);
+  GB(v, I[o + 0], I[o + 5], I[o + 10], I[o + 15]);
+  GB(v, I[o + 1], I[o + 6], I[o + 11], I[o + 12]);
+  GB(v, I[o + 2], I[o + 7], I[o + 8], I[o + 13]);
+  GB(v, I[o + 3], I[o + 4], I[o + 9], I[o + 14]);
+}
+
+function compress(R, T, x, xo, y, yo, out, oo, xor) {
+  for (let i = 0; i < WORDS; i++) {
+    R[i] = x[xo + i] ^ y[yo + i];
+    T[i] = xor ? R[i] ^ out[oo + i] : R[i];
+  }
+
+  for (let i = 0; i < 16; i++)
+    round(R, i * 16);
+
+  for (let i = 0; i < WORDS; i++)
+    out[oo + i] = T[i] ^ R[i];
+}
+
+/*
+ * Expose
+ */
+
+exports.derive = derive;
+exports.deriveAsync = deriveAsync;
@@ -0,0 +1,270 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * blake2b.js - blake2b for wmcc_core.
+ *
+ * Resources:
+ *   https://tools.ietf.org/html/rfc7693
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+/*
+ * Constants
+ */
+
+const IV = new Uint32Array([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85,
+  0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c,
+  0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+
+const SIGMA = new Uint8Array([
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+  11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+  7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+  9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+  2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+  12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+  13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+  6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+  10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+]);
+
+/**
+ * Blake2b (used for argon2)
+ * @alias module:crypto.Blake2b
+ * @constructor
+ */
+
+function Blake2b() {
+  if (!(this instanceof Blake2b))
+    return new Blake2b();
+
+  this.h = new Uint32Array(16);
+  this.v = new Uint32Array(32);
+  this.m = new Uint32Array(32);
+  this.block = Buffer.alloc(128);
+  this.pos = 0;
+  this.lo = 0;
+  this.hi = 0;
+  this.size = 64;
+}
+
+/**
+ * Initialize blake2b with an output size and an optional key.
+ * @param {Number} [size=64] - Output size in bytes.
+ * @param {Buffer?} key - Up to 64 bytes.
+ * @returns {Blake2b}
+ */
+
+Blake2b.prototype.init = function init(size, key) {
+  if (size == null)
+    size = 64;
+
+  if (!key)
+    key = null;
+
+  assert(size >= 1 && size <= 64, 'Bad output size.');
+  assert(!key || (Buffer.isBuffer(key) && key.length <= 64), 'Bad key.');
+
+  const keylen = key ? key.length : 0;
+
+  for (let i = 0; i < 16; i++)
+    this.h[i] = IV[i];
+
+  this.h[0] ^= 0x01010000 ^ (keylen << 8) ^ size;
+
+  this.block.fill(0);
+  this.pos = 0;
+  this.lo = 0;
+  this.hi = 0;
+  this.size = size;
+
+  if (key) {
+    this.update(key);
+    this.pos = 128;
+  }
+
+  return this;
+};
+
+/**
+ * Update the hash with data.
+ * @param {Buffer} data
+ * @returns {Blake2b}
+ */
+
+Blake2b.prototype.update = function update(data) {
+  for (let i = 0; i < data.length; i++) {
+    if (this.pos === 128) {
+      this.increment(128);
+      this.compress(false);
+      this.pos = 0;
+    }
+    this.block[this.pos++] = data[i];
+  }
+
+  return this;
+};
+
+/**
+ * Finalize the hash.
+ * @returns {Buffer}
+ */
+
+Blake2b.prototype.final = function final() {
+  const out = Buffer.allocUnsafe(this.size);
+
+  this.increment(this.pos);
+
+  this.block.fill(0, this.pos);
+
+  this.compress(true);
+
+  for (let i = 0; i < this.size; i++)
+    out[i] = this.h[i >>> 2] >>> (8 * (i & 3));
+
+  return out;
+};
+
+/**
+ * Increment the byte counter.
+ * @private
+ * @param {Number} bytes
+ */
+
+Blake2b.prototype.increment = function increment(bytes) {
+  this.lo += bytes;
+
+  if (this.lo >= 0x100000000) {
+    this.lo -= 0x100000000;
+    this.hi += 1;
+  }
+};
+
+/**
+ * Compress the current block.
+ * @private
+ * @param {Boolean} last
+ */
+
+Blake2b.prototype.compress = function compress(last) {
+  const v = this.v;
+  const m = this.m;
+  const h = this.h;
+
+  for (let i = 0; i < 16; i++) {
+    v[i] = h[i];
+    v[i + 16] = IV[i];
+  }
+
+  v[24] ^= this.lo;
+  v[25] ^= this.hi;
+
+  if (last) {
+    v[28] = ~v[28];
+    v[29] = ~v[29];
+  }
+
+  for (let i = 0; i < 32; i++)
+    m[i] = this.block.readUInt32LE(i * 4, true);
+
+  for (let i = 0; i < 12; i++) {
+    const s = i * 16;
+    G(v, m, 0, 8, 16, 24, SIGMA[s + 0], SIGMA[s + 1]);
+    G(v, m, 2, 10, 18, 26, SIGMA[s + 2], SIGMA[s + 3]);
+    G(v, m, 4, 12, 20, 28, SIGMA[s + 4], SIGMA[s + 5]);
+    G(v, m, 6, 14, 22, 30, SIGMA[s + 6], SIGMA[s + 7]);
+    G(v, m, 0, 10, 20, 30, SIGMA[s + 8], SIGMA[s + 9]);
+    G(v, m, 2, 12, 22, 24, SIGMA[s + 10], SIGMA[s + 11]);
+    G(v, m, 4, 14, 16, 26, SIGMA[s + 12], SIGMA[s + 13]);
+    G(v, m, 6, 8, 18, 28, SIGMA[s + 14], SIGMA[s + 15]);
+  }
+
+  for (let i = 0; i < 16; i++)
+    h[i] ^= v[i] ^ v[i + 16];
+};
+
+/**
+ * Hash data with blake2b.
+ * @param {Buffer} data
+ * @param {Number} [size=64]
+ * @param {Buffer?} key
+ * @returns {Buffer}
+ */
+
+Blake2b.digest = function digest(data, size, key) {
+  const ctx = new Blake2b();
+  ctx.init(size, key);
+  ctx.update(data);
+  return ctx.final();
+};
+
+/*
+ * Helpers
+ */
+
+function sum(v, a, b) {
+  const lo = v[a] + v[b];
+  v[a + 1] += v[b + 1] + (lo >= 0x100000000 ? 1 : 0);
+  v[a] = lo;
+}
+
+function sum2(v, a, lo, hi) {
+  const n = v[a] + lo;
+  v[a + 1] += hi + (n >= 0x100000000 ? 1 : 0);
+  v[a] = n;
+}
+
+function G(v, m, a, b, c, d, x, y) {
+  const xl = m[x * 2];
+  const xh = m[x * 2 + 1];
+  const yl = m[y * 2];
+  const yh = m[y * 2 + 1];
+
+  sum(v, a, b);
+  sum2(v, a, xl, xh);
+
+  let dl = v[d] ^ v[a];
+  let dh = v[d + 1] ^ v[a + 1];
+  v[d] = dh;
+  v[d + 1] = dl;
+
+  sum(v, c, d);
+
+  let bl = v[b] ^ v[c];
+  let bh = v[b + 1] ^ v[c + 1];
+  v[b] = (bl >>> 24) ^ (bh << 8);
+  v[b + 1] = (bh >>> 24) ^ (bl << 8);
+
+  sum(v, a, b);
+  sum2(v, a, yl, yh);
+
+  dl = v[d] ^ v[a];
+  dh = v[d + 1] ^ v[a + 1];
+  v[d] = (dl >>> 16) ^ (dh << 16);
+  v[d + 1] = (dh >>> 16) ^ (dl << 16);
+
+  sum(v, c, d);
+
+  bl = v[b] ^ v[c];
+  bh = v[b + 1] ^ v[c + 1];
+  v[b] = (bh >>> 31) ^ (bl << 1);
+  v[b + 1] = (bl >>> 31) ^ (bh << 1);
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Blake2b;
@@ -20,7 +20,9 @@ const aes = require('./aes');
 
 exports.aes = require('./aes');
 exports.AEAD = require('./aead');
+exports.argon2 = require('./argon2');
 exports.BN = require('./bn');
+exports.Blake2b = require('./blake2b');
 exports.ccmp = require('./ccmp');
 exports.ChaCha20 = require('./chacha20');
 exports.cleanse = require('./cleanse');
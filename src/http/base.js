@@ -1701,6 +1701,10 @@ function getType(type) {
       return 'text/css; charset=utf-8';
     case 'txt':
       return 'text/plain; charset=utf-8';
+    case 'csv':
+      return 'text/csv; charset=utf-8';
+    case 'jsonl':
+      return 'application/x-ndjson; charset=utf-8';
     case 'bin':
       return 'application/octet-stream';
     default:
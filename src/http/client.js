@@ -371,6 +371,19 @@ HTTPClient.prototype.getTXByAddresses = function getTXByAddresses(addresses) {
   return this._post('/tx/address', { addresses });
 };
 
+/**
+ * Retrieve a page of confirmed transactions pertaining
+ * to an address, ordered by height.
+ * @param {String} address
+ * @param {Object} options - limit, after, reverse, start, end.
+ * @returns {Promise} - Returns {Object} with `txs` and `next` cursor.
+ */
+
+HTTPClient.prototype.getTXHistory = function getTXHistory(address, options) {
+  const query = Object.assign({ limit: 100 }, options);
+  return this._get(`/tx/address/${address}`, query);
+};
+
 /**
  * Retrieve a transaction from the mempool or chain database.
  * @param {Hash} hash
@@ -673,11 +686,13 @@ HTTPClient.prototype.retoken = async function retoken(id, passphrase) {
  * Change or set master key's passphrase.
  * @param {(String|Buffer)?} old
  * @param {String|Buffer} new_
+ * @param {Object?} options - Key derivation
+ * `algorithm`, `N`, `r`, `p` and `target` (ms).
  * @returns {Promise}
  */
 
-HTTPClient.prototype.setPassphrase = function setPassphrase(id, old, new_) {
-  const body = { old: old, passphrase: new_ };
+HTTPClient.prototype.setPassphrase = function setPassphrase(id, old, new_, options) {
+  const body = Object.assign({ old: old, new: new_ }, options);
   return this._post(`/wallet/${id}/passphrase`, body);
 };
 
@@ -719,6 +734,20 @@ HTTPClient.prototype.sign = function sign(id, tx, options) {
   return this._post(`/wallet/${id}/sign`, body);
 };
 
+/**
+ * Process a partially signed transaction.
+ * @param {String} id
+ * @param {String} psbt - Base64 PSBT.
+ * @param {Object} options
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.processPSBT = function processPSBT(id, psbt, options) {
+  const body = Object.assign({}, options);
+  body.psbt = psbt;
+  return this._post(`/wallet/${id}/psbt`, body);
+};
+
 /**
  * @param {String} id
  * @param {Number} now - Current time.
@@ -853,6 +882,180 @@ HTTPClient.prototype.getLocked = function getLocked(id) {
   return this._get(`/wallet/${id}/coin/locked`);
 };
 
+/**
+ * Get the spend policy of a wallet or account.
+ * @param {String} id
+ * @param {(String|Number)?} account - Omit for wallet-wide.
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.getSpendPolicy = function getSpendPolicy(id, account) {
+  return this._get(`/wallet/${id}/policy`, { account });
+};
+
+/**
+ * Replace the spend policy of a wallet or account.
+ * @param {String} id
+ * @param {(String|Number)?} account - Omit for wallet-wide.
+ * @param {Object} options
+ * @param {String} adminToken
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.setSpendPolicy = function setSpendPolicy(id, account, options, adminToken) {
+  const body = Object.assign({}, options, { account, adminToken });
+  return this._put(`/wallet/${id}/policy`, body);
+};
+
+/**
+ * Get spends awaiting approval.
+ * @param {String} id
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.getPendingSpends = function getPendingSpends(id) {
+  return this._get(`/wallet/${id}/pending`);
+};
+
+/**
+ * Get a spend awaiting approval.
+ * @param {String} id
+ * @param {Hash} hash
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.getPendingSpend = function getPendingSpend(id, hash) {
+  return this._get(`/wallet/${id}/pending/${hash}`);
+};
+
+/**
+ * Approve and broadcast a pending spend.
+ * @param {String} id
+ * @param {Hash} hash
+ * @param {String} adminToken
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.approveSpend = function approveSpend(id, hash, adminToken) {
+  return this._post(`/wallet/${id}/pending/${hash}`, { adminToken });
+};
+
+/**
+ * Reject a pending spend.
+ * @param {String} id
+ * @param {Hash} hash
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.rejectSpend = function rejectSpend(id, hash) {
+  return this._del(`/wallet/${id}/pending/${hash}`);
+};
+
+/**
+ * Label a wallet transaction.
+ * @param {String} id
+ * @param {Hash} hash
+ * @param {Object} options - {label, memo}.
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.setTXMeta = function setTXMeta(id, hash, options) {
+  return this._put(`/wallet/${id}/tx/${hash}`, options);
+};
+
+/**
+ * Label a wallet coin.
+ * @param {String} id
+ * @param {Hash} hash
+ * @param {Number} index
+ * @param {Object} options - {label, memo}.
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.setCoinMeta = function setCoinMeta(id, hash, index, options) {
+  return this._put(`/wallet/${id}/coin/${hash}/${index}`, options);
+};
+
+/**
+ * Label a wallet address.
+ * @param {String} id
+ * @param {String} address
+ * @param {Object} options - {label, memo}.
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.setAddressMeta = function setAddressMeta(id, address, options) {
+  return this._put(`/wallet/${id}/key/${address}`, options);
+};
+
+/**
+ * Search wallet labels and memos.
+ * @param {String} id
+ * @param {String?} query
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.searchMeta = function searchMeta(id, query) {
+  return this._get(`/wallet/${id}/meta`, { query });
+};
+
+/**
+ * Restore wallet history from the address
+ * index, or by rescanning from its birthday.
+ * @param {String} id
+ * @param {Object?} options
+ * @param {Number?} options.gap
+ * @param {Boolean?} options.index
+ * @returns {Promise}
+ */
+
+HTTPClient.prototype.restoreWallet = function restoreWallet(id, options) {
+  return this._post(`/wallet/${id}/restore`, options || {});
+};
+
+/**
+ * Export wallet history.
+ * @param {String} id
+ * @param {Object?} options - Format, account and range
+ * (see {@link HistoryExporter}).
+ * @returns {Promise} - Returns String (CSV or JSON lines).
+ */
+
+HTTPClient.prototype.exportHistory = async function exportHistory(id, options) {
+  const query = Object.assign({}, options);
+
+  if (this.token)
+    query.token = this.token;
+
+  const res = await request({
+    method: 'get',
+    uri: `${this.uri}/wallet/${id}/export`,
+    pool: true,
+    query: query,
+    auth: {
+      username: 'wmccrpc',
+      password: this.apiKey || ''
+    }
+  });
+
+  if (res.statusCode === 404)
+    return null;
+
+  if (res.statusCode === 401)
+    throw new Error('Unauthorized (bad API key).');
+
+  if (res.type === 'json' && res.body && res.body.error)
+    throw new Error(res.body.error.message);
+
+  if (res.statusCode !== 200)
+    throw new Error(`Status code: ${res.statusCode}.`);
+
+  if (!Buffer.isBuffer(res.body))
+    throw new Error('Bad response (wrong content-type).');
+
+  return res.body.toString('utf8');
+};
+
 /**
  * Lock wallet.
  * @param {String} id
@@ -16,6 +16,7 @@ const co = require('../utils/co');
 const digest = require('../crypto/digest');
 const ccmp = require('../crypto/ccmp');
 const common = require('../blockchain/common');
+const CoinReserve = require('../blockchain/coinreserve');
 const secp256k1 = require('../crypto/secp256k1');
 const Amount = require('../wmcc/amount');
 const NetAddress = require('../primitives/netaddress');
@@ -30,10 +31,14 @@ const MTX = require('../primitives/mtx');
 const Network = require('../protocol/network');
 const Outpoint = require('../primitives/outpoint');
 const Output = require('../primitives/output');
+const PSBT = require('../primitives/psbt');
 const TX = require('../primitives/tx');
 const IP = require('../utils/ip');
 const encoding = require('../utils/encoding');
 const consensus = require('../protocol/consensus');
+const policy = require('../protocol/policy');
+const BlockTemplate = require('../mining/template');
+const ChainGenerator = require('../mining/generator');
 const Validator = require('../utils/validator');
 const RPCBase = require('./rpcbase');
 const pkg = require('../pkg');
@@ -76,6 +81,16 @@ function RPC(node) {
   this.merkleMap = new Map();
   this.pollers = [];
 
+  this.generator = null;
+
+  if (this.miner) {
+    this.generator = new ChainGenerator({
+      chain: this.chain,
+      miner: this.miner,
+      logger: this.logger
+    });
+  }
+
   this.init();
 }
 
@@ -103,6 +118,10 @@ RPC.prototype.init = function init() {
   this.add('gettxoutsetinfo', this.getTXOutSetInfo);
   this.add('pruneblockchain', this.pruneBlockchain);
   this.add('verifychain', this.verifyChain);
+  this.add('getcoinreserveinfo', this.getCoinreserveInfo);
+  this.add('getcoinreserve', this.getCoinreserve);
+  this.add('getcoinreservehistory', this.getCoinreserveHistory);
+  this.add('verifycoinreserve', this.verifyCoinreserve);
 
   this.add('invalidateblock', this.invalidateBlock);
   this.add('reconsiderblock', this.reconsiderBlock);
@@ -110,6 +129,10 @@ RPC.prototype.init = function init() {
   this.add('getnetworkhashps', this.getNetworkHashPS);
   this.add('getmininginfo', this.getMiningInfo);
   this.add('prioritisetransaction', this.prioritiseTransaction);
+  this.add('pintransaction', this.pinTransaction);
+  this.add('blacklisttransaction', this.blacklistTransaction);
+  this.add('blacklistaddress', this.blacklistAddress);
+  this.add('gettemplatepolicy', this.getTemplatePolicy);
   this.add('getwork', this.getWork);
   this.add('getworklp', this.getWorkLongpoll);
   this.add('getblocktemplate', this.getBlockTemplate);
@@ -118,8 +141,12 @@ RPC.prototype.init = function init() {
 
   this.add('setgenerate', this.setGenerate);
   this.add('getgenerate', this.getGenerate);
+  this.add('getcpuminerinfo', this.getCPUMinerInfo);
   this.add('generate', this.generate);
   this.add('generatetoaddress', this.generateToAddress);
+  this.add('generateblocks', this.generateBlocks);
+  this.add('exportchainfixture', this.exportChainFixture);
+  this.add('importchainfixture', this.importChainFixture);
 
   this.add('estimatefee', this.estimateFee);
   this.add('estimatepriority', this.estimatePriority);
@@ -154,7 +181,13 @@ RPC.prototype.init = function init() {
   this.add('sendrawtransaction', this.sendRawTransaction);
   this.add('signrawtransaction', this.signRawTransaction);
 
+  this.add('createpsbt', this.createPSBT);
+  this.add('decodepsbt', this.decodePSBT);
+  this.add('combinepsbt', this.combinePSBT);
+  this.add('finalizepsbt', this.finalizePSBT);
+
   this.add('createsigntransaction', this.createSignTransaction);
+  this.add('createsignmultitransaction', this.createSignMultiTransaction);
   this.add('querybalance', this.queryBalance);
 
   this.add('gettxoutproof', this.getTXOutProof);
@@ -961,8 +994,11 @@ RPC.prototype.getTXOutSetInfo = async function getTXOutSetInfo(args, help) {
   if (this.chain.options.spv)
     throw new RPCError(errs.MISC_ERROR, 'Chainstate not available (SPV mode).');
 
-  return {
-    height: this.chain.height,
+  const supply = this.chain.getSupply();
+  const height = this.chain.height;
+
+  const info = {
+    height: height,
     bestblock: this.chain.tip.rhash(),
     transactions: this.chain.db.state.tx,
     txouts: this.chain.db.state.coin,
@@ -970,6 +1006,21 @@ RPC.prototype.getTXOutSetInfo = async function getTXOutSetInfo(args, help) {
     hash_serialized: 0,
     total_amount: Amount.wmcc(this.chain.db.state.value, true)
   };
+
+  if (height > 0)
+    info.max_money = Amount.wmcc(consensus.getMaxMoney(height), true);
+
+  if (supply) {
+    info.total_issued = Amount.wmcc(supply.getIssued(), true);
+    info.circulating = Amount.wmcc(supply.getCirculating(), true);
+    info.coinbase_emission = Amount.wmcc(supply.coinbase, true);
+    info.reserve_emission = Amount.wmcc(supply.reserve, true);
+    info.reserve_amount = Amount.wmcc(supply.getReserve(), true);
+    info.total_fees = Amount.wmcc(supply.fees, true);
+    info.burned = Amount.wmcc(supply.burned, true);
+  }
+
+  return info;
 };
 
 RPC.prototype.pruneBlockchain = async function pruneBlockchain(args, help) {
@@ -1012,6 +1063,104 @@ RPC.prototype.verifyChain = async function verifyChain(args, help) {
   return null;
 };
 
+RPC.prototype.getCoinreserveInfo = async function getCoinreserveInfo(args, help) {
+  if (help || args.length !== 0)
+    throw new RPCError(errs.MISC_ERROR, 'getcoinreserveinfo');
+
+  if (this.chain.options.spv)
+    throw new RPCError(errs.MISC_ERROR, 'Cannot read reserve in SPV mode.');
+
+  const info = await this.chain.reserve.getInfo();
+
+  return {
+    height: info.height,
+    bestblock: info.hash,
+    address: info.address,
+    script: info.script,
+    initial: Amount.wmcc(info.initial, true),
+    perblock: Amount.wmcc(info.perBlock, true),
+    cumulative: Amount.wmcc(info.cumulative, true),
+    expected: Amount.wmcc(info.expected, true),
+    unspent: info.unspent !== -1 ? Amount.wmcc(info.unspent, true) : null,
+    coins: info.coins !== -1 ? info.coins : null
+  };
+};
+
+RPC.prototype.getCoinreserve = async function getCoinreserve(args, help) {
+  if (help || args.length < 1 || args.length > 2)
+    throw new RPCError(errs.MISC_ERROR, 'getcoinreserve height ( verbose )');
+
+  const valid = new Validator([args]);
+  const height = valid.u32(0);
+  const verbose = valid.bool(1, false);
+
+  if (height == null || height > this.chain.height)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Block height out of range.');
+
+  if (this.chain.options.spv)
+    throw new RPCError(errs.MISC_ERROR, 'Cannot read reserve in SPV mode.');
+
+  const record = await this.chain.reserve.getRecord(height, verbose);
+
+  if (!record)
+    throw new RPCError(errs.MISC_ERROR, 'Block not found.');
+
+  return this.reserveToJSON(record.getJSON(this.network));
+};
+
+RPC.prototype.getCoinreserveHistory = async function getCoinreserveHistory(args, help) {
+  if (help || args.length < 1 || args.length > 2) {
+    throw new RPCError(errs.MISC_ERROR,
+      'getcoinreservehistory start ( end )');
+  }
+
+  const valid = new Validator([args]);
+  const start = valid.u32(0);
+  const end = valid.u32(1, this.chain.height);
+
+  this.checkReserveRange(start, end);
+
+  const history = await this.chain.reserve.getHistory(start, end);
+
+  return {
+    start: history.start,
+    end: history.end,
+    issued: Amount.wmcc(history.issued, true),
+    spent: Amount.wmcc(history.spent, true),
+    received: Amount.wmcc(history.received, true),
+    records: history.records.map((json) => {
+      return this.reserveToJSON(json);
+    })
+  };
+};
+
+RPC.prototype.verifyCoinreserve = async function verifyCoinreserve(args, help) {
+  if (help || args.length > 2)
+    throw new RPCError(errs.MISC_ERROR, 'verifycoinreserve ( start end )');
+
+  const valid = new Validator([args]);
+  const end = valid.u32(1, this.chain.height);
+  const start = valid.u32(0, Math.max(0, end - CoinReserve.MAX_RANGE + 1));
+
+  this.checkReserveRange(start, end);
+
+  const result = await this.chain.reserve.verify(start, end);
+
+  result.issued = Amount.wmcc(result.issued, true);
+
+  if (result.expected !== -1)
+    result.expected = Amount.wmcc(result.expected, true);
+  else
+    result.expected = null;
+
+  for (const item of result.deviations) {
+    item.value = Amount.wmcc(item.value, true);
+    item.expected = Amount.wmcc(item.expected, true);
+  }
+
+  return result;
+};
+
 /*
  * Mining
  */
@@ -1258,20 +1407,100 @@ RPC.prototype.getBlockTemplate = async function getBlockTemplate(args, help) {
   if (!rules)
     rules = [];
 
-  return await this.createTemplate(maxVersion, coinbase, rules);
+  const custom = this.parseTemplateOptions(valid);
+
+  return await this.createTemplate(maxVersion, coinbase, rules, custom);
 };
 
-RPC.prototype.createTemplate = async function createTemplate(maxVersion, coinbase, rules) {
+RPC.prototype.parseTemplateOptions = function parseTemplateOptions(valid) {
+  const pinned = valid.array('pinned');
+  const blacklist = valid.array('blacklist');
+  const addresses = valid.array('blacklistaddresses');
+  const outputs = valid.array('coinbaseoutputs');
+  const weight = valid.u32('reservedweight');
+  const sigops = valid.u32('reservedsigops');
+
+  if (!pinned && !blacklist && !addresses && !outputs
+      && weight == null && sigops == null) {
+    return null;
+  }
+
+  const options = {
+    pinned: pinned ? parseHashes(pinned) : null,
+    blacklist: blacklist ? parseHashes(blacklist) : null,
+    blacklistAddresses: null,
+    outputs: null,
+    reservedWeight: weight,
+    reservedSigops: sigops
+  };
+
+  if (addresses) {
+    const items = new Validator([addresses]);
+    options.blacklistAddresses = [];
+    for (let i = 0; i < addresses.length; i++) {
+      const str = items.str(i, '');
+      options.blacklistAddresses.push(parseAddress(str, this.network));
+    }
+  }
+
+  if (outputs) {
+    if (outputs.length > BlockTemplate.MAX_OUTPUTS) {
+      throw new RPCError(errs.INVALID_PARAMETER,
+        'Too many coinbase outputs.');
+    }
+
+    options.outputs = [];
+
+    for (const output of outputs) {
+      const item = new Validator([output]);
+      const script = item.buf('script');
+      const data = item.buf('data');
+      const address = item.str('address');
+      const value = item.u64('value', 0);
+
+      if (data) {
+        if (data.length > policy.MAX_OP_RETURN) {
+          throw new RPCError(errs.INVALID_PARAMETER,
+            'Coinbase output data too large.');
+        }
+        options.outputs.push({ data, value });
+        continue;
+      }
+
+      if (address) {
+        const addr = parseAddress(address, this.network);
+        options.outputs.push({ address: addr, value });
+        continue;
+      }
+
+      if (!script || script.length === 0) {
+        throw new RPCError(errs.INVALID_PARAMETER,
+          'Coinbase output requires data, address or script.');
+      }
+
+      if (script.length > consensus.MAX_SCRIPT_SIZE) {
+        throw new RPCError(errs.INVALID_PARAMETER,
+          'Coinbase output script too large.');
+      }
+
+      options.outputs.push({ script, value });
+    }
+  }
+
+  return options;
+};
+
+RPC.prototype.createTemplate = async function createTemplate(maxVersion, coinbase, rules, custom) {
   const unlock = await this.locker.lock();
   try {
-    return await this._createTemplate(maxVersion, coinbase, rules);
+    return await this._createTemplate(maxVersion, coinbase, rules, custom);
   } finally {
     unlock();
   }
 };
 
-RPC.prototype._createTemplate = async function _createTemplate(maxVersion, coinbase, rules) {
-  const attempt = await this.getTemplate();
+RPC.prototype._createTemplate = async function _createTemplate(maxVersion, coinbase, rules, custom) {
+  const attempt = await this.getTemplate(custom);
   const scale = attempt.witness ? 1 : consensus.WITNESS_SCALE_FACTOR;
 
   // Default mutable fields.
@@ -1450,7 +1679,19 @@ RPC.prototype._createTemplate = async function _createTemplate(maxVersion, coinb
       weight: tx.getWeight()
     };
   } else {
-    json.coinbasevalue = attempt.getReward();
+    json.coinbasevalue = attempt.getReward() - attempt.getPayoutValue();
+
+    // Custom outputs the miner has to
+    // add to its own coinbase.
+    if (attempt.outputs.length > 0) {
+      json.coinbaseoutputs = [];
+      for (const output of attempt.outputs) {
+        json.coinbaseoutputs.push({
+          script: output.script.toJSON(),
+          value: output.value
+        });
+      }
+    }
   }
 
   if (rules.indexOf('segwit') !== -1)
@@ -1489,6 +1730,7 @@ RPC.prototype.getMiningInfo = async function getMiningInfo(args, help) {
     genproclimit: this.procLimit,
     networkhashps: await this.getHashRate(120),
     pooledtx: this.totalTX(),
+    hashespersec: this.miner.cpu.getHashrate().hashrate,
     testnet: this.network !== Network.mainnet,
     chain: this.network.type !== 'testnet'
       ? this.network.type
@@ -1538,6 +1780,93 @@ RPC.prototype.prioritiseTransaction = async function prioritiseTransaction(args,
   return true;
 };
 
+RPC.prototype.pinTransaction = async function pinTransaction(args, help) {
+  if (help || args.length < 1 || args.length > 2)
+    throw new RPCError(errs.MISC_ERROR, 'pintransaction "txid" ( remove )');
+
+  const valid = new Validator([args]);
+  const hash = valid.hash(0);
+  const remove = valid.bool(1, false);
+
+  if (!hash)
+    throw new RPCError(errs.TYPE_ERROR, 'Invalid TXID.');
+
+  if (remove) {
+    if (!this.miner.unpinTX(hash))
+      return false;
+  } else {
+    this.miner.pinTX(hash);
+  }
+
+  this.miner.invalidate();
+
+  return true;
+};
+
+RPC.prototype.blacklistTransaction = async function blacklistTransaction(args, help) {
+  if (help || args.length < 1 || args.length > 2) {
+    throw new RPCError(errs.MISC_ERROR,
+      'blacklisttransaction "txid" ( remove )');
+  }
+
+  const valid = new Validator([args]);
+  const hash = valid.hash(0);
+  const remove = valid.bool(1, false);
+
+  if (!hash)
+    throw new RPCError(errs.TYPE_ERROR, 'Invalid TXID.');
+
+  if (remove) {
+    if (!this.miner.unblacklistTX(hash))
+      return false;
+  } else {
+    this.miner.blacklistTX(hash);
+  }
+
+  this.miner.invalidate();
+
+  return true;
+};
+
+RPC.prototype.blacklistAddress = async function blacklistAddress(args, help) {
+  if (help || args.length < 1 || args.length > 2) {
+    throw new RPCError(errs.MISC_ERROR,
+      'blacklistaddress "address" ( remove )');
+  }
+
+  const valid = new Validator([args]);
+  const str = valid.str(0, '');
+  const remove = valid.bool(1, false);
+
+  const addr = parseAddress(str, this.network);
+
+  if (remove) {
+    if (!this.miner.unblacklistAddress(addr))
+      return false;
+  } else {
+    this.miner.blacklistAddress(addr);
+  }
+
+  this.miner.invalidate();
+
+  return true;
+};
+
+RPC.prototype.getTemplatePolicy = async function getTemplatePolicy(args, help) {
+  if (help || args.length !== 0)
+    throw new RPCError(errs.MISC_ERROR, 'gettemplatepolicy');
+
+  const info = this.miner.getPolicy();
+
+  return {
+    pinned: info.pinned.map(util.revHex),
+    blacklist: info.blacklist.map(util.revHex),
+    blacklistaddresses: info.blacklistAddresses,
+    reservedweight: this.miner.options.reservedWeight,
+    reservedsigops: this.miner.options.reservedSigops
+  };
+};
+
 RPC.prototype.verifyBlock = async function verifyBlock(args, help) {
   if (help || args.length !== 1)
     throw new RPCError(errs.MISC_ERROR, 'verifyblock "block-hex"');
@@ -1590,6 +1919,10 @@ RPC.prototype.setGenerate = async function setGenerate(args, help) {
   this.mining = mine;
   this.procLimit = limit;
 
+  // Zero proclimit uses one thread per worker.
+  if (args.length > 1)
+    this.miner.cpu.setThreads(limit);
+
   if (mine) {
     this.miner.cpu.start();
     return true;
@@ -1600,6 +1933,23 @@ RPC.prototype.setGenerate = async function setGenerate(args, help) {
   return false;
 };
 
+RPC.prototype.getCPUMinerInfo = async function getCPUMinerInfo(args, help) {
+  if (help || args.length !== 0)
+    throw new RPCError(errs.MISC_ERROR, 'getcpuminerinfo');
+
+  const cpu = this.miner.cpu;
+  const info = cpu.getHashrate();
+
+  return {
+    generate: cpu.running,
+    threads: cpu.getThreads(),
+    maxhashrate: cpu.maxHashrate,
+    duty: cpu.duty,
+    hashespersec: info.hashrate,
+    workers: info.threads
+  };
+};
+
 RPC.prototype.generate = async function generate(args, help) {
   if (help || args.length < 1 || args.length > 2)
     throw new RPCError(errs.MISC_ERROR, 'generate numblocks ( maxtries )');
@@ -1632,6 +1982,126 @@ RPC.prototype.generateToAddress = async function generateToAddress(args, help) {
   return await this.mineBlocks(blocks, addr, tries);
 };
 
+RPC.prototype.generateBlocks = async function generateBlocks(args, help) {
+  if (help || args.length < 1 || args.length > 2) {
+    throw new RPCError(errs.MISC_ERROR,
+      'generateblocks numblocks ( {"address":"addr","time":n,"spacing":n,'
+      + '"times":[n,...],"txs":[["hex",...],...],"mempool":bool} )');
+  }
+
+  if (this.network.type !== 'regtest' || !this.generator)
+    throw new RPCError(errs.MISC_ERROR, 'Only available on regtest.');
+
+  const valid = new Validator([args]);
+  const blocks = valid.u32(0, 1);
+  const opts = valid.obj(1, {});
+  const item = new Validator([opts]);
+  const str = item.str('address');
+  const time = item.u32('time');
+  const spacing = item.u32('spacing');
+  const times = item.array('times', []);
+  const txs = item.array('txs', []);
+  const mempool = item.bool('mempool', false);
+
+  let addr = null;
+
+  if (str) {
+    addr = parseAddress(str, this.network);
+  } else if (this.miner.addresses.length === 0) {
+    throw new RPCError(errs.MISC_ERROR,
+      'No addresses available for coinbase.');
+  }
+
+  const options = {
+    address: addr,
+    time: time,
+    spacing: spacing,
+    times: [],
+    txs: [],
+    mempool: mempool
+  };
+
+  const timeValid = new Validator([times]);
+
+  for (let i = 0; i < times.length; i++)
+    options.times.push(timeValid.u32(i));
+
+  for (const list of txs) {
+    if (!Array.isArray(list))
+      throw new RPCError(errs.TYPE_ERROR, 'Invalid block transactions.');
+
+    const listValid = new Validator([list]);
+    const items = [];
+
+    for (let i = 0; i < list.length; i++) {
+      const data = listValid.buf(i);
+
+      if (!data)
+        throw new RPCError(errs.TYPE_ERROR, 'Invalid transaction hex.');
+
+      items.push(TX.fromRaw(data));
+    }
+
+    options.txs.push(items);
+  }
+
+  const entries = await this.generator.generate(blocks, options);
+
+  return entries.map((entry) => entry.rhash());
+};
+
+RPC.prototype.exportChainFixture = async function exportChainFixture(args, help) {
+  if (help || args.length < 1 || args.length > 3) {
+    throw new RPCError(errs.MISC_ERROR,
+      'exportchainfixture "filename" ( start end )');
+  }
+
+  if (this.network.type !== 'regtest' || !this.generator)
+    throw new RPCError(errs.MISC_ERROR, 'Only available on regtest.');
+
+  const valid = new Validator([args]);
+  const file = valid.str(0);
+  const start = valid.u32(1, 1);
+  const end = valid.u32(2, this.chain.height);
+
+  if (!file)
+    throw new RPCError(errs.TYPE_ERROR, 'Invalid filename.');
+
+  if (start < 1 || start > end || end > this.chain.height)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Block height out of range.');
+
+  const count = await this.generator.exportFile(file, start, end);
+
+  return {
+    filename: file,
+    start: start,
+    end: end,
+    blocks: count
+  };
+};
+
+RPC.prototype.importChainFixture = async function importChainFixture(args, help) {
+  if (help || args.length !== 1)
+    throw new RPCError(errs.MISC_ERROR, 'importchainfixture "filename"');
+
+  if (this.network.type !== 'regtest' || !this.generator)
+    throw new RPCError(errs.MISC_ERROR, 'Only available on regtest.');
+
+  const valid = new Validator([args]);
+  const file = valid.str(0);
+
+  if (!file)
+    throw new RPCError(errs.TYPE_ERROR, 'Invalid filename.');
+
+  const added = await this.generator.importFile(file);
+
+  return {
+    added: added,
+    height: this.chain.height,
+    bestblockhash: this.chain.tip.rhash()
+  };
+};
+
 /*
  * Raw transactions
  */
@@ -1660,7 +2130,7 @@ RPC.prototype.createRawTransaction = async function createRawTransaction(args, h
   if (locktime != null)
     tx.locktime = locktime;
 
-  for (const obj of tx.inputs) {
+  for (const obj of inputs) {
     const valid = new Validator([obj]);
     const hash = valid.hash('txid');
     const index = valid.u32('vout');
@@ -1920,10 +2390,99 @@ RPC.prototype.signRawTransaction = async function signRawTransaction(args, help)
   };
 };
 
+RPC.prototype.createPSBT = async function createPSBT(args, help) {
+  if (help || args.length < 2 || args.length > 3) {
+    throw new RPCError(errs.MISC_ERROR,
+      'createpsbt'
+      + ' [{"txid":"id","vout":n},...]'
+      + ' {"address":amount,"data":"hex",...}'
+      + ' ( locktime )');
+  }
+
+  const hex = await this.createRawTransaction(args, false);
+  const tx = TX.fromRaw(hex, 'hex');
+
+  return PSBT.fromTX(tx).toBase64();
+};
+
+RPC.prototype.decodePSBT = async function decodePSBT(args, help) {
+  if (help || args.length !== 1)
+    throw new RPCError(errs.MISC_ERROR, 'decodepsbt "psbt"');
+
+  const valid = new Validator([args]);
+  const psbt = parsePSBT(valid.str(0, ''));
+  const json = psbt.getJSON(this.network);
+
+  json.tx = this.txToJSON(psbt.tx);
+
+  if (json.fee !== -1)
+    json.fee = Amount.wmcc(json.fee, true);
+  else
+    delete json.fee;
+
+  return json;
+};
+
+RPC.prototype.combinePSBT = async function combinePSBT(args, help) {
+  if (help || args.length !== 1)
+    throw new RPCError(errs.MISC_ERROR, 'combinepsbt ["psbt",...]');
+
+  const valid = new Validator([args]);
+  const items = valid.array(0);
+
+  if (!items || items.length === 0)
+    throw new RPCError(errs.INVALID_PARAMETER, 'No PSBTs provided.');
+
+  const list = new Validator([items]);
+  const psbt = parsePSBT(list.str(0, ''));
+
+  for (let i = 1; i < items.length; i++) {
+    const other = parsePSBT(list.str(i, ''));
+
+    try {
+      psbt.combine(other);
+    } catch (e) {
+      throw new RPCError(errs.INVALID_PARAMETER, e.message);
+    }
+  }
+
+  return psbt.toBase64();
+};
+
+RPC.prototype.finalizePSBT = async function finalizePSBT(args, help) {
+  if (help || args.length < 1 || args.length > 2)
+    throw new RPCError(errs.MISC_ERROR, 'finalizepsbt "psbt" ( extract )');
+
+  const valid = new Validator([args]);
+  const psbt = parsePSBT(valid.str(0, ''));
+  const extract = valid.bool(1, true);
+
+  let complete;
+  try {
+    complete = psbt.finalize();
+  } catch (e) {
+    throw new RPCError(errs.INVALID_PARAMETER, e.message);
+  }
+
+  if (complete && extract) {
+    return {
+      hex: psbt.extract().toRaw().toString('hex'),
+      complete: true
+    };
+  }
+
+  return {
+    psbt: psbt.toBase64(),
+    complete: complete
+  };
+};
+
 RPC.prototype.createSignTransaction = async function createSignTransaction(args, help) {
   if (help || args.length < 4 || args.length > 5)
     throw new RPCError(errs.MISC_ERROR,
-      'createsigntransaction "from" "privatekey" "to" "amount" {"amount|rate": "value", ("max": "value")}');
+      'createsigntransaction "from" "privatekey" "to" "amount"'
+      + ' {"amount|rate": "value", ("max": "value"),'
+      + ' ("selection": "strategy"), ("maxinputs": n)}');
 
   const valid = new Validator([args]);
   const from = valid.str(0);
@@ -1951,6 +2510,14 @@ RPC.prototype.createSignTransaction = async function createSignTransaction(args,
   const hardFee = feevalid.ufixed('amount', 8);
   const rate = feevalid.ufixed('rate', 8);
   const maxFee = feevalid.ufixed('max', 8);
+  const selection = feevalid.str('selection', 'value');
+  const maxInputs = feevalid.u32('maxinputs');
+
+  if (MTX.Selector.selections.indexOf(selection) === -1)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Invalid selection strategy.');
+
+  if (maxInputs === 0)
+    throw new RPCError(errs.INVALID_PARAMETER, '`maxinputs` must be positive.');
 
   const mtx = new MTX();
 
@@ -1963,12 +2530,17 @@ RPC.prototype.createSignTransaction = async function createSignTransaction(args,
 
   mtx.outputs.push(output);
 
-  const coins = await this.chain.getCoinsByAddress(fromAddr);
+  // Includes unconfirmed coins and skips
+  // coins already spent in the mempool.
+  const coins = await this.node.getCoinsByAddress(fromAddr);
 
   const options = {
     hardFee,
     rate,
     maxFee,
+    maxInputs,
+    selection,
+    height: this.chain.height,
     changeAddress: fromAddr
   }
 
@@ -1983,15 +2555,255 @@ RPC.prototype.createSignTransaction = async function createSignTransaction(args,
   return mtx.toTX().toRaw().toString('hex');
 };
 
+RPC.prototype.createSignMultiTransaction = async function createSignMultiTransaction(args, help) {
+  if (help || args.length < 2 || args.length > 3) {
+    throw new RPCError(errs.MISC_ERROR,
+      'createsignmultitransaction'
+      + ' [{"address":"addr","keys":["privatekey",...],'
+      + '("redeemscript":"hex")},...]'
+      + ' {"address":amount,"data":"hex",...}'
+      + ' ( {"amount|rate":value,("max":value),("selection":"strategy"),'
+      + '("maxinputs":n),("changeaddress":"addr"),("subtractfee":bool),'
+      + '("locktime":n),("replaceable":bool),("sequence":n)} )');
+  }
+
+  const valid = new Validator([args]);
+  const sourceList = valid.array(0);
+  const sendTo = valid.obj(1);
+  const opts = valid.obj(2, {});
+
+  if (!sourceList || sourceList.length === 0 || !sendTo) {
+    throw new RPCError(errs.TYPE_ERROR,
+      'Invalid parameters (sources and sendTo).');
+  }
+
+  if (!this.chain.options.indexAddress)
+    throw new RPCError(errs.MISC_ERROR, 'Address index is not enabled.');
+
+  const sources = [];
+  const scripts = new Map();
+  const addrs = [];
+  const rings = [];
+
+  for (const obj of sourceList) {
+    const valid = new Validator([obj]);
+    const str = valid.str('address');
+    const keys = valid.array('keys');
+    const redeemRaw = valid.buf('redeemscript');
+
+    if (!str || !keys || keys.length === 0) {
+      throw new RPCError(errs.INVALID_PARAMETER,
+        'Each source requires an `address` and `keys`.');
+    }
+
+    const addr = parseAddress(str, this.network);
+    const redeem = redeemRaw ? Script.fromRaw(redeemRaw) : null;
+    const raw = Script.fromAddress(addr).toRaw().toString('hex');
+
+    if (scripts.has(raw))
+      throw new RPCError(errs.INVALID_PARAMETER, 'Duplicate source address.');
+
+    const source = {
+      address: addr,
+      redeem: redeem,
+      witness: false,
+      nested: false
+    };
+
+    const kvalid = new Validator([keys]);
+
+    for (let i = 0; i < keys.length; i++) {
+      const key = parseKey(kvalid.str(i, ''), this.network);
+      const ring = matchSource(key, addr, redeem, this.network);
+
+      if (!ring) {
+        throw new RPCError(errs.INVALID_ADDRESS_OR_KEY,
+          `Key does not match address ${str}.`);
+      }
+
+      source.witness = ring.witness;
+      source.nested = ring.nested;
+
+      rings.push(ring);
+    }
+
+    scripts.set(raw, source);
+    sources.push(source);
+    addrs.push(addr);
+  }
+
+  const mtx = new MTX();
+  const sends = new Validator([sendTo]);
+  const uniq = new Set();
+
+  for (const key of Object.keys(sendTo)) {
+    const output = new Output();
+
+    if (key === 'data') {
+      const value = sends.buf(key);
+
+      if (!value)
+        throw new RPCError(errs.TYPE_ERROR, 'Invalid nulldata.');
+
+      output.value = 0;
+      output.script.fromNulldata(value);
+      mtx.outputs.push(output);
+
+      continue;
+    }
+
+    const addr = parseAddress(key, this.network);
+    const b58 = addr.toString(this.network);
+
+    if (uniq.has(b58))
+      throw new RPCError(errs.INVALID_PARAMETER, 'Duplicate address.');
+
+    uniq.add(b58);
+
+    const value = sends.ufixed(key, 8);
+
+    if (value == null)
+      throw new RPCError(errs.TYPE_ERROR, 'Invalid output value.');
+
+    output.value = value;
+    output.script.fromAddress(addr);
+
+    if (output.isDust())
+      throw new RPCError(errs.INVALID_PARAMETER, `Output to ${b58} is dust.`);
+
+    mtx.outputs.push(output);
+  }
+
+  if (mtx.outputs.length === 0)
+    throw new RPCError(errs.INVALID_PARAMETER, 'No outputs.');
+
+  const ovalid = new Validator([opts]);
+  const hardFee = ovalid.ufixed('amount', 8);
+  const rate = ovalid.ufixed('rate', 8);
+  const maxFee = ovalid.ufixed('max', 8);
+  const selection = ovalid.str('selection', 'value');
+  const maxInputs = ovalid.u32('maxinputs');
+  const change = ovalid.str('changeaddress');
+  const subtractFee = ovalid.bool('subtractfee', false);
+  const locktime = ovalid.u32('locktime');
+  const replaceable = ovalid.bool('replaceable', false);
+  const sequence = ovalid.u32('sequence');
+
+  if (hardFee != null && rate != null) {
+    throw new RPCError(errs.INVALID_PARAMETER,
+      'Pick either `amount` or `rate` to use for transaction fee.');
+  }
+
+  if (MTX.Selector.selections.indexOf(selection) === -1)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Invalid selection strategy.');
+
+  if (maxInputs === 0)
+    throw new RPCError(errs.INVALID_PARAMETER, '`maxinputs` must be positive.');
+
+  if (replaceable && sequence != null) {
+    throw new RPCError(errs.INVALID_PARAMETER,
+      'Pick either `replaceable` or `sequence`.');
+  }
+
+  const changeAddress = change
+    ? parseAddress(change, this.network)
+    : sources[0].address;
+
+  // Includes unconfirmed coins and skips
+  // coins already spent in the mempool.
+  const coins = await this.node.getCoinsByAddress(addrs);
+
+  await mtx.fund(coins, {
+    hardFee,
+    rate,
+    maxFee,
+    maxInputs,
+    selection,
+    subtractFee,
+    height: this.chain.height,
+    changeAddress,
+    estimate: (prev) => {
+      const source = scripts.get(prev.toRaw().toString('hex'));
+
+      if (!source)
+        return -1;
+
+      return estimateSource(source);
+    }
+  });
+
+  for (const input of mtx.inputs) {
+    if (replaceable)
+      input.sequence = 0xfffffffd;
+    else if (sequence != null)
+      input.sequence = sequence;
+  }
+
+  if (locktime != null)
+    mtx.setLocktime(locktime);
+
+  await mtx.signAsync(rings, Script.hashType.ALL, this.workers);
+
+  const tx = mtx.toTX();
+  const inputs = [];
+
+  for (const input of mtx.inputs) {
+    const coin = mtx.view.getOutput(input.prevout);
+    const addr = coin.getAddress();
+
+    inputs.push({
+      txid: util.revHex(input.prevout.hash),
+      vout: input.prevout.index,
+      address: addr ? addr.toString(this.network) : null,
+      amount: Amount.wmcc(coin.value, true),
+      sequence: input.sequence
+    });
+  }
+
+  return {
+    hex: tx.toRaw().toString('hex'),
+    txid: tx.txid(),
+    hash: tx.wtxid(),
+    complete: mtx.isSigned(),
+    fee: Amount.wmcc(mtx.getFee(), true),
+    size: tx.getSize(),
+    vsize: tx.getVirtualSize(),
+    locktime: tx.locktime,
+    changeindex: mtx.changeIndex,
+    inputs: inputs
+  };
+};
+
 RPC.prototype.queryBalance = async function queryBalance(args, help) {
-  if (help || args.length !== 1)
-    throw new RPCError(errs.MISC_ERROR, 'querybalance "address"');
+  if (help || args.length < 1 || args.length > 2)
+    throw new RPCError(errs.MISC_ERROR, 'querybalance "address" ( verbose )');
 
   const valid = new Validator([args]);
   const str = valid.str(0);
+  const verbose = valid.bool(1, false);
 
   const addr = parseAddress(str, this.network);
 
+  if (this.chain.options.indexBalance) {
+    const balance = await this.chain.getBalance(addr);
+
+    if (!verbose)
+      return Amount.wmcc(balance.getBalance());
+
+    return {
+      address: addr.toString(this.network),
+      balance: Amount.wmcc(balance.getBalance(), true),
+      received: Amount.wmcc(balance.received, true),
+      sent: Amount.wmcc(balance.sent, true),
+      txs: balance.txs,
+      firstheight: balance.first,
+      lastheight: balance.last
+    };
+  }
+
+  if (verbose)
+    throw new RPCError(errs.MISC_ERROR, 'Balance index not enabled.');
+
   const chain = await this.chain.getCoinsByAddress(addr);
 
   let total = 0
@@ -2315,23 +3127,37 @@ RPC.prototype.addressFromPrivkey = async function addressFromPrivkey(args, help)
 };
 
 RPC.prototype.subscribe = async function subscribe(args, help) {
-  if (help || args.length < 1 || args.length > 2)
-    throw new RPCError(errs.MISC_ERROR, 'subscribe ["address,..."] (confirmations)');
+  if (help || args.length < 2 || args.length > 4) {
+    throw new RPCError(errs.MISC_ERROR,
+      'subscribe ["address,..."] "url" (confirmations) ("secret")');
+  }
 
   const valid = new Validator([args]);
   const addrs = valid.array(0);
-  const confirmation = valid.u32(1, 0);
+  const url = valid.str(1, '');
+  const confirmations = valid.u32(2, 1);
+  const secret = valid.str(3);
 
-  for (const [idx, addr] of addrs.entries())
-    parseAddress(addr, this.network);
+  if (confirmations === 0 && !this.mempool)
+    throw new RPCError(errs.MISC_ERROR, 'No mempool available.');
+
+  if (!addrs || addrs.length === 0)
+    throw new RPCError(errs.TYPE_ERROR, 'Invalid addresses.');
 
-  if (!this.chain.options.subscribeCmd)
-    throw new RPCError(errs.MISC_ERROR, 'Subscription command is not set in config.');
+  if (!/^https?:\/\//.test(url))
+    throw new RPCError(errs.INVALID_PARAMETER, 'Invalid webhook url.');
 
-  this.chain.unsubscribe(addrs);
-  this.chain.subscribe(addrs, confirmation);
+  const items = [];
+  for (const addr of addrs)
+    items.push(parseAddress(addr, this.network).toString(this.network));
+
+  const subs = await this.chain.subscribe(items, {
+    url,
+    secret,
+    confirmations
+  });
 
-  return true
+  return subs.map(sub => sub.toJSON());
 };
 
 RPC.prototype.unsubscribe = async function unsubscribe(args, help) {
@@ -2341,28 +3167,59 @@ RPC.prototype.unsubscribe = async function unsubscribe(args, help) {
   const valid = new Validator([args]);
   const addrs = valid.array(0);
 
-  for (const [idx, addr] of addrs.entries())
-    parseAddress(addr, this.network);
+  if (!addrs)
+    throw new RPCError(errs.TYPE_ERROR, 'Invalid addresses.');
 
-  this.chain.unsubscribe(addrs);
+  const items = [];
+  for (const addr of addrs)
+    items.push(parseAddress(addr, this.network).toString(this.network));
 
-  return true
+  await this.chain.unsubscribe(items);
+
+  return true;
 };
 
 RPC.prototype.subscribers = async function subscribers(args, help) {
-  if (help || args.length !== 0)
-    throw new RPCError(errs.MISC_ERROR, 'subscribers');
+  if (help || args.length > 1)
+    throw new RPCError(errs.MISC_ERROR, 'subscribers (verbose)');
 
-  if (!this.chain.options.subscribeCmd)
-    throw new RPCError(errs.MISC_ERROR, 'Subscription command is not set in config.');
+  const valid = new Validator([args]);
+  const verbose = valid.bool(0, false);
 
-  return Object.keys(this.chain.subscribers);
+  return this.chain.subscriptions.toJSON(verbose);
 };
 
 /*
  * Helpers
  */
 
+RPC.prototype.checkReserveRange = function checkReserveRange(start, end) {
+  if (this.chain.options.spv)
+    throw new RPCError(errs.MISC_ERROR, 'Cannot read reserve in SPV mode.');
+
+  if (start == null || end == null)
+    throw new RPCError(errs.TYPE_ERROR, 'Invalid height range.');
+
+  if (start > end || end > this.chain.height)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Block height out of range.');
+
+  if (end - start >= CoinReserve.MAX_RANGE)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Height range too large.');
+};
+
+RPC.prototype.reserveToJSON = function reserveToJSON(json) {
+  json.value = Amount.wmcc(json.value, true);
+  json.expected = Amount.wmcc(json.expected, true);
+
+  for (const item of json.spent)
+    item.value = Amount.wmcc(item.value, true);
+
+  for (const item of json.received)
+    item.value = Amount.wmcc(item.value, true);
+
+  return json;
+};
+
 RPC.prototype.handleLongpoll = async function handleLongpoll(lpid) {
   if (lpid.length !== 74)
     throw new RPCError(errs.INVALID_PARAMETER, 'Invalid longpoll ID.');
@@ -2414,6 +3271,14 @@ RPC.prototype.bindChain = function bindChain() {
     this.refreshBlock();
   });
 
+  // Mempool fees jumped: wake long pollers.
+  this.miner.on('refresh', () => {
+    if (!this.attempt)
+      return;
+
+    this.refreshBlock();
+  });
+
   if (!this.mempool)
     return;
 
@@ -2426,9 +3291,13 @@ RPC.prototype.bindChain = function bindChain() {
   });
 };
 
-RPC.prototype.getTemplate = async function getTemplate() {
+RPC.prototype.getTemplate = async function getTemplate(custom) {
   this.bindChain();
 
+  // Customized templates are not cached.
+  if (custom)
+    return await this.miner.createBlock(null, null, custom);
+
   let attempt = this.attempt;
 
   if (attempt) {
@@ -2882,6 +3751,22 @@ function toDeployment(id, version, status) {
   };
 }
 
+function parseHashes(items) {
+  const valid = new Validator([items]);
+  const hashes = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const hash = valid.hash(i);
+
+    if (!hash)
+      throw new RPCError(errs.TYPE_ERROR, 'Invalid TXID.');
+
+    hashes.push(hash);
+  }
+
+  return hashes;
+}
+
 function parseAddress(raw, network) {
   try {
     return Address.fromString(raw, network);
@@ -2898,6 +3783,96 @@ function parseSecret(raw, network) {
   }
 }
 
+function parseKey(raw, network) {
+  try {
+    if (/^[0-9a-f]{64}$/i.test(raw))
+      return KeyRing.fromPrivate(Buffer.from(raw, 'hex'), true, network);
+    return KeyRing.fromSecret(raw, network);
+  } catch (e) {
+    throw new RPCError(errs.INVALID_ADDRESS_OR_KEY, 'Invalid key.');
+  }
+}
+
+function matchSource(key, addr, redeem, network) {
+  const target = addr.toString(network);
+
+  // The redeem script alone determines the address,
+  // so make sure the key can actually sign for it.
+  if (redeem && redeem.indexOf(key.publicKey) === -1)
+    return null;
+
+  // Legacy, native witness and nested witness.
+  const types = [
+    [false, false],
+    [true, false],
+    [true, true]
+  ];
+
+  for (const [witness, nested] of types) {
+    const ring = KeyRing.fromPrivate(key.privateKey,
+      key.publicKey.length === 33, network);
+
+    ring.script = redeem;
+    ring.witness = witness;
+    ring.nested = nested;
+
+    if (ring.getAddress().toString(network) === target)
+      return ring;
+  }
+
+  return null;
+}
+
+function estimateSource(source) {
+  const scale = consensus.WITNESS_SCALE_FACTOR;
+  const {redeem, witness, nested} = source;
+
+  let size = 0;
+
+  if (nested) {
+    // Redeem script of the nested program.
+    size += redeem ? 35 : 23;
+    size *= scale;
+  }
+
+  if (!redeem) {
+    // OP_PUSHDATA0 [signature]
+    size += 1 + 73;
+    // OP_PUSHDATA0 [key]
+    size += 1 + 33;
+  } else {
+    const [m] = redeem.getMultisig();
+
+    if (m === -1)
+      return -1;
+
+    // OP_0
+    size += 1;
+    // OP_PUSHDATA0 [signature] ...
+    size += (1 + 73) * m;
+    // OP_PUSHDATA2 [redeem]
+    size += 3 + redeem.getSize();
+  }
+
+  if (witness) {
+    // Varint witness items length.
+    size += 1;
+    size = (size + scale - 1) / scale | 0;
+  } else {
+    size += encoding.sizeVarint(size);
+  }
+
+  return size;
+}
+
+function parsePSBT(raw) {
+  try {
+    return PSBT.fromBase64(raw);
+  } catch (e) {
+    throw new RPCError(errs.DESERIALIZATION_ERROR, 'PSBT decode failed.');
+  }
+}
+
 function parseIP(addr, network) {
   try {
     return IP.fromHostname(addr, network.port);
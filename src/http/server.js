@@ -19,11 +19,14 @@ const base58 = require('../utils/base58');
 const Bloom = require('../utils/bloom');
 const TX = require('../primitives/tx');
 const Outpoint = require('../primitives/outpoint');
+const Address = require('../primitives/address');
 const digest = require('../crypto/digest');
 const random = require('../crypto/random');
 const ccmp = require('../crypto/ccmp');
 const Network = require('../protocol/network');
 const Validator = require('../utils/validator');
+const CoinReserve = require('../blockchain/coinreserve');
+const consensus = require('../protocol/consensus');
 const pkg = require('../pkg');
 
 /**
@@ -215,6 +218,46 @@ HTTPServer.prototype.initRouter = function initRouter() {
     res.send(200, result);
   });
 
+  // Balance by address
+  this.get('/balance/address/:address', async (req, res) => {
+    const valid = req.valid();
+    const address = valid.str('address');
+
+    enforce(address, 'Address is required.');
+    enforce(this.chain.options.indexBalance, 'Balance index not enabled.');
+
+    const addr = Address.fromString(address, this.network);
+    const balance = await this.chain.getBalance(addr);
+    const json = balance.getJSON();
+
+    json.address = addr.toString(this.network);
+
+    res.send(200, json);
+  });
+
+  // Bulk read balances
+  this.post('/balance/address', async (req, res) => {
+    const valid = req.valid();
+    const addresses = valid.array('addresses');
+
+    enforce(addresses, 'Address is required.');
+    enforce(this.chain.options.indexBalance, 'Balance index not enabled.');
+
+    const result = [];
+
+    for (const address of addresses) {
+      const addr = Address.fromString(address, this.network);
+      const balance = await this.chain.getBalance(addr);
+      const json = balance.getJSON();
+
+      json.address = addr.toString(this.network);
+
+      result.push(json);
+    }
+
+    res.send(200, result);
+  });
+
   // TX by hash
   this.get('/tx/:hash', async (req, res) => {
     const valid = req.valid();
@@ -243,6 +286,11 @@ HTTPServer.prototype.initRouter = function initRouter() {
     enforce(address, 'Address is required.');
     enforce(!this.chain.options.spv, 'Cannot get TX in SPV mode.');
 
+    if (isHistoryQuery(valid)) {
+      res.send(200, await this.getHistory([address], valid));
+      return;
+    }
+
     const metas = await this.node.getMetaByAddress(address);
     const result = [];
 
@@ -262,6 +310,11 @@ HTTPServer.prototype.initRouter = function initRouter() {
     enforce(address, 'Address is required.');
     enforce(!this.chain.options.spv, 'Cannot get TX in SPV mode.');
 
+    if (isHistoryQuery(valid)) {
+      res.send(200, await this.getHistory(address, valid));
+      return;
+    }
+
     const metas = await this.node.getMetaByAddress(address);
     const result = [];
 
@@ -305,6 +358,109 @@ HTTPServer.prototype.initRouter = function initRouter() {
     res.send(200, block.getJSON(this.network, view, height));
   });
 
+  // Coinreserve summary
+  this.get('/reserve', async (req, res) => {
+    enforce(!this.chain.options.spv, 'Cannot read reserve in SPV mode.');
+
+    const info = await this.chain.reserve.getInfo();
+
+    res.send(200, info);
+  });
+
+  // Coinreserve movements by height range
+  this.get('/reserve/history', async (req, res) => {
+    const valid = req.valid();
+    const start = valid.u32('start', 0);
+    const end = valid.u32('end', this.chain.height);
+
+    enforce(!this.chain.options.spv, 'Cannot read reserve in SPV mode.');
+    enforce(start != null && end != null, 'Height range required.');
+    enforce(start <= end && end <= this.chain.height, 'Invalid height range.');
+    enforce(end - start < CoinReserve.MAX_RANGE, 'Height range too large.');
+
+    const history = await this.chain.reserve.getHistory(start, end);
+
+    res.send(200, history);
+  });
+
+  // Coinreserve audit by height range
+  this.get('/reserve/verify', async (req, res) => {
+    const valid = req.valid();
+    const end = valid.u32('end', this.chain.height);
+    const start = valid.u32('start',
+      Math.max(0, end - CoinReserve.MAX_RANGE + 1));
+
+    enforce(!this.chain.options.spv, 'Cannot read reserve in SPV mode.');
+    enforce(start != null && end != null, 'Height range required.');
+    enforce(start <= end && end <= this.chain.height, 'Invalid height range.');
+    enforce(end - start < CoinReserve.MAX_RANGE, 'Height range too large.');
+
+    const result = await this.chain.reserve.verify(start, end);
+
+    res.send(200, result);
+  });
+
+  // Coinreserve by block height
+  this.get('/reserve/:height', async (req, res) => {
+    const valid = req.valid();
+    const height = valid.u32('height');
+    const verbose = valid.bool('verbose', true);
+
+    enforce(height != null, 'Height required.');
+    enforce(!this.chain.options.spv, 'Cannot read reserve in SPV mode.');
+
+    const record = await this.chain.reserve.getRecord(height, verbose);
+
+    if (!record) {
+      res.send(404);
+      return;
+    }
+
+    res.send(200, record.getJSON(this.network));
+  });
+
+  // Supply totals
+  this.get('/supply', async (req, res) => {
+    const supply = this.chain.getSupply();
+
+    enforce(supply, 'Supply index not available.');
+
+    const json = supply.getJSON();
+
+    json.height = this.chain.height;
+    json.hash = this.chain.tip.rhash();
+    json.maxMoney = null;
+
+    if (this.chain.height > 0)
+      json.maxMoney = consensus.getMaxMoney(this.chain.height);
+
+    res.send(200, json);
+  });
+
+  // Supply emission by block height
+  this.get('/supply/:height', async (req, res) => {
+    const valid = req.valid();
+    const height = valid.u32('height');
+
+    enforce(height != null, 'Height required.');
+    enforce(this.chain.getSupply(), 'Supply index not available.');
+
+    const hash = await this.chain.getHash(height);
+    const delta = await this.chain.getSupplyDelta(height);
+
+    if (!hash || !delta) {
+      res.send(404);
+      return;
+    }
+
+    const json = delta.getJSON();
+
+    json.height = height;
+    json.hash = util.revHex(hash);
+
+    res.send(200, json);
+  });
+
   // Mempool snapshot
   this.get('/mempool', async (req, res) => {
     enforce(this.mempool, 'No mempool available.');
@@ -360,6 +516,56 @@ HTTPServer.prototype.initRouter = function initRouter() {
   });
 };
 
+/**
+ * Retrieve a page of confirmed address history. Cursors
+ * are encoded as `height:index` strings.
+ * @private
+ * @param {String[]} addrs
+ * @param {Validator} valid
+ * @returns {Promise} - Returns {Object}.
+ */
+
+HTTPServer.prototype.getHistory = async function getHistory(addrs, valid) {
+  const limit = valid.u32('limit', 100);
+  const after = valid.str('after');
+  const options = {
+    limit: Math.min(limit, 1000),
+    reverse: valid.bool('reverse', false),
+    start: valid.u32('start'),
+    end: valid.u32('end'),
+    after: null
+  };
+
+  enforce(limit > 0, 'Limit must be positive.');
+  enforce(this.chain.db.history, 'Address history index not available.');
+
+  if (after) {
+    const parts = after.split(':');
+    const height = parseInt(parts[0], 10);
+    const index = parseInt(parts[1], 10);
+
+    enforce(parts.length === 2, 'Invalid cursor.');
+    enforce(util.isU32(height) && util.isU32(index), 'Invalid cursor.');
+
+    options.after = { height, index };
+  }
+
+  const history = await this.chain.getHistoryByAddress(addrs, options);
+  const txs = [];
+
+  for (const meta of history.txs) {
+    const view = await this.node.getMetaView(meta);
+    txs.push(meta.getJSON(this.network, view));
+  }
+
+  let next = null;
+
+  if (history.next)
+    next = `${history.next.height}:${history.next.index}`;
+
+  return { txs, next };
+};
+
 /**
  * Initialize websockets.
  * @private
@@ -530,6 +736,42 @@ HTTPServer.prototype.handleAuth = function handleAuth(socket) {
     return null;
   });
 
+  socket.hook('get meta by address', async (args) => {
+    const valid = new Validator([args]);
+    const items = valid.array(0);
+
+    if (!items || items.length > 1000)
+      throw new Error('Invalid parameter.');
+
+    const options = this.chain.options;
+
+    if (!this.node.getMetaByAddress)
+      return null;
+
+    if (!options.indexTX || !options.indexAddress)
+      return null;
+
+    const list = new Validator([items]);
+    const hashes = [];
+
+    for (let i = 0; i < items.length; i++) {
+      const hash = list.str(i);
+
+      if (!hash || !util.isHex(hash))
+        throw new Error('Bad address hash.');
+
+      hashes.push(hash);
+    }
+
+    const metas = await this.node.getMetaByAddress(hashes);
+    const result = [];
+
+    for (const meta of metas)
+      result.push(meta.toRaw());
+
+    return result;
+  });
+
   socket.hook('rescan', (args) => {
     const valid = new Validator([args]);
     const start = valid.numhash(0);
@@ -839,6 +1081,14 @@ function enforce(value, msg) {
   }
 }
 
+function isHistoryQuery(valid) {
+  return valid.has('limit')
+    || valid.has('after')
+    || valid.has('reverse')
+    || valid.has('start')
+    || valid.has('end');
+}
+
 /*
  * Expose
  */
@@ -272,6 +272,14 @@ HTTPWallet.prototype.sign = function sign(tx, options) {
   return this.client.sign(this.id, tx, options);
 };
 
+/**
+ * @see Wallet#processPSBT
+ */
+
+HTTPWallet.prototype.processPSBT = function processPSBT(psbt, options) {
+  return this.client.processPSBT(this.id, psbt, options);
+};
+
 /**
  * @see HTTPClient#getWallet
  */
@@ -340,8 +348,8 @@ HTTPWallet.prototype.createNested = function createNested(account) {
  * @see Wallet#setPassphrase
  */
 
-HTTPWallet.prototype.setPassphrase = function setPassphrase(old, new_) {
-  return this.client.setPassphrase(this.id, old, new_);
+HTTPWallet.prototype.setPassphrase = function setPassphrase(old, new_, options) {
+  return this.client.setPassphrase(this.id, old, new_, options);
 };
 
 /**
@@ -421,6 +429,102 @@ HTTPWallet.prototype.getLocked = function getLocked() {
   return this.client.getLocked(this.id);
 };
 
+/**
+ * @see Wallet#getSpendPolicy
+ */
+
+HTTPWallet.prototype.getSpendPolicy = function getSpendPolicy(account) {
+  return this.client.getSpendPolicy(this.id, account);
+};
+
+/**
+ * @see Wallet#setSpendPolicy
+ */
+
+HTTPWallet.prototype.setSpendPolicy = function setSpendPolicy(account, options, adminToken) {
+  return this.client.setSpendPolicy(this.id, account, options, adminToken);
+};
+
+/**
+ * @see Wallet#getPendingSpends
+ */
+
+HTTPWallet.prototype.getPendingSpends = function getPendingSpends() {
+  return this.client.getPendingSpends(this.id);
+};
+
+/**
+ * @see Wallet#getPendingSpend
+ */
+
+HTTPWallet.prototype.getPendingSpend = function getPendingSpend(hash) {
+  return this.client.getPendingSpend(this.id, hash);
+};
+
+/**
+ * @see Wallet#approveSpend
+ */
+
+HTTPWallet.prototype.approveSpend = function approveSpend(hash, adminToken) {
+  return this.client.approveSpend(this.id, hash, adminToken);
+};
+
+/**
+ * @see Wallet#rejectSpend
+ */
+
+HTTPWallet.prototype.rejectSpend = function rejectSpend(hash) {
+  return this.client.rejectSpend(this.id, hash);
+};
+
+/**
+ * @see Wallet#setTXMeta
+ */
+
+HTTPWallet.prototype.setTXMeta = function setTXMeta(hash, options) {
+  return this.client.setTXMeta(this.id, hash, options);
+};
+
+/**
+ * @see Wallet#setCoinMeta
+ */
+
+HTTPWallet.prototype.setCoinMeta = function setCoinMeta(hash, index, options) {
+  return this.client.setCoinMeta(this.id, hash, index, options);
+};
+
+/**
+ * @see Wallet#setAddressMeta
+ */
+
+HTTPWallet.prototype.setAddressMeta = function setAddressMeta(address, options) {
+  return this.client.setAddressMeta(this.id, address, options);
+};
+
+/**
+ * @see Wallet#searchMeta
+ */
+
+HTTPWallet.prototype.searchMeta = function searchMeta(query) {
+  return this.client.searchMeta(this.id, query);
+};
+
+/**
+ * @see HTTPClient#restoreWallet
+ */
+
+HTTPWallet.prototype.restore = function restore(options) {
+  return this.client.restoreWallet(this.id, options);
+};
+
+/**
+ * @see HTTPClient#exportHistory
+ */
+
+HTTPWallet.prototype.exportHistory = function exportHistory(options) {
+  return this.client.exportHistory(this.id, options);
+};
+
 /**
  * Lock wallet.
  * @returns {Promise}
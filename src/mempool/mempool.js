@@ -2049,9 +2049,11 @@ Mempool.prototype.removeDoubleSpends = function removeDoubleSpends(tx) {
       'Removing double spender from mempool: %s.',
       spent.txid());
 
-    this.evictEntry(spent);
-
+    // Emitted before eviction so listeners can
+    // tell it apart from a regular removal.
     this.emit('double spend', spent);
+
+    this.evictEntry(spent);
   }
 };
 
@@ -46,6 +46,10 @@ function CPUMiner(miner) {
   this.own = false;
   this.job = null;
   this.stopJob = null;
+  this.threads = this.miner.options.cpuThreads;
+  this.maxHashrate = this.miner.options.cpuHashrate;
+  this.duty = this.miner.options.cpuDuty;
+  this.lastStatus = 0;
 
   this._init();
 }
@@ -60,6 +64,30 @@ Object.setPrototypeOf(CPUMiner.prototype, AsyncObject.prototype);
 
 CPUMiner.INTERVAL = 0xffffffff / 1500 | 0;
 
+/**
+ * Smallest nonce range per thread slice.
+ * @const {Number}
+ * @default
+ */
+
+CPUMiner.MIN_SLICE = 0x100;
+
+/**
+ * Target duration of a thread slice in milliseconds.
+ * @const {Number}
+ * @default
+ */
+
+CPUMiner.SLICE_TIME = 1000;
+
+/**
+ * Seconds between threaded status reports.
+ * @const {Number}
+ * @default
+ */
+
+CPUMiner.STATUS_INTERVAL = 10;
+
 /**
  * Initialize the miner.
  * @private
@@ -287,11 +315,12 @@ CPUMiner.prototype.wait = function wait() {
  * @method
  * @param {ChainEntry?} tip
  * @param {Address?} address
+ * @param {Object?} options - Template options.
  * @returns {Promise} - Returns {@link Job}.
  */
 
-CPUMiner.prototype.createJob = async function createJob(tip, address) {
-  const attempt = await this.miner.createBlock(tip, address);
+CPUMiner.prototype.createJob = async function createJob(tip, address, options) {
+  const attempt = await this.miner.createBlock(tip, address, options);
   return new CPUJob(this, attempt);
 };
 
@@ -300,11 +329,12 @@ CPUMiner.prototype.createJob = async function createJob(tip, address) {
  * @method
  * @param {ChainEntry?} tip
  * @param {Address?} address
+ * @param {Object?} options - Template options.
  * @returns {Promise} - Returns [{@link Block}].
  */
 
-CPUMiner.prototype.mineBlock = async function mineBlock(tip, address) {
-  const job = await this.createJob(tip, address);
+CPUMiner.prototype.mineBlock = async function mineBlock(tip, address, options) {
+  const job = await this.createJob(tip, address, options);
   return await this.mineAsync(job);
 };
 
@@ -417,6 +447,85 @@ CPUMiner.prototype.mine = function mine(job) {
   return job.commit(nonce);
 };
 
+/**
+ * Set the number of mining threads.
+ * @param {Number} threads - Zero uses one thread per worker.
+ */
+
+CPUMiner.prototype.setThreads = function setThreads(threads) {
+  assert(util.isU32(threads));
+  this.threads = threads;
+};
+
+/**
+ * Get the number of mining threads.
+ * @returns {Number}
+ */
+
+CPUMiner.prototype.getThreads = function getThreads() {
+  if (this.threads !== 0)
+    return this.threads;
+
+  if (!this.workers || !this.workers.enabled)
+    return 1;
+
+  return this.workers.size;
+};
+
+/**
+ * Set the hashrate cap and duty cycle.
+ * @param {Number} hashrate - Hashes per second, zero for no cap.
+ * @param {Number?} duty - Fraction of time spent hashing.
+ */
+
+CPUMiner.prototype.setThrottle = function setThrottle(hashrate, duty) {
+  if (duty == null)
+    duty = 1;
+
+  assert(typeof hashrate === 'number' && hashrate >= 0);
+  assert(typeof duty === 'number' && duty > 0 && duty <= 1);
+
+  this.maxHashrate = hashrate;
+  this.duty = duty;
+};
+
+/**
+ * Test whether the threaded miner should be used.
+ * @returns {Boolean}
+ */
+
+CPUMiner.prototype.isThreaded = function isThreaded() {
+  return this.getThreads() > 1
+    || this.maxHashrate > 0
+    || this.duty < 1;
+};
+
+/**
+ * Get current hashrate statistics.
+ * @returns {Object}
+ */
+
+CPUMiner.prototype.getHashrate = function getHashrate() {
+  const job = this.job;
+
+  if (!job || !this.running) {
+    return {
+      hashrate: 0,
+      threads: []
+    };
+  }
+
+  const threads = [];
+
+  for (const thread of job.threads)
+    threads.push(thread.getJSON());
+
+  return {
+    hashrate: job.getRate(0),
+    threads: threads
+  };
+};
+
 /**
  * Mine asynchronously until the block is found.
  * @method
@@ -425,6 +534,9 @@ CPUMiner.prototype.mine = function mine(job) {
  */
 
 CPUMiner.prototype.mineAsync = async function mineAsync(job) {
+  if (this.isThreaded())
+    return this.mineThreads(job);
+
   let nonce;
 
   job.start = util.now();
@@ -446,6 +558,187 @@ CPUMiner.prototype.mineAsync = async function mineAsync(job) {
   return job.commit(nonce);
 };
 
+/**
+ * Mine on all threads concurrently. Each thread owns
+ * its own nonce1 (and so its own merkle root) and
+ * walks the full 32 bit nonce range in slices.
+ * @method
+ * @param {CPUJob} job
+ * @returns {Promise} - Returns {@link Block}.
+ */
+
+CPUMiner.prototype.mineThreads = async function mineThreads(job) {
+  const size = this.getThreads();
+  const jobs = [];
+
+  job.start = util.now();
+  job.threads = [];
+
+  for (let i = 0; i < size; i++)
+    job.threads.push(new CPUThread(i));
+
+  for (const thread of job.threads)
+    jobs.push(this.mineThread(job, thread));
+
+  await Promise.all(jobs);
+
+  if (!job.found)
+    return null;
+
+  const [thread, nonce] = job.found;
+
+  job.nonce1 = thread.nonce1;
+  job.nonce2 = thread.nonce2;
+
+  this.logger.debug('Thread %d found nonce %d.', thread.id, nonce);
+
+  return job.commit(nonce);
+};
+
+/**
+ * Mine on a single thread until the job is
+ * found, destroyed or the thread runs dry.
+ * @method
+ * @private
+ * @param {CPUJob} job
+ * @param {CPUThread} thread
+ * @returns {Promise}
+ */
+
+CPUMiner.prototype.mineThread = async function mineThread(job, thread) {
+  const target = job.attempt.target;
+  const size = job.threads.length;
+
+  thread.nonce1 = thread.id;
+
+  let data = job.getHeader(thread.nonce1, thread.nonce2);
+  let min = 0;
+
+  while (!job.destroyed && !job.found) {
+    const max = Math.min(0xffffffff, min + thread.slice - 1);
+    const start = Date.now();
+
+    let nonce;
+    if (this.workers)
+      nonce = await this.workers.mine(data, target, min, max);
+    else
+      nonce = mine(data, target, min, max);
+
+    const elapsed = Math.max(1, Date.now() - start);
+    const count = max - min + 1;
+
+    if (nonce !== -1) {
+      thread.hashes += nonce - min + 1;
+      if (!job.found && !job.destroyed)
+        job.found = [thread, nonce];
+      break;
+    }
+
+    const wait = this.getDelay(count, elapsed, size);
+
+    // Size slices by the capped rate so
+    // a throttled thread sleeps briefly.
+    let rate = count * 1000 / elapsed;
+
+    if (this.maxHashrate > 0)
+      rate = Math.min(rate, this.maxHashrate / size);
+
+    thread.hashes += count;
+    thread.rate = Math.floor(count * 1000 / (elapsed + wait));
+    thread.slice = getSlice(rate);
+
+    if (max === 0xffffffff) {
+      // Nonce space exhausted: move to the next
+      // extranonce, skipping the other threads'.
+      thread.nonce2 += 1;
+      if (thread.nonce2 === 0x100000000) {
+        thread.nonce2 = 0;
+        thread.nonce1 += size;
+      }
+      data = job.getHeader(thread.nonce1, thread.nonce2);
+      min = 0;
+    } else {
+      min = max + 1;
+    }
+
+    if (thread.id === 0)
+      this.sendThreadStatus(job);
+
+    if (wait > 0)
+      await this.sleep(job, wait);
+  }
+};
+
+/**
+ * Sleep a thread, waking early if the job ends.
+ * @private
+ * @param {CPUJob} job
+ * @param {Number} time - Milliseconds.
+ * @returns {Promise}
+ */
+
+CPUMiner.prototype.sleep = async function sleep(job, time) {
+  const end = Date.now() + time;
+
+  while (!job.destroyed && !job.found) {
+    const left = end - Date.now();
+
+    if (left <= 0)
+      break;
+
+    await co.timeout(Math.min(left, 100));
+  }
+};
+
+/**
+ * Calculate how long a thread should sleep to
+ * honor the hashrate cap and the duty cycle.
+ * @private
+ * @param {Number} count - Hashes in the last slice.
+ * @param {Number} elapsed - Milliseconds spent.
+ * @param {Number} size - Number of threads.
+ * @returns {Number} Milliseconds.
+ */
+
+CPUMiner.prototype.getDelay = function getDelay(count, elapsed, size) {
+  let wait = 0;
+
+  if (this.duty < 1)
+    wait = elapsed * (1 - this.duty) / this.duty;
+
+  if (this.maxHashrate > 0) {
+    const rate = this.maxHashrate / size;
+    const min = count * 1000 / rate;
+    wait = Math.max(wait, min - elapsed);
+  }
+
+  return Math.floor(wait);
+};
+
+/**
+ * Send a threaded progress report (emits `status`),
+ * at most once per status interval.
+ * @param {CPUJob} job
+ */
+
+CPUMiner.prototype.sendThreadStatus = function sendThreadStatus(job) {
+  const now = util.now();
+
+  if (now - this.lastStatus < CPUMiner.STATUS_INTERVAL)
+    return;
+
+  this.lastStatus = now;
+
+  const rates = [];
+
+  for (const thread of job.threads)
+    rates.push(Math.floor(thread.rate / 1000));
+
+  this.logger.debug('Thread hashrates (khs): %s.', rates.join(', '));
+
+  this.sendStatus(job, 0);
+};
+
 /**
  * Send a progress report (emits `status`).
  * @param {CPUJob} job
@@ -485,19 +778,27 @@ function CPUJob(miner, attempt) {
   this.start = util.now();
   this.nonce1 = 0;
   this.nonce2 = 0;
+  this.threads = [];
+  this.found = null;
   this.refresh();
 }
 
 /**
  * Get the raw block header.
- * @param {Number} nonce
+ * @param {Number?} n1 - Defaults to the job's nonce1.
+ * @param {Number?} n2 - Defaults to the job's nonce2.
  * @returns {Buffer}
  */
 
-CPUJob.prototype.getHeader = function getHeader() {
+CPUJob.prototype.getHeader = function getHeader(n1, n2) {
   const attempt = this.attempt;
-  const n1 = this.nonce1;
-  const n2 = this.nonce2;
+
+  if (n1 == null)
+    n1 = this.nonce1;
+
+  if (n2 == null)
+    n2 = this.nonce2;
+
   const time = attempt.time;
   const root = attempt.getRoot(n1, n2);
   const data = attempt.getHeader(root, time, 0);
@@ -577,6 +878,13 @@ CPUJob.prototype.destroy = function destroy() {
  */
 
 CPUJob.prototype.getHashes = function getHashes(nonce) {
+  if (this.threads.length > 0) {
+    let hashes = 0;
+    for (const thread of this.threads)
+      hashes += thread.hashes;
+    return hashes;
+  }
+
   const extra = this.nonce1 * 0x100000000 + this.nonce2;
   return extra * 0xffffffff + nonce;
 };
@@ -614,6 +922,44 @@ CPUJob.prototype.pushTX = function pushTX(tx, view) {
   return this.attempt.pushTX(tx, view);
 };
 
+/**
+ * Mining Thread
+ * @constructor
+ * @ignore
+ * @param {Number} id
+ */
+
+function CPUThread(id) {
+  this.id = id;
+  this.nonce1 = 0;
+  this.nonce2 = 0;
+  this.hashes = 0;
+  this.rate = 0;
+  this.slice = CPUMiner.MIN_SLICE;
+}
+
+/**
+ * Convert the thread to a JSON-friendly object.
+ * @returns {Object}
+ */
+
+CPUThread.prototype.getJSON = function getJSON() {
+  return {
+    id: this.id,
+    hashrate: this.rate,
+    hashes: this.hashes
+  };
+};
+
+/*
+ * Helpers
+ */
+
+function getSlice(rate) {
+  const slice = Math.floor(rate * CPUMiner.SLICE_TIME / 1000);
+  return Math.max(CPUMiner.MIN_SLICE, Math.min(CPUMiner.INTERVAL, slice));
+}
+
 /*
  * Expose
  */
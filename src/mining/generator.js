@@ -0,0 +1,326 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * generator.js - scripted chain generator for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Lock = require('../utils/lock');
+const util = require('../utils/util');
+const fs = require('../utils/fs');
+const BufferWriter = require('../utils/writer');
+const BufferReader = require('../utils/reader');
+const Address = require('../primitives/address');
+const Block = require('../primitives/block');
+const TX = require('../primitives/tx');
+
+/**
+ * Chain Generator
+ * Mines blocks with scripted timestamps and
+ * transactions, and exports/imports chains
+ * as fixture files. Meant for regtest.
+ * @alias module:mining.ChainGenerator
+ * @constructor
+ * @param {Object} options
+ * @param {Chain} options.chain
+ * @param {Miner} options.miner
+ * @param {Logger?} options.logger
+ */
+
+function ChainGenerator(options) {
+  if (!(this instanceof ChainGenerator))
+    return new ChainGenerator(options);
+
+  assert(options, 'Generator requires options.');
+  assert(options.chain && typeof options.chain === 'object',
+    'Generator requires a blockchain.');
+  assert(options.miner && typeof options.miner === 'object',
+    'Generator requires a miner.');
+
+  this.chain = options.chain;
+  this.miner = options.miner;
+  this.network = this.chain.network;
+  this.logger = (options.logger || this.chain.logger).context('generator');
+  this.locker = new Lock();
+}
+
+/**
+ * Fixture format version.
+ * @const {Number}
+ * @default
+ */
+
+ChainGenerator.VERSION = 1;
+
+/**
+ * Mine blocks on top of the current tip.
+ * @method
+ * @param {Number} count
+ * @param {Object?} options
+ * @param {Address?} options.address - Coinbase address.
+ * @param {Number?} options.time - Timestamp of the first block
+ * (default: tip time plus spacing).
+ * @param {Number?} options.spacing - Seconds between blocks
+ * (default: target spacing).
+ * @param {Number[]?} options.times - Timestamp per block. Gaps
+ * (null) follow the previous block plus spacing.
+ * @param {TX[][]?} options.txs - Transactions per block.
+ * @param {Boolean?} options.mempool - Also add mempool entries.
+ * @returns {Promise} - Returns {@link ChainEntry}[].
+ */
+
+ChainGenerator.prototype.generate = async function generate(count, options) {
+  const unlock = await this.locker.lock();
+  try {
+    return await this._generate(count, options || {});
+  } finally {
+    unlock();
+  }
+};
+
+/**
+ * Mine blocks (without a lock).
+ * @method
+ * @private
+ * @param {Number} count
+ * @param {Object} options
+ * @returns {Promise} - Returns {@link ChainEntry}[].
+ */
+
+ChainGenerator.prototype._generate = async function _generate(count, options) {
+  assert(util.isU32(count));
+
+  const spacing = options.spacing != null
+    ? options.spacing
+    : this.network.pow.targetSpacing;
+
+  const times = options.times || [];
+  const txs = options.txs || [];
+
+  assert(util.isU32(spacing));
+  assert(Array.isArray(times));
+  assert(Array.isArray(txs));
+
+  let address = null;
+
+  if (options.address != null)
+    address = Address(options.address);
+
+  let time = options.time != null
+    ? options.time
+    : this.chain.tip.time + spacing;
+
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (times[i] != null)
+      time = times[i];
+
+    const items = txs[i] || [];
+
+    assert(util.isU32(time), 'Invalid block time.');
+    assert(Array.isArray(items));
+
+    for (const tx of items)
+      assert(tx instanceof TX, 'Scripted transactions must be TXs.');
+
+    const block = await this.miner.mineBlock(null, address, {
+      time: time,
+      txs: items,
+      mempool: options.mempool === true
+    });
+
+    assert(block, 'Mining was interrupted.');
+
+    const entry = await this.chain.add(block);
+
+    if (!entry)
+      throw new Error(`Block ${block.rhash()} was not connected.`);
+
+    entries.push(entry);
+
+    time += spacing;
+  }
+
+  if (entries.length > 0) {
+    this.logger.info(
+      'Generated %d blocks (height=%d, time=%s).',
+      entries.length, this.chain.height, util.date(this.chain.tip.time));
+  }
+
+  return entries;
+};
+
+/**
+ * Serialize main chain blocks into a fixture.
+ * @method
+ * @param {Number?} start - First height (default: 1).
+ * @param {Number?} end - Last height (default: tip).
+ * @returns {Promise} - Returns Buffer.
+ */
+
+ChainGenerator.prototype.exportFixture = async function exportFixture(start, end) {
+  if (start == null)
+    start = 1;
+
+  if (end == null)
+    end = this.chain.height;
+
+  assert(util.isU32(start) && start > 0, 'Cannot export genesis.');
+  assert(util.isU32(end));
+  assert(start <= end && end <= this.chain.height, 'Bad fixture range.');
+
+  const bw = new BufferWriter();
+
+  bw.writeU32(this.network.magic);
+  bw.writeU8(ChainGenerator.VERSION);
+  bw.writeU32(start);
+  bw.writeU32(end - start + 1);
+
+  for (let height = start; height <= end; height++) {
+    const entry = await this.chain.getEntry(height);
+    assert(entry);
+
+    const block = await this.chain.getBlock(entry.hash);
+
+    if (!block)
+      throw new Error(`Block ${entry.rhash()} is pruned.`);
+
+    bw.writeVarBytes(block.toRaw());
+  }
+
+  bw.writeChecksum();
+
+  return bw.render();
+};
+
+/**
+ * Parse a fixture.
+ * @param {Buffer} data
+ * @returns {Object} - {start, blocks}.
+ */
+
+ChainGenerator.prototype.parseFixture = function parseFixture(data) {
+  const br = new BufferReader(data);
+  const magic = br.readU32();
+
+  if (magic !== this.network.magic)
+    throw new Error('Fixture is for a different network.');
+
+  const version = br.readU8();
+
+  if (version !== ChainGenerator.VERSION)
+    throw new Error(`Unknown fixture version: ${version}.`);
+
+  const start = br.readU32();
+  const count = br.readU32();
+  const blocks = [];
+
+  for (let i = 0; i < count; i++)
+    blocks.push(Block.fromRaw(br.readVarBytes()));
+
+  br.verifyChecksum();
+
+  return { start, blocks };
+};
+
+/**
+ * Add fixture blocks to the chain. Blocks
+ * already in the chain are skipped.
+ * @method
+ * @param {Buffer} data
+ * @returns {Promise} - Returns Number (blocks added).
+ */
+
+ChainGenerator.prototype.importFixture = async function importFixture(data) {
+  const unlock = await this.locker.lock();
+  try {
+    return await this._importFixture(data);
+  } finally {
+    unlock();
+  }
+};
+
+/**
+ * Add fixture blocks (without a lock).
+ * @method
+ * @private
+ * @param {Buffer} data
+ * @returns {Promise} - Returns Number.
+ */
+
+ChainGenerator.prototype._importFixture = async function _importFixture(data) {
+  const {blocks} = this.parseFixture(data);
+
+  if (blocks.length === 0)
+    return 0;
+
+  if (!await this.chain.hasEntry(blocks[0].prevBlock))
+    throw new Error('Fixture does not connect to the chain.');
+
+  let added = 0;
+
+  for (const block of blocks) {
+    if (await this.chain.hasEntry(block.hash('hex')))
+      continue;
+
+    const entry = await this.chain.add(block);
+
+    if (!entry)
+      throw new Error(`Block ${block.rhash()} was not connected.`);
+
+    added += 1;
+  }
+
+  this.logger.info(
+    'Imported %d of %d fixture blocks (height=%d).',
+    added, blocks.length, this.chain.height);
+
+  return added;
+};
+
+/**
+ * Write a fixture file.
+ * @method
+ * @param {String} file
+ * @param {Number?} start
+ * @param {Number?} end
+ * @returns {Promise} - Returns Number (blocks written).
+ */
+
+ChainGenerator.prototype.exportFile = async function exportFile(file, start, end) {
+  if (start == null)
+    start = 1;
+
+  if (end == null)
+    end = this.chain.height;
+
+  const data = await this.exportFixture(start, end);
+
+  await fs.writeFile(file, data);
+
+  return end - start + 1;
+};
+
+/**
+ * Read a fixture file into the chain.
+ * @method
+ * @param {String} file
+ * @returns {Promise} - Returns Number (blocks added).
+ */
+
+ChainGenerator.prototype.importFile = async function importFile(file) {
+  const data = await fs.readFile(file);
+  return await this.importFixture(data);
+};
+
+/*
+ * Expose
+ */
+
+module.exports = ChainGenerator;
@@ -19,3 +19,4 @@ exports.CPUMiner = require('./cpuminer');
 exports.mine = require('./mine');
 exports.Miner = require('./miner');
 exports.BlockTemplate = require('./template');
+exports.ChainGenerator = require('./generator');
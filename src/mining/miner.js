@@ -18,6 +18,7 @@ const AsyncObject = require('../utils/asyncobject');
 const Amount = require('../wmcc/amount');
 const Address = require('../primitives/address');
 const BlockTemplate = require('./template');
+const CoinView = require('../coins/coinview');
 const Network = require('../protocol/network');
 const consensus = require('../protocol/consensus');
 const policy = require('../protocol/policy');
@@ -49,6 +50,16 @@ function Miner(options) {
 
   this.address = null;
 
+  this.pinned = new Set(this.options.pinned);
+  this.blacklist = new Set(this.options.blacklist);
+  this.blacklistAddresses = new Set(this.options.blacklistAddresses);
+
+  this.lastTip = null;
+  this.lastFees = 0;
+  this.lastAddress = null;
+  this.lastRefresh = 0;
+  this.refreshTimer = null;
+
   this.init();
 }
 
@@ -101,6 +112,11 @@ Miner.prototype._open = async function _open() {
  */
 
 Miner.prototype._close = async function _close() {
+  if (this.refreshTimer != null) {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
   await this.cpu.close();
 };
 
@@ -109,16 +125,102 @@ Miner.prototype._close = async function _close() {
  * @method
  * @param {ChainEntry?} tip
  * @param {Address?} address
+ * @param {Object?} options - Template options, see
+ * {@link Miner#getTemplateOptions}.
  * @returns {Promise} - Returns {@link BlockTemplate}.
  */
 
-Miner.prototype.createBlock = async function createBlock(tip, address) {
+Miner.prototype.createBlock = async function createBlock(tip, address, options) {
+  const unlock = await this.locker.lock();
+  try {
+    const attempt = await this._createBlock(tip, address, options);
+
+    // Fees of the latest handed out template
+    // are the baseline for fee refreshes.
+    this.lastTip = attempt.prevBlock;
+    this.lastFees = attempt.fees;
+    this.lastAddress = attempt.address;
+
+    return attempt;
+  } finally {
+    unlock();
+  }
+};
+
+/**
+ * Notify the miner that a transaction entered the mempool.
+ * Schedules a fee check, at most once per refresh interval.
+ */
+
+Miner.prototype.notifyEntry = function notifyEntry() {
+  this.cpu.notifyEntry();
+
+  if (!this.options.refresh)
+    return;
+
+  if (this.refreshTimer != null)
+    return;
+
+  // Nobody is mining on the current tip.
+  if (this.lastTip !== this.chain.tip.hash)
+    return;
+
+  const next = this.lastRefresh + this.options.refreshInterval;
+  const wait = Math.max(0, next - util.now());
+
+  this.refreshTimer = setTimeout(async () => {
+    this.refreshTimer = null;
+    try {
+      await this.checkRefresh();
+    } catch (e) {
+      this.emit('error', e);
+    }
+  }, wait * 1000);
+};
+
+/**
+ * Rebuild the template and emit `refresh` if the
+ * achievable fees grew past the refresh threshold.
+ * @method
+ * @returns {Promise} - Returns Boolean.
+ */
+
+Miner.prototype.checkRefresh = async function checkRefresh() {
+  let attempt;
+
   const unlock = await this.locker.lock();
   try {
-    return await this._createBlock(tip, address);
+    if (this.lastTip !== this.chain.tip.hash)
+      return false;
+
+    this.lastRefresh = util.now();
+
+    attempt = await this._createBlock(null, this.lastAddress);
   } finally {
     unlock();
   }
+
+  if (attempt.prevBlock !== this.lastTip)
+    return false;
+
+  const fees = this.lastFees;
+  const increase = attempt.fees - fees;
+
+  if (increase <= 0 || increase < this.options.refreshMinFee)
+    return false;
+
+  if (attempt.fees < fees * (1 + this.options.refreshThreshold))
+    return false;
+
+  this.logger.info(
+    'Mempool fees increased from %s to %s, refreshing templates.',
+    Amount.wmcc(fees), Amount.wmcc(attempt.fees));
+
+  this.lastFees = attempt.fees;
+
+  this.emit('refresh', attempt);
+
+  return true;
 };
 
 /**
@@ -127,10 +229,13 @@ Miner.prototype.createBlock = async function createBlock(tip, address) {
  * @private
  * @param {ChainEntry?} tip
  * @param {Address?} address
+ * @param {Object?} options
  * @returns {Promise} - Returns {@link BlockTemplate}.
  */
 
-Miner.prototype._createBlock = async function _createBlock(tip, address) {
+Miner.prototype._createBlock = async function _createBlock(tip, address, options) {
+  const settings = this.getTemplateOptions(options);
+
   let version = this.options.version;
 
   if (!tip)
@@ -144,11 +249,17 @@ Miner.prototype._createBlock = async function _createBlock(tip, address) {
 
   const mtp = await this.chain.getMedianTime(tip);
 
-  let time;
-  try {
-    time = await this.network.current();
-  } catch (e) {
-    time = Math.max(this.network.now(), mtp + 1);
+  let time = settings.time;
+
+  if (time != null) {
+    if (time <= mtp)
+      throw new Error('Block time must be above median time past.');
+  } else {
+    try {
+      time = await this.network.current();
+    } catch (e) {
+      time = Math.max(this.network.now(), mtp + 1);
+    }
   }
 
   const state = await this.chain.getDeployments(time, tip);
@@ -173,11 +284,24 @@ Miner.prototype._createBlock = async function _createBlock(tip, address) {
     coinbaseFlags: this.options.coinbaseFlags,
     witness: state.hasWitness(),
     interval: this.network.halvingInterval,
-    weight: this.options.reservedWeight,
-    sigops: this.options.reservedSigops
+    weight: settings.reservedWeight,
+    sigops: settings.reservedSigops,
+    outputs: settings.outputs
   });
 
-  this.assemble(attempt);
+  // Custom coinbase outputs take
+  // room away from transactions.
+  attempt.weight += attempt.getOutputWeight();
+  attempt.sigops += attempt.getOutputSigops();
+
+  // Scripted transactions go first.
+  if (settings.txs.length > 0)
+    await this.addTransactions(attempt, settings.txs);
+
+  if (settings.mempool)
+    this.assemble(attempt, settings);
+  else
+    attempt.refresh();
 
   this.logger.debug(
     'Created block template (height=%d, weight=%d, fees=%d, txs=%s, diff=%d).',
@@ -225,11 +349,12 @@ Miner.prototype.updateTime = function updateTime(attempt) {
  * @method
  * @param {ChainEntry?} tip
  * @param {Address?} address
+ * @param {Object?} options - Template options.
  * @returns {Promise} Returns {@link CPUJob}.
  */
 
-Miner.prototype.createJob = function createJob(tip, address) {
-  return this.cpu.createJob(tip, address);
+Miner.prototype.createJob = function createJob(tip, address, options) {
+  return this.cpu.createJob(tip, address, options);
 };
 
 /**
@@ -237,11 +362,12 @@ Miner.prototype.createJob = function createJob(tip, address) {
  * @method
  * @param {ChainEntry?} tip
  * @param {Address?} address
+ * @param {Object?} options - Template options.
  * @returns {Promise} Returns {@link Block}.
  */
 
-Miner.prototype.mineBlock = function mineBlock(tip, address) {
-  return this.cpu.mineBlock(tip, address);
+Miner.prototype.mineBlock = function mineBlock(tip, address, options) {
+  return this.cpu.mineBlock(tip, address, options);
 };
 
 /**
@@ -280,14 +406,301 @@ Miner.prototype.getAddress = function getAddress() {
   return this.address = (this.address || this.addresses[Math.random() * this.addresses.length | 0]);
 };
 
+/**
+ * Always include a mempool transaction (and its
+ * unconfirmed ancestors) in new templates.
+ * @param {Hash} hash
+ */
+
+Miner.prototype.pinTX = function pinTX(hash) {
+  assert(typeof hash === 'string');
+  this.pinned.add(hash);
+};
+
+/**
+ * Remove a transaction from the pinned set.
+ * @param {Hash} hash
+ * @returns {Boolean}
+ */
+
+Miner.prototype.unpinTX = function unpinTX(hash) {
+  return this.pinned.delete(hash);
+};
+
+/**
+ * Never include a transaction (or its
+ * descendants) in new templates.
+ * @param {Hash} hash
+ */
+
+Miner.prototype.blacklistTX = function blacklistTX(hash) {
+  assert(typeof hash === 'string');
+  this.blacklist.add(hash);
+};
+
+/**
+ * Remove a transaction from the blacklist.
+ * @param {Hash} hash
+ * @returns {Boolean}
+ */
+
+Miner.prototype.unblacklistTX = function unblacklistTX(hash) {
+  return this.blacklist.delete(hash);
+};
+
+/**
+ * Never include transactions paying to
+ * or spending from an address.
+ * @param {Address|String} address
+ */
+
+Miner.prototype.blacklistAddress = function blacklistAddress(address) {
+  const addr = Address(address);
+  this.blacklistAddresses.add(addr.toString(this.network));
+};
+
+/**
+ * Remove an address from the blacklist.
+ * @param {Address|String} address
+ * @returns {Boolean}
+ */
+
+Miner.prototype.unblacklistAddress = function unblacklistAddress(address) {
+  const addr = Address(address);
+  return this.blacklistAddresses.delete(addr.toString(this.network));
+};
+
+/**
+ * Tell template consumers (RPC, stratum) to rebuild
+ * their templates after a policy change.
+ */
+
+Miner.prototype.invalidate = function invalidate() {
+  this.emit('refresh', null);
+};
+
+/**
+ * Merge per-template options with the miner's
+ * pinned and blacklisted transactions.
+ * @param {Object?} options
+ * @param {Hash[]?} options.pinned - Always include.
+ * @param {Hash[]?} options.blacklist - Never include.
+ * @param {Address[]?} options.blacklistAddresses - Never include
+ * transactions touching these addresses.
+ * @param {Object[]?} options.outputs - Custom coinbase outputs,
+ * see {@link BlockTemplate#setOutputs}.
+ * @param {Number?} options.reservedWeight
+ * @param {Number?} options.reservedSigops
+ * @param {Number?} options.time - Block timestamp.
+ * @param {TX[]?} options.txs - Transactions added ahead
+ * of mempool entries.
+ * @param {Boolean?} options.mempool - Add mempool entries.
+ * @returns {Object}
+ */
+
+Miner.prototype.getTemplateOptions = function getTemplateOptions(options) {
+  const settings = {
+    pinned: new Set(this.pinned),
+    blacklist: new Set(this.blacklist),
+    addresses: new Set(this.blacklistAddresses),
+    outputs: [],
+    reservedWeight: this.options.reservedWeight,
+    reservedSigops: this.options.reservedSigops,
+    time: null,
+    txs: [],
+    mempool: true
+  };
+
+  if (!options)
+    return settings;
+
+  if (options.pinned != null) {
+    assert(Array.isArray(options.pinned));
+    for (const hash of options.pinned) {
+      assert(typeof hash === 'string');
+      settings.pinned.add(hash);
+    }
+  }
+
+  if (options.blacklist != null) {
+    assert(Array.isArray(options.blacklist));
+    for (const hash of options.blacklist) {
+      assert(typeof hash === 'string');
+      settings.blacklist.add(hash);
+    }
+  }
+
+  if (options.blacklistAddresses != null) {
+    assert(Array.isArray(options.blacklistAddresses));
+    for (const addr of options.blacklistAddresses)
+      settings.addresses.add(Address(addr).toString(this.network));
+  }
+
+  if (options.outputs != null) {
+    assert(Array.isArray(options.outputs));
+    settings.outputs = options.outputs;
+  }
+
+  if (options.reservedWeight != null) {
+    assert(util.isU32(options.reservedWeight));
+    assert(options.reservedWeight <= this.options.maxWeight,
+      'Reserved weight exceeds max weight.');
+    settings.reservedWeight = options.reservedWeight;
+  }
+
+  if (options.reservedSigops != null) {
+    assert(util.isU32(options.reservedSigops));
+    assert(options.reservedSigops <= this.options.maxSigops,
+      'Reserved sigops exceed max sigops.');
+    settings.reservedSigops = options.reservedSigops;
+  }
+
+  if (options.time != null) {
+    assert(util.isU32(options.time));
+    settings.time = options.time;
+  }
+
+  if (options.txs != null) {
+    assert(Array.isArray(options.txs));
+    settings.txs = options.txs;
+  }
+
+  if (options.mempool != null) {
+    assert(typeof options.mempool === 'boolean');
+    settings.mempool = options.mempool;
+  }
+
+  return settings;
+};
+
+/**
+ * Add transactions to a template ahead of the mempool.
+ * Transactions may spend outputs of earlier ones.
+ * @method
+ * @param {BlockTemplate} attempt
+ * @param {TX[]} txs
+ * @returns {Promise}
+ */
+
+Miner.prototype.addTransactions = async function addTransactions(attempt, txs) {
+  const view = new CoinView();
+
+  for (const tx of txs) {
+    if (tx.isCoinbase())
+      throw new Error('Cannot add coinbase to block.');
+
+    if (!await view.readInputs(this.chain.db, tx))
+      throw new Error(`Missing inputs for tx ${tx.txid()}.`);
+
+    if (!attempt.addTX(tx, view))
+      throw new Error(`Cannot add tx ${tx.txid()} to block.`);
+
+    view.addTX(tx, attempt.height);
+  }
+};
+
+/**
+ * Get the miner's pinned and blacklisted transactions.
+ * @returns {Object}
+ */
+
+Miner.prototype.getPolicy = function getPolicy() {
+  return {
+    pinned: Array.from(this.pinned),
+    blacklist: Array.from(this.blacklist),
+    blacklistAddresses: Array.from(this.blacklistAddresses)
+  };
+};
+
+/**
+ * Test whether a transaction is blacklisted, either by
+ * hash or by an address it pays to or spends from.
+ * Input addresses are derived from the input scripts.
+ * @param {TX} tx
+ * @param {Object} settings
+ * @returns {Boolean}
+ */
+
+Miner.prototype.isBlacklisted = function isBlacklisted(tx, settings) {
+  if (settings.blacklist.has(tx.hash('hex')))
+    return true;
+
+  if (settings.addresses.size === 0)
+    return false;
+
+  for (const input of tx.inputs) {
+    const addr = input.getAddress();
+
+    if (addr && settings.addresses.has(addr.toString(this.network)))
+      return true;
+  }
+
+  for (const output of tx.outputs) {
+    const addr = output.getAddress();
+
+    if (addr && settings.addresses.has(addr.toString(this.network)))
+      return true;
+  }
+
+  return false;
+};
+
+/**
+ * Collect a pinned transaction along with its unconfirmed
+ * ancestors, sorted by dependency order.
+ * @private
+ * @param {Hash} hash
+ * @param {Map} items - Block entries by hash.
+ * @returns {BlockEntry[]|null} Null if an ancestor
+ * is missing or blacklisted.
+ */
+
+Miner.prototype.getAncestors = function getAncestors(hash, items) {
+  const result = [];
+  const visited = new Set();
+  const stack = [[hash, false]];
+
+  while (stack.length > 0) {
+    const [hash, done] = stack.pop();
+    const item = items.get(hash);
+
+    if (!item)
+      return null;
+
+    if (done) {
+      result.push(item);
+      continue;
+    }
+
+    if (visited.has(hash))
+      continue;
+
+    visited.add(hash);
+    stack.push([hash, true]);
+
+    for (const {prevout} of item.tx.inputs) {
+      if (!this.mempool.hasEntry(prevout.hash))
+        continue;
+
+      if (!visited.has(prevout.hash))
+        stack.push([prevout.hash, false]);
+    }
+  }
+
+  return result;
+};
+
 /**
  * Get mempool entries, sort by dependency order.
- * Prioritize by priority and fee rates.
+ * Prioritize by priority and fee rates. Pinned
+ * transactions are added first, regardless of
+ * fees; blacklisted ones are never added.
  * @param {BlockTemplate} attempt
+ * @param {Object?} settings - See {@link Miner#getTemplateOptions}.
  * @returns {MempoolEntry[]}
  */
 
-Miner.prototype.assemble = function assemble(attempt) {
+Miner.prototype.assemble = function assemble(attempt, settings) {
   if (!this.mempool) {
     attempt.refresh();
     return;
@@ -296,14 +709,28 @@ Miner.prototype.assemble = function assemble(attempt) {
   assert(this.mempool.tip === this.chain.tip.hash,
     'Mempool/chain tip mismatch! Unsafe to create block.');
 
+  if (!settings)
+    settings = this.getTemplateOptions();
+
   const depMap = new Map();
+  const items = new Map();
+  const included = new Set();
   const queue = new Heap(cmpRate);
 
+  const spent = new Set();
+
   let priority = this.options.priorityWeight > 0;
 
   if (priority)
     queue.set(cmpPriority);
 
+  // Transactions already in the block.
+  for (const item of attempt.items) {
+    included.add(item.hash);
+    for (const {prevout} of item.tx.inputs)
+      spent.add(prevout.toKey());
+  }
+
   for (const entry of this.mempool.map.values()) {
     const item = BlockEntry.fromEntry(entry, attempt);
     const tx = item.tx;
@@ -311,6 +738,16 @@ Miner.prototype.assemble = function assemble(attempt) {
     if (tx.isCoinbase())
       throw new Error('Cannot add coinbase to block.');
 
+    // Descendants are skipped as well:
+    // their dependency count never drops.
+    if (included.has(item.hash) || this.isBlacklisted(tx, settings))
+      continue;
+
+    if (tx.inputs.some(({prevout}) => spent.has(prevout.toKey())))
+      continue;
+
+    items.set(item.hash, item);
+
     for (const {prevout} of tx.inputs) {
       const hash = prevout.hash;
 
@@ -331,30 +768,60 @@ Miner.prototype.assemble = function assemble(attempt) {
     queue.insert(item);
   }
 
-  while (queue.size() > 0) {
-    const item = queue.shift();
-    const tx = item.tx;
-    const hash = item.hash;
+  const include = (item) => {
+    attempt.weight += item.tx.getWeight();
+    attempt.sigops += item.sigops;
+    attempt.fees += item.fee;
+    attempt.items.push(item);
 
-    let weight = attempt.weight;
-    let sigops = attempt.sigops;
+    included.add(item.hash);
 
-    if (!tx.isFinal(attempt.height, attempt.locktime))
-      continue;
+    const deps = depMap.get(item.hash);
 
-    if (!attempt.witness && tx.hasWitness())
-      continue;
+    if (!deps)
+      return;
+
+    for (const item of deps) {
+      if (--item.depCount === 0)
+        queue.insert(item);
+    }
+  };
 
-    weight += tx.getWeight();
+  for (const hash of settings.pinned) {
+    const chain = this.getAncestors(hash, items);
 
-    if (weight > this.options.maxWeight)
+    if (!chain) {
+      this.logger.debug('Pinned tx %s is unavailable.', util.revHex(hash));
       continue;
+    }
+
+    for (const item of chain) {
+      if (included.has(item.hash))
+        continue;
+
+      if (!this.canInclude(attempt, item)) {
+        this.logger.warning(
+          'Pinned tx %s does not fit in block.',
+          util.revHex(hash));
+        break;
+      }
 
-    sigops += item.sigops;
+      include(item);
+    }
+  }
+
+  while (queue.size() > 0) {
+    const item = queue.shift();
+    const tx = item.tx;
+
+    if (included.has(item.hash))
+      continue;
 
-    if (sigops > this.options.maxSigops)
+    if (!this.canInclude(attempt, item))
       continue;
 
+    const weight = attempt.weight + tx.getWeight();
+
     if (priority) {
       if (weight > this.options.priorityWeight
           || item.priority < this.options.priorityThreshold) {
@@ -369,20 +836,7 @@ Miner.prototype.assemble = function assemble(attempt) {
         continue;
     }
 
-    attempt.weight = weight;
-    attempt.sigops = sigops;
-    attempt.fees += item.fee;
-    attempt.items.push(item);
-
-    const deps = depMap.get(hash);
-
-    if (!deps)
-      continue;
-
-    for (const item of deps) {
-      if (--item.depCount === 0)
-        queue.insert(item);
-    }
+    include(item);
   }
 
   attempt.refresh();
@@ -401,6 +855,33 @@ Miner.prototype.assemble = function assemble(attempt) {
   }
 };
 
+/**
+ * Test whether a block entry is final and
+ * fits within the block's weight and sigops.
+ * @private
+ * @param {BlockTemplate} attempt
+ * @param {BlockEntry} item
+ * @returns {Boolean}
+ */
+
+Miner.prototype.canInclude = function canInclude(attempt, item) {
+  const tx = item.tx;
+
+  if (!tx.isFinal(attempt.height, attempt.locktime))
+    return false;
+
+  if (!attempt.witness && tx.hasWitness())
+    return false;
+
+  if (attempt.weight + tx.getWeight() > this.options.maxWeight)
+    return false;
+
+  if (attempt.sigops + item.sigops > this.options.maxSigops)
+    return false;
+
+  return true;
+};
+
 /**
  * MinerOptions
  * @alias module:mining.MinerOptions
@@ -430,6 +911,16 @@ function MinerOptions(options) {
   this.maxSigops = consensus.MAX_BLOCK_SIGOPS_COST;
   this.reservedWeight = 4000;
   this.reservedSigops = 400;
+  this.cpuThreads = 1;
+  this.cpuHashrate = 0;
+  this.cpuDuty = 1;
+  this.refresh = true;
+  this.refreshThreshold = 0.1;
+  this.refreshMinFee = 100000;
+  this.refreshInterval = 10;
+  this.pinned = [];
+  this.blacklist = [];
+  this.blacklistAddresses = [];
 
   this.fromOptions(options);
 }
@@ -539,6 +1030,72 @@ MinerOptions.prototype.fromOptions = function fromOptions(options) {
     this.reservedSigops = options.reservedSigops;
   }
 
+  if (options.cpuThreads != null) {
+    assert(util.isU32(options.cpuThreads));
+    this.cpuThreads = options.cpuThreads;
+  }
+
+  if (options.cpuHashrate != null) {
+    assert(typeof options.cpuHashrate === 'number');
+    assert(options.cpuHashrate >= 0);
+    this.cpuHashrate = options.cpuHashrate;
+  }
+
+  if (options.cpuDuty != null) {
+    assert(typeof options.cpuDuty === 'number');
+    assert(options.cpuDuty > 0 && options.cpuDuty <= 1,
+      'CPU duty cycle must be a rate between 0 and 1.');
+    this.cpuDuty = options.cpuDuty;
+  }
+
+  if (options.refresh != null) {
+    assert(typeof options.refresh === 'boolean');
+    this.refresh = options.refresh;
+  }
+
+  if (options.refreshThreshold != null) {
+    assert(typeof options.refreshThreshold === 'number');
+    assert(options.refreshThreshold >= 0,
+      'Refresh threshold must be a positive rate.');
+    this.refreshThreshold = options.refreshThreshold;
+  }
+
+  if (options.refreshMinFee != null) {
+    assert(util.isU64(options.refreshMinFee));
+    this.refreshMinFee = options.refreshMinFee;
+  }
+
+  if (options.refreshInterval != null) {
+    assert(util.isU32(options.refreshInterval));
+    this.refreshInterval = options.refreshInterval;
+  }
+
+  if (options.pinned != null) {
+    assert(Array.isArray(options.pinned));
+    for (const hash of options.pinned) {
+      assert(typeof hash === 'string' && hash.length === 64,
+        'Pinned transactions must be hashes.');
+      this.pinned.push(util.revHex(hash));
+    }
+  }
+
+  if (options.blacklist != null) {
+    assert(Array.isArray(options.blacklist));
+    for (const hash of options.blacklist) {
+      assert(typeof hash === 'string' && hash.length === 64,
+        'Blacklisted transactions must be hashes.');
+      this.blacklist.push(util.revHex(hash));
+    }
+  }
+
+  if (options.blacklistAddresses != null) {
+    assert(Array.isArray(options.blacklistAddresses));
+    for (const addr of options.blacklistAddresses) {
+      const address = new Address(addr);
+      this.blacklistAddresses.push(address.toString(this.network));
+    }
+  }
+
   return this;
 };
 
@@ -55,6 +55,8 @@ function BlockTemplate(options) {
   this.witness = false;
   this.address = new Address();
   this.reserve = new Address();
+  this.payouts = [];
+  this.outputs = [];
   this.sigops = 400;
   this.weight = 4000;
   this.interval = 210000;
@@ -161,9 +163,33 @@ BlockTemplate.prototype.fromOptions = function fromOptions(options) {
     this.items = options.items;
   }
 
+  if (options.outputs != null)
+    this.setOutputs(options.outputs, false);
+
+  if (options.payouts != null)
+    this.setPayouts(options.payouts, false);
+
   return this;
 };
 
+/**
+ * Maximum number of extra coinbase outputs. Keeps
+ * the coinbase within the default reserved weight.
+ * @const {Number}
+ * @default
+ */
+
+BlockTemplate.MAX_PAYOUTS = 16;
+
+/**
+ * Maximum number of custom coinbase outputs
+ * (e.g. OP_RETURN commitments).
+ * @const {Number}
+ * @default
+ */
+
+BlockTemplate.MAX_OUTPUTS = 8;
+
 /**
  * Instantiate block template from options.
  * @param {Object} options
@@ -236,6 +262,57 @@ BlockTemplate.prototype.getReward = function getReward() {
   return reward + this.fees;
 };
 
+/**
+ * Calculate the value paid to extra coinbase outputs.
+ * @returns {Amount}
+ */
+
+BlockTemplate.prototype.getPayoutValue = function getPayoutValue() {
+  let value = 0;
+
+  for (const payout of this.payouts)
+    value += payout.value;
+
+  for (const output of this.outputs)
+    value += output.value;
+
+  return value;
+};
+
+/**
+ * Calculate the weight added to the
+ * coinbase by custom outputs.
+ * @returns {Number}
+ */
+
+BlockTemplate.prototype.getOutputWeight = function getOutputWeight() {
+  const scale = consensus.WITNESS_SCALE_FACTOR;
+
+  let weight = 0;
+
+  for (const output of this.outputs)
+    weight += output.getSize() * scale;
+
+  return weight;
+};
+
+/**
+ * Calculate the sigops cost added to
+ * the coinbase by custom outputs.
+ * @returns {Number}
+ */
+
+BlockTemplate.prototype.getOutputSigops = function getOutputSigops() {
+  const scale = consensus.WITNESS_SCALE_FACTOR;
+
+  let sigops = 0;
+
+  for (const output of this.outputs)
+    sigops += output.script.getSigops(false) * scale;
+
+  return sigops;
+};
+
 /**
  * Calculate the block reserve.
  * @returns {Amount}
@@ -284,7 +361,7 @@ BlockTemplate.prototype.createCoinbase = function createCoinbase(hash) {
   // Reward output.
   const output = new Output();
   output.script.fromPubkeyhash(encoding.ZERO_HASH160);
-  output.value = this.getReward();
+  output.value = this.getReward() - this.getPayoutValue();
   // output.value = consensus.INITIAL_COIN; // genesis
 
   cb.outputs.push(output);
@@ -343,6 +420,22 @@ BlockTemplate.prototype.createCoinbase = function createCoinbase(hash) {
   // Setup reserve output script (variable size).
   reserve.script.fromAddress(this.reserve);
 
+  // Extra reward outputs go after the
+  // reserve, which must stay second.
+  for (let i = 0; i < this.payouts.length; i++) {
+    const {address, value} = this.payouts[i];
+    const payout = new Output();
+    payout.script.fromAddress(address);
+    payout.value = value;
+    cb.outputs.splice(2 + i, 0, payout);
+  }
+
+  // Custom outputs follow the payouts.
+  for (let i = 0; i < this.outputs.length; i++) {
+    const output = this.outputs[i].clone();
+    cb.outputs.splice(2 + this.payouts.length + i, 0, output);
+  }
+
   cb.refresh();
 
   assert(input.script.getSize() <= 100,
@@ -559,6 +652,107 @@ BlockTemplate.prototype.setAddress = function setAddress(address) {
   this.refresh();
 };
 
+/**
+ * Split the block reward across extra coinbase
+ * outputs. The remainder stays with the reward
+ * address in the first output.
+ * @param {Object[]} payouts - [{address, value}].
+ * @param {Boolean?} refresh
+ */
+
+BlockTemplate.prototype.setPayouts = function setPayouts(payouts, refresh) {
+  assert(Array.isArray(payouts));
+  assert(payouts.length <= BlockTemplate.MAX_PAYOUTS, 'Too many payouts.');
+
+  const items = [];
+
+  let total = 0;
+
+  for (const payout of payouts) {
+    assert(payout && typeof payout === 'object');
+    assert(util.isU64(payout.value) && payout.value > 0,
+      'Payout value must be positive.');
+
+    total += payout.value;
+
+    items.push({
+      address: Address(payout.address),
+      value: payout.value
+    });
+  }
+
+  for (const output of this.outputs)
+    total += output.value;
+
+  assert(total <= this.getReward(), 'Payouts exceed block reward.');
+
+  this.payouts = items;
+
+  if (refresh !== false)
+    this.refresh();
+};
+
+/**
+ * Add custom outputs to the coinbase, such as
+ * OP_RETURN commitments. Each output is given
+ * as a script (or raw script), an address or
+ * nulldata, with an optional value which is
+ * taken from the reward output.
+ * @param {Object[]} outputs - [{script, address, data, value}].
+ * @param {Boolean?} refresh
+ */
+
+BlockTemplate.prototype.setOutputs = function setOutputs(outputs, refresh) {
+  assert(Array.isArray(outputs));
+  assert(outputs.length <= BlockTemplate.MAX_OUTPUTS,
+    'Too many coinbase outputs.');
+
+  const items = [];
+
+  let total = 0;
+
+  for (const payout of this.payouts)
+    total += payout.value;
+
+  for (const item of outputs) {
+    assert(item && typeof item === 'object');
+
+    let output;
+    if (item instanceof Output) {
+      output = item.clone();
+    } else {
+      output = new Output();
+
+      if (item.data != null)
+        output.script.fromNulldata(item.data);
+      else if (item.address != null)
+        output.script.fromAddress(item.address);
+      else if (item.script != null)
+        output.script.fromOptions(item.script);
+
+      if (item.value != null) {
+        assert(util.isU64(item.value), 'Value must be a uint64.');
+        output.value = item.value;
+      }
+    }
+
+    assert(output.script.code.length > 0, 'Output script is required.');
+    assert(output.script.getSize() <= consensus.MAX_SCRIPT_SIZE,
+      'Output script is too large.');
+
+    total += output.value;
+
+    items.push(output);
+  }
+
+  assert(total <= this.getReward(), 'Outputs exceed block reward.');
+
+  this.outputs = items;
+
+  if (refresh !== false)
+    this.refresh();
+};
+
 /**
  * Add a transaction to the template.
  * @param {TX} tx
@@ -67,7 +67,11 @@ function FullNode(options) {
     coinCache: this.config.mb('coin-cache'),
     entryCache: this.config.uint('entry-cache'),
     indexTX: this.config.bool('index-tx'),
-    indexAddress: this.config.bool('index-address')
+    indexAddress: this.config.bool('index-address'),
+    indexBalance: this.config.bool('index-balance'),
+    indexSupply: this.config.bool('index-supply'),
+    subscribeRetries: this.config.uint('subscribe-retries'),
+    subscribeTimeout: this.config.uint('subscribe-timeout')
   });
 
   // Fee estimation.
@@ -134,7 +138,17 @@ function FullNode(options) {
     preverify: this.config.bool('preverify'),
     maxWeight: this.config.uint('max-weight'),
     reservedWeight: this.config.uint('reserved-weight'),
-    reservedSigops: this.config.uint('reserved-sigops')
+    reservedSigops: this.config.uint('reserved-sigops'),
+    cpuThreads: this.config.uint('cpu-threads'),
+    cpuHashrate: this.config.ufloat('cpu-max-hashrate'),
+    cpuDuty: this.config.ufloat('cpu-duty'),
+    refresh: this.config.bool('template-refresh'),
+    refreshThreshold: this.config.ufloat('template-refresh-threshold'),
+    refreshMinFee: this.config.ufixed('template-refresh-min-fee', 8),
+    refreshInterval: this.config.uint('template-refresh-interval'),
+    pinned: this.config.array('miner-pinned'),
+    blacklist: this.config.array('miner-blacklist'),
+    blacklistAddresses: this.config.array('miner-blacklist-address')
   });
 
   // RPC needs access to the node.
@@ -177,11 +191,20 @@ FullNode.prototype._init = function _init() {
   if (this.http)
     this.http.on('error', err => this.error(err));
 
-  this.mempool.on('tx', (tx) => {
-    this.miner.cpu.notifyEntry();
+  this.mempool.on('tx', (tx, view) => {
+    this.miner.notifyEntry();
+    this.chain.subscriptions.addTX(tx, view);
     this.emit('tx', tx);
   });
 
+  this.mempool.on('double spend', (entry) => {
+    this.chain.subscriptions.removeTX(entry.tx, 'doublespent');
+  });
+
+  this.mempool.on('remove entry', (entry) => {
+    this.chain.subscriptions.removeTX(entry.tx, 'evicted');
+  });
+
   this.chain.hook('connect', async (entry, block) => {
     try {
       await this.mempool._addBlock(entry, block.txs);
@@ -230,8 +253,16 @@ FullNode.prototype._init = function _init() {
  */
 
 FullNode.prototype._open = async function _open() {
+  // Shell delivery was replaced by webhooks.
+  if (this.config.has('subscribe-cmd')) {
+    this.logger.warning(
+      'The subscribe-cmd option is deprecated and ignored:'
+      + ' subscribe addresses to a webhook url instead.');
+  }
+
   await this.chain.open();
   await this.mempool.open();
+  await this.chain.subscriptions.sync(this.mempool);
   await this.miner.open();
   await this.pool.open();
 
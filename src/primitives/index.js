@@ -27,6 +27,7 @@ exports.MerkleBlock = require('./merkleblock');
 exports.MTX = require('./mtx');
 exports.NetAddress = require('./netaddress');
 exports.Outpoint = require('./outpoint');
+exports.PSBT = require('./psbt');
 exports.Output = require('./output');
 exports.TX = require('./tx');
 exports.TXMeta = require('./txmeta');
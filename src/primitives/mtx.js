@@ -1566,6 +1566,7 @@ function CoinSelector(tx, options) {
   this.rate = CoinSelector.FEE_RATE;
   this.maxFee = -1;
   this.round = false;
+  this.maxInputs = -1;
   this.changeAddress = null;
 
   // Needed for size estimation.
@@ -1602,6 +1603,32 @@ CoinSelector.MIN_FEE = 10000;
 
 CoinSelector.MAX_FEE = consensus.COIN / 10;
 
+/**
+ * Available coin selection strategies.
+ * @const {String[]}
+ */
+
+CoinSelector.selections = [
+  'all',
+  'random',
+  'age',
+  'value',
+  'fifo',
+  'largest-first',
+  'branch-and-bound',
+  'consolidate',
+  'privacy'
+];
+
+/**
+ * Maximum number of branches to try
+ * during branch-and-bound selection.
+ * @const {Number}
+ * @default
+ */
+
+CoinSelector.MAX_TRIES = 100000;
+
 /**
  * Initialize selector options.
  * @param {Object} options
@@ -1673,6 +1700,12 @@ CoinSelector.prototype.fromOptions = function fromOptions(options) {
     this.round = options.round;
   }
 
+  if (options.maxInputs != null) {
+    assert(util.isInt(options.maxInputs));
+    assert(options.maxInputs === -1 || options.maxInputs > 0);
+    this.maxInputs = options.maxInputs;
+  }
+
   if (options.changeAddress) {
     const addr = options.changeAddress;
     if (typeof addr === 'string') {
@@ -1711,11 +1744,18 @@ CoinSelector.prototype.init = function init(coins) {
       this.coins.sort(sortRandom);
       break;
     case 'age':
+    case 'fifo':
       this.coins.sort(sortAge);
       break;
     case 'value':
+    case 'largest-first':
+    case 'branch-and-bound':
+    case 'privacy':
       this.coins.sort(sortValue);
       break;
+    case 'consolidate':
+      this.coins.sort(sortSmallest);
+      break;
     default:
       throw new FundingError(`Bad selection type: ${this.selection}.`);
   }
@@ -1806,10 +1846,13 @@ CoinSelector.prototype.fund = function fund() {
     if (!this.isSpendable(coin))
       continue;
 
+    if (this.isCapped())
+      break;
+
     this.tx.addCoin(coin);
     this.chosen.push(coin);
 
-    if (this.selection === 'all')
+    if (this.selection === 'all' || this.selection === 'consolidate')
       continue;
 
     if (this.isFull())
@@ -1826,6 +1869,15 @@ CoinSelector.prototype.fund = function fund() {
 CoinSelector.prototype.select = async function select(coins) {
   this.init(coins);
 
+  if (this.selection === 'branch-and-bound' && !this.subtractFee) {
+    // Change is never created for an exact match.
+    if (await this.selectExact())
+      return this;
+  }
+
+  if (this.selection === 'privacy')
+    await this.selectPrivate();
+
   if (this.hardFee !== -1) {
     this.selectHard();
   } else {
@@ -1837,6 +1889,13 @@ CoinSelector.prototype.select = async function select(coins) {
     await this.selectEstimate();
   }
 
+  if (!this.isFull() && this.isCapped()) {
+    throw new FundingError(
+      `Too many inputs required (max=${this.maxInputs}).`,
+      this.tx.getInputValue(),
+      this.total());
+  }
+
   if (!this.isFull()) {
     // Still failing to get enough funds.
     throw new FundingError(
@@ -1899,6 +1958,225 @@ CoinSelector.prototype.selectHard = function selectHard() {
   this.fund();
 };
 
+/**
+ * Test whether the input cap has been reached.
+ * @returns {Boolean}
+ */
+
+CoinSelector.prototype.isCapped = function isCapped() {
+  if (this.maxInputs === -1)
+    return false;
+  return this.chosen.length >= this.maxInputs;
+};
+
+/**
+ * Estimate the size a coin adds to the transaction.
+ * @private
+ * @param {Coin} coin
+ * @returns {Promise} - Returns Number.
+ */
+
+CoinSelector.prototype.getInputSize = async function getInputSize(coin) {
+  const tx = new MTX();
+
+  tx.addCoin(coin);
+
+  // Version, locktime and both counts.
+  return await tx.estimateSize(this.estimate) - 10;
+};
+
+/**
+ * Get the fee for an input or a fixed size, ignoring
+ * fee rate when a hard fee was requested.
+ * @private
+ * @param {Number} size
+ * @returns {Amount}
+ */
+
+CoinSelector.prototype.getSizeFee = function getSizeFee(size) {
+  if (this.hardFee !== -1)
+    return 0;
+  return this.getFee(size);
+};
+
+/**
+ * Branch-and-bound search for a set of coins that pays the
+ * outputs and fee without change. Any excess below the cost
+ * of creating a change output is added to the fee.
+ * @returns {Promise} - Returns Boolean.
+ */
+
+CoinSelector.prototype.selectExact = async function selectExact() {
+  const candidates = [];
+
+  for (const coin of this.coins) {
+    if (!this.isSpendable(coin))
+      continue;
+
+    const size = await this.getInputSize(coin);
+    const value = coin.value - this.getSizeFee(size);
+
+    // Uneconomical to spend.
+    if (value <= 0)
+      continue;
+
+    candidates.push([coin, value]);
+  }
+
+  candidates.sort((a, b) => b[1] - a[1]);
+
+  const change = new Output();
+
+  if (this.changeAddress)
+    change.script.fromAddress(this.changeAddress);
+  else
+    change.script.fromPubkeyhash(encoding.ZERO_HASH160);
+
+  const base = await this.tx.estimateSize(this.estimate);
+  const cost = this.getSizeFee(change.getSize()) + change.getDustThreshold();
+
+  let target = this.outputValue;
+
+  if (this.hardFee !== -1)
+    target += Math.min(this.hardFee, CoinSelector.MAX_FEE);
+  else
+    target += this.getFee(base);
+
+  let available = 0;
+
+  for (const [, value] of candidates)
+    available += value;
+
+  const selection = [];
+
+  let current = 0;
+  let best = null;
+  let waste = -1;
+
+  for (let i = 0; i < CoinSelector.MAX_TRIES; i++) {
+    let backtrack = false;
+
+    if (current + available < target || current > target + cost) {
+      backtrack = true;
+    } else if (current >= target) {
+      const count = selection.filter((included) => included).length;
+
+      if (this.maxInputs === -1 || count <= this.maxInputs) {
+        if (waste === -1 || current - target < waste) {
+          best = selection.slice();
+          waste = current - target;
+        }
+      }
+
+      if (waste === 0)
+        break;
+
+      backtrack = true;
+    }
+
+    if (!backtrack) {
+      // Continue down the inclusion branch.
+      const value = candidates[selection.length][1];
+      available -= value;
+      current += value;
+      selection.push(true);
+      continue;
+    }
+
+    // Walk back to the last included coin
+    // and traverse its omission branch.
+    while (selection.length > 0 && !selection[selection.length - 1]) {
+      selection.pop();
+      available += candidates[selection.length][1];
+    }
+
+    if (selection.length === 0)
+      break;
+
+    selection[selection.length - 1] = false;
+    current -= candidates[selection.length - 1][1];
+  }
+
+  if (!best)
+    return false;
+
+  for (let i = 0; i < best.length; i++) {
+    if (!best[i])
+      continue;
+
+    const [coin] = candidates[i];
+
+    this.tx.addCoin(coin);
+    this.chosen.push(coin);
+  }
+
+  // Check against the real size.
+  if (this.hardFee !== -1) {
+    this.fee = Math.min(this.hardFee, CoinSelector.MAX_FEE);
+  } else {
+    const size = await this.tx.estimateSize(this.estimate);
+    this.fee = this.getFee(size);
+  }
+
+  if (!this.isFull()) {
+    this.tx.inputs.length = 0;
+    this.chosen = [];
+    return false;
+  }
+
+  this.fee = this.tx.getInputValue() - this.outputValue;
+  this.change = 0;
+
+  if (this.maxFee > 0 && this.fee > this.maxFee)
+    throw new FundingError('Fee is too high.');
+
+  return true;
+};
+
+/**
+ * Move the smallest coin able to pay for the
+ * whole transaction on its own to the front,
+ * avoiding linked inputs and minimizing change.
+ * @returns {Promise}
+ */
+
+CoinSelector.prototype.selectPrivate = async function selectPrivate() {
+  let best = -1;
+
+  for (let i = 0; i < this.coins.length; i++) {
+    const coin = this.coins[i];
+
+    if (!this.isSpendable(coin))
+      continue;
+
+    if (best !== -1 && coin.value >= this.coins[best].value)
+      continue;
+
+    let required = this.outputValue;
+
+    if (!this.subtractFee) {
+      if (this.hardFee !== -1) {
+        required += this.hardFee;
+      } else {
+        const size = await this.getInputSize(coin);
+        const base = await this.tx.estimateSize(this.estimate);
+        // Leave room for a change output.
+        required += this.getFee(base + size + 34);
+      }
+    }
+
+    if (coin.value >= required)
+      best = i;
+  }
+
+  if (best === -1)
+    return;
+
+  const [coin] = this.coins.splice(best, 1);
+
+  this.coins.unshift(coin);
+};
+
 /**
  * An error thrown from the coin selector.
  * @constructor
@@ -1943,6 +2221,10 @@ function sortAge(a, b) {
   return a - b;
 }
 
+function sortSmallest(a, b) {
+  return a.value - b.value;
+}
+
 function sortRandom(a, b) {
   return Math.random() > 0.5 ? 1 : -1;
 }
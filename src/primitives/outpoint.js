@@ -73,7 +73,7 @@ Outpoint.fromOptions = function fromOptions(options) {
 
 Outpoint.prototype.clone = function clone() {
   const outpoint = new Outpoint();
-  outpoint.hash = this.value;
+  outpoint.hash = this.hash;
   outpoint.index = this.index;
   return outpoint;
 };
@@ -0,0 +1,1612 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * psbt.js - partially signed transaction (BIP174) for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const util = require('../utils/util');
+const digest = require('../crypto/digest');
+const encoding = require('../utils/encoding');
+const StaticWriter = require('../utils/staticwriter');
+const BufferReader = require('../utils/reader');
+const Script = require('../script/script');
+const Witness = require('../script/witness');
+const Stack = require('../script/stack');
+const CoinView = require('../coins/coinview');
+const TX = require('./tx');
+const MTX = require('./mtx');
+const Input = require('./input');
+const Output = require('./output');
+const {HARDENED} = require('../hd/common');
+
+/**
+ * Partially Signed Transaction
+ * BIP174 container holding an unsigned transaction
+ * along with the data signers need to complete it.
+ * @alias module:primitives.PSBT
+ * @constructor
+ * @param {Object?} options
+ * @property {TX} tx - Unsigned transaction.
+ * @property {PSBTInput[]} inputs
+ * @property {PSBTOutput[]} outputs
+ * @property {Map} unknown - Unknown global records.
+ */
+
+function PSBT(options) {
+  if (!(this instanceof PSBT))
+    return new PSBT(options);
+
+  this.tx = new TX();
+  this.inputs = [];
+  this.outputs = [];
+  this.unknown = new Map();
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * PSBT magic bytes ("psbt" + 0xff).
+ * @const {Buffer}
+ * @default
+ */
+
+PSBT.MAGIC = Buffer.from('70736274ff', 'hex');
+
+/**
+ * Global record types.
+ * @enum {Number}
+ * @default
+ */
+
+PSBT.globalTypes = {
+  UNSIGNED_TX: 0x00
+};
+
+/**
+ * Input record types.
+ * @enum {Number}
+ * @default
+ */
+
+PSBT.inputTypes = {
+  NON_WITNESS_UTXO: 0x00,
+  WITNESS_UTXO: 0x01,
+  PARTIAL_SIG: 0x02,
+  SIGHASH_TYPE: 0x03,
+  REDEEM_SCRIPT: 0x04,
+  WITNESS_SCRIPT: 0x05,
+  BIP32_DERIVATION: 0x06,
+  FINAL_SCRIPTSIG: 0x07,
+  FINAL_SCRIPTWITNESS: 0x08
+};
+
+/**
+ * Output record types.
+ * @enum {Number}
+ * @default
+ */
+
+PSBT.outputTypes = {
+  REDEEM_SCRIPT: 0x00,
+  WITNESS_SCRIPT: 0x01,
+  BIP32_DERIVATION: 0x02
+};
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ */
+
+PSBT.prototype.fromOptions = function fromOptions(options) {
+  assert(options, 'PSBT data is required.');
+  assert(options.tx instanceof TX, 'PSBT requires a transaction.');
+  return this.fromTX(options.tx);
+};
+
+/**
+ * Instantiate PSBT from options object.
+ * @param {Object} options
+ * @returns {PSBT}
+ */
+
+PSBT.fromOptions = function fromOptions(options) {
+  return new PSBT().fromOptions(options);
+};
+
+/**
+ * Inject properties from a transaction. Input
+ * scripts and witnesses are stripped.
+ * @private
+ * @param {TX|MTX} tx
+ */
+
+PSBT.prototype.fromTX = function fromTX(tx) {
+  const mtx = new MTX();
+
+  mtx.version = tx.version;
+  mtx.locktime = tx.locktime;
+
+  for (const input of tx.inputs) {
+    const unsigned = new Input();
+    unsigned.prevout = input.prevout.clone();
+    unsigned.sequence = input.sequence;
+    mtx.inputs.push(unsigned);
+    this.inputs.push(new PSBTInput());
+  }
+
+  for (const output of tx.outputs) {
+    mtx.outputs.push(output.clone());
+    this.outputs.push(new PSBTOutput());
+  }
+
+  this.tx = mtx.toTX();
+
+  return this;
+};
+
+/**
+ * Instantiate PSBT from an unsigned transaction.
+ * @param {TX|MTX} tx
+ * @returns {PSBT}
+ */
+
+PSBT.fromTX = function fromTX(tx) {
+  return new PSBT().fromTX(tx);
+};
+
+/**
+ * Inject properties from a mutable transaction. Coins
+ * are taken from the view, redeem scripts and signatures
+ * from any input scripts already built.
+ * @private
+ * @param {MTX} mtx
+ * @param {TX[]?} txs - Previous transactions for
+ * non-witness inputs.
+ */
+
+PSBT.prototype.fromMTX = function fromMTX(mtx, txs) {
+  this.fromTX(mtx);
+
+  const prevs = new Map();
+
+  if (txs) {
+    for (const tx of txs)
+      prevs.set(tx.hash('hex'), tx);
+  }
+
+  for (let i = 0; i < mtx.inputs.length; i++) {
+    const input = mtx.inputs[i];
+    const pin = this.inputs[i];
+    const coin = mtx.view.getOutput(input.prevout);
+    const prev = prevs.get(input.prevout.hash);
+
+    if (prev)
+      pin.nonWitnessUTXO = prev;
+
+    if (!coin)
+      continue;
+
+    // Fall back to the witness utxo when the previous
+    // transaction is unknown so the value is available.
+    if (isWitness(coin, input) || !prev)
+      pin.witnessUTXO = Output.fromScript(coin.script, coin.value);
+
+    if (mtx.isInputSigned(i, coin)) {
+      pin.finalScriptSig = input.script.clone();
+      pin.finalScriptWitness = input.witness.clone();
+      continue;
+    }
+
+    pin.fromInput(this.tx, i, input, coin);
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate PSBT from a mutable transaction.
+ * @param {MTX} mtx
+ * @param {TX[]?} txs
+ * @returns {PSBT}
+ */
+
+PSBT.fromMTX = function fromMTX(mtx, txs) {
+  return new PSBT().fromMTX(mtx, txs);
+};
+
+/**
+ * Get the previous output of an input, if known.
+ * @param {Number} index
+ * @returns {Output|null}
+ */
+
+PSBT.prototype.getCoin = function getCoin(index) {
+  const input = this.tx.inputs[index];
+  const pin = this.inputs[index];
+
+  assert(input, 'Input does not exist.');
+
+  return pin.getCoin(input.prevout);
+};
+
+/**
+ * Test whether all previous outputs are known.
+ * @returns {Boolean}
+ */
+
+PSBT.prototype.hasCoins = function hasCoins() {
+  for (let i = 0; i < this.inputs.length; i++) {
+    if (!this.getCoin(i))
+      return false;
+  }
+
+  return true;
+};
+
+/**
+ * Build a coin view from the known previous outputs.
+ * @returns {CoinView}
+ */
+
+PSBT.prototype.getView = function getView() {
+  const view = new CoinView();
+
+  for (let i = 0; i < this.inputs.length; i++) {
+    const coin = this.getCoin(i);
+
+    if (coin)
+      view.addOutput(this.tx.inputs[i].prevout, coin);
+  }
+
+  return view;
+};
+
+/**
+ * Calculate the fee, if all previous outputs are known.
+ * @returns {Amount} Fee (-1 if unknown).
+ */
+
+PSBT.prototype.getFee = function getFee() {
+  if (!this.hasCoins())
+    return -1;
+
+  return this.tx.getFee(this.getView());
+};
+
+/**
+ * Add redeem and witness scripts for the inputs
+ * and outputs a keyring is able to redeem.
+ * @param {KeyRing} ring
+ * @returns {Number} Total number of records updated.
+ */
+
+PSBT.prototype.template = function template(ring) {
+  if (Array.isArray(ring)) {
+    let total = 0;
+    for (const key of ring)
+      total += this.template(key);
+    return total;
+  }
+
+  let total = 0;
+
+  for (let i = 0; i < this.inputs.length; i++) {
+    const coin = this.getCoin(i);
+
+    if (!coin)
+      continue;
+
+    if (this.inputs[i].template(coin.script, ring))
+      total++;
+  }
+
+  for (let i = 0; i < this.outputs.length; i++) {
+    const {script} = this.tx.outputs[i];
+
+    if (this.outputs[i].template(script, ring))
+      total++;
+  }
+
+  return total;
+};
+
+/**
+ * Get the script code, value and sighash
+ * version needed to sign an input.
+ * @param {Number} index
+ * @returns {Array|null} [prev, value, version]
+ */
+
+PSBT.prototype.getScriptCode = function getScriptCode(index) {
+  const pin = this.inputs[index];
+  const coin = this.getCoin(index);
+
+  if (!coin)
+    return null;
+
+  let prev = coin.script;
+
+  const sh = prev.getScripthash();
+
+  if (sh) {
+    if (!pin.redeemScript)
+      return null;
+
+    if (!digest.hash160(pin.redeemScript.toRaw()).equals(sh))
+      throw new Error(`Redeem script mismatch for input ${index}.`);
+
+    prev = pin.redeemScript;
+  }
+
+  const wsh = prev.getWitnessScripthash();
+
+  if (wsh) {
+    if (!pin.witnessScript)
+      return null;
+
+    if (!digest.sha256(pin.witnessScript.toRaw()).equals(wsh))
+      throw new Error(`Witness script mismatch for input ${index}.`);
+
+    return [pin.witnessScript, coin.value, 1];
+  }
+
+  const wpkh = prev.getWitnessPubkeyhash();
+
+  if (wpkh)
+    return [Script.fromPubkeyhash(wpkh), coin.value, 1];
+
+  if (prev.isProgram())
+    return null;
+
+  return [prev, coin.value, 0];
+};
+
+/**
+ * Add signatures for every input a keyring can sign.
+ * @param {KeyRing} ring - Private key.
+ * @param {SighashType?} type
+ * @returns {Number} Total number of signatures added.
+ */
+
+PSBT.prototype.sign = function sign(ring, type) {
+  if (Array.isArray(ring)) {
+    let total = 0;
+    for (const key of ring)
+      total += this.sign(key, type);
+    return total;
+  }
+
+  assert(ring.privateKey, 'No private key available.');
+
+  if (type == null)
+    type = Script.hashType.ALL;
+
+  this.template(ring);
+
+  const hex = ring.publicKey.toString('hex');
+
+  let total = 0;
+
+  for (let i = 0; i < this.inputs.length; i++) {
+    const pin = this.inputs[i];
+
+    if (pin.isFinalized() || pin.partialSigs.has(hex))
+      continue;
+
+    const code = this.getScriptCode(i);
+
+    if (!code)
+      continue;
+
+    const [prev, value, version] = code;
+
+    if (!ownsScript(prev, ring))
+      continue;
+
+    if (pin.sighashType !== -1 && pin.sighashType !== type)
+      throw new Error(`Sighash type mismatch for input ${i}.`);
+
+    const sig = this.tx.signature(
+      i, prev, value, ring.privateKey, type, version);
+
+    pin.partialSigs.set(hex, sig);
+
+    total++;
+  }
+
+  return total;
+};
+
+/**
+ * Build final input scripts from the partial signatures.
+ * Inputs lacking signatures are left untouched.
+ * @returns {Boolean} Whether every input is finalized.
+ */
+
+PSBT.prototype.finalize = function finalize() {
+  let complete = true;
+
+  for (let i = 0; i < this.inputs.length; i++) {
+    const pin = this.inputs[i];
+
+    if (pin.isFinalized())
+      continue;
+
+    if (!this.finalizeInput(i))
+      complete = false;
+  }
+
+  return complete;
+};
+
+/**
+ * Build the final scripts of a single input.
+ * @param {Number} index
+ * @returns {Boolean}
+ */
+
+PSBT.prototype.finalizeInput = function finalizeInput(index) {
+  const pin = this.inputs[index];
+  const coin = this.getCoin(index);
+
+  if (!coin || !this.getScriptCode(index))
+    return false;
+
+  const script = new Script();
+  const witness = new Witness();
+
+  let prev = coin.script;
+  let nested = null;
+
+  if (prev.isScripthash()) {
+    nested = pin.redeemScript;
+    prev = nested;
+  }
+
+  if (prev.isWitnessScripthash()) {
+    const stack = pin.buildVector(pin.witnessScript);
+
+    if (!stack)
+      return false;
+
+    stack.pushData(pin.witnessScript.toRaw());
+    witness.fromStack(stack);
+  } else if (prev.isWitnessPubkeyhash()) {
+    const wpkh = prev.getWitnessPubkeyhash();
+    const stack = pin.buildVector(Script.fromPubkeyhash(wpkh));
+
+    if (!stack)
+      return false;
+
+    witness.fromStack(stack);
+  } else {
+    const stack = pin.buildVector(prev);
+
+    if (!stack)
+      return false;
+
+    if (nested)
+      stack.pushData(nested.toRaw());
+
+    script.fromStack(stack);
+    nested = null;
+  }
+
+  if (nested)
+    script.fromItems([nested.toRaw()]);
+
+  pin.clear();
+  pin.finalScriptSig = script;
+  pin.finalScriptWitness = witness;
+
+  return true;
+};
+
+/**
+ * Test whether every input is finalized.
+ * @returns {Boolean}
+ */
+
+PSBT.prototype.isFinalized = function isFinalized() {
+  for (const pin of this.inputs) {
+    if (!pin.isFinalized())
+      return false;
+  }
+
+  return true;
+};
+
+/**
+ * Convert the PSBT to a mutable transaction. Final
+ * input scripts are applied where available.
+ * @returns {MTX}
+ */
+
+PSBT.prototype.toMTX = function toMTX() {
+  const mtx = MTX.fromTX(this.tx);
+
+  mtx.view = this.getView();
+
+  for (let i = 0; i < this.inputs.length; i++) {
+    const pin = this.inputs[i];
+    const input = mtx.inputs[i];
+
+    if (pin.finalScriptSig)
+      input.script = pin.finalScriptSig.clone();
+
+    if (pin.finalScriptWitness)
+      input.witness = pin.finalScriptWitness.clone();
+  }
+
+  return mtx;
+};
+
+/**
+ * Extract the fully signed transaction.
+ * @returns {TX}
+ */
+
+PSBT.prototype.extract = function extract() {
+  if (!this.isFinalized())
+    throw new Error('PSBT is not finalized.');
+
+  return this.toMTX().toTX();
+};
+
+/**
+ * Merge records from another PSBT
+ * spending the same transaction.
+ * @param {PSBT} psbt
+ * @returns {PSBT}
+ */
+
+PSBT.prototype.combine = function combine(psbt) {
+  if (psbt.tx.hash('hex') !== this.tx.hash('hex'))
+    throw new Error('PSBTs do not refer to the same transaction.');
+
+  for (let i = 0; i < this.inputs.length; i++)
+    this.inputs[i].combine(psbt.inputs[i]);
+
+  for (let i = 0; i < this.outputs.length; i++)
+    this.outputs[i].combine(psbt.outputs[i]);
+
+  mergeMap(this.unknown, psbt.unknown);
+
+  return this;
+};
+
+/**
+ * Get the global key/value records.
+ * @private
+ * @returns {Array[]} [key, value] pairs.
+ */
+
+PSBT.prototype.getRecords = function getRecords() {
+  const records = [];
+  const types = PSBT.globalTypes;
+
+  records.push([toKey(types.UNSIGNED_TX), this.tx.toNormal()]);
+
+  pushUnknown(records, this.unknown);
+
+  return records;
+};
+
+/**
+ * Calculate serialization size.
+ * @returns {Number}
+ */
+
+PSBT.prototype.getSize = function getSize() {
+  let size = PSBT.MAGIC.length;
+
+  size += sizeRecords(this.getRecords());
+
+  for (const pin of this.inputs)
+    size += sizeRecords(pin.getRecords());
+
+  for (const pout of this.outputs)
+    size += sizeRecords(pout.getRecords());
+
+  return size;
+};
+
+/**
+ * Serialize the PSBT.
+ * @returns {Buffer}
+ */
+
+PSBT.prototype.toRaw = function toRaw() {
+  const bw = new StaticWriter(this.getSize());
+
+  bw.writeBytes(PSBT.MAGIC);
+
+  writeRecords(bw, this.getRecords());
+
+  for (const pin of this.inputs)
+    writeRecords(bw, pin.getRecords());
+
+  for (const pout of this.outputs)
+    writeRecords(bw, pout.getRecords());
+
+  return bw.render();
+};
+
+/**
+ * Serialize the PSBT as base64.
+ * @returns {String}
+ */
+
+PSBT.prototype.toBase64 = function toBase64() {
+  return this.toRaw().toString('base64');
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ */
+
+PSBT.prototype.fromRaw = function fromRaw(data) {
+  const br = new BufferReader(data);
+  const types = PSBT.globalTypes;
+
+  if (!br.readBytes(PSBT.MAGIC.length).equals(PSBT.MAGIC))
+    throw new Error('Invalid PSBT magic.');
+
+  let tx = null;
+
+  readRecords(br, (key, value) => {
+    switch (key[0]) {
+      case types.UNSIGNED_TX:
+        assert(key.length === 1, 'Invalid unsigned tx key.');
+        tx = TX.fromRaw(value);
+        break;
+      default:
+        this.unknown.set(key.toString('hex'), value);
+        break;
+    }
+  });
+
+  if (!tx)
+    throw new Error('PSBT has no unsigned transaction.');
+
+  for (const input of tx.inputs) {
+    if (input.script.raw.length !== 0 || input.witness.items.length !== 0)
+      throw new Error('PSBT transaction is not unsigned.');
+  }
+
+  this.tx = tx;
+
+  for (let i = 0; i < tx.inputs.length; i++)
+    this.inputs.push(PSBTInput.fromReader(br));
+
+  for (let i = 0; i < tx.outputs.length; i++)
+    this.outputs.push(PSBTOutput.fromReader(br));
+
+  if (br.left() !== 0)
+    throw new Error('Trailing data after PSBT.');
+
+  for (let i = 0; i < tx.inputs.length; i++) {
+    const {prevout} = tx.inputs[i];
+    const prev = this.inputs[i].nonWitnessUTXO;
+
+    if (prev && prev.hash('hex') !== prevout.hash)
+      throw new Error(`Non-witness utxo mismatch for input ${i}.`);
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate PSBT from serialized data.
+ * @param {Buffer} data
+ * @param {String?} enc - Encoding, can be `'hex'` or `'base64'`.
+ * @returns {PSBT}
+ */
+
+PSBT.fromRaw = function fromRaw(data, enc) {
+  if (typeof data === 'string')
+    data = Buffer.from(data, enc);
+  return new PSBT().fromRaw(data);
+};
+
+/**
+ * Instantiate PSBT from a base64 string.
+ * @param {String} str
+ * @returns {PSBT}
+ */
+
+PSBT.fromBase64 = function fromBase64(str) {
+  assert(typeof str === 'string', 'PSBT must be a base64 string.');
+  return PSBT.fromRaw(str, 'base64');
+};
+
+/**
+ * Convert the PSBT to an object suitable for JSON serialization.
+ * @param {Network?} network
+ * @returns {Object}
+ */
+
+PSBT.prototype.getJSON = function getJSON(network) {
+  return {
+    tx: this.tx.getJSON(network),
+    unknown: unknownToJSON(this.unknown),
+    inputs: this.inputs.map((pin) => pin.getJSON(network)),
+    outputs: this.outputs.map((pout) => pout.getJSON()),
+    fee: this.getFee(),
+    complete: this.isFinalized()
+  };
+};
+
+/**
+ * Inspect the PSBT.
+ * @returns {Object}
+ */
+
+PSBT.prototype.inspect = function inspect() {
+  return this.getJSON();
+};
+
+/**
+ * Test whether an object is a PSBT.
+ * @param {Object} obj
+ * @returns {Boolean}
+ */
+
+PSBT.isPSBT = function isPSBT(obj) {
+  return obj instanceof PSBT;
+};
+
+/**
+ * PSBT Input
+ * Per-input records of a {@link PSBT}.
+ * @alias module:primitives.PSBTInput
+ * @constructor
+ * @property {TX|null} nonWitnessUTXO
+ * @property {Output|null} witnessUTXO
+ * @property {Map} partialSigs - Public key (hex) to signature.
+ * @property {Number} sighashType - -1 if unset.
+ * @property {Script|null} redeemScript
+ * @property {Script|null} witnessScript
+ * @property {Map} derivations - Public key (hex) to {@link KeyOrigin}.
+ * @property {Script|null} finalScriptSig
+ * @property {Witness|null} finalScriptWitness
+ * @property {Map} unknown
+ */
+
+function PSBTInput() {
+  if (!(this instanceof PSBTInput))
+    return new PSBTInput();
+
+  this.nonWitnessUTXO = null;
+  this.witnessUTXO = null;
+  this.partialSigs = new Map();
+  this.sighashType = -1;
+  this.redeemScript = null;
+  this.witnessScript = null;
+  this.derivations = new Map();
+  this.finalScriptSig = null;
+  this.finalScriptWitness = null;
+  this.unknown = new Map();
+}
+
+/**
+ * Get the previous output.
+ * @param {Outpoint} prevout
+ * @returns {Output|null}
+ */
+
+PSBTInput.prototype.getCoin = function getCoin(prevout) {
+  if (this.witnessUTXO)
+    return this.witnessUTXO;
+
+  if (this.nonWitnessUTXO)
+    return this.nonWitnessUTXO.outputs[prevout.index] || null;
+
+  return null;
+};
+
+/**
+ * Test whether the input has final scripts.
+ * @returns {Boolean}
+ */
+
+PSBTInput.prototype.isFinalized = function isFinalized() {
+  return this.finalScriptSig != null || this.finalScriptWitness != null;
+};
+
+/**
+ * Remove signing records once the input is finalized.
+ */
+
+PSBTInput.prototype.clear = function clear() {
+  this.partialSigs.clear();
+  this.sighashType = -1;
+  this.redeemScript = null;
+  this.witnessScript = null;
+  this.derivations.clear();
+};
+
+/**
+ * Add the redeem and witness scripts a keyring is able to provide.
+ * @param {Script} prev - Previous output script.
+ * @param {KeyRing} ring
+ * @returns {Boolean} Whether a script was added.
+ */
+
+PSBTInput.prototype.template = function template(prev, ring) {
+  if (this.isFinalized())
+    return false;
+
+  const [redeem, wredeem] = getRedeems(prev, ring);
+
+  let updated = false;
+
+  if (redeem && !this.redeemScript) {
+    this.redeemScript = redeem;
+    updated = true;
+  }
+
+  if (wredeem && !this.witnessScript) {
+    this.witnessScript = wredeem;
+    updated = true;
+  }
+
+  return updated;
+};
+
+/**
+ * Pull redeem scripts and signatures out of a
+ * partially built transaction input.
+ * @param {TX} tx - Unsigned transaction.
+ * @param {Number} index
+ * @param {Input} input - Input holding the scripts.
+ * @param {Coin|Output} coin
+ */
+
+PSBTInput.prototype.fromInput = function fromInput(tx, index, input, coin) {
+  let prev = coin.script;
+  let stack = input.script.toStack();
+  let version = 0;
+
+  if (prev.isScripthash()) {
+    const redeem = input.script.getRedeem();
+
+    if (!redeem)
+      return;
+
+    this.redeemScript = redeem;
+    stack.pop();
+    prev = redeem;
+  }
+
+  if (prev.isWitnessScripthash()) {
+    const wredeem = input.witness.getRedeem();
+
+    if (!wredeem)
+      return;
+
+    this.witnessScript = wredeem;
+    stack = input.witness.toStack();
+    stack.pop();
+    prev = wredeem;
+    version = 1;
+  } else if (prev.isWitnessPubkeyhash()) {
+    stack = input.witness.toStack();
+    prev = Script.fromPubkeyhash(prev.getWitnessPubkeyhash());
+    version = 1;
+  }
+
+  const keys = [];
+
+  for (const op of prev.code) {
+    if (op.data && isKey(op.data))
+      keys.push(op.data);
+  }
+
+  for (const item of stack.items) {
+    if (isKey(item))
+      keys.push(item);
+  }
+
+  for (const item of stack.items) {
+    if (item.length < 9 || isKey(item))
+      continue;
+
+    for (const key of keys) {
+      let valid = false;
+
+      try {
+        valid = tx.checksig(index, prev, coin.value, item, key, version);
+      } catch (e) {
+        continue;
+      }
+
+      if (valid) {
+        this.partialSigs.set(key.toString('hex'), item);
+        break;
+      }
+    }
+  }
+};
+
+/**
+ * Build an input vector from the partial signatures.
+ * @param {Script} prev - Script being satisfied.
+ * @returns {Stack|null}
+ */
+
+PSBTInput.prototype.buildVector = function buildVector(prev) {
+  const stack = new Stack();
+
+  // P2PK
+  const pk = prev.getPubkey();
+  if (pk) {
+    const sig = this.partialSigs.get(pk.toString('hex'));
+
+    if (!sig)
+      return null;
+
+    stack.pushData(sig);
+
+    return stack;
+  }
+
+  // P2PKH
+  const pkh = prev.getPubkeyhash();
+  if (pkh) {
+    for (const [hex, sig] of this.partialSigs) {
+      const key = Buffer.from(hex, 'hex');
+
+      if (!digest.hash160(key).equals(pkh))
+        continue;
+
+      stack.pushData(sig);
+      stack.pushData(key);
+
+      return stack;
+    }
+
+    return null;
+  }
+
+  // Multisig
+  const [m] = prev.getMultisig();
+  if (m !== -1) {
+    let total = 0;
+
+    stack.pushInt(0);
+
+    for (const op of prev.code) {
+      if (!op.data || total === m)
+        continue;
+
+      const sig = this.partialSigs.get(op.data.toString('hex'));
+
+      if (!sig)
+        continue;
+
+      stack.pushData(sig);
+      total++;
+    }
+
+    if (total < m)
+      return null;
+
+    return stack;
+  }
+
+  return null;
+};
+
+/**
+ * Merge records from another input.
+ * @param {PSBTInput} pin
+ */
+
+PSBTInput.prototype.combine = function combine(pin) {
+  if (!this.nonWitnessUTXO)
+    this.nonWitnessUTXO = pin.nonWitnessUTXO;
+
+  if (!this.witnessUTXO)
+    this.witnessUTXO = pin.witnessUTXO;
+
+  if (this.sighashType === -1)
+    this.sighashType = pin.sighashType;
+
+  if (!this.redeemScript)
+    this.redeemScript = pin.redeemScript;
+
+  if (!this.witnessScript)
+    this.witnessScript = pin.witnessScript;
+
+  if (!this.finalScriptSig)
+    this.finalScriptSig = pin.finalScriptSig;
+
+  if (!this.finalScriptWitness)
+    this.finalScriptWitness = pin.finalScriptWitness;
+
+  mergeMap(this.partialSigs, pin.partialSigs);
+  mergeMap(this.derivations, pin.derivations);
+  mergeMap(this.unknown, pin.unknown);
+
+  if (this.isFinalized())
+    this.clear();
+};
+
+/**
+ * Get the input key/value records.
+ * @private
+ * @returns {Array[]} [key, value] pairs.
+ */
+
+PSBTInput.prototype.getRecords = function getRecords() {
+  const records = [];
+  const types = PSBT.inputTypes;
+
+  if (this.nonWitnessUTXO) {
+    records.push([
+      toKey(types.NON_WITNESS_UTXO),
+      this.nonWitnessUTXO.toRaw()
+    ]);
+  }
+
+  if (this.witnessUTXO)
+    records.push([toKey(types.WITNESS_UTXO), this.witnessUTXO.toRaw()]);
+
+  for (const [hex, sig] of this.partialSigs)
+    records.push([toKey(types.PARTIAL_SIG, hex), sig]);
+
+  if (this.sighashType !== -1) {
+    const value = Buffer.allocUnsafe(4);
+    value.writeUInt32LE(this.sighashType, 0, true);
+    records.push([toKey(types.SIGHASH_TYPE), value]);
+  }
+
+  if (this.redeemScript)
+    records.push([toKey(types.REDEEM_SCRIPT), this.redeemScript.toRaw()]);
+
+  if (this.witnessScript)
+    records.push([toKey(types.WITNESS_SCRIPT), this.witnessScript.toRaw()]);
+
+  for (const [hex, origin] of this.derivations)
+    records.push([toKey(types.BIP32_DERIVATION, hex), origin.toRaw()]);
+
+  if (this.finalScriptSig) {
+    records.push([
+      toKey(types.FINAL_SCRIPTSIG),
+      this.finalScriptSig.toRaw()
+    ]);
+  }
+
+  if (this.finalScriptWitness) {
+    records.push([
+      toKey(types.FINAL_SCRIPTWITNESS),
+      this.finalScriptWitness.toRaw()
+    ]);
+  }
+
+  pushUnknown(records, this.unknown);
+
+  return records;
+};
+
+/**
+ * Inject properties from buffer reader.
+ * @private
+ * @param {BufferReader} br
+ */
+
+PSBTInput.prototype.fromReader = function fromReader(br) {
+  const types = PSBT.inputTypes;
+
+  readRecords(br, (key, value) => {
+    switch (key[0]) {
+      case types.NON_WITNESS_UTXO:
+        assert(key.length === 1, 'Invalid non-witness utxo key.');
+        this.nonWitnessUTXO = TX.fromRaw(value);
+        break;
+      case types.WITNESS_UTXO:
+        assert(key.length === 1, 'Invalid witness utxo key.');
+        this.witnessUTXO = Output.fromRaw(value);
+        break;
+      case types.PARTIAL_SIG:
+        assert(isKey(key.slice(1)), 'Invalid partial signature key.');
+        this.partialSigs.set(key.toString('hex', 1), value);
+        break;
+      case types.SIGHASH_TYPE:
+        assert(key.length === 1 && value.length === 4,
+          'Invalid sighash type.');
+        this.sighashType = value.readUInt32LE(0, true);
+        break;
+      case types.REDEEM_SCRIPT:
+        assert(key.length === 1, 'Invalid redeem script key.');
+        this.redeemScript = Script.fromRaw(value);
+        break;
+      case types.WITNESS_SCRIPT:
+        assert(key.length === 1, 'Invalid witness script key.');
+        this.witnessScript = Script.fromRaw(value);
+        break;
+      case types.BIP32_DERIVATION:
+        assert(isKey(key.slice(1)), 'Invalid derivation key.');
+        this.derivations.set(key.toString('hex', 1), KeyOrigin.fromRaw(value));
+        break;
+      case types.FINAL_SCRIPTSIG:
+        assert(key.length === 1, 'Invalid final scriptSig key.');
+        this.finalScriptSig = Script.fromRaw(value);
+        break;
+      case types.FINAL_SCRIPTWITNESS:
+        assert(key.length === 1, 'Invalid final scriptWitness key.');
+        this.finalScriptWitness = Witness.fromRaw(value);
+        break;
+      default:
+        this.unknown.set(key.toString('hex'), value);
+        break;
+    }
+  });
+
+  return this;
+};
+
+/**
+ * Instantiate input from buffer reader.
+ * @param {BufferReader} br
+ * @returns {PSBTInput}
+ */
+
+PSBTInput.fromReader = function fromReader(br) {
+  return new PSBTInput().fromReader(br);
+};
+
+/**
+ * Convert the input to an object suitable for JSON serialization.
+ * @param {Network?} network
+ * @returns {Object}
+ */
+
+PSBTInput.prototype.getJSON = function getJSON(network) {
+  const sigs = {};
+
+  for (const [hex, sig] of this.partialSigs)
+    sigs[hex] = sig.toString('hex');
+
+  return {
+    nonWitnessUTXO: this.nonWitnessUTXO
+      ? this.nonWitnessUTXO.getJSON(network)
+      : null,
+    witnessUTXO: this.witnessUTXO
+      ? this.witnessUTXO.getJSON(network)
+      : null,
+    partialSigs: sigs,
+    sighashType: this.sighashType,
+    redeemScript: this.redeemScript ? this.redeemScript.toJSON() : null,
+    witnessScript: this.witnessScript ? this.witnessScript.toJSON() : null,
+    derivations: derivationsToJSON(this.derivations),
+    finalScriptSig: this.finalScriptSig
+      ? this.finalScriptSig.toJSON()
+      : null,
+    finalScriptWitness: this.finalScriptWitness
+      ? this.finalScriptWitness.toJSON()
+      : null,
+    unknown: unknownToJSON(this.unknown)
+  };
+};
+
+/**
+ * PSBT Output
+ * Per-output records of a {@link PSBT}.
+ * @alias module:primitives.PSBTOutput
+ * @constructor
+ * @property {Script|null} redeemScript
+ * @property {Script|null} witnessScript
+ * @property {Map} derivations - Public key (hex) to {@link KeyOrigin}.
+ * @property {Map} unknown
+ */
+
+function PSBTOutput() {
+  if (!(this instanceof PSBTOutput))
+    return new PSBTOutput();
+
+  this.redeemScript = null;
+  this.witnessScript = null;
+  this.derivations = new Map();
+  this.unknown = new Map();
+}
+
+/**
+ * Add the redeem and witness scripts a keyring is able to provide.
+ * @param {Script} script - Output script.
+ * @param {KeyRing} ring
+ * @returns {Boolean} Whether a script was added.
+ */
+
+PSBTOutput.prototype.template = function template(script, ring) {
+  const [redeem, wredeem] = getRedeems(script, ring);
+
+  let updated = false;
+
+  if (redeem && !this.redeemScript) {
+    this.redeemScript = redeem;
+    updated = true;
+  }
+
+  if (wredeem && !this.witnessScript) {
+    this.witnessScript = wredeem;
+    updated = true;
+  }
+
+  return updated;
+};
+
+/**
+ * Merge records from another output.
+ * @param {PSBTOutput} pout
+ */
+
+PSBTOutput.prototype.combine = function combine(pout) {
+  if (!this.redeemScript)
+    this.redeemScript = pout.redeemScript;
+
+  if (!this.witnessScript)
+    this.witnessScript = pout.witnessScript;
+
+  mergeMap(this.derivations, pout.derivations);
+  mergeMap(this.unknown, pout.unknown);
+};
+
+/**
+ * Get the output key/value records.
+ * @private
+ * @returns {Array[]} [key, value] pairs.
+ */
+
+PSBTOutput.prototype.getRecords = function getRecords() {
+  const records = [];
+  const types = PSBT.outputTypes;
+
+  if (this.redeemScript)
+    records.push([toKey(types.REDEEM_SCRIPT), this.redeemScript.toRaw()]);
+
+  if (this.witnessScript)
+    records.push([toKey(types.WITNESS_SCRIPT), this.witnessScript.toRaw()]);
+
+  for (const [hex, origin] of this.derivations)
+    records.push([toKey(types.BIP32_DERIVATION, hex), origin.toRaw()]);
+
+  pushUnknown(records, this.unknown);
+
+  return records;
+};
+
+/**
+ * Inject properties from buffer reader.
+ * @private
+ * @param {BufferReader} br
+ */
+
+PSBTOutput.prototype.fromReader = function fromReader(br) {
+  const types = PSBT.outputTypes;
+
+  readRecords(br, (key, value) => {
+    switch (key[0]) {
+      case types.REDEEM_SCRIPT:
+        assert(key.length === 1, 'Invalid redeem script key.');
+        this.redeemScript = Script.fromRaw(value);
+        break;
+      case types.WITNESS_SCRIPT:
+        assert(key.length === 1, 'Invalid witness script key.');
+        this.witnessScript = Script.fromRaw(value);
+        break;
+      case types.BIP32_DERIVATION:
+        assert(isKey(key.slice(1)), 'Invalid derivation key.');
+        this.derivations.set(key.toString('hex', 1), KeyOrigin.fromRaw(value));
+        break;
+      default:
+        this.unknown.set(key.toString('hex'), value);
+        break;
+    }
+  });
+
+  return this;
+};
+
+/**
+ * Instantiate output from buffer reader.
+ * @param {BufferReader} br
+ * @returns {PSBTOutput}
+ */
+
+PSBTOutput.fromReader = function fromReader(br) {
+  return new PSBTOutput().fromReader(br);
+};
+
+/**
+ * Convert the output to an object suitable for JSON serialization.
+ * @returns {Object}
+ */
+
+PSBTOutput.prototype.getJSON = function getJSON() {
+  return {
+    redeemScript: this.redeemScript ? this.redeemScript.toJSON() : null,
+    witnessScript: this.witnessScript ? this.witnessScript.toJSON() : null,
+    derivations: derivationsToJSON(this.derivations),
+    unknown: unknownToJSON(this.unknown)
+  };
+};
+
+/**
+ * Key Origin
+ * BIP32 derivation of a public key: the fingerprint
+ * of the key it was derived from and the child path.
+ * @alias module:primitives.KeyOrigin
+ * @constructor
+ * @param {Number?} fingerPrint
+ * @param {Number[]?} path
+ */
+
+function KeyOrigin(fingerPrint, path) {
+  if (!(this instanceof KeyOrigin))
+    return new KeyOrigin(fingerPrint, path);
+
+  this.fingerPrint = 0;
+  this.path = [];
+
+  if (fingerPrint != null) {
+    assert(util.isU32(fingerPrint), 'Fingerprint must be a uint32.');
+    assert(Array.isArray(path), 'Path must be an array.');
+    this.fingerPrint = fingerPrint;
+    this.path = path;
+  }
+}
+
+/**
+ * Serialize the key origin.
+ * @returns {Buffer}
+ */
+
+KeyOrigin.prototype.toRaw = function toRaw() {
+  const bw = new StaticWriter(4 + this.path.length * 4);
+
+  bw.writeU32BE(this.fingerPrint);
+
+  for (const index of this.path)
+    bw.writeU32(index);
+
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ */
+
+KeyOrigin.prototype.fromRaw = function fromRaw(data) {
+  const br = new BufferReader(data);
+
+  assert(data.length >= 4 && data.length % 4 === 0,
+    'Invalid key origin.');
+
+  this.fingerPrint = br.readU32BE();
+
+  while (br.left() > 0)
+    this.path.push(br.readU32());
+
+  return this;
+};
+
+/**
+ * Instantiate key origin from serialized data.
+ * @param {Buffer} data
+ * @returns {KeyOrigin}
+ */
+
+KeyOrigin.fromRaw = function fromRaw(data) {
+  return new KeyOrigin().fromRaw(data);
+};
+
+/**
+ * Format the path as a BIP32 path string.
+ * @returns {String}
+ */
+
+KeyOrigin.prototype.toPath = function toPath() {
+  let path = 'm';
+
+  for (const index of this.path) {
+    if (index & HARDENED)
+      path += `/${(index & ~HARDENED) >>> 0}'`;
+    else
+      path += `/${index}`;
+  }
+
+  return path;
+};
+
+/**
+ * Convert the key origin to an object suitable for JSON serialization.
+ * @returns {Object}
+ */
+
+KeyOrigin.prototype.toJSON = function toJSON() {
+  const fp = Buffer.allocUnsafe(4);
+
+  fp.writeUInt32BE(this.fingerPrint, 0, true);
+
+  return {
+    fingerprint: fp.toString('hex'),
+    path: this.toPath()
+  };
+};
+
+/*
+ * Helpers
+ */
+
+function isKey(data) {
+  if (data.length === 33)
+    return data[0] === 0x02 || data[0] === 0x03;
+
+  if (data.length === 65)
+    return data[0] === 0x04;
+
+  return false;
+}
+
+function isWitness(coin, input) {
+  if (coin.script.isProgram())
+    return true;
+
+  if (!coin.script.isScripthash())
+    return false;
+
+  if (input.witness.items.length > 0)
+    return true;
+
+  const redeem = input.script.getRedeem();
+
+  return redeem != null && redeem.isProgram();
+}
+
+function ownsScript(prev, ring) {
+  const pk = prev.getPubkey();
+
+  if (pk)
+    return pk.equals(ring.publicKey);
+
+  const pkh = prev.getPubkeyhash();
+
+  if (pkh)
+    return pkh.equals(ring.getKeyHash());
+
+  const [m] = prev.getMultisig();
+
+  if (m !== -1)
+    return prev.indexOf(ring.publicKey) !== -1;
+
+  return false;
+}
+
+function getRedeems(prev, ring) {
+  let redeem = null;
+  let wredeem = null;
+
+  const sh = prev.getScripthash();
+
+  if (sh) {
+    redeem = ring.getRedeem(sh);
+
+    if (!redeem)
+      return [null, null];
+
+    prev = redeem;
+  }
+
+  const wsh = prev.getWitnessScripthash();
+
+  if (wsh)
+    wredeem = ring.getRedeem(wsh);
+
+  return [redeem, wredeem];
+}
+
+function toKey(type, hex) {
+  if (!hex)
+    return Buffer.from([type]);
+
+  return Buffer.concat([Buffer.from([type]), Buffer.from(hex, 'hex')]);
+}
+
+function pushUnknown(records, unknown) {
+  for (const [hex, value] of unknown)
+    records.push([Buffer.from(hex, 'hex'), value]);
+}
+
+function sizeRecords(records) {
+  let size = 0;
+
+  for (const [key, value] of records) {
+    size += encoding.sizeVarBytes(key);
+    size += encoding.sizeVarBytes(value);
+  }
+
+  // Separator.
+  size += 1;
+
+  return size;
+}
+
+function writeRecords(bw, records) {
+  for (const [key, value] of records) {
+    bw.writeVarBytes(key);
+    bw.writeVarBytes(value);
+  }
+
+  bw.writeU8(0);
+}
+
+function readRecords(br, handler) {
+  const seen = new Set();
+
+  for (;;) {
+    const key = br.readVarBytes();
+
+    if (key.length === 0)
+      break;
+
+    const value = br.readVarBytes();
+    const hex = key.toString('hex');
+
+    if (seen.has(hex))
+      throw new Error('Duplicate PSBT key.');
+
+    seen.add(hex);
+
+    handler(key, value);
+  }
+}
+
+function mergeMap(target, source) {
+  for (const [key, value] of source) {
+    if (!target.has(key))
+      target.set(key, value);
+  }
+}
+
+function derivationsToJSON(derivations) {
+  const json = {};
+
+  for (const [hex, origin] of derivations)
+    json[hex] = origin.toJSON();
+
+  return json;
+}
+
+function unknownToJSON(unknown) {
+  const json = {};
+
+  for (const [hex, value] of unknown)
+    json[hex] = value.toString('hex');
+
+  return json;
+}
+
+/*
+ * Expose
+ */
+
+exports = PSBT;
+exports.PSBTInput = PSBTInput;
+exports.PSBTOutput = PSBTOutput;
+exports.KeyOrigin = KeyOrigin;
+
+module.exports = exports;
@@ -0,0 +1,197 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * http.js - stratum statistics api for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+/**
+ * Stratum HTTP
+ * Pool statistics routes and socket events,
+ * mounted on the node's http server.
+ */
+
+class StratumHTTP {
+  /**
+   * Create stratum http handlers.
+   * @constructor
+   * @param {Stratum} stratum
+   */
+
+  constructor(stratum) {
+    assert(stratum, 'Stratum is required.');
+    this.stratum = stratum;
+    this.server = null;
+  }
+
+  /**
+   * Attach to server.
+   * @param {HTTPServer} server
+   */
+
+  attach(server) {
+    assert(!this.server, 'Already attached.');
+    this.server = server;
+    this.initRouter();
+    this.initSockets();
+  }
+
+  /**
+   * Initialize routes.
+   * @private
+   */
+
+  initRouter() {
+    const server = this.server;
+    const stratum = this.stratum;
+
+    // Pool summary
+    server.get('/stratum', async (req, res) => {
+      res.send(200, stratum.getInfo());
+    });
+
+    // Current job
+    server.get('/stratum/job', async (req, res) => {
+      const job = stratum.current;
+
+      if (!job) {
+        res.send(404);
+        return;
+      }
+
+      res.send(200, job.getJSON());
+    });
+
+    // Worker statistics
+    server.get('/stratum/worker', async (req, res) => {
+      res.send(200, stratum.getWorkers());
+    });
+
+    // Worker statistics by username
+    server.get('/stratum/worker/:username', async (req, res) => {
+      const valid = req.valid();
+      const username = valid.str('username');
+
+      enforce(username, 'Username is required.');
+
+      const worker = stratum.getWorker(username);
+
+      if (!worker) {
+        res.send(404);
+        return;
+      }
+
+      res.send(200, worker);
+    });
+
+    // Found blocks
+    server.get('/stratum/block', async (req, res) => {
+      const valid = req.valid();
+      const limit = valid.u32('limit', 50);
+
+      enforce(limit > 0 && limit <= StratumHTTP.MAX_BLOCKS,
+        'Invalid limit.');
+
+      const blocks = await stratum.getBlocks(limit);
+
+      res.send(200, blocks);
+    });
+  }
+
+  /**
+   * Initialize websockets.
+   * @private
+   */
+
+  initSockets() {
+    const server = this.server;
+    const stratum = this.stratum;
+
+    if (!server.io)
+      return;
+
+    server.on('socket', (socket) => {
+      this.handleSocket(socket);
+    });
+
+    stratum.on('share', (username, difficulty, stale) => {
+      server.to('stratum', 'stratum share', {
+        username: username,
+        difficulty: difficulty,
+        stale: stale
+      });
+    });
+
+    stratum.on('block', (entry) => {
+      server.to('stratum', 'stratum block', {
+        height: entry.height,
+        hash: entry.rhash()
+      });
+    });
+
+    stratum.on('job', (job) => {
+      server.to('stratum', 'stratum job', job.getJSON());
+    });
+  }
+
+  /**
+   * Handle new websocket.
+   * @private
+   * @param {WebSocket} socket
+   */
+
+  handleSocket(socket) {
+    socket.hook('watch stratum', (args) => {
+      if (!socket.auth)
+        throw new Error('Not authorized.');
+
+      socket.join('stratum');
+
+      return null;
+    });
+
+    socket.hook('unwatch stratum', (args) => {
+      socket.leave('stratum');
+      return null;
+    });
+
+    socket.hook('get stratum', (args) => {
+      if (!socket.auth)
+        throw new Error('Not authorized.');
+
+      return this.stratum.getInfo();
+    });
+  }
+}
+
+/**
+ * Maximum number of blocks per request.
+ * @const {Number}
+ * @default
+ */
+
+StratumHTTP.MAX_BLOCKS = 1000;
+
+/*
+ * Helpers
+ */
+
+function enforce(value, msg) {
+  if (!value) {
+    const err = new Error(msg);
+    err.statusCode = 400;
+    throw err;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = StratumHTTP;
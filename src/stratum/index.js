@@ -14,4 +14,11 @@
  * @module stratum
  */
 
-exports.Stratum = require('./stratum');
\ No newline at end of file
+exports.Stratum = require('./stratum');
+exports.PayoutEngine = require('./payout');
+exports.layout = require('./layout');
+exports.PoolStats = require('./stats');
+exports.StratumHTTP = require('./http');
+exports.proxy = require('./proxy');
+exports.Noise = require('./noise');
+exports.v2 = require('./v2');
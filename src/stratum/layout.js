@@ -0,0 +1,97 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * layout.js - stratum database layout for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+/*
+ * Stratum Database Layout:
+ *  V -> db version
+ *  r[height][hash] -> found block round
+ *  u[username] -> user balance
+ *  c[username] -> unpaid pps credit (satoshi fraction)
+ *  p[hash] -> payout transaction
+ *  P -> payout in progress
+ *
+ * Stratum State Layout:
+ *  V -> db version
+ *  U[username] -> user
+ *  b[host] -> ban record
+ *  s[username] -> unclaimed round shares
+ */
+
+const layout = {
+  binary: true,
+  V: Buffer.from([0x56]),
+  P: Buffer.from([0x50]),
+  uMax: Buffer.from([0x76]),
+  UMax: Buffer.from([0x55, 0xff]),
+  bMax: Buffer.from([0x62, 0xff]),
+  sMax: Buffer.from([0x73, 0xff]),
+  r: function r(height, hash) {
+    assert(typeof height === 'number');
+    assert(typeof hash === 'string');
+    const key = Buffer.allocUnsafe(37);
+    key[0] = 0x72;
+    key.writeUInt32BE(height, 1, true);
+    key.write(hash, 5, 'hex');
+    return key;
+  },
+  u: function u(username) {
+    assert(typeof username === 'string');
+    const size = Buffer.byteLength(username, 'utf8');
+    const key = Buffer.allocUnsafe(1 + size);
+    key[0] = 0x75;
+    key.write(username, 1, 'utf8');
+    return key;
+  },
+  uu: function uu(key) {
+    assert(Buffer.isBuffer(key));
+    return key.toString('utf8', 1);
+  },
+  U: function U(username) {
+    return prefixed(0x55, username);
+  },
+  b: function b(host) {
+    return prefixed(0x62, host);
+  },
+  s: function s(username) {
+    return prefixed(0x73, username);
+  },
+  c: function c(username) {
+    return prefixed(0x63, username);
+  },
+  p: function p(hash) {
+    assert(typeof hash === 'string');
+    const key = Buffer.allocUnsafe(33);
+    key[0] = 0x70;
+    key.write(hash, 1, 'hex');
+    return key;
+  }
+};
+
+/*
+ * Helpers
+ */
+
+function prefixed(prefix, str) {
+  assert(typeof str === 'string');
+  const size = Buffer.byteLength(str, 'utf8');
+  const key = Buffer.allocUnsafe(1 + size);
+  key[0] = prefix;
+  key.write(str, 1, 'utf8');
+  return key;
+}
+
+/*
+ * Expose
+ */
+
+module.exports = layout;
@@ -0,0 +1,403 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * noise.js - noise protocol handshake for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const digest = require('../crypto/digest');
+const AEAD = require('../crypto/aead');
+const ccmp = require('../crypto/ccmp');
+const secp256k1 = require('../crypto/secp256k1');
+
+/*
+ * Constants
+ */
+
+const PROTOCOL_NAME = 'Noise_NX_secp256k1_ChaChaPoly_SHA256';
+const DHLEN = 33;
+const TAGLEN = 16;
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * Cipher State
+ * ChaChaPoly keyed with a 64 bit nonce.
+ */
+
+class CipherState {
+  /**
+   * Create a cipher state.
+   * @constructor
+   */
+
+  constructor() {
+    this.key = null;
+    this.nonce = 0;
+  }
+
+  initKey(key) {
+    assert(Buffer.isBuffer(key) && key.length === 32);
+    this.key = key;
+    this.nonce = 0;
+  }
+
+  hasKey() {
+    return this.key !== null;
+  }
+
+  init() {
+    assert(this.nonce < Number.MAX_SAFE_INTEGER, 'Nonce exhausted.');
+
+    const iv = Buffer.alloc(12);
+    const lo = this.nonce % 0x100000000;
+    const hi = (this.nonce - lo) / 0x100000000;
+
+    iv.writeUInt32LE(lo, 4, true);
+    iv.writeUInt32LE(hi, 8, true);
+
+    const aead = new AEAD();
+    aead.init(this.key, iv);
+
+    this.nonce += 1;
+
+    return aead;
+  }
+
+  encrypt(ad, data) {
+    if (!this.key)
+      return Buffer.from(data);
+
+    const aead = this.init();
+    const out = Buffer.allocUnsafe(data.length + TAGLEN);
+
+    data.copy(out, 0);
+
+    aead.aad(ad);
+    aead.encrypt(out.slice(0, data.length));
+    aead.finish().copy(out, data.length);
+
+    return out;
+  }
+
+  decrypt(ad, data) {
+    if (!this.key)
+      return Buffer.from(data);
+
+    if (data.length < TAGLEN)
+      throw new Error('Ciphertext too short.');
+
+    const size = data.length - TAGLEN;
+    const out = Buffer.from(data.slice(0, size));
+    const tag = data.slice(size);
+    const aead = this.init();
+
+    aead.aad(ad);
+    aead.decrypt(out);
+
+    if (!ccmp(aead.finish(), tag))
+      throw new Error('Bad message authentication code.');
+
+    return out;
+  }
+}
+
+/**
+ * Symmetric State
+ */
+
+class SymmetricState {
+  /**
+   * Create a symmetric state.
+   * @constructor
+   */
+
+  constructor() {
+    this.cipher = new CipherState();
+    this.ck = null;
+    this.h = null;
+  }
+
+  initSymmetric(name) {
+    const data = Buffer.from(name, 'ascii');
+
+    if (data.length <= 32) {
+      this.h = Buffer.alloc(32);
+      data.copy(this.h, 0);
+    } else {
+      this.h = digest.sha256(data);
+    }
+
+    this.ck = this.h;
+  }
+
+  mixKey(ikm) {
+    const [ck, key] = hkdf(this.ck, ikm);
+    this.ck = ck;
+    this.cipher.initKey(key);
+  }
+
+  mixHash(data) {
+    this.h = digest.sha256(Buffer.concat([this.h, data]));
+  }
+
+  encryptAndHash(data) {
+    const ct = this.cipher.encrypt(this.h, data);
+    this.mixHash(ct);
+    return ct;
+  }
+
+  decryptAndHash(data) {
+    const pt = this.cipher.decrypt(this.h, data);
+    this.mixHash(data);
+    return pt;
+  }
+
+  split() {
+    const [k1, k2] = hkdf(this.ck, EMPTY);
+    const c1 = new CipherState();
+    const c2 = new CipherState();
+    c1.initKey(k1);
+    c2.initKey(k2);
+    return [c1, c2];
+  }
+}
+
+/**
+ * Noise
+ * Noise_NX handshake over secp256k1. The responder
+ * (pool) sends its static key encrypted, so miners
+ * can authenticate the pool by pinning that key.
+ *   -> e
+ *   <- e, ee, s, es
+ */
+
+class Noise {
+  /**
+   * Create a noise session.
+   * @constructor
+   * @param {Boolean} initiator
+   * @param {Buffer?} key - Static private key (responder).
+   * @param {Buffer?} prologue
+   */
+
+  constructor(initiator, key, prologue) {
+    assert(typeof initiator === 'boolean');
+
+    this.initiator = initiator;
+    this.state = new SymmetricState();
+    this.staticKey = null;
+    this.staticPub = null;
+    this.ephemeralKey = secp256k1.generatePrivateKey();
+    this.ephemeralPub = secp256k1.publicKeyCreate(this.ephemeralKey, true);
+    this.remoteStatic = null;
+    this.remoteEphemeral = null;
+    this.sender = null;
+    this.receiver = null;
+    this.step = 0;
+
+    if (!initiator) {
+      assert(Buffer.isBuffer(key), 'Responder requires a static key.');
+      assert(secp256k1.privateKeyVerify(key), 'Invalid static key.');
+      this.staticKey = key;
+      this.staticPub = secp256k1.publicKeyCreate(key, true);
+    }
+
+    this.state.initSymmetric(PROTOCOL_NAME);
+    this.state.mixHash(prologue || EMPTY);
+  }
+
+  /**
+   * Whether the handshake has completed.
+   * @returns {Boolean}
+   */
+
+  isComplete() {
+    return this.sender !== null;
+  }
+
+  /**
+   * Get the handshake hash, unique to the session.
+   * @returns {Buffer}
+   */
+
+  getHandshakeHash() {
+    return this.state.h;
+  }
+
+  /**
+   * Write the next handshake message.
+   * @param {Buffer?} payload
+   * @returns {Buffer}
+   */
+
+  writeHandshake(payload) {
+    const state = this.state;
+
+    if (!payload)
+      payload = EMPTY;
+
+    if (this.initiator) {
+      assert(this.step === 0, 'Unexpected handshake write.');
+      state.mixHash(this.ephemeralPub);
+      const body = state.encryptAndHash(payload);
+      this.step = 1;
+      return Buffer.concat([this.ephemeralPub, body]);
+    }
+
+    assert(this.step === 1, 'Unexpected handshake write.');
+
+    state.mixHash(this.ephemeralPub);
+    state.mixKey(ecdh(this.remoteEphemeral, this.ephemeralKey));
+
+    const pub = state.encryptAndHash(this.staticPub);
+
+    state.mixKey(ecdh(this.remoteEphemeral, this.staticKey));
+
+    const body = state.encryptAndHash(payload);
+
+    this.finish();
+
+    return Buffer.concat([this.ephemeralPub, pub, body]);
+  }
+
+  /**
+   * Read the next handshake message.
+   * @param {Buffer} data
+   * @returns {Buffer} Payload.
+   */
+
+  readHandshake(data) {
+    const state = this.state;
+
+    assert(Buffer.isBuffer(data));
+
+    if (data.length < DHLEN)
+      throw new Error('Handshake message too short.');
+
+    const re = data.slice(0, DHLEN);
+
+    if (!secp256k1.publicKeyVerify(re))
+      throw new Error('Invalid ephemeral key.');
+
+    this.remoteEphemeral = re;
+
+    state.mixHash(re);
+
+    if (!this.initiator) {
+      assert(this.step === 0, 'Unexpected handshake read.');
+      const payload = state.decryptAndHash(data.slice(DHLEN));
+      this.step = 1;
+      return payload;
+    }
+
+    assert(this.step === 1, 'Unexpected handshake read.');
+
+    if (data.length < DHLEN * 2 + TAGLEN * 2)
+      throw new Error('Handshake message too short.');
+
+    state.mixKey(ecdh(re, this.ephemeralKey));
+
+    const end = DHLEN * 2 + TAGLEN;
+    const rs = state.decryptAndHash(data.slice(DHLEN, end));
+
+    if (!secp256k1.publicKeyVerify(rs))
+      throw new Error('Invalid static key.');
+
+    this.remoteStatic = rs;
+
+    state.mixKey(ecdh(rs, this.ephemeralKey));
+
+    const payload = state.decryptAndHash(data.slice(end));
+
+    this.finish();
+
+    return payload;
+  }
+
+  /**
+   * Derive transport keys.
+   * @private
+   */
+
+  finish() {
+    const [c1, c2] = this.state.split();
+
+    if (this.initiator) {
+      this.sender = c1;
+      this.receiver = c2;
+    } else {
+      this.sender = c2;
+      this.receiver = c1;
+    }
+
+    this.step = 2;
+    this.ephemeralKey = null;
+  }
+
+  /**
+   * Encrypt a transport message.
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+
+  encrypt(data) {
+    assert(this.isComplete(), 'Handshake not complete.');
+    return this.sender.encrypt(EMPTY, data);
+  }
+
+  /**
+   * Decrypt a transport message.
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+
+  decrypt(data) {
+    assert(this.isComplete(), 'Handshake not complete.');
+    return this.receiver.decrypt(EMPTY, data);
+  }
+}
+
+/**
+ * Protocol name.
+ * @const {String}
+ */
+
+Noise.PROTOCOL_NAME = PROTOCOL_NAME;
+
+/**
+ * Authentication tag size.
+ * @const {Number}
+ */
+
+Noise.TAGLEN = TAGLEN;
+
+/*
+ * Helpers
+ */
+
+function ecdh(pub, priv) {
+  return secp256k1.ecdh(pub, priv);
+}
+
+function hkdf(ck, ikm) {
+  const temp = digest.hmac('sha256', ikm, ck);
+  const out1 = digest.hmac('sha256', Buffer.from([0x01]), temp);
+  const out2 = digest.hmac('sha256',
+    Buffer.concat([out1, Buffer.from([0x02])]), temp);
+  return [out1, out2];
+}
+
+/*
+ * Expose
+ */
+
+exports = Noise;
+exports.CipherState = CipherState;
+exports.SymmetricState = SymmetricState;
+
+module.exports = exports;
@@ -0,0 +1,1177 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * payout.js - stratum payout engine for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const EventEmitter = require('events');
+const {Lock} = require('wmcc-mutex');
+const LDB = require('../db/ldb');
+const util = require('../utils/util');
+const encoding = require('../utils/encoding');
+const StaticWriter = require('../utils/staticwriter');
+const BufferReader = require('../utils/reader');
+const consensus = require('../protocol/consensus');
+const Address = require('../primitives/address');
+const common = require('../mining/common');
+const layout = require('./layout');
+
+/*
+ * Constants
+ */
+
+const ZERO_HASH = encoding.NULL_HASH;
+const MAX_HASH = 'ff'.repeat(32);
+
+/**
+ * Payout Engine
+ * Credits found block rewards to miners according to the
+ * configured scheme, waits for coinbase maturity and
+ * periodically pays owed balances from a wallet account.
+ * @extends {EventEmitter}
+ */
+
+class PayoutEngine extends EventEmitter {
+  /**
+   * Create a payout engine.
+   * @constructor
+   * @param {StratumOptions} options
+   */
+
+  constructor(options) {
+    super();
+
+    this.options = options;
+    this.node = options.node;
+    this.chain = options.chain;
+    this.network = options.network;
+    this.logger = options.logger.context('payout');
+    this.scheme = PayoutEngine.schemes[options.payoutScheme];
+
+    assert(this.scheme != null, 'Unknown payout scheme.');
+
+    this.db = LDB({
+      location: path.resolve(options.prefix, 'payouts'),
+      db: options.db,
+      maxFiles: 64,
+      cacheSize: 8 << 20,
+      compression: true,
+      bufferKeys: layout.binary
+    });
+
+    this.locker = new Lock();
+    this.pending = new Map();
+    this.timer = null;
+  }
+
+  async open() {
+    await this.db.open();
+    await this.db.checkVersion(layout.V, 1);
+
+    const rounds = await this.db.values({
+      gte: layout.r(0, ZERO_HASH),
+      lte: layout.r(0xffffffff, MAX_HASH),
+      parse: (data) => Round.fromRaw(data)
+    });
+
+    for (const round of rounds) {
+      if (round.status === Round.status.IMMATURE)
+        this.pending.set(round.hash, round);
+    }
+
+    const pending = await this.db.get(layout.P);
+
+    if (pending) {
+      const payout = Payout.fromRaw(pending);
+      if (payout.hash !== ZERO_HASH) {
+        this.logger.info(
+          'Payout of %d to %d users awaits wallet approval (txid=%s).',
+          payout.total, payout.outputs.length, util.revHex(payout.hash));
+      } else {
+        this.logger.warning(
+          'Unresolved payout of %d to %d users (time=%d).'
+          + ' Manual review required.',
+          payout.total, payout.outputs.length, payout.time);
+      }
+    }
+
+    this.logger.info(
+      'Payouts loaded (scheme=%s, immature=%d).',
+      this.options.payoutScheme, this.pending.size);
+
+    this.start();
+  }
+
+  async close() {
+    this.stop();
+    await this.db.close();
+  }
+
+  start() {
+    assert(!this.timer);
+    this.timer = setInterval(async () => {
+      try {
+        await this.payout();
+      } catch (e) {
+        this.emit('error', e);
+      }
+    }, this.options.payoutInterval * 1000);
+  }
+
+  stop() {
+    if (!this.timer)
+      return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Credit a share under the PPS scheme. The share is worth
+   * its fraction of the network difficulty times the
+   * expected pool reward of the job. Whole satoshis are
+   * owed immediately, fractions are carried over.
+   * @param {String} username
+   * @param {Number} difficulty - Share difficulty.
+   * @param {Job} job
+   * @returns {Promise}
+   */
+
+  async addShare(username, difficulty, job) {
+    if (this.scheme !== PayoutEngine.schemes.pps)
+      return;
+
+    if (job.difficulty <= 0)
+      return;
+
+    const unlock = await this.locker.lock();
+    try {
+      return await this._addShare(username, difficulty, job);
+    } finally {
+      unlock();
+    }
+  }
+
+  async _addShare(username, difficulty, job) {
+    const reward = job.attempt.getReward() * (1 - this.options.payoutFee);
+    const carry = await this.getCarry(username);
+    const value = carry + difficulty / job.difficulty * reward;
+    const amount = Math.floor(value);
+
+    const bw = new StaticWriter(8);
+    bw.writeDouble(value - amount);
+
+    const b = this.db.batch();
+    b.put(layout.c(username), bw.render());
+
+    if (amount > 0) {
+      const deltas = new Deltas();
+      deltas.add(username, 'owed', amount);
+      await this.applyDeltas(b, deltas);
+    }
+
+    await b.write();
+  }
+
+  /**
+   * Get the PPS credit carried over for a user.
+   * @private
+   * @param {String} username
+   * @returns {Promise} - Returns Number.
+   */
+
+  async getCarry(username) {
+    const data = await this.db.get(layout.c(username));
+
+    if (!data)
+      return 0;
+
+    return data.readDoubleLE(0, true);
+  }
+
+  /**
+   * Record a round for a block found by the pool.
+   * @param {ChainEntry} entry
+   * @param {Block} block
+   * @param {Object} shares - Share difficulty per username.
+   * @param {Number} total - Total share difficulty.
+   * @returns {Promise}
+   */
+
+  async addRound(entry, block, shares, total) {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._addRound(entry, block, shares, total);
+    } finally {
+      unlock();
+    }
+  }
+
+  async _addRound(entry, block, shares, total) {
+    const round = new Round();
+
+    round.height = entry.height;
+    round.hash = entry.hash;
+    round.time = util.now();
+    // The second coinbase output is the coinreserve
+    // and does not belong to the pool.
+    round.reward = block.txs[0].outputs[0].value;
+    round.scheme = this.scheme;
+    round.status = Round.status.IMMATURE;
+    round.total = total;
+
+    for (const username of Object.keys(shares))
+      round.shares.set(username, shares[username]);
+
+    let weights = null;
+
+    switch (this.scheme) {
+      case PayoutEngine.schemes.prop:
+        weights = round.shares;
+        break;
+      case PayoutEngine.schemes.pplns:
+        weights = await this.getWindow(round, block);
+        break;
+    }
+
+    if (weights)
+      round.credit(weights, this.options.payoutFee);
+
+    const deltas = new Deltas();
+
+    for (const [username, value] of round.credits)
+      deltas.add(username, 'immature', value);
+
+    const b = this.db.batch();
+    b.put(layout.r(round.height, round.hash), round.toRaw());
+    await this.applyDeltas(b, deltas);
+    await b.write();
+
+    this.pending.set(round.hash, round);
+
+    this.logger.info(
+      'Recorded round for block %s (%d) (reward=%d, users=%d).',
+      util.revHex(round.hash), round.height,
+      round.reward, round.credits.size);
+
+    this.emit('round', round);
+
+    return round;
+  }
+
+  /**
+   * Calculate PPLNS weights over the last N difficulty
+   * worth of shares, spanning previous rounds. The oldest
+   * round included is prorated to fit the window.
+   * @private
+   * @param {Round} round
+   * @param {Block} block
+   * @returns {Promise} - Returns {Map}.
+   */
+
+  async getWindow(round, block) {
+    let size = this.options.payoutWindow;
+
+    if (size === 0) {
+      const target = common.getTarget(block.bits);
+      size = 2 * common.getDifficulty(target);
+    }
+
+    const weights = new Map();
+
+    const add = (item) => {
+      if (size <= 0 || item.total <= 0)
+        return;
+
+      const scale = Math.min(1, size / item.total);
+
+      for (const [username, value] of item.shares) {
+        const weight = weights.get(username) || 0;
+        weights.set(username, weight + value * scale);
+      }
+
+      size -= item.total * scale;
+    };
+
+    add(round);
+
+    if (size <= 0)
+      return weights;
+
+    const iter = this.db.iterator({
+      gte: layout.r(0, ZERO_HASH),
+      lte: layout.r(round.height, MAX_HASH),
+      reverse: true,
+      keys: false,
+      values: true
+    });
+
+    for (;;) {
+      const item = await iter.next();
+
+      if (!item)
+        break;
+
+      add(Round.fromRaw(item.value));
+
+      if (size <= 0) {
+        await iter.end();
+        break;
+      }
+    }
+
+    return weights;
+  }
+
+  /**
+   * Handle a connected block. Restores rounds which were
+   * orphaned by a reorg and matures buried rounds.
+   * @param {ChainEntry} entry
+   * @returns {Promise}
+   */
+
+  async handleConnect(entry) {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._handleConnect(entry);
+    } finally {
+      unlock();
+    }
+  }
+
+  async _handleConnect(entry) {
+    const b = this.db.batch();
+    const deltas = new Deltas();
+
+    const round = await this.getRound(entry.height, entry.hash);
+
+    if (round && round.status === Round.status.ORPHANED) {
+      round.status = Round.status.IMMATURE;
+
+      for (const [username, value] of round.credits)
+        deltas.add(username, 'immature', value);
+
+      b.put(layout.r(round.height, round.hash), round.toRaw());
+      this.pending.set(round.hash, round);
+
+      this.logger.info(
+        'Round %s (%d) reconnected.',
+        util.revHex(round.hash), round.height);
+    }
+
+    const height = entry.height + 1 - consensus.COINBASE_MATURITY;
+    const matured = [];
+
+    for (const item of this.pending.values()) {
+      if (item.height > height)
+        continue;
+
+      const main = await this.chain.getEntryByHeight(item.height);
+
+      if (main && main.hash === item.hash) {
+        item.status = Round.status.MATURE;
+        for (const [username, value] of item.credits) {
+          deltas.add(username, 'immature', -value);
+          deltas.add(username, 'owed', value);
+        }
+      } else {
+        item.status = Round.status.ORPHANED;
+        for (const [username, value] of item.credits)
+          deltas.add(username, 'immature', -value);
+      }
+
+      b.put(layout.r(item.height, item.hash), item.toRaw());
+      matured.push(item);
+    }
+
+    await this.applyDeltas(b, deltas);
+    await b.write();
+
+    for (const item of matured) {
+      this.pending.delete(item.hash);
+
+      this.logger.info(
+        'Round %s (%d) is %s.',
+        util.revHex(item.hash), item.height,
+        Round.statusByVal[item.status].toLowerCase());
+
+      if (item.status === Round.status.MATURE)
+        this.emit('mature', item);
+    }
+  }
+
+  /**
+   * Handle a disconnected block. A round for the block
+   * is marked orphaned and its credits reversed.
+   * @param {ChainEntry} entry
+   * @returns {Promise}
+   */
+
+  async handleDisconnect(entry) {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._handleDisconnect(entry);
+    } finally {
+      unlock();
+    }
+  }
+
+  async _handleDisconnect(entry) {
+    const round = await this.getRound(entry.height, entry.hash);
+
+    if (!round || round.status === Round.status.ORPHANED)
+      return;
+
+    // Mature credits may already have been paid out,
+    // in which case the owed balance goes negative and
+    // is settled by future rounds.
+    const field = round.status === Round.status.MATURE
+      ? 'owed'
+      : 'immature';
+
+    const deltas = new Deltas();
+
+    for (const [username, value] of round.credits)
+      deltas.add(username, field, -value);
+
+    round.status = Round.status.ORPHANED;
+
+    const b = this.db.batch();
+    b.put(layout.r(round.height, round.hash), round.toRaw());
+    await this.applyDeltas(b, deltas);
+    await b.write();
+
+    this.pending.delete(round.hash);
+
+    this.logger.warning(
+      'Round %s (%d) was orphaned.',
+      util.revHex(round.hash), round.height);
+
+    this.emit('orphan', round);
+  }
+
+  /**
+   * Apply balance deltas to a batch.
+   * @private
+   * @param {Batch} b
+   * @param {Deltas} deltas
+   * @returns {Promise}
+   */
+
+  async applyDeltas(b, deltas) {
+    for (const [username, delta] of deltas.map) {
+      const balance = await this.getBalance(username);
+
+      balance.immature += delta.immature;
+      balance.owed += delta.owed;
+      balance.paid += delta.paid;
+
+      assert(balance.immature >= 0, 'Negative immature balance.');
+
+      b.put(layout.u(username), balance.toRaw());
+    }
+  }
+
+  /**
+   * Pay out owed balances.
+   * @returns {Promise}
+   */
+
+  async payout() {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._payout();
+    } finally {
+      unlock();
+    }
+  }
+
+  async _payout() {
+    if (!await this.resolve())
+      return;
+
+    const due = [];
+
+    for (const balance of await this.getBalances()) {
+      if (balance.owed <= 0)
+        continue;
+
+      if (balance.owed < this.options.payoutMinimum)
+        continue;
+
+      const addr = PayoutEngine.getAddress(balance.username, this.network);
+
+      if (!addr) {
+        this.logger.debug(
+          'No payout address for user %s.',
+          balance.username);
+        continue;
+      }
+
+      due.push([balance, addr]);
+    }
+
+    if (due.length === 0)
+      return;
+
+    const wallet = await this.getWallet();
+    const max = this.options.payoutMaxOutputs;
+
+    for (let i = 0; i < due.length; i += max) {
+      await this.send(wallet, due.slice(i, i + max));
+
+      // Wait for a parked payout to be
+      // resolved before sending the rest.
+      if (await this.db.has(layout.P))
+        break;
+    }
+  }
+
+  /**
+   * Resolve a payout in progress. A payout which was held
+   * back by the wallet's spend policy is settled once the
+   * transaction is approved, or dropped when rejected.
+   * @private
+   * @returns {Promise} - Returns Boolean (whether new
+   * payouts may be sent).
+   */
+
+  async resolve() {
+    const data = await this.db.get(layout.P);
+
+    if (!data)
+      return true;
+
+    const payout = Payout.fromRaw(data);
+
+    if (payout.hash === ZERO_HASH) {
+      this.logger.warning('Skipping payout: unresolved payout pending.');
+      return false;
+    }
+
+    const wallet = await this.getWallet();
+
+    if (await wallet.getPendingSpend(payout.hash)) {
+      this.logger.debug('Skipping payout: awaiting wallet approval.');
+      return false;
+    }
+
+    const wtx = await wallet.getTX(payout.hash);
+    const b = this.db.batch();
+
+    b.del(layout.P);
+
+    if (!wtx) {
+      await b.write();
+      this.logger.warning(
+        'Payout %s was rejected by the wallet.',
+        util.revHex(payout.hash));
+      return true;
+    }
+
+    // Approved and broadcast, debit the
+    // balances which were left owed.
+    const deltas = new Deltas();
+
+    for (const [username, value] of payout.outputs) {
+      deltas.add(username, 'owed', -value);
+      deltas.add(username, 'paid', value);
+    }
+
+    b.put(layout.p(payout.hash), payout.toRaw());
+    await this.applyDeltas(b, deltas);
+    await b.write();
+
+    this.logger.info(
+      'Paid %d to %d users (txid=%s).',
+      payout.total, payout.outputs.length, wtx.tx.txid());
+
+    this.emit('payout', payout, wtx.tx);
+
+    return true;
+  }
+
+  /**
+   * Get the configured payout wallet.
+   * @private
+   * @returns {Promise} - Returns {@link Wallet}.
+   */
+
+  async getWallet() {
+    const wdb = this.node.get('walletdb');
+
+    if (!wdb)
+      throw new Error('Payouts require the wallet plugin.');
+
+    const wallet = await wdb.get(this.options.payoutWallet);
+
+    if (!wallet)
+      throw new Error('Payout wallet not found.');
+
+    return wallet;
+  }
+
+  /**
+   * Send a batched payout transaction. Balances are debited
+   * before broadcasting so a crash can never pay twice. If
+   * the wallet holds the transaction back for approval, the
+   * balances stay owed until it is broadcast.
+   * @private
+   * @param {Wallet} wallet
+   * @param {Array} due - [[Balance, Address]].
+   * @returns {Promise}
+   */
+
+  async send(wallet, due) {
+    const payout = new Payout();
+
+    payout.time = util.now();
+    payout.height = this.chain.height;
+
+    const outputs = [];
+    const deltas = new Deltas();
+    const revert = new Deltas();
+
+    for (const [balance, addr] of due) {
+      outputs.push({ address: addr, value: balance.owed });
+      payout.outputs.push([balance.username, balance.owed]);
+      payout.total += balance.owed;
+
+      deltas.add(balance.username, 'owed', -balance.owed);
+      deltas.add(balance.username, 'paid', balance.owed);
+      revert.add(balance.username, 'owed', balance.owed);
+      revert.add(balance.username, 'paid', -balance.owed);
+    }
+
+    let b = this.db.batch();
+    b.put(layout.P, payout.toRaw());
+    await this.applyDeltas(b, deltas);
+    await b.write();
+
+    let tx;
+    try {
+      tx = await wallet.send({
+        account: this.options.payoutAccount,
+        outputs: outputs,
+        rate: this.options.payoutRate
+      }, this.options.payoutPassphrase);
+    } catch (e) {
+      b = this.db.batch();
+      b.del(layout.P);
+      await this.applyDeltas(b, revert);
+      await b.write();
+      this.logger.error('Payout failed: %s.', e.message);
+      throw e;
+    }
+
+    payout.hash = tx.hash('hex');
+
+    if (await wallet.getPendingSpend(payout.hash)) {
+      b = this.db.batch();
+      b.put(layout.P, payout.toRaw());
+      await this.applyDeltas(b, revert);
+      await b.write();
+      this.logger.info(
+        'Payout of %d to %d users awaits wallet approval (txid=%s).',
+        payout.total, payout.outputs.length, tx.txid());
+      return payout;
+    }
+
+    b = this.db.batch();
+    b.del(layout.P);
+    b.put(layout.p(payout.hash), payout.toRaw());
+    await b.write();
+
+    this.logger.info(
+      'Paid %d to %d users (txid=%s).',
+      payout.total, payout.outputs.length, tx.txid());
+
+    this.emit('payout', payout, tx);
+
+    return payout;
+  }
+
+  /**
+   * Get a round.
+   * @param {Number} height
+   * @param {Hash} hash
+   * @returns {Promise} - Returns {@link Round}.
+   */
+
+  async getRound(height, hash) {
+    const data = await this.db.get(layout.r(height, hash));
+
+    if (!data)
+      return null;
+
+    return Round.fromRaw(data);
+  }
+
+  /**
+   * Get the most recent rounds.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {@link Round}[].
+   */
+
+  async getRounds(limit) {
+    return this.getRecords(
+      layout.r(0, ZERO_HASH),
+      layout.r(0xffffffff, MAX_HASH),
+      limit, Round);
+  }
+
+  /**
+   * Get the most recent payouts, newest first.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {@link Payout}[].
+   */
+
+  async getPayouts(limit) {
+    const payouts = await this.db.values({
+      gte: layout.p(ZERO_HASH),
+      lte: layout.p(MAX_HASH),
+      parse: (data) => Payout.fromRaw(data)
+    });
+
+    payouts.sort((a, b) => b.time - a.time);
+
+    return payouts.slice(0, limit);
+  }
+
+  /**
+   * Iterate records newest first.
+   * @private
+   * @returns {Promise}
+   */
+
+  async getRecords(gte, lte, limit, Record) {
+    const keys = await this.db.keys({
+      gte: gte,
+      lte: lte,
+      limit: limit,
+      reverse: true
+    });
+
+    const items = [];
+
+    for (const key of keys) {
+      const data = await this.db.get(key);
+      assert(data);
+      items.push(Record.fromRaw(data));
+    }
+
+    return items;
+  }
+
+  /**
+   * Get a user balance.
+   * @param {String} username
+   * @returns {Promise} - Returns {@link Balance}.
+   */
+
+  async getBalance(username) {
+    const data = await this.db.get(layout.u(username));
+
+    if (!data)
+      return new Balance(username);
+
+    return Balance.fromRaw(username, data);
+  }
+
+  /**
+   * Get the payout address of a user. Workers
+   * are named `address.worker`.
+   * @param {String} username
+   * @param {Network} network
+   * @returns {Address|null}
+   */
+
+  static getAddress(username, network) {
+    const [name] = username.split('.');
+
+    try {
+      return Address.fromString(name, network);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get all user balances.
+   * @returns {Promise} - Returns {@link Balance}[].
+   */
+
+  async getBalances() {
+    const items = await this.db.range({
+      gte: layout.u(''),
+      lte: layout.uMax
+    });
+
+    return items.map((item) => {
+      return Balance.fromRaw(layout.uu(item.key), item.value);
+    });
+  }
+}
+
+/**
+ * Payout schemes.
+ * @enum {Number}
+ */
+
+PayoutEngine.schemes = {
+  prop: 0,
+  pplns: 1,
+  pps: 2
+};
+
+/**
+ * Payout schemes by value.
+ * @const {Object}
+ */
+
+PayoutEngine.schemesByVal = [
+  'prop',
+  'pplns',
+  'pps'
+];
+
+/**
+ * Balance Deltas
+ * @ignore
+ */
+
+class Deltas {
+  constructor() {
+    this.map = new Map();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  add(username, field, value) {
+    let delta = this.map.get(username);
+
+    if (!delta) {
+      delta = { immature: 0, owed: 0, paid: 0 };
+      this.map.set(username, delta);
+    }
+
+    delta[field] += value;
+  }
+}
+
+/**
+ * Round
+ * A block found by the pool and its share credits.
+ */
+
+class Round {
+  /**
+   * Create a round.
+   * @constructor
+   */
+
+  constructor() {
+    this.height = -1;
+    this.hash = ZERO_HASH;
+    this.time = 0;
+    this.reward = 0;
+    this.scheme = 0;
+    this.status = Round.status.IMMATURE;
+    this.total = 0;
+    this.shares = new Map();
+    this.credits = new Map();
+  }
+
+  /**
+   * Distribute the reward (minus pool fee) by weight.
+   * Rounding dust stays with the pool.
+   * @param {Map} weights
+   * @param {Number} fee - Fee rate (0-1).
+   */
+
+  credit(weights, fee) {
+    let total = 0;
+
+    for (const weight of weights.values())
+      total += weight;
+
+    if (total <= 0)
+      return;
+
+    const reward = Math.floor(this.reward * (1 - fee));
+
+    for (const [username, weight] of weights) {
+      const value = Math.floor(reward * weight / total);
+      if (value > 0)
+        this.credits.set(username, value);
+    }
+  }
+
+  getSize() {
+    let size = 4 + 32 + 4 + 8 + 1 + 1 + 8;
+
+    size += encoding.sizeVarint(this.shares.size);
+
+    for (const username of this.shares.keys())
+      size += encoding.sizeVarString(username, 'utf8') + 8;
+
+    size += encoding.sizeVarint(this.credits.size);
+
+    for (const username of this.credits.keys())
+      size += encoding.sizeVarString(username, 'utf8') + 8;
+
+    return size;
+  }
+
+  toRaw() {
+    const bw = new StaticWriter(this.getSize());
+
+    bw.writeU32(this.height);
+    bw.writeHash(this.hash);
+    bw.writeU32(this.time);
+    bw.writeU64(this.reward);
+    bw.writeU8(this.scheme);
+    bw.writeU8(this.status);
+    bw.writeDouble(this.total);
+
+    bw.writeVarint(this.shares.size);
+
+    for (const [username, value] of this.shares) {
+      bw.writeVarString(username, 'utf8');
+      bw.writeDouble(value);
+    }
+
+    bw.writeVarint(this.credits.size);
+
+    for (const [username, value] of this.credits) {
+      bw.writeVarString(username, 'utf8');
+      bw.writeU64(value);
+    }
+
+    return bw.render();
+  }
+
+  fromRaw(data) {
+    const br = new BufferReader(data);
+
+    this.height = br.readU32();
+    this.hash = br.readHash('hex');
+    this.time = br.readU32();
+    this.reward = br.readU64();
+    this.scheme = br.readU8();
+    this.status = br.readU8();
+    this.total = br.readDouble();
+
+    let count = br.readVarint();
+
+    for (let i = 0; i < count; i++) {
+      const username = br.readVarString('utf8');
+      this.shares.set(username, br.readDouble());
+    }
+
+    count = br.readVarint();
+
+    for (let i = 0; i < count; i++) {
+      const username = br.readVarString('utf8');
+      this.credits.set(username, br.readU64());
+    }
+
+    return this;
+  }
+
+  static fromRaw(data) {
+    return new this().fromRaw(data);
+  }
+
+  getJSON() {
+    const credits = Object.create(null);
+
+    for (const [username, value] of this.credits)
+      credits[username] = value;
+
+    return {
+      height: this.height,
+      hash: util.revHex(this.hash),
+      time: this.time,
+      reward: this.reward,
+      scheme: PayoutEngine.schemesByVal[this.scheme],
+      status: Round.statusByVal[this.status].toLowerCase(),
+      shares: this.total,
+      users: this.shares.size,
+      credits: credits
+    };
+  }
+}
+
+/**
+ * Round status.
+ * @enum {Number}
+ */
+
+Round.status = {
+  IMMATURE: 0,
+  MATURE: 1,
+  ORPHANED: 2
+};
+
+/**
+ * Round status by value.
+ * @const {Object}
+ */
+
+Round.statusByVal = [
+  'IMMATURE',
+  'MATURE',
+  'ORPHANED'
+];
+
+/**
+ * Balance
+ * Per-user payout balance.
+ */
+
+class Balance {
+  /**
+   * Create a balance.
+   * @constructor
+   * @param {String} username
+   */
+
+  constructor(username) {
+    this.username = username || '';
+    this.immature = 0;
+    this.owed = 0;
+    this.paid = 0;
+  }
+
+  toRaw() {
+    const bw = new StaticWriter(24);
+    bw.writeU64(this.immature);
+    bw.writeI64(this.owed);
+    bw.writeU64(this.paid);
+    return bw.render();
+  }
+
+  fromRaw(data) {
+    const br = new BufferReader(data);
+    this.immature = br.readU64();
+    this.owed = br.readI64();
+    this.paid = br.readU64();
+    return this;
+  }
+
+  static fromRaw(username, data) {
+    return new this(username).fromRaw(data);
+  }
+
+  getJSON() {
+    return {
+      username: this.username,
+      immature: this.immature,
+      owed: this.owed,
+      paid: this.paid
+    };
+  }
+}
+
+/**
+ * Payout
+ * A broadcast payout transaction.
+ */
+
+class Payout {
+  /**
+   * Create a payout.
+   * @constructor
+   */
+
+  constructor() {
+    this.hash = ZERO_HASH;
+    this.time = 0;
+    this.height = -1;
+    this.total = 0;
+    this.outputs = [];
+  }
+
+  getSize() {
+    let size = 32 + 4 + 4 + 8;
+
+    size += encoding.sizeVarint(this.outputs.length);
+
+    for (const [username] of this.outputs)
+      size += encoding.sizeVarString(username, 'utf8') + 8;
+
+    return size;
+  }
+
+  toRaw() {
+    const bw = new StaticWriter(this.getSize());
+
+    bw.writeHash(this.hash);
+    bw.writeU32(this.time);
+    bw.writeU32(this.height);
+    bw.writeU64(this.total);
+    bw.writeVarint(this.outputs.length);
+
+    for (const [username, value] of this.outputs) {
+      bw.writeVarString(username, 'utf8');
+      bw.writeU64(value);
+    }
+
+    return bw.render();
+  }
+
+  fromRaw(data) {
+    const br = new BufferReader(data);
+
+    this.hash = br.readHash('hex');
+    this.time = br.readU32();
+    this.height = br.readU32();
+    this.total = br.readU64();
+
+    const count = br.readVarint();
+
+    for (let i = 0; i < count; i++) {
+      const username = br.readVarString('utf8');
+      this.outputs.push([username, br.readU64()]);
+    }
+
+    return this;
+  }
+
+  static fromRaw(data) {
+    return new this().fromRaw(data);
+  }
+
+  getJSON() {
+    return {
+      txid: util.revHex(this.hash),
+      time: this.time,
+      height: this.height,
+      total: this.total,
+      outputs: this.outputs.map(([username, value]) => {
+        return { username: username, value: value };
+      })
+    };
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports = PayoutEngine;
+exports.Round = Round;
+exports.Balance = Balance;
+exports.Payout = Payout;
+
+module.exports = exports;
@@ -0,0 +1,253 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * proxy.js - haproxy proxy protocol for wmcc_core.
+ */
+
+'use strict';
+
+/**
+ * @module stratum/proxy
+ */
+
+const assert = require('assert');
+const IP = require('wmcc-inet');
+
+/*
+ * Constants
+ */
+
+const V1_PREFIX = Buffer.from('PROXY ', 'ascii');
+const V1_MAX = 107;
+
+const V2_SIGNATURE = Buffer.from([
+  0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d,
+  0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a
+]);
+
+const V2_HEADER = 16;
+const V2_MAX = V2_HEADER + 0xffff;
+
+/**
+ * Proxy header read timeout in milliseconds.
+ * @const {Number}
+ * @default
+ */
+
+exports.TIMEOUT = 5000;
+
+/**
+ * Parse a PROXY protocol (v1 or v2) header.
+ * @param {Buffer} data
+ * @returns {Object|null} - Returns null if more
+ * data is needed. `host` is null when the proxy
+ * did not relay a client address (LOCAL/UNKNOWN).
+ * @throws on malformed header.
+ */
+
+exports.parse = function parse(data) {
+  assert(Buffer.isBuffer(data));
+
+  if (isPrefix(data, V1_PREFIX))
+    return parseV1(data);
+
+  if (isPrefix(data, V2_SIGNATURE))
+    return parseV2(data);
+
+  throw new Error('Invalid proxy header.');
+};
+
+/**
+ * Read a PROXY protocol header from a socket. Data
+ * following the header is pushed back onto the socket.
+ * @param {net.Socket} socket
+ * @param {Number?} timeout
+ * @returns {Promise} - Returns {Object}.
+ */
+
+exports.read = function read(socket, timeout) {
+  if (timeout == null)
+    timeout = exports.TIMEOUT;
+
+  return new Promise((resolve, reject) => {
+    let data = Buffer.alloc(0);
+    let timer = null;
+
+    const cleanup = () => {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+      if (timer != null) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    };
+
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+
+    const onClose = () => {
+      onError(new Error('Socket closed before proxy header.'));
+    };
+
+    const onData = (chunk) => {
+      data = Buffer.concat([data, chunk]);
+
+      let result;
+      try {
+        result = exports.parse(data);
+      } catch (e) {
+        onError(e);
+        return;
+      }
+
+      if (!result)
+        return;
+
+      cleanup();
+
+      socket.pause();
+
+      if (result.size < data.length)
+        socket.unshift(data.slice(result.size));
+
+      resolve(result);
+    };
+
+    timer = setTimeout(() => {
+      timer = null;
+      onError(new Error('Proxy header timed out.'));
+    }, timeout);
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+  });
+};
+
+/*
+ * Helpers
+ */
+
+function isPrefix(data, prefix) {
+  const size = Math.min(data.length, prefix.length);
+  return data.slice(0, size).equals(prefix.slice(0, size));
+}
+
+function parseV1(data) {
+  const end = data.indexOf('\r\n', 0, 'ascii');
+
+  if (end === -1) {
+    if (data.length >= V1_MAX)
+      throw new Error('Proxy header too long.');
+    return null;
+  }
+
+  if (end + 2 > V1_MAX)
+    throw new Error('Proxy header too long.');
+
+  const line = data.toString('ascii', 0, end);
+  const parts = line.split(' ');
+  const result = {
+    version: 1,
+    size: end + 2,
+    host: null,
+    port: 0
+  };
+
+  if (parts[1] === 'UNKNOWN')
+    return result;
+
+  if (parts.length !== 6)
+    throw new Error('Malformed proxy header.');
+
+  const [, proto, src, , sport] = parts;
+
+  if (proto !== 'TCP4' && proto !== 'TCP6')
+    throw new Error('Unknown proxy protocol.');
+
+  const port = parsePort(sport);
+
+  if (!IP.isV4String(src) && !IP.isV6String(src))
+    throw new Error('Malformed proxy address.');
+
+  result.host = IP.normalize(src);
+  result.port = port;
+
+  return result;
+}
+
+function parseV2(data) {
+  if (data.length < V2_HEADER)
+    return null;
+
+  const cmd = data[12];
+  const family = data[13];
+  const len = data.readUInt16BE(14, true);
+  const size = V2_HEADER + len;
+
+  assert(size <= V2_MAX);
+
+  if ((cmd >>> 4) !== 2)
+    throw new Error('Unknown proxy version.');
+
+  if (data.length < size)
+    return null;
+
+  const result = {
+    version: 2,
+    size: size,
+    host: null,
+    port: 0
+  };
+
+  // LOCAL: health checks from the proxy itself.
+  if ((cmd & 0x0f) === 0x00)
+    return result;
+
+  if ((cmd & 0x0f) !== 0x01)
+    throw new Error('Unknown proxy command.');
+
+  switch (family) {
+    case 0x11: {
+      // TCP over IPv4.
+      if (len < 12)
+        throw new Error('Malformed proxy header.');
+      result.host = IP.toString(data.slice(16, 20));
+      result.port = data.readUInt16BE(24, true);
+      break;
+    }
+    case 0x21: {
+      // TCP over IPv6.
+      if (len < 36)
+        throw new Error('Malformed proxy header.');
+      result.host = IP.toString(data.slice(16, 32));
+      result.port = data.readUInt16BE(48, true);
+      break;
+    }
+    default: {
+      // UNSPEC, UDP and unix sockets
+      // carry no usable client address.
+      break;
+    }
+  }
+
+  return result;
+}
+
+function parsePort(str) {
+  if (!/^\d{1,5}$/.test(str))
+    throw new Error('Malformed proxy port.');
+
+  const port = parseInt(str, 10);
+
+  if (port > 0xffff)
+    throw new Error('Malformed proxy port.');
+
+  return port;
+}
@@ -0,0 +1,332 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * stats.js - stratum pool statistics for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const util = require('../utils/util');
+
+/*
+ * Constants
+ */
+
+const HASHES_PER_SHARE = Math.pow(2, 32);
+
+/**
+ * Pool Stats
+ * Tracks share counts and estimates hashrate from
+ * the difficulty of accepted shares over a window.
+ */
+
+class PoolStats {
+  /**
+   * Create pool stats.
+   * @constructor
+   * @param {Number?} window - Hashrate window in seconds.
+   */
+
+  constructor(window) {
+    this.window = window || PoolStats.WINDOW;
+    this.pool = new WorkerStats('');
+    this.workers = new Map();
+    this.start = util.now();
+    this.timer = null;
+
+    assert(util.isU32(this.window) && this.window > 0);
+  }
+
+  /**
+   * Start pruning on an interval.
+   */
+
+  open() {
+    assert(!this.timer);
+    this.timer = setInterval(() => {
+      this.prune(util.now());
+    }, PoolStats.PRUNE_INTERVAL * 1000);
+  }
+
+  /**
+   * Stop pruning.
+   */
+
+  close() {
+    if (!this.timer)
+      return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get or create a worker.
+   * @private
+   * @param {String} username
+   * @returns {WorkerStats}
+   */
+
+  ensure(username) {
+    let worker = this.workers.get(username);
+
+    if (!worker) {
+      worker = new WorkerStats(username);
+      this.workers.set(username, worker);
+    }
+
+    return worker;
+  }
+
+  /**
+   * Record an accepted share.
+   * @param {String} username
+   * @param {Number} difficulty
+   * @param {Boolean} stale - Share was for an outdated job.
+   */
+
+  addShare(username, difficulty, stale) {
+    const now = util.now();
+
+    this.pool.addShare(now, difficulty, stale);
+    this.ensure(username).addShare(now, difficulty, stale);
+  }
+
+  /**
+   * Record a rejected share.
+   * @param {String} username
+   * @param {Boolean} stale - Share was for an unknown job.
+   */
+
+  addReject(username, stale) {
+    const now = util.now();
+
+    this.pool.addReject(now, stale);
+
+    if (username)
+      this.ensure(username).addReject(now, stale);
+  }
+
+  /**
+   * Drop samples which fell out of the window
+   * and forget workers left without any.
+   * @private
+   * @param {Number} now
+   */
+
+  prune(now) {
+    const time = now - this.window;
+
+    this.pool.prune(time);
+
+    for (const [username, worker] of this.workers) {
+      worker.prune(time);
+
+      if (worker.isIdle(time))
+        this.workers.delete(username);
+    }
+  }
+
+  /**
+   * Get the window length used for a hashrate estimate,
+   * shorter right after startup.
+   * @private
+   * @param {Number} now
+   * @returns {Number}
+   */
+
+  getSpan(now) {
+    return Math.max(1, Math.min(this.window, now - this.start));
+  }
+
+  /**
+   * Get the estimated pool hashrate.
+   * @returns {Number} Hashes per second.
+   */
+
+  getHashrate() {
+    const now = util.now();
+    this.pool.prune(now - this.window);
+    return this.pool.getHashrate(this.getSpan(now));
+  }
+
+  /**
+   * Get a worker.
+   * @param {String} username
+   * @returns {WorkerStats|null}
+   */
+
+  getWorker(username) {
+    return this.workers.get(username) || null;
+  }
+
+  /**
+   * Get all workers.
+   * @returns {WorkerStats[]}
+   */
+
+  getWorkers() {
+    return Array.from(this.workers.values());
+  }
+
+  /**
+   * Get workers with accepted shares inside the window.
+   * @returns {WorkerStats[]}
+   */
+
+  getActive() {
+    this.prune(util.now());
+
+    const workers = [];
+
+    for (const worker of this.workers.values()) {
+      if (worker.difficulty > 0)
+        workers.push(worker);
+    }
+
+    return workers;
+  }
+
+  /**
+   * Convert a worker to a JSON-friendly object.
+   * @param {WorkerStats} worker
+   * @returns {Object}
+   */
+
+  getWorkerJSON(worker) {
+    const now = util.now();
+    worker.prune(now - this.window);
+    return worker.getJSON(this.getSpan(now));
+  }
+
+  /**
+   * Convert the pool stats to a JSON-friendly object.
+   * @returns {Object}
+   */
+
+  getJSON() {
+    const now = util.now();
+
+    this.pool.prune(now - this.window);
+
+    const json = this.pool.getJSON(this.getSpan(now));
+
+    delete json.username;
+
+    json.window = this.window;
+    json.workers = this.workers.size;
+
+    return json;
+  }
+}
+
+/**
+ * Default hashrate window (10 minutes).
+ * @const {Number}
+ * @default
+ */
+
+PoolStats.WINDOW = 10 * 60;
+
+/**
+ * Interval between prunes (1 minute).
+ * @const {Number}
+ * @default
+ */
+
+PoolStats.PRUNE_INTERVAL = 60;
+
+/**
+ * Worker Stats
+ * Share counters for a single stratum user.
+ */
+
+class WorkerStats {
+  /**
+   * Create worker stats.
+   * @constructor
+   * @param {String} username
+   */
+
+  constructor(username) {
+    this.username = username;
+    this.accepted = 0;
+    this.rejected = 0;
+    this.stale = 0;
+    this.shares = 0;
+    this.lastShare = 0;
+    this.lastSeen = 0;
+    this.samples = [];
+    this.difficulty = 0;
+  }
+
+  addShare(now, difficulty, stale) {
+    this.accepted += 1;
+    this.shares += difficulty;
+    this.lastShare = now;
+    this.lastSeen = now;
+
+    if (stale)
+      this.stale += 1;
+
+    this.samples.push([now, difficulty]);
+    this.difficulty += difficulty;
+  }
+
+  addReject(now, stale) {
+    this.rejected += 1;
+    this.lastSeen = now;
+
+    if (stale)
+      this.stale += 1;
+  }
+
+  prune(time) {
+    let i = 0;
+
+    for (; i < this.samples.length; i++) {
+      const [ts, difficulty] = this.samples[i];
+
+      if (ts >= time)
+        break;
+
+      this.difficulty -= difficulty;
+    }
+
+    if (i > 0)
+      this.samples.splice(0, i);
+  }
+
+  isIdle(time) {
+    return this.samples.length === 0 && this.lastSeen < time;
+  }
+
+  getHashrate(span) {
+    return Math.floor(this.difficulty * HASHES_PER_SHARE / span);
+  }
+
+  getJSON(span) {
+    return {
+      username: this.username,
+      hashrate: this.getHashrate(span),
+      accepted: this.accepted,
+      rejected: this.rejected,
+      stale: this.stale,
+      shares: this.shares,
+      lastShare: this.lastShare
+    };
+  }
+}
+
+/*
+ * Expose
+ */
+
+exports = PoolStats;
+exports.WorkerStats = WorkerStats;
+
+module.exports = exports;
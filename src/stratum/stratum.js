@@ -14,6 +14,7 @@
 const assert = require('assert');
 const path = require('path');
 const os = require('os');
+const tls = require('tls');
 const {StringDecoder} = require('string_decoder');
 const EventEmitter = require('events');
 const {format} = require('util');
@@ -27,17 +28,41 @@ const fs = require('wmcc-file');
 //const ccmp = require('bcrypto/lib/ccmp');
 const hash256 = require('../crypto/sha256').hash256;
 const ccmp = require('../crypto/ccmp');
+const pbkdf2 = require('../crypto/pbkdf2');
+const random = require('../crypto/random');
+const secp256k1 = require('../crypto/secp256k1');
+const BN = require('../crypto/bn');
 const util = require('../utils/util');
 const consensus = require('../protocol/consensus');
+const policy = require('../protocol/policy');
 const List = require('../utils/list');
+const StaticWriter = require('../utils/staticwriter');
+const BufferReader = require('../utils/reader');
+const LDB = require('../db/ldb');
 const Network = require('../protocol/network');
 const common = require('../mining/common');
+const BlockTemplate = require('../mining/template');
+const PayoutEngine = require('./payout');
+const layout = require('./layout');
+const PoolStats = require('./stats');
+const StratumHTTP = require('./http');
+const proxy = require('./proxy');
+const Noise = require('./noise');
+const v2 = require('./v2');
 
 /*
  * Constants
  */
 
 const NONCE_SIZE = 4;
+const DIFF1 = new BN('ffff', 16).ushln(208);
+
+const BINARY_ERRORS = {
+  'high-hash': 'difficulty-too-low',
+  'duplicate': 'duplicate-share',
+  'time too old': 'invalid-timestamp',
+  'time too new': 'invalid-timestamp'
+};
 
 /**
  * Stratum Server
@@ -63,8 +88,23 @@ class Stratum extends EventEmitter {
     this.difficulty = this.options.difficulty;
 
     this.server = tcp.createServer();
-    this.sharedb = new ShareDB(this.options);
-    this.userdb = new UserDB(this.options);
+    this.v2server = null;
+    this.context = null;
+    this.key = null;
+    this.db = LDB({
+      location: path.resolve(this.options.prefix, 'state'),
+      db: this.options.db,
+      maxFiles: 64,
+      cacheSize: 8 << 20,
+      compression: true,
+      bufferKeys: layout.binary
+    });
+
+    this.sharedb = new ShareDB(this.options, this.db);
+    this.userdb = new UserDB(this.options, this.db);
+    this.payouts = null;
+    this.stats = new PoolStats();
+    this.http = new StratumHTTP(this);
     this.locker = new Lock();
     this.jobMap = new Map();
     this.banned = new Map();
@@ -76,12 +116,18 @@ class Stratum extends EventEmitter {
     this.uid = 0;
     this.suid = 0;
 
+    if (this.options.payout)
+      this.payouts = new PayoutEngine(this.options);
+
+    if (this.options.v2)
+      this.v2server = tcp.createServer();
+
     this._init();
   }
 
   static init(node) {
     const config = node.config;
-    return new Stratum({
+    const stratum = new Stratum({
       node: node,
       prefix: config.prefix,
       logger: node.logger,
@@ -93,8 +139,41 @@ class Stratum extends EventEmitter {
       difficulty: config.uint('stratum-difficulty'),
       dynamic: config.bool('stratum-dynamic'),
       password: config.str('stratum-password'),
-      notify: config.uint('stratum-notify-interval')
+      notify: config.uint('stratum-notify-interval'),
+      ssl: config.bool('stratum-ssl'),
+      keyFile: config.path('stratum-ssl-key'),
+      certFile: config.path('stratum-ssl-cert'),
+      proxy: config.bool('stratum-proxy'),
+      proxyTrusted: config.array('stratum-proxy-trusted'),
+      v2: config.bool('stratum-v2'),
+      v2Host: config.str('stratum-v2-host'),
+      v2Port: config.uint('stratum-v2-port'),
+      v2Key: config.str('stratum-v2-key'),
+      split: config.bool('stratum-split'),
+      splitFee: config.ufloat('stratum-split-fee'),
+      splitMax: config.uint('stratum-split-max'),
+      splitMinimum: config.ufixed('stratum-split-minimum', 8),
+      coinbaseData: config.str('stratum-coinbase-data'),
+      reservedWeight: config.uint('stratum-reserved-weight'),
+      reservedSigops: config.uint('stratum-reserved-sigops'),
+      db: config.str(['stratum-db', 'db']),
+      payout: config.bool('stratum-payout'),
+      payoutScheme: config.str('stratum-payout-scheme'),
+      payoutWindow: config.ufloat('stratum-payout-window'),
+      payoutFee: config.ufloat('stratum-payout-fee'),
+      payoutInterval: config.uint('stratum-payout-interval'),
+      payoutMinimum: config.ufixed('stratum-payout-minimum', 8),
+      payoutWallet: config.str('stratum-payout-wallet'),
+      payoutAccount: config.str('stratum-payout-account'),
+      payoutPassphrase: config.str('stratum-payout-passphrase'),
+      payoutMaxOutputs: config.uint('stratum-payout-max-outputs'),
+      payoutRate: config.ufixed('stratum-payout-rate', 8)
     });
+
+    if (node.http)
+      stratum.http.attach(node.http);
+
+    return stratum;
   }
 
   sid() {
@@ -114,17 +193,49 @@ class Stratum extends EventEmitter {
 
   _init() {
     this.server.on('connection', (socket) => {
-      this.handleSocket(socket);
+      this.handleSocket(socket, false);
     });
 
-    this.node.on('connect', async () => {
+    if (this.v2server) {
+      this.v2server.on('connection', (socket) => {
+        this.handleSocket(socket, true);
+      });
+    }
+
+    this.node.on('connect', async (entry) => {
       try {
         await this.handleBlock();
       } catch (e) {
         this.emit('error', e);
       }
+
+      if (!this.payouts)
+        return;
+
+      try {
+        await this.payouts.handleConnect(entry);
+      } catch (e) {
+        this.emit('error', e);
+      }
+    });
+
+    this.node.on('disconnect', async (entry) => {
+      if (!this.payouts)
+        return;
+
+      try {
+        await this.payouts.handleDisconnect(entry);
+      } catch (e) {
+        this.emit('error', e);
+      }
     });
 
+    if (this.payouts) {
+      this.payouts.on('error', (err) => {
+        this.emit('error', err);
+      });
+    }
+
     this.node.on('tx', async () => {
       try {
         await this.handleTX();
@@ -132,6 +243,14 @@ class Stratum extends EventEmitter {
         this.emit('error', e);
       }
     });
+
+    this.node.miner.on('refresh', async () => {
+      try {
+        await this.handleRefresh();
+      } catch (e) {
+        this.emit('error', e);
+      }
+    });
   }
 
   async handleBlock() {
@@ -182,14 +301,59 @@ class Stratum extends EventEmitter {
     }
   }
 
-  async handleSocket(socket) {
+  async handleRefresh() {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._handleRefresh();
+    } finally {
+      unlock();
+    }
+  }
+
+  async _handleRefresh() {
+    if (!this.subscribed)
+      return;
+
+    // Fee-driven refresh on the same tip:
+    // work on the old job is still valid.
+    this.current = null;
+    this.lastActive = util.now();
+
+    await this.notifyAll(false);
+  }
+
+  async handleSocket(socket, binary) {
     if (!socket.remoteAddress) {
       this.logger.debug('Ignoring disconnected client.');
       socket.destroy();
       return;
     }
 
-    const host = IP.normalize(socket.remoteAddress);
+    let host = IP.normalize(socket.remoteAddress);
+    let port = socket.remotePort;
+
+    if (this.options.proxy) {
+      if (!this.isTrusted(host)) {
+        this.logger.debug('Ignoring untrusted proxy (%s).', host);
+        socket.destroy();
+        return;
+      }
+
+      let addr;
+      try {
+        addr = await proxy.read(socket);
+      } catch (e) {
+        this.logger.debug('Bad proxy header: %s (%s).', e.message, host);
+        socket.destroy();
+        return;
+      }
+
+      // LOCAL and UNKNOWN headers are health checks.
+      if (addr.host) {
+        host = addr.host;
+        port = addr.port;
+      }
+    }
 
     if (this.inbound.size >= this.options.maxInbound) {
       this.logger.debug('Ignoring client: too many inbound (%s).', host);
@@ -206,11 +370,53 @@ class Stratum extends EventEmitter {
     socket.setKeepAlive(true);
     socket.setNoDelay(true);
 
-    this.addClient(socket);
+    if (this.context && !binary) {
+      try {
+        socket = await this.secure(socket);
+      } catch (e) {
+        this.logger.debug('TLS handshake failed: %s (%s).', e.message, host);
+        socket.destroy();
+        return;
+      }
+    }
+
+    this.addClient(socket, host, port, binary);
+
+    socket.resume();
+  }
+
+  isTrusted(host) {
+    return this.options.proxyTrusted.indexOf(host) !== -1;
+  }
+
+  secure(socket) {
+    return new Promise((resolve, reject) => {
+      const tlsSocket = new tls.TLSSocket(socket, {
+        isServer: true,
+        secureContext: this.context
+      });
+
+      const timer = setTimeout(() => {
+        reject(new Error('Timed out.'));
+      }, Stratum.HANDSHAKE_TIMEOUT * 1000);
+
+      tlsSocket.once('secure', () => {
+        clearTimeout(timer);
+        tlsSocket.removeListener('error', reject);
+        resolve(tlsSocket);
+      });
+
+      tlsSocket.once('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
   }
 
-  addClient(socket) {
-    const conn = new Connection(this, socket);
+  addClient(socket, host, port, binary) {
+    const conn = binary
+      ? new BinaryConnection(this, socket, host, port)
+      : new Connection(this, socket, host, port);
 
     conn.on('error', (err) => {
       this.emit('error', err);
@@ -229,18 +435,109 @@ class Stratum extends EventEmitter {
 
   handleBan(conn) {
     this.logger.warning('Banning client (%s).', conn.id());
-    this.banned.set(conn.host, util.now());
+
+    this.addBan(conn.host).catch((err) => {
+      this.emit('error', err);
+    });
+
     conn.destroy();
   }
 
+  /**
+   * Ban a host and persist the ban record.
+   * @param {String} host
+   * @param {Number?} duration - Seconds.
+   * @returns {Promise}
+   */
+
+  async addBan(host, duration) {
+    if (duration == null)
+      duration = Stratum.BAN_TIME;
+
+    const ban = new Ban(host, util.now(), duration);
+
+    this.banned.set(host, ban);
+
+    await this.db.put(layout.b(host), ban.toRaw());
+
+    return ban;
+  }
+
+  /**
+   * Lift a ban.
+   * @param {String} host
+   * @returns {Promise} - Returns Boolean.
+   */
+
+  async removeBan(host) {
+    if (!this.banned.has(host))
+      return false;
+
+    this.banned.delete(host);
+
+    await this.db.del(layout.b(host));
+
+    return true;
+  }
+
+  /**
+   * Load unexpired bans from the database.
+   * @private
+   * @returns {Promise}
+   */
+
+  async loadBans() {
+    const now = util.now();
+    const items = await this.db.range({
+      gte: layout.b(''),
+      lte: layout.bMax
+    });
+
+    const b = this.db.batch();
+
+    for (const {key, value} of items) {
+      const ban = Ban.fromRaw(layout.uu(key), value);
+
+      if (ban.isExpired(now)) {
+        b.del(key);
+        continue;
+      }
+
+      this.banned.set(ban.host, ban);
+    }
+
+    await b.write();
+
+    this.logger.info('Loaded %d bans.', this.banned.size);
+  }
+
+  /**
+   * Get active bans.
+   * @returns {Ban[]}
+   */
+
+  getBans() {
+    const now = util.now();
+    const bans = [];
+
+    for (const ban of this.banned.values()) {
+      if (!ban.isExpired(now))
+        bans.push(ban);
+    }
+
+    return bans;
+  }
+
   isBanned(host) {
-    const time = this.banned.get(host);
+    const ban = this.banned.get(host);
 
-    if (time == null)
+    if (!ban)
       return false;
 
-    if (util.now() - time > Stratum.BAN_TIME) {
-      this.banned.delete(host);
+    if (ban.isExpired(util.now())) {
+      this.removeBan(host).catch((err) => {
+        this.emit('error', err);
+      });
       return false;
     }
 
@@ -253,25 +550,96 @@ class Stratum extends EventEmitter {
     await this.server.listen(this.options.port, this.options.host);
 
     this.logger.info('Server listening on %d.', this.options.port);
+
+    if (!this.v2server)
+      return;
+
+    this.v2server.maxConnections = this.options.maxInbound;
+
+    await this.v2server.listen(this.options.v2Port, this.options.v2Host);
+
+    this.logger.info('Binary server listening on %d.', this.options.v2Port);
+  }
+
+  /**
+   * Load the static noise key for the binary endpoint,
+   * generating and persisting one on first run.
+   * @returns {Promise} - Returns {Buffer}.
+   */
+
+  async loadKey() {
+    if (this.options.v2Key)
+      return this.options.v2Key;
+
+    const file = path.resolve(this.options.prefix, 'noise.key');
+
+    let data = null;
+    try {
+      data = await fs.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT')
+        throw e;
+    }
+
+    if (data) {
+      const key = Buffer.from(data.trim(), 'hex');
+
+      if (!secp256k1.privateKeyVerify(key))
+        throw new Error(`Invalid noise key: ${file}.`);
+
+      return key;
+    }
+
+    const key = secp256k1.generatePrivateKey();
+
+    await fs.mkdirp(this.options.prefix);
+    await fs.writeFile(file, key.toString('hex') + '\n', { mode: 0o600 });
+
+    this.logger.info('Generated noise key: %s.', file);
+
+    return key;
   }
 
   async open() {
     if (this.node.miner.addresses.length === 0)
       throw new Error('No addresses available for coinbase.');
 
+    if (this.options.ssl) {
+      const [key, cert] = await Promise.all([
+        fs.readFile(this.options.keyFile),
+        fs.readFile(this.options.certFile)
+      ]);
+      this.context = tls.createSecureContext({ key, cert });
+    }
+
+    if (this.options.v2) {
+      this.key = await this.loadKey();
+      this.logger.info('Noise public key: %s.',
+        this.getPublicKey().toString('hex'));
+    }
+
+    await this.db.open();
+    await this.db.checkVersion(layout.V, 1);
+    await this.loadBans();
     await this.userdb.open();
     await this.sharedb.open();
+
+    if (this.payouts)
+      await this.payouts.open();
+
     await this.listen();
 
     if (this.options.password) {
       if (!this.userdb.get('admin')) {
-        this.userdb.add({
+        await this.userdb.add({
           username: 'admin',
           hash: this.options.password
         });
       }
     }
 
+    this.stats.open();
+
     this.lastActive = util.now();
     this.createJob();
   }
@@ -279,14 +647,23 @@ class Stratum extends EventEmitter {
   async close() {
     let conn, next;
 
+    this.stats.close();
+
     for (conn = this.inbound.head; conn; conn = next) {
       next = conn.next;
       conn.destroy();
     }
 
     await this.server.close();
-    await this.userdb.close();
+
+    if (this.v2server)
+      await this.v2server.close();
+
     await this.sharedb.close();
+    await this.db.close();
+
+    if (this.payouts)
+      await this.payouts.close();
   }
 
   notify(conn, msg, sid) {
@@ -324,7 +701,36 @@ class Stratum extends EventEmitter {
     if (this.node.miner.addresses.length === 0)
       throw new Error('No addresses available for coinbase.');
 
-    return this.node.miner.createBlock();
+    const options = this.getTemplateOptions();
+
+    return this.node.miner.createBlock(null, null, options);
+  }
+
+  /**
+   * Template options for stratum jobs: an optional
+   * OP_RETURN commitment and reserved weight/sigops.
+   * @returns {Object|null}
+   */
+
+  getTemplateOptions() {
+    const options = this.options;
+
+    if (!options.coinbaseData
+        && options.reservedWeight == null
+        && options.reservedSigops == null) {
+      return null;
+    }
+
+    const outputs = [];
+
+    if (options.coinbaseData)
+      outputs.push({ data: options.coinbaseData, value: 0 });
+
+    return {
+      outputs: outputs,
+      reservedWeight: options.reservedWeight,
+      reservedSigops: options.reservedSigops
+    };
   }
 
   addJob(job) {
@@ -367,6 +773,10 @@ class Stratum extends EventEmitter {
   async getJob() {
     if (!this.current) {
       const attempt = await this.createBlock();
+
+      if (this.options.split)
+        attempt.setPayouts(this.getSplit(attempt), false);
+
       const job = Job.fromTemplate(this.jid(), attempt);
 
       this.addJob(job);
@@ -374,31 +784,96 @@ class Stratum extends EventEmitter {
       this.logger.debug(
         'New job (id=%s, prev=%s).',
         job.id, util.revHex(job.attempt.prevBlock));
+
+      this.emit('job', job);
     }
 
     return this.current;
   }
 
+  /**
+   * Compute coinbase payouts for split mode. The top
+   * contributors by recent share difficulty are paid
+   * directly; the pool fee, rounding dust and outputs
+   * below the minimum stay with the reward address.
+   * @param {BlockTemplate} attempt
+   * @returns {Object[]} - [{address, value}].
+   */
+
+  getSplit(attempt) {
+    const totals = new Map();
+
+    for (const worker of this.stats.getActive()) {
+      const addr = PayoutEngine.getAddress(worker.username, this.network);
+
+      if (!addr)
+        continue;
+
+      const key = addr.toString(this.network);
+      let item = totals.get(key);
+
+      if (!item) {
+        item = { address: addr, weight: 0 };
+        totals.set(key, item);
+      }
+
+      item.weight += worker.difficulty;
+    }
+
+    const items = Array.from(totals.values());
+
+    items.sort((a, b) => b.weight - a.weight);
+    items.length = Math.min(items.length, this.options.splitMax);
+
+    let total = 0;
+
+    for (const item of items)
+      total += item.weight;
+
+    if (total === 0)
+      return [];
+
+    // Custom coinbase outputs are paid first.
+    const reward = attempt.getReward() - attempt.getPayoutValue();
+    const value = Math.floor(reward * (1 - this.options.splitFee));
+    const payouts = [];
+
+    for (const item of items) {
+      const amount = Math.floor(value * item.weight / total);
+
+      if (amount < this.options.splitMinimum)
+        continue;
+
+      payouts.push({ address: item.address, value: amount });
+    }
+
+    return payouts;
+  }
+
   async tryCommit(entry, block) {
     try {
-      await this.sharedb.commit(entry, block);
+      const data = await this.sharedb.commit(entry, block);
+
+      if (this.payouts)
+        await this.payouts.addRound(entry, block, data.shares, data.total);
     } catch (e) {
       this.emit('error', e);
     }
   }
 
-  auth(username, password) {
+  async auth(username, password) {
     const user = this.userdb.get(username);
 
     if (!user)
       return false;
 
-    const passwd = Buffer.from(password, 'utf8');
-    const hash = hash256(passwd);
-
-    if (!ccmp(hash, user.password))
+    if (!await user.verify(password))
       return false;
 
+    // Rehash legacy unsalted passwords.
+    if (!user.salt)
+      await this.userdb.setPassword(username, password);
+
     return true;
   }
 
@@ -415,6 +890,148 @@ class Stratum extends EventEmitter {
     return true;
   }
 
+  /**
+   * Get pool statistics.
+   * @returns {Object}
+   */
+
+  getInfo() {
+    let connections = 0;
+    let subscribed = 0;
+
+    for (let conn = this.inbound.head; conn; conn = conn.next) {
+      connections += 1;
+      if (conn.sid !== -1)
+        subscribed += 1;
+    }
+
+    const info = this.stats.getJSON();
+
+    info.connections = connections;
+    info.subscribed = subscribed;
+    info.difficulty = this.difficulty;
+    info.job = this.current ? this.current.getJSON() : null;
+    info.noiseKey = this.key ? this.getPublicKey().toString('hex') : null;
+
+    return info;
+  }
+
+  /**
+   * Get the static noise public key.
+   * @returns {Buffer}
+   */
+
+  getPublicKey() {
+    assert(this.key, 'Binary endpoint is not enabled.');
+    return secp256k1.publicKeyCreate(this.key, true);
+  }
+
+  /**
+   * Get statistics for users seen by the pool,
+   * including their live connections.
+   * @returns {Object[]}
+   */
+
+  getWorkers() {
+    const conns = new Map();
+
+    for (let conn = this.inbound.head; conn; conn = conn.next) {
+      for (const username of conn.users) {
+        if (!conns.has(username))
+          conns.set(username, []);
+        conns.get(username).push(conn);
+      }
+    }
+
+    const workers = [];
+    const seen = new Set();
+
+    for (const worker of this.stats.getWorkers()) {
+      workers.push(this.getWorkerJSON(worker.username, worker, conns));
+      seen.add(worker.username);
+    }
+
+    for (const username of conns.keys()) {
+      if (!seen.has(username))
+        workers.push(this.getWorkerJSON(username, null, conns));
+    }
+
+    return workers;
+  }
+
+  /**
+   * Get statistics for a single user.
+   * @param {String} username
+   * @returns {Object|null}
+   */
+
+  getWorker(username) {
+    for (const worker of this.getWorkers()) {
+      if (worker.username === username)
+        return worker;
+    }
+    return null;
+  }
+
+  getWorkerJSON(username, worker, conns) {
+    let json;
+
+    if (worker) {
+      json = this.stats.getWorkerJSON(worker);
+    } else {
+      json = {
+        username: username,
+        hashrate: 0,
+        accepted: 0,
+        rejected: 0,
+        stale: 0,
+        shares: 0,
+        lastShare: 0
+      };
+    }
+
+    json.connections = (conns.get(username) || []).map((conn) => {
+      return {
+        id: conn.id(),
+        agent: conn.agent,
+        difficulty: conn.difficulty
+      };
+    });
+
+    return json;
+  }
+
+  /**
+   * Get blocks found by the pool, newest first. A block is
+   * pending until its coinbase matures, and orphaned once
+   * it leaves the main chain.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {Object[]}.
+   */
+
+  async getBlocks(limit) {
+    const blocks = await this.sharedb.getBlocks(limit);
+    const tip = this.chain.height;
+
+    for (const block of blocks) {
+      const entry = await this.chain.getEntryByHeight(block.height);
+      const hash = entry ? entry.rhash() : null;
+
+      if (hash !== block.hash)
+        block.status = 'orphaned';
+      else if (tip - block.height + 1 >= consensus.COINBASE_MATURITY)
+        block.status = 'confirmed';
+      else
+        block.status = 'pending';
+
+      block.confirmations = block.status === 'orphaned'
+        ? 0
+        : tip - block.height + 1;
+    }
+
+    return blocks;
+  }
+
   async addBlock(conn, block) {
     // Broadcast immediately.
     this.node.broadcast(block);
@@ -443,6 +1060,8 @@ class Stratum extends EventEmitter {
 
     this.tryCommit(entry, block);
 
+    this.emit('block', entry, block);
+
     this.logger.info('Client found block %s (%d) (%s).',
       entry.rhash(),
       entry.height,
@@ -476,6 +1095,14 @@ class Stratum extends EventEmitter {
         return this.handleAuthAdmin(conn, msg);
       case 'mining.add_user':
         return this.handleAddUser(conn, msg);
+      case 'mining.remove_user':
+        return this.handleRemoveUser(conn, msg);
+      case 'mining.set_password':
+        return this.handleSetPassword(conn, msg);
+      case 'mining.list_bans':
+        return this.handleListBans(conn, msg);
+      case 'mining.unban':
+        return this.handleUnban(conn, msg);
       default:
         return this.handleUnknown(conn, msg);
     }
@@ -495,7 +1122,7 @@ class Stratum extends EventEmitter {
       return;
     }
 
-    if (!this.auth(user, pass)) {
+    if (!await this.auth(user, pass)) {
       this.logger.debug(
         'Client failed auth for user %s (%s).',
         user, conn.id());
@@ -567,8 +1194,6 @@ class Stratum extends EventEmitter {
   }
 
   async handleSubmit(conn, msg) {
-    const now = this.network.now();
-
     let subm;
     try {
       subm = Submission.fromPacket(msg);
@@ -594,11 +1219,34 @@ class Stratum extends EventEmitter {
     const job = this.jobMap.get(subm.job);
 
     if (!job || job.committed) {
+      this.stats.addReject(subm.username, true);
       conn.sendError(msg, 21, 'job not found');
       return;
     }
 
-    if (job !== this.current) {
+    const error = await this.processShare(conn, subm.username, job, subm);
+
+    if (error)
+      conn.sendError(msg, error.code, error.reason);
+    else
+      conn.sendResponse(msg, true);
+  }
+
+  /**
+   * Validate and credit a share. Shared by the json
+   * and binary protocols.
+   * @param {Connection} conn
+   * @param {String} username
+   * @param {Job} job
+   * @param {Submission} subm
+   * @returns {Promise} - Returns {@link StratumError} or null.
+   */
+
+  async processShare(conn, username, job, subm) {
+    const now = this.network.now();
+    const stale = job !== this.current;
+
+    if (stale) {
       this.logger.warning(
         'Client is submitting a stale job %s (%s).',
         job.id, conn.id());
@@ -607,13 +1255,13 @@ class Stratum extends EventEmitter {
     // Non-consensus sanity check.
     // 2 hours should be less than MTP in 99% of cases.
     if (subm.time < now - 7200) {
-      conn.sendError(msg, 20, 'time too old');
-      return;
+      this.stats.addReject(username, false);
+      return new StratumError(20, 'time too old');
     }
 
     if (subm.time > now + 7200) {
-      conn.sendError(msg, 20, 'time too new');
-      return;
+      this.stats.addReject(username, false);
+      return new StratumError(20, 'time too new');
     }
 
     const share = job.check(conn.sid, subm);
@@ -624,29 +1272,35 @@ class Stratum extends EventEmitter {
         'Client submitted a low share of %d, hash=%s, ban=%d (%s).',
         difficulty, share.rhash(), conn.banScore, conn.id());
 
+      this.stats.addReject(username, false);
       conn.increaseBan(1);
-      conn.sendError(msg, 23, 'high-hash');
       conn.sendDifficulty(conn.difficulty);
 
-      return;
+      return new StratumError(23, 'high-hash');
     }
 
     if (!job.insert(share.hash)) {
       this.logger.debug(
         'Client submitted a duplicate share: %s (%s).',
         share.rhash(), conn.id());
+      this.stats.addReject(username, false);
       conn.increaseBan(10);
-      conn.sendError(msg, 22, 'duplicate');
-      return;
+      return new StratumError(22, 'duplicate');
     }
 
-    this.sharedb.add(subm.username, difficulty);
+    await this.sharedb.add(username, difficulty);
+
+    if (this.payouts)
+      await this.payouts.addShare(username, difficulty, job);
+
+    this.stats.addShare(username, difficulty, stale);
+    this.emit('share', username, difficulty, stale);
 
     this.logger.debug(
       'Client submitted share of %d, hash=%s (%s).',
       difficulty, share.rhash(), conn.id());
 
-    let error;
+    let error = null;
     if (share.verify(job.target)) {
       const block = job.commit(share);
       error = await this.addBlock(conn, block);
@@ -656,9 +1310,6 @@ class Stratum extends EventEmitter {
       this.logger.warning(
         'Client found an invalid block: %s (%s).',
         error.reason, conn.id());
-      conn.sendError(msg, error.code, error.reason);
-    } else {
-      conn.sendResponse(msg, true);
     }
 
     if (this.options.dynamic) {
@@ -668,6 +1319,8 @@ class Stratum extends EventEmitter {
           conn.nextDifficulty, conn.id());
       }
     }
+
+    return error;
   }
 
   async handleTransactions(conn, msg) {
@@ -714,73 +1367,397 @@ class Stratum extends EventEmitter {
       return;
     }
 
-    const password = msg.params[0];
+    const password = msg.params[0];
+
+    if (!isPassword(password)) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    if (!this.authAdmin(password)) {
+      this.logger.debug(
+        'Client sent bad admin password (%s).',
+        conn.id());
+      conn.increaseBan(10);
+      conn.sendError(msg, 0, 'invalid password');
+      return;
+    }
+
+    conn.admin = true;
+    conn.sendResponse(msg, true);
+  }
+
+  async handleAddUser(conn, msg) {
+    if (typeof msg.params.length < 3) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    const user = msg.params[0];
+    const pass = msg.params[1];
+
+    if (!isUsername(user) || !isPassword(pass)) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    if (!conn.admin) {
+      this.logger.debug(
+        'Client is not an admin (%s).',
+        conn.id());
+      conn.sendError(msg, 0, 'invalid password');
+      return;
+    }
+
+    try {
+      await this.userdb.add({
+        username: user,
+        password: pass
+      });
+    } catch (e) {
+      conn.sendError(msg, 0, e.message);
+      return;
+    }
+
+    conn.sendResponse(msg, true);
+  }
+
+  async handleRemoveUser(conn, msg) {
+    if (msg.params.length < 1) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    const user = msg.params[0];
+
+    if (!isUsername(user)) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    if (!conn.admin) {
+      this.logger.debug(
+        'Client is not an admin (%s).',
+        conn.id());
+      conn.sendError(msg, 0, 'invalid password');
+      return;
+    }
+
+    if (user === 'admin') {
+      conn.sendError(msg, 0, 'cannot remove admin');
+      return;
+    }
+
+    try {
+      await this.userdb.remove(user);
+    } catch (e) {
+      conn.sendError(msg, 0, e.message);
+      return;
+    }
+
+    conn.sendResponse(msg, true);
+  }
+
+  async handleSetPassword(conn, msg) {
+    if (msg.params.length < 2) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    const user = msg.params[0];
+    const pass = msg.params[1];
+
+    if (!isUsername(user) || !isPassword(pass)) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    if (!conn.admin) {
+      this.logger.debug(
+        'Client is not an admin (%s).',
+        conn.id());
+      conn.sendError(msg, 0, 'invalid password');
+      return;
+    }
+
+    try {
+      await this.userdb.setPassword(user, pass);
+    } catch (e) {
+      conn.sendError(msg, 0, e.message);
+      return;
+    }
+
+    conn.sendResponse(msg, true);
+  }
+
+  async handleListBans(conn, msg) {
+    if (!conn.admin) {
+      this.logger.debug(
+        'Client is not an admin (%s).',
+        conn.id());
+      conn.sendError(msg, 0, 'invalid password');
+      return;
+    }
+
+    const bans = [];
+
+    for (const ban of this.getBans())
+      bans.push(ban.toJSON());
+
+    conn.sendResponse(msg, bans);
+  }
+
+  async handleUnban(conn, msg) {
+    if (msg.params.length < 1) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    const host = msg.params[0];
+
+    if (typeof host !== 'string'
+        || (!IP.isV4String(host) && !IP.isV6String(host))) {
+      conn.sendError(msg, 0, 'invalid params');
+      return;
+    }
+
+    if (!conn.admin) {
+      this.logger.debug(
+        'Client is not an admin (%s).',
+        conn.id());
+      conn.sendError(msg, 0, 'invalid password');
+      return;
+    }
+
+    const result = await this.removeBan(IP.normalize(host));
+
+    if (result)
+      this.logger.info('Lifted ban for %s (%s).', host, conn.id());
+
+    conn.sendResponse(msg, result);
+  }
+
+  async handleUnknown(conn, msg) {
+    this.logger.debug(
+      'Client sent an unknown message (%s):',
+      conn.id());
+
+    this.logger.debug(msg);
+
+    conn.send({
+      id: msg.id,
+      result: null,
+      error: true
+    });
+  }
+
+  async handleBinary(conn, msg) {
+    const unlock = await this.locker.lock();
+    try {
+      return await this._handleBinary(conn, msg);
+    } finally {
+      unlock();
+    }
+  }
+
+  async _handleBinary(conn, msg) {
+    switch (msg.type) {
+      case v2.types.SETUP_CONNECTION:
+        return this.handleSetupConnection(conn, msg);
+      case v2.types.OPEN_STANDARD_MINING_CHANNEL:
+        return this.handleOpenChannel(conn, msg);
+      case v2.types.UPDATE_CHANNEL:
+        return this.handleUpdateChannel(conn, msg);
+      case v2.types.SUBMIT_SHARES_STANDARD:
+        return this.handleSubmitShares(conn, msg);
+      default:
+        return this.handleUnknownBinary(conn, msg);
+    }
+  }
+
+  async handleSetupConnection(conn, msg) {
+    if (conn.setup) {
+      conn.increaseBan(10);
+      return;
+    }
+
+    if (msg.protocol !== v2.MINING_PROTOCOL) {
+      conn.send(new v2.SetupConnectionError({
+        flags: msg.flags,
+        code: 'unsupported-protocol'
+      }));
+      conn.destroy();
+      return;
+    }
+
+    if (msg.minVersion > v2.VERSION || msg.maxVersion < v2.VERSION) {
+      conn.send(new v2.SetupConnectionError({
+        code: 'protocol-version-mismatch'
+      }));
+      conn.destroy();
+      return;
+    }
+
+    if (msg.vendor && isAgent(msg.vendor))
+      conn.agent = msg.vendor;
+
+    conn.setup = true;
+
+    this.logger.debug('Client set up binary connection (%s).', conn.id());
+
+    conn.send(new v2.SetupConnectionSuccess({
+      version: v2.VERSION,
+      flags: 0
+    }));
+  }
+
+  async handleOpenChannel(conn, msg) {
+    const requestId = msg.requestId;
+
+    if (!conn.setup) {
+      conn.send(new v2.OpenMiningChannelError({
+        requestId: requestId,
+        code: 'connection-not-setup'
+      }));
+      return;
+    }
+
+    if (conn.sid !== -1) {
+      conn.send(new v2.OpenMiningChannelError({
+        requestId: requestId,
+        code: 'channel-already-open'
+      }));
+      return;
+    }
+
+    if (!this.chain.synced) {
+      conn.send(new v2.OpenMiningChannelError({
+        requestId: requestId,
+        code: 'not-up-to-date'
+      }));
+      return;
+    }
+
+    // Standard channels carry credentials
+    // in the user identity as `user:pass`.
+    const index = msg.user.indexOf(':');
+    const user = index === -1 ? msg.user : msg.user.substring(0, index);
+    const pass = index === -1 ? '' : msg.user.substring(index + 1);
+
+    if (!isUsername(user) || !isPassword(pass)
+        || !await this.auth(user, pass)) {
+      this.logger.debug(
+        'Client failed auth for user %s (%s).',
+        user, conn.id());
+      conn.send(new v2.OpenMiningChannelError({
+        requestId: requestId,
+        code: 'unknown-user'
+      }));
+      return;
+    }
+
+    conn.addUser(user);
+    conn.username = user;
+    conn.sid = this.sid();
+    conn.minDifficulty = getMaxDifficulty(msg.maxTarget);
+
+    if (!this.subscribed) {
+      this.logger.debug('First subscriber (%s).', conn.id());
+      this.subscribed = true;
+    }
+
+    const difficulty = Math.max(this.difficulty, conn.minDifficulty);
+
+    this.logger.debug(
+      'Client opened channel %d for %s (%s).',
+      conn.sid, user, conn.id());
+
+    conn.send(new v2.OpenStandardMiningChannelSuccess({
+      requestId: requestId,
+      channelId: conn.sid,
+      target: getShareTarget(difficulty),
+      extranonce: Buffer.from(hex32(conn.sid), 'hex'),
+      groupId: 0
+    }));
 
-    if (!isPassword(password)) {
-      conn.sendError(msg, 0, 'invalid params');
-      return;
-    }
+    conn.difficulty = difficulty;
+    conn.submissions = 0;
+    conn.lastRetarget = Date.now();
 
-    if (!this.authAdmin(password)) {
-      this.logger.debug(
-        'Client sent bad admin password (%s).',
-        conn.id());
+    const job = await this.getJob();
+
+    conn.sendJob(job, true);
+  }
+
+  async handleUpdateChannel(conn, msg) {
+    if (conn.sid === -1 || msg.channelId !== conn.sid) {
       conn.increaseBan(10);
-      conn.sendError(msg, 0, 'invalid password');
       return;
     }
 
-    conn.admin = true;
-    conn.sendResponse(msg, true);
+    conn.minDifficulty = getMaxDifficulty(msg.maxTarget);
+
+    if (conn.difficulty < conn.minDifficulty)
+      conn.setDifficulty(conn.minDifficulty);
   }
 
-  async handleAddUser(conn, msg) {
-    if (typeof msg.params.length < 3) {
-      conn.sendError(msg, 0, 'invalid params');
+  async handleSubmitShares(conn, msg) {
+    const sendError = (code) => {
+      conn.send(new v2.SubmitSharesError({
+        channelId: msg.channelId,
+        sequence: msg.sequence,
+        code: code
+      }));
+    };
+
+    if (conn.sid === -1 || msg.channelId !== conn.sid) {
+      sendError('invalid-channel-id');
       return;
     }
 
-    const user = msg.params[0];
-    const pass = msg.params[1];
+    const username = conn.username;
+    const job = conn.getJob(msg.jobId);
 
-    if (!isUsername(user) || !isPassword(pass)) {
-      conn.sendError(msg, 0, 'invalid params');
+    if (!job || job.committed) {
+      this.stats.addReject(username, true);
+      sendError('invalid-job-id');
       return;
     }
 
-    if (!conn.admin) {
-      this.logger.debug(
-        'Client is not an admin (%s).',
-        conn.id());
-      conn.sendError(msg, 0, 'invalid password');
+    if (msg.version !== job.attempt.version) {
+      this.stats.addReject(username, false);
+      sendError('invalid-version');
       return;
     }
 
-    try {
-      this.userdb.add({
-        username: user,
-        password: pass
-      });
-    } catch (e) {
-      conn.sendError(msg, 0, e.message);
+    const subm = new Submission();
+    subm.username = username;
+    subm.job = job.id;
+    subm.nonce2 = 0;
+    subm.time = msg.time;
+    subm.nonce = msg.nonce;
+
+    const difficulty = conn.difficulty;
+    const error = await this.processShare(conn, username, job, subm);
+
+    if (error) {
+      sendError(BINARY_ERRORS[error.reason] || error.reason);
       return;
     }
 
-    conn.sendResponse(msg, true);
+    conn.send(new v2.SubmitSharesSuccess({
+      channelId: msg.channelId,
+      sequence: msg.sequence,
+      count: 1,
+      sum: difficulty
+    }));
   }
 
-  async handleUnknown(conn, msg) {
+  async handleUnknownBinary(conn, msg) {
     this.logger.debug(
-      'Client sent an unknown message (%s):',
-      conn.id());
-
-    this.logger.debug(msg);
-
-    conn.send({
-      id: msg.id,
-      result: null,
-      error: true
-    });
+      'Client sent an unexpected message %s (%s).',
+      v2.typesByVal[msg.type], conn.id());
+    conn.increaseBan(10);
   }
 }
 
@@ -793,6 +1770,7 @@ Stratum.BAN_SCORE = 1000;
 Stratum.BAN_TIME = 10 * 60;
 Stratum.NOTIFY_INTERVAL = 60;
 Stratum.JOB_TIMEOUT = 1 * 60 * 60;
+Stratum.HANDSHAKE_TIMEOUT = 10;
 
 /**
  * Stratum Options
@@ -820,6 +1798,34 @@ class StratumOptions {
     this.prefix = path.resolve(os.homedir(), '.wmcc', 'stratum');
     this.password = null;
     this.notify = 60;
+    this.db = 'memory';
+    this.ssl = false;
+    this.keyFile = path.resolve(this.prefix, 'key.pem');
+    this.certFile = path.resolve(this.prefix, 'cert.pem');
+    this.proxy = false;
+    this.proxyTrusted = [];
+    this.v2 = false;
+    this.v2Host = '0.0.0.0';
+    this.v2Port = 6881;
+    this.v2Key = null;
+    this.split = false;
+    this.splitFee = 0.01;
+    this.splitMax = 10;
+    this.splitMinimum = 100000;
+    this.coinbaseData = null;
+    this.reservedWeight = null;
+    this.reservedSigops = null;
+    this.payout = false;
+    this.payoutScheme = 'pplns';
+    this.payoutWindow = 0;
+    this.payoutFee = 0.01;
+    this.payoutInterval = 60 * 60;
+    this.payoutMinimum = 1e8;
+    this.payoutWallet = 'primary';
+    this.payoutAccount = 'default';
+    this.payoutPassphrase = null;
+    this.payoutMaxOutputs = 100;
+    this.payoutRate = null;
 
     this.fromOptions(options);
   }
@@ -834,6 +1840,8 @@ class StratumOptions {
     this.network = this.node.network;
     this.logger = this.node.logger;
     this.prefix = this.node.location('stratum');
+    this.keyFile = path.resolve(this.prefix, 'key.pem');
+    this.certFile = path.resolve(this.prefix, 'cert.pem');
 
     if (options.host != null) {
       assert(typeof options.host === 'string');
@@ -880,6 +1888,176 @@ class StratumOptions {
       this.notify = options.notify;
     }
 
+    if (options.ssl != null) {
+      assert(typeof options.ssl === 'boolean');
+      this.ssl = options.ssl;
+    }
+
+    if (options.keyFile != null) {
+      assert(typeof options.keyFile === 'string');
+      this.keyFile = options.keyFile;
+    }
+
+    if (options.certFile != null) {
+      assert(typeof options.certFile === 'string');
+      this.certFile = options.certFile;
+    }
+
+    if (options.proxy != null) {
+      assert(typeof options.proxy === 'boolean');
+      this.proxy = options.proxy;
+    }
+
+    if (options.proxyTrusted != null) {
+      assert(Array.isArray(options.proxyTrusted));
+      this.proxyTrusted = [];
+      for (const host of options.proxyTrusted) {
+        assert(typeof host === 'string');
+        this.proxyTrusted.push(IP.normalize(host));
+      }
+    }
+
+    if (options.v2 != null) {
+      assert(typeof options.v2 === 'boolean');
+      this.v2 = options.v2;
+    }
+
+    if (options.v2Host != null) {
+      assert(typeof options.v2Host === 'string');
+      this.v2Host = options.v2Host;
+    }
+
+    if (options.v2Port != null) {
+      assert(typeof options.v2Port === 'number');
+      this.v2Port = options.v2Port;
+    }
+
+    if (options.v2Key != null) {
+      let key = options.v2Key;
+      if (typeof key === 'string')
+        key = Buffer.from(key, 'hex');
+      assert(Buffer.isBuffer(key));
+      assert(secp256k1.privateKeyVerify(key), 'Invalid noise key.');
+      this.v2Key = key;
+    }
+
+    if (options.split != null) {
+      assert(typeof options.split === 'boolean');
+      this.split = options.split;
+    }
+
+    if (options.splitFee != null) {
+      assert(typeof options.splitFee === 'number');
+      assert(options.splitFee >= 0 && options.splitFee < 1,
+        'Split fee must be a rate between 0 and 1.');
+      this.splitFee = options.splitFee;
+    }
+
+    if (options.splitMax != null) {
+      assert(util.isU32(options.splitMax));
+      assert(options.splitMax <= BlockTemplate.MAX_PAYOUTS,
+        'Too many split outputs.');
+      this.splitMax = options.splitMax;
+    }
+
+    if (options.splitMinimum != null) {
+      assert(util.isU64(options.splitMinimum));
+      this.splitMinimum = options.splitMinimum;
+    }
+
+    if (options.coinbaseData != null) {
+      let data = options.coinbaseData;
+      if (typeof data === 'string')
+        data = Buffer.from(data, 'hex');
+      assert(Buffer.isBuffer(data));
+      assert(data.length <= policy.MAX_OP_RETURN,
+        'Coinbase data too large.');
+      this.coinbaseData = data;
+    }
+
+    if (options.reservedWeight != null) {
+      assert(util.isU32(options.reservedWeight));
+      this.reservedWeight = options.reservedWeight;
+    }
+
+    if (options.reservedSigops != null) {
+      assert(util.isU32(options.reservedSigops));
+      this.reservedSigops = options.reservedSigops;
+    }
+
+    if (options.db != null) {
+      assert(typeof options.db === 'string');
+      this.db = options.db;
+    }
+
+    if (options.payout != null) {
+      assert(typeof options.payout === 'boolean');
+      this.payout = options.payout;
+    }
+
+    if (options.payoutScheme != null) {
+      assert(PayoutEngine.schemes[options.payoutScheme] != null,
+        'Payout scheme must be prop, pplns or pps.');
+      this.payoutScheme = options.payoutScheme;
+    }
+
+    if (options.payoutWindow != null) {
+      assert(typeof options.payoutWindow === 'number');
+      assert(options.payoutWindow >= 0);
+      this.payoutWindow = options.payoutWindow;
+    }
+
+    if (options.payoutFee != null) {
+      assert(typeof options.payoutFee === 'number');
+      assert(options.payoutFee >= 0 && options.payoutFee < 1,
+        'Payout fee must be a rate between 0 and 1.');
+      this.payoutFee = options.payoutFee;
+    }
+
+    if (options.payoutInterval != null) {
+      assert(util.isU32(options.payoutInterval));
+      assert(options.payoutInterval > 0);
+      this.payoutInterval = options.payoutInterval;
+    }
+
+    if (options.payoutMinimum != null) {
+      assert(util.isU64(options.payoutMinimum));
+      this.payoutMinimum = options.payoutMinimum;
+    }
+
+    if (options.payoutWallet != null) {
+      assert(typeof options.payoutWallet === 'string');
+      this.payoutWallet = options.payoutWallet;
+    }
+
+    if (options.payoutAccount != null) {
+      assert(typeof options.payoutAccount === 'string'
+        || typeof options.payoutAccount === 'number');
+      this.payoutAccount = options.payoutAccount;
+    }
+
+    if (options.payoutPassphrase != null) {
+      assert(typeof options.payoutPassphrase === 'string');
+      this.payoutPassphrase = options.payoutPassphrase;
+    }
+
+    if (options.payoutMaxOutputs != null) {
+      assert(util.isU32(options.payoutMaxOutputs));
+      assert(options.payoutMaxOutputs > 0);
+      this.payoutMaxOutputs = options.payoutMaxOutputs;
+    }
+
+    if (options.payoutRate != null) {
+      assert(util.isU64(options.payoutRate));
+      this.payoutRate = options.payoutRate;
+    }
+
+    assert(!(this.split && this.payout),
+      'Split coinbase and payouts cannot both be enabled.');
+
+    assert(!this.proxy || this.proxyTrusted.length > 0,
+      'Proxy mode requires at least one trusted proxy host.');
+
     return this;
   }
 
@@ -900,15 +2078,15 @@ class Connection extends EventEmitter {
    * @param {net.Socket} socket
    */
 
-  constructor(stratum, socket) {
+  constructor(stratum, socket, host, port) {
     super();
 
     this.locker = new Lock();
     this.stratum = stratum;
     this.logger = stratum.logger;
     this.socket = socket;
-    this.host = IP.normalize(socket.remoteAddress);
-    this.port = socket.remotePort;
+    this.host = host || IP.normalize(socket.remoteAddress);
+    this.port = port || socket.remotePort;
     this.hostname = IP.toHostname(this.host, this.port);
     this.decoder = new StringDecoder('utf8');
     this.agent = '';
@@ -1159,99 +2337,282 @@ class Connection extends EventEmitter {
   sendDifficulty(difficulty) {
     assert(difficulty > 0, 'Difficulty must be at least 1.');
 
-    this.logger.debug(
-      'Setting difficulty=%d for client (%s).',
-      difficulty, this.id());
+    this.logger.debug(
+      'Setting difficulty=%d for client (%s).',
+      difficulty, this.id());
+
+    this.sendMethod('mining.set_difficulty', [difficulty]);
+  }
+
+  setDifficulty(difficulty) {
+    this.nextDifficulty = difficulty;
+  }
+
+  sendJob(job, cleanJob) {
+    if (!this.job)
+      this.job = job;
+
+    this.logger.debug(
+      'Sending job %s to client (%s).',
+      job.id, this.id());
+
+    this.flushDifficulty();
+
+    this.sendMethod('mining.notify', job.toJSON(cleanJob));
+  }
+
+  flushDifficulty() {
+    if (this.nextDifficulty === -1)
+      return;
+
+    this.submissions = 0;
+    this.lastRetarget = Date.now();
+    this.sendDifficulty(this.nextDifficulty);
+    this.difficulty = this.nextDifficulty;
+    this.nextDifficulty = -1;
+  }
+
+  sendNotify() {
+    if (!this.stratum.options.notify)
+      return;
+
+    const interval = setInterval(()=>{
+      if (this.job) {
+        try {
+          this.sendJob(this.job);
+        } catch (e) {
+          clearInterval(interval);
+        }
+      }
+    }, this.stratum.options.notify * 1000);
+  }
+
+  retarget(max) {
+    const now = Date.now();
+    const pm = Stratum.SHARES_PER_MINUTE;
+
+    assert(this.difficulty > 0);
+    assert(this.lastRetarget !== -1);
+
+    this.submissions += 1;
+
+    if (this.submissions % pm === 0) {
+      const target = (this.submissions / pm) * 60000;
+      let actual = now - this.lastRetarget;
+      let difficulty = 0x100000000 / this.difficulty;
+
+      if (max > (-1 >>> 0))
+        max = -1 >>> 0;
+
+      if (Math.abs(target - actual) <= 5000)
+        return false;
+
+      if (actual < target / 4)
+        actual = target / 4;
+
+      if (actual > target * 4)
+        actual = target * 4;
+
+      difficulty *= actual;
+      difficulty /= target;
+      difficulty = 0x100000000 / difficulty;
+      difficulty >>>= 0;
+      difficulty = Math.min(max, difficulty);
+      difficulty = Math.max(1, difficulty);
+
+      this.setDifficulty(difficulty);
+
+      return true;
+    }
+
+    return false;
+  }
+
+  id() {
+    let id = this.host;
+
+    if (this.agent)
+      id += '/' + this.agent;
+
+    return id;
+  }
+}
+
+/**
+ * Binary Connection
+ * Noise-encrypted binary protocol with a single
+ * standard (header-only) channel per connection.
+ * The channel id doubles as the coinbase nonce1
+ * and nonce2 is always zero.
+ * @extends {Connection}
+ */
+
+class BinaryConnection extends Connection {
+  /**
+   * Create a binary connection.
+   * @constructor
+   * @param {Stratum} stratum
+   * @param {net.Socket} socket
+   */
+
+  constructor(stratum, socket, host, port) {
+    super(stratum, socket, host, port);
+
+    this.noise = new Noise(false, stratum.key);
+    this.parser = new v2.Parser();
+    this.setup = false;
+    this.username = '';
+    this.minDifficulty = 0;
+    this.prevBlock = null;
+    this.jobs = new Map();
+    this.jid = 0;
+
+    this.parser.on('message', (data) => {
+      this.handleMessage(data);
+    });
+
+    this.parser.on('error', (err) => {
+      this.error(err);
+      this.destroy();
+    });
+  }
+
+  feed(data) {
+    if (this.parser.total + data.length > v2.MAX_MESSAGE + 2) {
+      this.error('Too much data buffered (%s).', this.id());
+      this.destroy();
+      return;
+    }
+
+    this.parser.feed(data);
+  }
+
+  handleMessage(data) {
+    if (this.destroyed)
+      return;
+
+    if (!this.noise.isComplete()) {
+      try {
+        this.noise.readHandshake(data);
+        this.write(v2.frame(this.noise.writeHandshake()));
+      } catch (e) {
+        this.logger.debug(
+          'Noise handshake failed: %s (%s).',
+          e.message, this.id());
+        this.destroy();
+      }
+      return;
+    }
+
+    let msg;
+    try {
+      msg = v2.decode(this.noise.decrypt(data));
+    } catch (e) {
+      // Nonces are out of sync after a bad
+      // message, the session cannot recover.
+      this.error(e);
+      this.destroy();
+      return;
+    }
+
+    this.emit('packet', msg);
+  }
+
+  async handlePacket(msg) {
+    return await this.stratum.handleBinary(this, msg);
+  }
+
+  send(packet) {
+    if (this.destroyed)
+      return;
 
-    this.sendMethod('mining.set_difficulty', [difficulty]);
+    this.logger.spam(
+      'Sending %s (%s).',
+      v2.typesByVal[packet.type], this.id());
+
+    this.write(v2.frame(this.noise.encrypt(packet.toRaw())));
   }
 
   setDifficulty(difficulty) {
-    this.nextDifficulty = difficulty;
+    this.nextDifficulty = Math.max(difficulty, this.minDifficulty);
   }
 
-  sendJob(job, cleanJob) {
-    if (!this.job)
-      this.job = job;
+  sendDifficulty(difficulty) {
+    assert(difficulty > 0, 'Difficulty must be at least 1.');
 
     this.logger.debug(
-      'Sending job %s to client (%s).',
-      job.id, this.id());
-
-    if (this.nextDifficulty !== -1) {
-      this.submissions = 0;
-      this.lastRetarget = Date.now();
-      this.sendDifficulty(this.nextDifficulty);
-      this.difficulty = this.nextDifficulty;
-      this.nextDifficulty = -1;
-    }
+      'Setting difficulty=%d for client (%s).',
+      difficulty, this.id());
 
-    this.sendMethod('mining.notify', job.toJSON(cleanJob));
+    this.send(new v2.SetTarget({
+      channelId: this.sid,
+      target: getShareTarget(difficulty)
+    }));
   }
 
-  sendNotify() {
-    if (!this.stratum.options.notify)
-      return;
-
-    const interval = setInterval(()=>{
-      if (this.job) {
-        try {
-          this.sendJob(this.job);
-        } catch (e) {
-          clearInterval(interval);
-        }
-      }
-    }, this.stratum.options.notify * 1000);
+  getJob(id) {
+    return this.jobs.get(id) || null;
   }
 
-  retarget(max) {
-    const now = Date.now();
-    const pm = Stratum.SHARES_PER_MINUTE;
+  addJob(job) {
+    const id = this.jid;
 
-    assert(this.difficulty > 0);
-    assert(this.lastRetarget !== -1);
+    this.jid += 1;
+    this.jid >>>= 0;
 
-    this.submissions += 1;
+    // Keep as many jobs as the server does.
+    if (this.jobs.size >= Stratum.MAX_JOBS)
+      this.jobs.delete(this.jobs.keys().next().value);
 
-    if (this.submissions % pm === 0) {
-      const target = (this.submissions / pm) * 60000;
-      let actual = now - this.lastRetarget;
-      let difficulty = 0x100000000 / this.difficulty;
+    this.jobs.set(id, job);
 
-      if (max > (-1 >>> 0))
-        max = -1 >>> 0;
+    return id;
+  }
 
-      if (Math.abs(target - actual) <= 5000)
-        return false;
+  sendJob(job, cleanJob) {
+    const attempt = job.attempt;
 
-      if (actual < target / 4)
-        actual = target / 4;
+    if (!this.job)
+      this.job = job;
 
-      if (actual > target * 4)
-        actual = target * 4;
+    this.logger.debug(
+      'Sending job %s to client (%s).',
+      job.id, this.id());
 
-      difficulty *= actual;
-      difficulty /= target;
-      difficulty = 0x100000000 / difficulty;
-      difficulty >>>= 0;
-      difficulty = Math.min(max, difficulty);
-      difficulty = Math.max(1, difficulty);
+    this.flushDifficulty();
 
-      this.setDifficulty(difficulty);
+    const id = this.addJob(job);
+    const root = attempt.getRoot(this.sid, 0);
+    const time = Math.max(attempt.time, attempt.mtp + 1);
 
-      return true;
+    if (attempt.prevBlock === this.prevBlock) {
+      this.send(new v2.NewMiningJob({
+        channelId: this.sid,
+        jobId: id,
+        minTime: time,
+        version: attempt.version,
+        root: root
+      }));
+      return;
     }
 
-    return false;
-  }
-
-  id() {
-    let id = this.host;
+    // New tip: send a future job and activate it.
+    this.prevBlock = attempt.prevBlock;
 
-    if (this.agent)
-      id += '/' + this.agent;
+    this.send(new v2.NewMiningJob({
+      channelId: this.sid,
+      jobId: id,
+      version: attempt.version,
+      root: root
+    }));
 
-    return id;
+    this.send(new v2.SetNewPrevHash({
+      channelId: this.sid,
+      jobId: id,
+      prevBlock: Buffer.from(attempt.prevBlock, 'hex'),
+      minTime: time,
+      bits: attempt.bits
+    }));
   }
 }
 
@@ -1268,6 +2629,7 @@ class User {
 
   constructor(options) {
     this.username = '';
+    this.salt = null;
     this.password = consensus.ZERO_HASH;
 
     if (options)
@@ -1299,29 +2661,57 @@ class User {
     this.username = username;
   }
 
+  /**
+   * Set a legacy unsalted hash256 password hash.
+   * @param {Buffer|String} hash
+   */
+
   setHash(hash) {
+    this.salt = null;
+
     if (typeof hash === 'string') {
       assert(isHex(hash), 'Hash must be a hex string.');
       assert(hash.length === 64, 'Hash must be 32 bytes.');
-      //this.password = Buffer.from(hash, 'hex');
-      return Buffer.from(hash, 'hex');
+      this.password = Buffer.from(hash, 'hex');
     } else {
       assert(Buffer.isBuffer(hash), 'Hash must be a buffer.');
       assert(hash.length === 32, 'Hash must be 32 bytes.');
-      //this.password = hash;
-      return hash;
+      this.password = hash;
     }
   }
 
   setPassword(password) {
     assert(isPassword(password), 'Password must be a string.');
     password = Buffer.from(password, 'utf8');
-    this.password = hash256(password);
+    this.salt = random.randomBytes(16);
+    this.password = pbkdf2.derive(password, this.salt,
+      User.ROUNDS, 32, 'sha256');
+  }
+
+  /**
+   * Check a password against the stored hash.
+   * @param {String} password
+   * @returns {Promise} - Returns Boolean.
+   */
+
+  async verify(password) {
+    const passwd = Buffer.from(password, 'utf8');
+
+    let hash;
+    if (this.salt) {
+      hash = await pbkdf2.deriveAsync(passwd, this.salt,
+        User.ROUNDS, 32, 'sha256');
+    } else {
+      hash = hash256(passwd);
+    }
+
+    return ccmp(hash, this.password);
   }
 
   toJSON() {
     return {
       username: this.username,
+      salt: this.salt ? this.salt.toString('hex') : null,
       password: this.password.toString('hex')
     };
   }
@@ -1330,13 +2720,106 @@ class User {
     assert(json);
     assert(typeof json.username === 'string');
     this.username = json.username;
-    this.password = this.setHash(json.password);//Buffer.from(json.password, 'hex'); //
+    this.setHash(json.password);
+
+    if (json.salt != null) {
+      assert(isHex(json.salt) && json.salt.length === 32);
+      this.salt = Buffer.from(json.salt, 'hex');
+    }
+
     return this;
   }
 
   static fromJSON(json) {
     return new this().fromJSON(json);
   }
+
+  toRaw() {
+    if (!this.salt)
+      return this.password;
+
+    return Buffer.concat([this.salt, this.password]);
+  }
+
+  fromRaw(username, data) {
+    this.setUsername(username);
+
+    // Legacy records are a bare hash256.
+    if (data.length === 32) {
+      this.setHash(data);
+      return this;
+    }
+
+    assert(data.length === 48, 'Bad user record.');
+
+    this.salt = data.slice(0, 16);
+    this.password = data.slice(16, 48);
+
+    return this;
+  }
+
+  static fromRaw(username, data) {
+    return new this().fromRaw(username, data);
+  }
+}
+
+/**
+ * PBKDF2 rounds for user passwords.
+ * @const {Number}
+ * @default
+ */
+
+User.ROUNDS = 20000;
+
+/**
+ * Ban
+ */
+
+class Ban {
+  /**
+   * Create a ban record.
+   * @constructor
+   * @param {String} host
+   * @param {Number} time - Ban time.
+   * @param {Number} duration - Seconds.
+   */
+
+  constructor(host, time, duration) {
+    this.host = host || '';
+    this.time = time || 0;
+    this.expires = this.time + (duration || 0);
+  }
+
+  isExpired(now) {
+    return now >= this.expires;
+  }
+
+  toRaw() {
+    const bw = new StaticWriter(8);
+    bw.writeU32(this.time);
+    bw.writeU32(this.expires);
+    return bw.render();
+  }
+
+  fromRaw(host, data) {
+    const br = new BufferReader(data);
+    this.host = host;
+    this.time = br.readU32();
+    this.expires = br.readU32();
+    return this;
+  }
+
+  static fromRaw(host, data) {
+    return new this().fromRaw(host, data);
+  }
+
+  toJSON() {
+    return {
+      host: this.host,
+      time: this.time,
+      expires: this.expires
+    };
+  }
 }
 
 /**
@@ -1459,6 +2942,20 @@ class Job {
     return new this(id).fromTemplate(attempt);
   }
 
+  getJSON() {
+    return {
+      id: this.id,
+      height: this.attempt.height,
+      prevBlock: util.revHex(this.attempt.prevBlock),
+      bits: this.attempt.bits,
+      difficulty: this.difficulty,
+      time: this.attempt.time,
+      reward: this.attempt.getReward(),
+      txs: this.attempt.items.length,
+      submissions: Object.keys(this.submissions).length
+    };
+  }
+
   insert(hash) {
     hash = hash.toString('hex');
 
@@ -1531,10 +3028,11 @@ class ShareDB {
    * @param {Object} options
    */
 
-  constructor(options) {
+  constructor(options, db) {
     this.network = options.network;
     this.logger = options.logger;
     this.location = path.resolve(options.prefix, 'shares');
+    this.db = db;
 
     this.map = Object.create(null);
     this.total = 0;
@@ -1543,6 +3041,27 @@ class ShareDB {
 
   async open() {
     await fs.mkdirp(this.location);
+
+    // Restore the unclaimed shares of the current round.
+    const items = await this.db.range({
+      gte: layout.s(''),
+      lte: layout.sMax
+    });
+
+    for (const {key, value} of items) {
+      const username = layout.uu(key);
+      const difficulty = value.readDoubleLE(0, true);
+
+      this.map[username] = difficulty;
+      this.total += difficulty;
+      this.size += 1;
+    }
+
+    if (this.size > 0) {
+      this.logger.info(
+        'Restored %d shares from %d users for the current round.',
+        this.total, this.size);
+    }
   }
 
   async close() {
@@ -1554,7 +3073,7 @@ class ShareDB {
     return path.resolve(this.location, name + '.json');
   }
 
-  add(username, difficulty) {
+  async add(username, difficulty) {
     if (!this.map[username]) {
       this.map[username] = 0;
       this.size++;
@@ -1562,12 +3081,59 @@ class ShareDB {
 
     this.map[username] += difficulty;
     this.total += difficulty;
+
+    const data = Buffer.allocUnsafe(8);
+    data.writeDoubleLE(this.map[username], 0, true);
+
+    await this.db.put(layout.s(username), data);
   }
 
   clear() {
+    const b = this.db.batch();
+
+    for (const username of Object.keys(this.map))
+      b.del(layout.s(username));
+
     this.map = Object.create(null);
     this.size = 0;
     this.total = 0;
+
+    return b.write();
+  }
+
+  async getBlocks(limit) {
+    const names = await fs.readdir(this.location);
+    const files = [];
+
+    for (const name of names) {
+      const parts = /^(\d+)-([0-9a-f]{64})\.json$/.exec(name);
+
+      if (!parts)
+        continue;
+
+      files.push([parseInt(parts[1], 10), parts[2], name]);
+    }
+
+    files.sort((a, b) => b[0] - a[0]);
+
+    const blocks = [];
+
+    for (const [height, hash, name] of files.slice(0, limit)) {
+      const file = path.resolve(this.location, name);
+      const data = JSON.parse(await fs.readFile(file, 'utf8'));
+
+      blocks.push({
+        height: height,
+        hash: hash,
+        time: data.time,
+        txid: data.txid,
+        reward: data.reward,
+        users: data.size,
+        shares: data.total
+      });
+    }
+
+    return blocks;
   }
 
   async commit(entry, block) {
@@ -1590,7 +3156,7 @@ class ShareDB {
       shares: this.map
     };
 
-    this.clear();
+    await this.clear();
 
     const file = this.file(entry);
     const json = JSON.stringify(data, null, 2);
@@ -1600,6 +3166,8 @@ class ShareDB {
       data.size, entry.height, file);
 
     await fs.writeFile(file, json);
+
+    return data;
   }
 }
 
@@ -1614,13 +3182,13 @@ class UserDB {
    * @param {Object} options
    */
 
-  constructor(options) {
+  constructor(options, db) {
     this.network = options.network;
     this.logger = options.logger;
+    this.memory = options.db === 'memory';
     this.location = path.resolve(options.prefix, 'users.json');
+    this.db = db;
     this.locker = new Lock();
-    this.lastFail = 0;
-    this.stream = null;
 
     this.map = new Map();
     this.size = 0;
@@ -1636,124 +3204,75 @@ class UserDB {
   }
 
   async _open() {
-    await this.load();
-  }
+    const users = await this.db.range({
+      gte: layout.U(''),
+      lte: layout.UMax,
+      parse: (key, value) => User.fromRaw(layout.uu(key), value)
+    });
 
-  async close() {
-    const unlock = await this.locker.lock();
-    try {
-      return await this._close();
-    } finally {
-      unlock();
-    }
+    for (const user of users)
+      this.map.set(user.username, user);
+
+    this.size = this.map.size;
+
+    await this.migrate();
+
+    this.logger.debug(
+      'Loaded %d users into memory.',
+      this.size);
   }
 
-  async _close() {
-    if (!this.stream)
-      return;
+  /**
+   * Import users from a legacy `users.json` file
+   * and move the file out of the way. The file is
+   * kept when the database does not persist.
+   * @private
+   * @returns {Promise}
+   */
 
+  async migrate() {
+    let data;
     try {
-      this.stream.close();
+      data = await fs.readFile(this.location, 'utf8');
     } catch (e) {
-      ;
+      if (e.code === 'ENOENT')
+        return;
+      throw e;
     }
 
-    this.stream = null;
-  }
-
-  load() {
-    return new Promise((resolve, reject) => {
-      this._load(resolve, reject);
-    });
-  }
-
-  _load(resolve, reject) {
-    let buf = '';
-    let lineno = 0;
+    const b = this.db.batch();
+    const lines = data.split(/\n+/);
 
-    let stream = fs.createReadStream(this.location, {
-      flags: 'r',
-      encoding: 'utf8',
-      autoClose: true
-    });
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
 
-    const close = () => {
-      if (!stream)
-        return;
+      if (line.length === 0)
+        continue;
 
+      let user;
       try {
-        stream.close();
+        user = User.fromJSON(JSON.parse(line));
       } catch (e) {
-        ;
-      }
-
-      stream = null;
-    };
-
-    stream.on('error', (err) => {
-      if (!stream)
-        return;
-
-      if (err.code === 'ENOENT') {
-        close();
-        resolve();
-        return;
-      }
-
-      close();
-      reject(err);
-    });
-
-    stream.on('data', (data) => {
-      if (!stream)
-        return;
-
-      buf += data;
-
-      if (buf.length >= 10000) {
-        close();
-        reject(new Error(`UserDB parse error. Line: ${lineno}.`));
-        return;
+        throw new Error(`UserDB parse error. Line: ${i + 1}.`);
       }
 
-      const lines = buf.split(/\n+/);
-
-      buf = lines.pop();
-
-      for (const line of lines) {
-        lineno += 1;
-
-        if (line.length === 0)
-          continue;
-
-        let json, user;
-        try {
-          json = JSON.parse(line);
-          user = User.fromJSON(json);
-        } catch (e) {
-          close();
-          reject(new Error(`UserDB parse error. Line: ${lineno}.`));
-          return;
-        }
+      // Later lines override earlier ones.
+      this.map.set(user.username, user);
+      b.put(layout.U(user.username), user.toRaw());
+    }
 
-        if (!this.map.has(user.username))
-          this.size += 1;
+    await b.write();
 
-        this.map.set(user.username, user);
-      }
-    });
+    this.size = this.map.size;
 
-    stream.on('end', () => {
-      if (!stream)
-        return;
+    if (this.memory) {
+      this.logger.info('Loaded users from %s.', this.location);
+      return;
+    }
 
-      this.logger.debug(
-        'Loaded %d users into memory.',
-        this.size);
+    await fs.rename(this.location, this.location + '.old');
 
-      stream = null;
-      resolve();
-    });
+    this.logger.info('Migrated users from %s.', this.location);
   }
 
   get(username) {
@@ -1764,7 +3283,7 @@ class UserDB {
     return this.map.has(username);
   }
 
-  add(options) {
+  async add(options) {
     const user = new User(options);
 
     assert(!this.map.has(user.username), 'User already exists.');
@@ -1776,11 +3295,11 @@ class UserDB {
     this.map.set(user.username, user);
     this.size += 1;
 
-    this.write(user.toJSON());
+    await this.db.put(layout.U(user.username), user.toRaw());
   }
 
-  remove(username) {
-    assert(this.map.has(username), 'User not exists.');
+  async remove(username) {
+    assert(this.map.has(username), 'User does not exist.');
 
     this.logger.debug(
       'Removing user (%s).',
@@ -1789,62 +3308,21 @@ class UserDB {
     this.map.delete(username);
     this.size -= 1;
 
-    this.delete(username);
+    await this.db.del(layout.U(username));
   }
 
-  setPassword(username, password) {
+  async setPassword(username, password) {
     const user = this.map.get(username);
-    assert(user, 'User does not exist.');
-    user.setPassword(password);
-    this.write(user.toJSON());
-  }
-
-  write(data) {
-    const stream = this.getStream();
-
-    if (!stream)
-      return;
-
-    const json = JSON.stringify(data) + '\n';
-    stream.write(json, 'utf8');
-  }
-
-  delete(username) {
-    const data = fs.readFileSync(this.location);
-    let lines = data.toString().split('\n');
-    lines = lines.filter(w => !w.includes(`"${username}"`));
-    let joined = lines.join('\n');
-
-    fs.writeFileSync(this.location, joined);
-  }
-
-  getStream() {
-    if (this.stream)
-      return this.stream;
 
-    if (this.lastFail > util.now() - 10)
-      return null;
-
-    this.lastFail = 0;
-
-    this.stream = fs.createWriteStream(this.location, { flags: 'a' });
-
-    this.stream.on('error', (err) => {
-      this.logger.warning('UserDB file stream died!');
-      this.logger.error(err);
+    assert(user, 'User does not exist.');
 
-      try {
-        this.stream.close();
-      } catch (e) {
-        ;
-      }
+    this.logger.debug(
+      'Resetting password for user (%s).',
+      username);
 
-      // Retry in ten seconds.
-      this.stream = null;
-      this.lastFail = util.now();
-    });
+    user.setPassword(password);
 
-    return this.stream;
+    await this.db.put(layout.U(username), user.toRaw());
   }
 }
 
@@ -1893,6 +3371,19 @@ function isHex(str) {
     && /^[0-9A-Fa-f]+$/.test(str);
 }
 
+function getShareTarget(difficulty) {
+  assert(difficulty > 0, 'Difficulty must be at least 1.');
+  const diff = new BN(Math.max(1, Math.floor(difficulty)));
+  return DIFF1.div(diff).toArrayLike(Buffer, 'le', 32);
+}
+
+function getMaxDifficulty(target) {
+  // An all-zero maximum target means no limit.
+  if (!target.some((ch) => ch !== 0))
+    return 0;
+  return common.getDifficulty(target);
+}
+
 function hex32(num) {
   assert((num >>> 0) === num);
   num = num.toString(16);
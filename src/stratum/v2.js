@@ -0,0 +1,861 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * v2.js - binary stratum protocol for wmcc_core.
+ */
+
+'use strict';
+
+/**
+ * @module stratum/v2
+ */
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const StaticWriter = require('../utils/staticwriter');
+const BufferReader = require('../utils/reader');
+const encoding = require('../utils/encoding');
+
+/*
+ * Constants
+ */
+
+const HEADER_SIZE = 6;
+const MAX_MESSAGE = 0xffff;
+
+/**
+ * Protocol version.
+ * @const {Number}
+ * @default
+ */
+
+exports.VERSION = 2;
+
+/**
+ * Mining protocol identifier (SetupConnection).
+ * @const {Number}
+ * @default
+ */
+
+exports.MINING_PROTOCOL = 0;
+
+/**
+ * Extension type bit marking channel messages.
+ * @const {Number}
+ * @default
+ */
+
+exports.CHANNEL_BIT = 0x8000;
+
+/**
+ * Maximum size of a single noise message.
+ * @const {Number}
+ * @default
+ */
+
+exports.MAX_MESSAGE = MAX_MESSAGE;
+
+/**
+ * Message types.
+ * @enum {Number}
+ * @default
+ */
+
+exports.types = {
+  SETUP_CONNECTION: 0x00,
+  SETUP_CONNECTION_SUCCESS: 0x01,
+  SETUP_CONNECTION_ERROR: 0x02,
+  OPEN_STANDARD_MINING_CHANNEL: 0x10,
+  OPEN_STANDARD_MINING_CHANNEL_SUCCESS: 0x11,
+  OPEN_MINING_CHANNEL_ERROR: 0x12,
+  UPDATE_CHANNEL: 0x16,
+  SUBMIT_SHARES_STANDARD: 0x1a,
+  SUBMIT_SHARES_SUCCESS: 0x1c,
+  SUBMIT_SHARES_ERROR: 0x1d,
+  NEW_MINING_JOB: 0x1e,
+  SET_NEW_PREV_HASH: 0x20,
+  SET_TARGET: 0x21
+};
+
+const types = exports.types;
+
+/**
+ * Message types by value.
+ * @const {Object}
+ */
+
+exports.typesByVal = [];
+
+for (const name of Object.keys(types))
+  exports.typesByVal[types[name]] = name;
+
+/**
+ * Packet
+ * Base class for binary messages.
+ */
+
+class Packet {
+  constructor() {
+    this.type = -1;
+    this.channel = false;
+  }
+
+  getSize() {
+    return 0;
+  }
+
+  write(bw) {
+    return bw;
+  }
+
+  read(br) {
+    return this;
+  }
+
+  /**
+   * Serialize the packet with its frame header.
+   * @returns {Buffer}
+   */
+
+  toRaw() {
+    const size = this.getSize();
+    const bw = new StaticWriter(HEADER_SIZE + size);
+
+    bw.writeU16(this.channel ? exports.CHANNEL_BIT : 0);
+    bw.writeU8(this.type);
+    bw.writeU16(size & 0xffff);
+    bw.writeU8(size >>> 16);
+
+    this.write(bw);
+
+    return bw.render();
+  }
+
+  static fromReader(br) {
+    return new this().read(br);
+  }
+}
+
+/**
+ * SetupConnection
+ */
+
+class SetupConnection extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.SETUP_CONNECTION;
+    this.protocol = exports.MINING_PROTOCOL;
+    this.minVersion = exports.VERSION;
+    this.maxVersion = exports.VERSION;
+    this.flags = 0;
+    this.host = '';
+    this.port = 0;
+    this.vendor = '';
+    this.hardware = '';
+    this.firmware = '';
+    this.device = '';
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    let size = 1 + 2 + 2 + 4 + 2;
+    size += sizeStr(this.host);
+    size += sizeStr(this.vendor);
+    size += sizeStr(this.hardware);
+    size += sizeStr(this.firmware);
+    size += sizeStr(this.device);
+    return size;
+  }
+
+  write(bw) {
+    bw.writeU8(this.protocol);
+    bw.writeU16(this.minVersion);
+    bw.writeU16(this.maxVersion);
+    bw.writeU32(this.flags);
+    writeStr(bw, this.host);
+    bw.writeU16(this.port);
+    writeStr(bw, this.vendor);
+    writeStr(bw, this.hardware);
+    writeStr(bw, this.firmware);
+    writeStr(bw, this.device);
+    return bw;
+  }
+
+  read(br) {
+    this.protocol = br.readU8();
+    this.minVersion = br.readU16();
+    this.maxVersion = br.readU16();
+    this.flags = br.readU32();
+    this.host = readStr(br);
+    this.port = br.readU16();
+    this.vendor = readStr(br);
+    this.hardware = readStr(br);
+    this.firmware = readStr(br);
+    this.device = readStr(br);
+    return this;
+  }
+}
+
+/**
+ * SetupConnection.Success
+ */
+
+class SetupConnectionSuccess extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.SETUP_CONNECTION_SUCCESS;
+    this.version = exports.VERSION;
+    this.flags = 0;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 6;
+  }
+
+  write(bw) {
+    bw.writeU16(this.version);
+    bw.writeU32(this.flags);
+    return bw;
+  }
+
+  read(br) {
+    this.version = br.readU16();
+    this.flags = br.readU32();
+    return this;
+  }
+}
+
+/**
+ * SetupConnection.Error
+ */
+
+class SetupConnectionError extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.SETUP_CONNECTION_ERROR;
+    this.flags = 0;
+    this.code = '';
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 4 + sizeStr(this.code);
+  }
+
+  write(bw) {
+    bw.writeU32(this.flags);
+    writeStr(bw, this.code);
+    return bw;
+  }
+
+  read(br) {
+    this.flags = br.readU32();
+    this.code = readStr(br);
+    return this;
+  }
+}
+
+/**
+ * OpenStandardMiningChannel
+ */
+
+class OpenStandardMiningChannel extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.OPEN_STANDARD_MINING_CHANNEL;
+    this.requestId = 0;
+    this.user = '';
+    this.hashrate = 0;
+    this.maxTarget = encoding.ZERO_HASH;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 4 + sizeStr(this.user) + 4 + 32;
+  }
+
+  write(bw) {
+    bw.writeU32(this.requestId);
+    writeStr(bw, this.user);
+    bw.writeFloat(this.hashrate);
+    bw.writeBytes(this.maxTarget);
+    return bw;
+  }
+
+  read(br) {
+    this.requestId = br.readU32();
+    this.user = readStr(br);
+    this.hashrate = br.readFloat();
+    this.maxTarget = br.readBytes(32);
+    return this;
+  }
+}
+
+/**
+ * OpenStandardMiningChannel.Success
+ */
+
+class OpenStandardMiningChannelSuccess extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.OPEN_STANDARD_MINING_CHANNEL_SUCCESS;
+    this.requestId = 0;
+    this.channelId = 0;
+    this.target = encoding.ZERO_HASH;
+    this.extranonce = Buffer.alloc(0);
+    this.groupId = 0;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 4 + 4 + 32 + 1 + this.extranonce.length + 4;
+  }
+
+  write(bw) {
+    bw.writeU32(this.requestId);
+    bw.writeU32(this.channelId);
+    bw.writeBytes(this.target);
+    writeBytes(bw, this.extranonce);
+    bw.writeU32(this.groupId);
+    return bw;
+  }
+
+  read(br) {
+    this.requestId = br.readU32();
+    this.channelId = br.readU32();
+    this.target = br.readBytes(32);
+    this.extranonce = readBytes(br);
+    this.groupId = br.readU32();
+    return this;
+  }
+}
+
+/**
+ * OpenMiningChannel.Error
+ */
+
+class OpenMiningChannelError extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.OPEN_MINING_CHANNEL_ERROR;
+    this.requestId = 0;
+    this.code = '';
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 4 + sizeStr(this.code);
+  }
+
+  write(bw) {
+    bw.writeU32(this.requestId);
+    writeStr(bw, this.code);
+    return bw;
+  }
+
+  read(br) {
+    this.requestId = br.readU32();
+    this.code = readStr(br);
+    return this;
+  }
+}
+
+/**
+ * UpdateChannel
+ */
+
+class UpdateChannel extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.UPDATE_CHANNEL;
+    this.channel = true;
+    this.channelId = 0;
+    this.hashrate = 0;
+    this.maxTarget = encoding.ZERO_HASH;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 4 + 4 + 32;
+  }
+
+  write(bw) {
+    bw.writeU32(this.channelId);
+    bw.writeFloat(this.hashrate);
+    bw.writeBytes(this.maxTarget);
+    return bw;
+  }
+
+  read(br) {
+    this.channelId = br.readU32();
+    this.hashrate = br.readFloat();
+    this.maxTarget = br.readBytes(32);
+    return this;
+  }
+}
+
+/**
+ * SubmitSharesStandard
+ */
+
+class SubmitSharesStandard extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.SUBMIT_SHARES_STANDARD;
+    this.channel = true;
+    this.channelId = 0;
+    this.sequence = 0;
+    this.jobId = 0;
+    this.nonce = 0;
+    this.time = 0;
+    this.version = 0;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 24;
+  }
+
+  write(bw) {
+    bw.writeU32(this.channelId);
+    bw.writeU32(this.sequence);
+    bw.writeU32(this.jobId);
+    bw.writeU32(this.nonce);
+    bw.writeU32(this.time);
+    bw.writeU32(this.version);
+    return bw;
+  }
+
+  read(br) {
+    this.channelId = br.readU32();
+    this.sequence = br.readU32();
+    this.jobId = br.readU32();
+    this.nonce = br.readU32();
+    this.time = br.readU32();
+    this.version = br.readU32();
+    return this;
+  }
+}
+
+/**
+ * SubmitShares.Success
+ */
+
+class SubmitSharesSuccess extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.SUBMIT_SHARES_SUCCESS;
+    this.channel = true;
+    this.channelId = 0;
+    this.sequence = 0;
+    this.count = 0;
+    this.sum = 0;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 20;
+  }
+
+  write(bw) {
+    bw.writeU32(this.channelId);
+    bw.writeU32(this.sequence);
+    bw.writeU32(this.count);
+    bw.writeU64(this.sum);
+    return bw;
+  }
+
+  read(br) {
+    this.channelId = br.readU32();
+    this.sequence = br.readU32();
+    this.count = br.readU32();
+    this.sum = br.readU64();
+    return this;
+  }
+}
+
+/**
+ * SubmitShares.Error
+ */
+
+class SubmitSharesError extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.SUBMIT_SHARES_ERROR;
+    this.channel = true;
+    this.channelId = 0;
+    this.sequence = 0;
+    this.code = '';
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 8 + sizeStr(this.code);
+  }
+
+  write(bw) {
+    bw.writeU32(this.channelId);
+    bw.writeU32(this.sequence);
+    writeStr(bw, this.code);
+    return bw;
+  }
+
+  read(br) {
+    this.channelId = br.readU32();
+    this.sequence = br.readU32();
+    this.code = readStr(br);
+    return this;
+  }
+}
+
+/**
+ * NewMiningJob
+ * A job without `minTime` is a future job, activated
+ * by a later SetNewPrevHash.
+ */
+
+class NewMiningJob extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.NEW_MINING_JOB;
+    this.channel = true;
+    this.channelId = 0;
+    this.jobId = 0;
+    this.minTime = -1;
+    this.version = 0;
+    this.root = encoding.ZERO_HASH;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  isFuture() {
+    return this.minTime === -1;
+  }
+
+  getSize() {
+    return 4 + 4 + (this.isFuture() ? 1 : 5) + 4 + 32;
+  }
+
+  write(bw) {
+    bw.writeU32(this.channelId);
+    bw.writeU32(this.jobId);
+
+    if (this.isFuture()) {
+      bw.writeU8(0);
+    } else {
+      bw.writeU8(1);
+      bw.writeU32(this.minTime);
+    }
+
+    bw.writeU32(this.version);
+    bw.writeBytes(this.root);
+
+    return bw;
+  }
+
+  read(br) {
+    this.channelId = br.readU32();
+    this.jobId = br.readU32();
+
+    if (br.readU8() === 1)
+      this.minTime = br.readU32();
+    else
+      this.minTime = -1;
+
+    this.version = br.readU32();
+    this.root = br.readBytes(32);
+
+    return this;
+  }
+}
+
+/**
+ * SetNewPrevHash
+ */
+
+class SetNewPrevHash extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.SET_NEW_PREV_HASH;
+    this.channel = true;
+    this.channelId = 0;
+    this.jobId = 0;
+    this.prevBlock = encoding.ZERO_HASH;
+    this.minTime = 0;
+    this.bits = 0;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 4 + 4 + 32 + 4 + 4;
+  }
+
+  write(bw) {
+    bw.writeU32(this.channelId);
+    bw.writeU32(this.jobId);
+    bw.writeBytes(this.prevBlock);
+    bw.writeU32(this.minTime);
+    bw.writeU32(this.bits);
+    return bw;
+  }
+
+  read(br) {
+    this.channelId = br.readU32();
+    this.jobId = br.readU32();
+    this.prevBlock = br.readBytes(32);
+    this.minTime = br.readU32();
+    this.bits = br.readU32();
+    return this;
+  }
+}
+
+/**
+ * SetTarget
+ */
+
+class SetTarget extends Packet {
+  constructor(options) {
+    super();
+    this.type = types.SET_TARGET;
+    this.channel = true;
+    this.channelId = 0;
+    this.target = encoding.ZERO_HASH;
+
+    if (options)
+      Object.assign(this, options);
+  }
+
+  getSize() {
+    return 36;
+  }
+
+  write(bw) {
+    bw.writeU32(this.channelId);
+    bw.writeBytes(this.target);
+    return bw;
+  }
+
+  read(br) {
+    this.channelId = br.readU32();
+    this.target = br.readBytes(32);
+    return this;
+  }
+}
+
+/**
+ * Decode a framed message.
+ * @param {Buffer} data
+ * @returns {Packet}
+ */
+
+exports.decode = function decode(data) {
+  const br = new BufferReader(data);
+
+  br.readU16();
+
+  const type = br.readU8();
+  const size = br.readU16() + br.readU8() * 0x10000;
+
+  if (br.left() !== size)
+    throw new Error('Bad message length.');
+
+  let packet;
+
+  switch (type) {
+    case types.SETUP_CONNECTION:
+      packet = SetupConnection.fromReader(br);
+      break;
+    case types.SETUP_CONNECTION_SUCCESS:
+      packet = SetupConnectionSuccess.fromReader(br);
+      break;
+    case types.SETUP_CONNECTION_ERROR:
+      packet = SetupConnectionError.fromReader(br);
+      break;
+    case types.OPEN_STANDARD_MINING_CHANNEL:
+      packet = OpenStandardMiningChannel.fromReader(br);
+      break;
+    case types.OPEN_STANDARD_MINING_CHANNEL_SUCCESS:
+      packet = OpenStandardMiningChannelSuccess.fromReader(br);
+      break;
+    case types.OPEN_MINING_CHANNEL_ERROR:
+      packet = OpenMiningChannelError.fromReader(br);
+      break;
+    case types.UPDATE_CHANNEL:
+      packet = UpdateChannel.fromReader(br);
+      break;
+    case types.SUBMIT_SHARES_STANDARD:
+      packet = SubmitSharesStandard.fromReader(br);
+      break;
+    case types.SUBMIT_SHARES_SUCCESS:
+      packet = SubmitSharesSuccess.fromReader(br);
+      break;
+    case types.SUBMIT_SHARES_ERROR:
+      packet = SubmitSharesError.fromReader(br);
+      break;
+    case types.NEW_MINING_JOB:
+      packet = NewMiningJob.fromReader(br);
+      break;
+    case types.SET_NEW_PREV_HASH:
+      packet = SetNewPrevHash.fromReader(br);
+      break;
+    case types.SET_TARGET:
+      packet = SetTarget.fromReader(br);
+      break;
+    default:
+      throw new Error(`Unknown message type: ${type}.`);
+  }
+
+  if (br.left() !== 0)
+    throw new Error('Trailing message data.');
+
+  return packet;
+};
+
+/**
+ * Parser
+ * Splits a byte stream into length-prefixed
+ * (uint16le) noise messages.
+ * @emits Parser#message
+ * @emits Parser#error
+ */
+
+class Parser extends EventEmitter {
+  constructor() {
+    super();
+    this.pending = [];
+    this.total = 0;
+    this.waiting = 2;
+    this.header = true;
+  }
+
+  feed(data) {
+    this.total += data.length;
+    this.pending.push(data);
+
+    while (this.total >= this.waiting) {
+      const chunk = Buffer.concat(this.pending);
+      const msg = chunk.slice(0, this.waiting);
+
+      this.pending = [chunk.slice(this.waiting)];
+      this.total -= this.waiting;
+
+      if (this.header) {
+        const size = msg.readUInt16LE(0, true);
+
+        if (size === 0) {
+          this.emit('error', new Error('Empty message.'));
+          continue;
+        }
+
+        this.header = false;
+        this.waiting = size;
+
+        continue;
+      }
+
+      this.header = true;
+      this.waiting = 2;
+
+      this.emit('message', msg);
+    }
+  }
+}
+
+/**
+ * Prefix a noise message with its length.
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+
+exports.frame = function frame(data) {
+  assert(data.length > 0 && data.length <= MAX_MESSAGE,
+    'Bad message size.');
+
+  const out = Buffer.allocUnsafe(2 + data.length);
+  out.writeUInt16LE(data.length, 0, true);
+  data.copy(out, 2);
+
+  return out;
+};
+
+/*
+ * Helpers
+ */
+
+function sizeStr(str) {
+  return 1 + Buffer.byteLength(str, 'utf8');
+}
+
+function writeStr(bw, str) {
+  const size = Buffer.byteLength(str, 'utf8');
+  assert(size <= 255, 'String too long.');
+  bw.writeU8(size);
+  bw.writeString(str, 'utf8');
+}
+
+function readStr(br) {
+  const size = br.readU8();
+  return br.readString('utf8', size);
+}
+
+function writeBytes(bw, data) {
+  assert(data.length <= 32, 'Data too long.');
+  bw.writeU8(data.length);
+  bw.writeBytes(data);
+}
+
+function readBytes(br) {
+  const size = br.readU8();
+
+  if (size > 32)
+    throw new Error('Data too long.');
+
+  return br.readBytes(size);
+}
+
+/*
+ * Expose
+ */
+
+exports.Packet = Packet;
+exports.SetupConnection = SetupConnection;
+exports.SetupConnectionSuccess = SetupConnectionSuccess;
+exports.SetupConnectionError = SetupConnectionError;
+exports.OpenStandardMiningChannel = OpenStandardMiningChannel;
+exports.OpenStandardMiningChannelSuccess = OpenStandardMiningChannelSuccess;
+exports.OpenMiningChannelError = OpenMiningChannelError;
+exports.UpdateChannel = UpdateChannel;
+exports.SubmitSharesStandard = SubmitSharesStandard;
+exports.SubmitSharesSuccess = SubmitSharesSuccess;
+exports.SubmitSharesError = SubmitSharesError;
+exports.NewMiningJob = NewMiningJob;
+exports.SetNewPrevHash = SetNewPrevHash;
+exports.SetTarget = SetTarget;
+exports.Parser = Parser;
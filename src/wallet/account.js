@@ -223,6 +223,14 @@ Account.fromOptions = function fromOptions(db, options) {
 
 Account.MAX_LOOKAHEAD = 40;
 
+/**
+ * Unused addresses to look past when
+ * discovering history (BIP44 gap limit).
+ * @const {Number}
+ */
+
+Account.GAP_LIMIT = 20;
+
 /**
  * Attempt to intialize the account (generating
  * the first addresses along with the lookahead
@@ -15,6 +15,7 @@ const IOClient = require('socket.io-client');
 const Network = require('../protocol/network');
 const AsyncObject = require('../utils/asyncobject');
 const TX = require('../primitives/tx');
+const TXMeta = require('../primitives/txmeta');
 const {BlockMeta} = require('./records');
 const Headers = require('../primitives/headers');
 const util = require('../utils/util');
@@ -292,6 +293,21 @@ WalletClient.prototype.estimateFee = function estimateFee(blocks) {
   });
 };
 
+/**
+ * Get transactions pertinent to addresses
+ * from the address index.
+ * @param {Hash[]} hashes - Address hashes.
+ * @returns {Promise} - Returns {@link TXMeta}[], or
+ * null if the node does not index addresses.
+ */
+
+WalletClient.prototype.getMetaByAddress = function getMetaByAddress(hashes) {
+  return new Promise((resolve, reject) => {
+    this.socket.emit('get meta by address', hashes,
+      wrap(resolve, reject, parseMetas));
+  });
+};
+
 /**
  * Rescan for any missed transactions.
  * @param {Number|Hash} start - Start block.
@@ -344,6 +360,15 @@ function parseTX(data) {
   return TX.fromRaw(data, 'hex');
 }
 
+function parseMetas(items) {
+  const out = [];
+
+  for (const raw of items)
+    out.push(TXMeta.fromRaw(raw, 'hex'));
+
+  return out;
+}
+
 function BlockResult(entry, txs) {
   this.entry = entry;
   this.txs = txs;
@@ -0,0 +1,514 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * exporter.js - wallet history export for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const util = require('../utils/util');
+const Amount = require('../wmcc/amount');
+const common = require('./common');
+
+/**
+ * History Exporter
+ * Writes a wallet's (or account's) history as
+ * CSV or JSON lines, one row per transaction,
+ * oldest first, with a running balance.
+ * @alias module:wallet.HistoryExporter
+ * @constructor
+ * @param {Wallet} wallet
+ * @param {Object?} options
+ * @param {String?} options.format - `csv` (default) or `jsonl`.
+ * @param {(Number|String)?} options.account - Account name or index.
+ * @param {Number?} options.start - Earliest time (unix seconds).
+ * @param {Number?} options.end - Latest time (unix seconds).
+ * @param {Number?} options.startHeight - Lowest block height.
+ * @param {Number?} options.endHeight - Highest block height.
+ */
+
+function HistoryExporter(wallet, options) {
+  if (!(this instanceof HistoryExporter))
+    return new HistoryExporter(wallet, options);
+
+  assert(wallet, 'Exporter requires a wallet.');
+
+  this.wallet = wallet;
+  this.network = wallet.network;
+
+  this.format = 'csv';
+  this.account = null;
+  this.start = 0;
+  this.end = 0xffffffff;
+  this.startHeight = -1;
+  this.endHeight = -1;
+
+  this.index = -1;
+  this.opened = false;
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Supported formats.
+ * @const {String[]}
+ * @default
+ */
+
+HistoryExporter.FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Number of confirmed records read at once.
+ * @const {Number}
+ * @default
+ */
+
+HistoryExporter.BATCH_SIZE = 1000;
+
+/**
+ * Column names, in order.
+ * @const {String[]}
+ * @default
+ */
+
+HistoryExporter.FIELDS = [
+  'date',
+  'height',
+  'txid',
+  'direction',
+  'amount',
+  'fee',
+  'net',
+  'balance',
+  'counterparties',
+  'confirmations',
+  'label'
+];
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ * @returns {HistoryExporter}
+ */
+
+HistoryExporter.prototype.fromOptions = function fromOptions(options) {
+  if (options.format != null) {
+    assert(HistoryExporter.FORMATS.indexOf(options.format) !== -1,
+      'Unknown export format.');
+    this.format = options.format;
+  }
+
+  if (options.account != null) {
+    assert(typeof options.account === 'string'
+      || util.isU32(options.account), 'Bad account.');
+    this.account = options.account;
+  }
+
+  if (options.start != null) {
+    assert(util.isU32(options.start), 'Bad start time.');
+    this.start = options.start;
+  }
+
+  if (options.end != null) {
+    assert(util.isU32(options.end), 'Bad end time.');
+    this.end = options.end;
+  }
+
+  if (options.startHeight != null) {
+    assert(util.isU32(options.startHeight), 'Bad start height.');
+    this.startHeight = options.startHeight;
+  }
+
+  if (options.endHeight != null) {
+    assert(util.isU32(options.endHeight), 'Bad end height.');
+    this.endHeight = options.endHeight;
+  }
+
+  assert(this.start <= this.end, 'Bad time range.');
+
+  if (this.startHeight !== -1 && this.endHeight !== -1)
+    assert(this.startHeight <= this.endHeight, 'Bad height range.');
+
+  return this;
+};
+
+/**
+ * Get the content type of the output.
+ * @returns {String}
+ */
+
+HistoryExporter.prototype.getType = function getType() {
+  return this.format;
+};
+
+/**
+ * Resolve the account. Call before writing
+ * any output so errors can still be reported
+ * cleanly.
+ * @returns {Promise}
+ */
+
+HistoryExporter.prototype.open = async function open() {
+  if (this.account != null) {
+    this.index = await this.wallet.getAccountIndex(this.account);
+
+    if (this.index === -1 || !await this.wallet.hasAccount(this.index))
+      throw new Error('Account not found.');
+  }
+
+  this.opened = true;
+};
+
+/**
+ * Write the export line by line. The balance runs
+ * over the whole history; only rows inside the
+ * filters are written. Confirmed history is read
+ * from the height index in batches.
+ * @param {Function} write - Called with each line,
+ * may return a promise.
+ * @returns {Promise} - Returns Number (rows written).
+ */
+
+HistoryExporter.prototype.run = async function run(write) {
+  if (!this.opened)
+    await this.open();
+
+  if (this.format === 'csv')
+    await write(this.toCSV(HistoryExporter.FIELDS));
+
+  const account = this.index !== -1 ? this.index : null;
+  const state = { balance: 0, rows: 0 };
+
+  let height = 0;
+
+  for (;;) {
+    if (this.endHeight !== -1 && height > this.endHeight)
+      return state.rows;
+
+    const wtxs = await this.readBlocks(account, height);
+
+    if (wtxs.length === 0)
+      break;
+
+    await this.writeRecords(wtxs, state, write);
+
+    height = wtxs[wtxs.length - 1].height + 1;
+  }
+
+  const pending = await this.wallet.txdb.getPending(account);
+
+  await this.writeRecords(sortRecords(pending), state, write);
+
+  return state.rows;
+};
+
+/**
+ * Read a batch of whole blocks worth of
+ * confirmed records, in block order.
+ * @private
+ * @param {Number?} account
+ * @param {Number} height - Lowest height.
+ * @returns {Promise} - Returns {@link TXRecord}[].
+ */
+
+HistoryExporter.prototype.readBlocks = async function readBlocks(account, height) {
+  const txdb = this.wallet.txdb;
+  const limit = HistoryExporter.BATCH_SIZE;
+
+  let hashes = await txdb.getHeightRangeHashes(account, {
+    start: height,
+    limit: limit
+  });
+
+  let wtxs = await this.getRecords(hashes);
+
+  // The last block of a full batch may be cut
+  // short. Leave it for the next batch, or read
+  // it whole if it is all we have.
+  if (hashes.length === limit) {
+    const last = wtxs[wtxs.length - 1].height;
+    const whole = wtxs.filter((wtx) => wtx.height !== last);
+
+    if (whole.length === 0) {
+      hashes = await txdb.getHeightRangeHashes(account, {
+        start: last,
+        end: last
+      });
+      wtxs = await this.getRecords(hashes);
+    } else {
+      wtxs = whole;
+    }
+  }
+
+  return sortRecords(wtxs);
+};
+
+/**
+ * Load transaction records by hash.
+ * @private
+ * @param {Hash[]} hashes
+ * @returns {Promise} - Returns {@link TXRecord}[].
+ */
+
+HistoryExporter.prototype.getRecords = async function getRecords(hashes) {
+  const wtxs = [];
+
+  for (const hash of hashes) {
+    const wtx = await this.wallet.txdb.getTX(hash);
+    assert(wtx);
+    wtxs.push(wtx);
+  }
+
+  return wtxs;
+};
+
+/**
+ * Write rows for sorted records, carrying
+ * the running balance.
+ * @private
+ * @param {TXRecord[]} wtxs
+ * @param {Object} state - Balance and row count.
+ * @param {Function} write
+ * @returns {Promise}
+ */
+
+HistoryExporter.prototype.writeRecords = async function writeRecords(wtxs, state, write) {
+  for (const wtx of wtxs) {
+    const details = await this.wallet.txdb.toDetails(wtx);
+
+    if (!details)
+      continue;
+
+    const row = this.toRow(details);
+
+    if (!row)
+      continue;
+
+    state.balance += row.net;
+
+    if (!this.isMatch(details))
+      continue;
+
+    row.balance = state.balance;
+
+    await write(this.formatRow(row));
+
+    state.rows += 1;
+  }
+};
+
+/**
+ * Test whether a member belongs to the exported scope.
+ * @private
+ * @param {DetailsMember} member
+ * @returns {Boolean}
+ */
+
+HistoryExporter.prototype.isOurs = function isOurs(member) {
+  if (!member.path)
+    return false;
+
+  if (this.index === -1)
+    return true;
+
+  return member.path.account === this.index;
+};
+
+/**
+ * Test a transaction against the range filters.
+ * @private
+ * @param {Details} details
+ * @returns {Boolean}
+ */
+
+HistoryExporter.prototype.isMatch = function isMatch(details) {
+  const time = details.time || details.mtime;
+
+  if (time < this.start || time > this.end)
+    return false;
+
+  if (this.startHeight !== -1 || this.endHeight !== -1) {
+    if (details.height === -1)
+      return false;
+
+    if (this.startHeight !== -1 && details.height < this.startHeight)
+      return false;
+
+    if (this.endHeight !== -1 && details.height > this.endHeight)
+      return false;
+  }
+
+  return true;
+};
+
+/**
+ * Compute the accounting view of a transaction.
+ * @private
+ * @param {Details} details
+ * @returns {Object|null} - Null if the scope is not involved.
+ */
+
+HistoryExporter.prototype.toRow = function toRow(details) {
+  let sent = 0;
+  let received = 0;
+  let external = false;
+
+  for (const input of details.inputs) {
+    if (this.isOurs(input))
+      sent += input.value;
+  }
+
+  for (const output of details.outputs) {
+    if (this.isOurs(output))
+      received += output.value;
+    else
+      external = true;
+  }
+
+  if (sent === 0 && received === 0)
+    return null;
+
+  // Counterparties of a send are the outputs
+  // paid, those of a receive are the senders.
+  const members = sent > 0 ? details.outputs : details.inputs;
+  const counterparties = new Set();
+
+  for (const member of members) {
+    if (!this.isOurs(member) && member.address)
+      counterparties.add(member.address.toString(this.network));
+  }
+
+  let direction = 'receive';
+  let fee = 0;
+
+  if (sent > 0) {
+    // Zero if some inputs are not the wallet's.
+    fee = details.getFee();
+    direction = external ? 'send' : 'internal';
+  }
+
+  const net = received - sent;
+
+  return {
+    date: util.date(details.time || details.mtime),
+    height: details.height,
+    txid: util.revHex(details.hash),
+    direction: direction,
+    amount: net + fee,
+    fee: fee,
+    net: net,
+    balance: 0,
+    counterparties: Array.from(counterparties),
+    confirmations: details.getDepth(),
+    label: details.meta ? details.meta.label : ''
+  };
+};
+
+/**
+ * Serialize a row in the output format.
+ * @private
+ * @param {Object} row
+ * @returns {String}
+ */
+
+HistoryExporter.prototype.formatRow = function formatRow(row) {
+  const json = {
+    date: row.date,
+    height: row.height,
+    txid: row.txid,
+    direction: row.direction,
+    amount: Amount.wmcc(row.amount),
+    fee: Amount.wmcc(row.fee),
+    net: Amount.wmcc(row.net),
+    balance: Amount.wmcc(row.balance),
+    counterparties: row.counterparties,
+    confirmations: row.confirmations,
+    label: row.label
+  };
+
+  if (this.format === 'jsonl')
+    return JSON.stringify(json) + '\n';
+
+  json.counterparties = escapeFormula(row.counterparties.join(' '));
+  json.label = escapeFormula(String(json.label));
+
+  const fields = [];
+
+  for (const field of HistoryExporter.FIELDS)
+    fields.push(String(json[field]));
+
+  return this.toCSV(fields);
+};
+
+/**
+ * Serialize a CSV line (RFC 4180 quoting). Fields
+ * escaped against formula injection are always quoted.
+ * @private
+ * @param {String[]} fields
+ * @returns {String}
+ */
+
+HistoryExporter.prototype.toCSV = function toCSV(fields) {
+  const out = [];
+
+  for (const field of fields) {
+    if (/^'|[",\r\n]/.test(field))
+      out.push(`"${field.replace(/"/g, '""')}"`);
+    else
+      out.push(field);
+  }
+
+  return out.join(',') + '\r\n';
+};
+
+/*
+ * Helpers
+ */
+
+function escapeFormula(field) {
+  // Spreadsheets evaluate text cells which
+  // look like formulas. Numeric columns are
+  // left alone so negative amounts still parse.
+  if (/^[=+\-@\t\r]/.test(field))
+    return `'${field}`;
+  return field;
+}
+
+function sortRecords(wtxs) {
+  // Block order for confirmed transactions,
+  // then unconfirmed ones in the order they
+  // were seen, parents before children.
+  const txs = common.sortDeps(wtxs.map((wtx) => wtx.tx));
+  const order = new Map();
+
+  for (let i = 0; i < txs.length; i++)
+    order.set(txs[i].hash('hex'), i);
+
+  return wtxs.sort((a, b) => {
+    const ah = a.height === -1 ? 0x7fffffff : a.height;
+    const bh = b.height === -1 ? 0x7fffffff : b.height;
+
+    if (ah !== bh)
+      return ah - bh;
+
+    if (a.index !== b.index)
+      return a.index - b.index;
+
+    if (a.mtime !== b.mtime)
+      return a.mtime - b.mtime;
+
+    return order.get(a.hash) - order.get(b.hash);
+  });
+}
+
+/*
+ * Expose
+ */
+
+module.exports = HistoryExporter;
@@ -17,6 +17,7 @@ const HTTPBase = require('../http/base');
 const util = require('../utils/util');
 const base58 = require('../utils/base58');
 const MTX = require('../primitives/mtx');
+const PSBT = require('../primitives/psbt');
 const Outpoint = require('../primitives/outpoint');
 const Script = require('../script/script');
 const digest = require('../crypto/digest');
@@ -27,6 +28,7 @@ const Validator = require('../utils/validator');
 const Address = require('../primitives/address');
 const KeyRing = require('../primitives/keyring');
 const common = require('./common');
+const HistoryExporter = require('./exporter');
 
 /**
  * HTTPServer
@@ -217,7 +219,9 @@ HTTPServer.prototype.initRouter = function initRouter() {
       mnemonic: valid.str('mnemonic'),
       witness: valid.bool('witness'),
       accountKey: valid.str('accountKey'),
-      watchOnly: valid.bool('watchOnly')
+      watchOnly: valid.bool('watchOnly'),
+      birthday: valid.u32('birthday'),
+      birthHeight: valid.u32('birthHeight')
     });
 
     res.send(200, wallet.toJSON());
@@ -237,7 +241,9 @@ HTTPServer.prototype.initRouter = function initRouter() {
       mnemonic: valid.str('mnemonic'),
       witness: valid.bool('witness'),
       accountKey: valid.str('accountKey'),
-      watchOnly: valid.bool('watchOnly')
+      watchOnly: valid.bool('watchOnly'),
+      birthday: valid.u32('birthday'),
+      birthHeight: valid.u32('birthHeight')
     });
 
     res.send(200, wallet.toJSON());
@@ -310,10 +316,20 @@ HTTPServer.prototype.initRouter = function initRouter() {
     const valid = req.valid();
     const old = valid.str('old');
     const new_ = valid.str('new');
+    const alg = valid.str('algorithm');
+    const N = valid.u32('N');
+    const r = valid.u32('r');
+    const p = valid.u32('p');
+    const target = valid.u32('target');
 
     enforce(old || new_, 'Passphrase is required.');
 
-    await req.wallet.setPassphrase(old, new_);
+    let options = null;
+
+    if (alg || N != null || r != null || p != null || target != null)
+      options = { alg, N, r, p, target };
+
+    await req.wallet.setPassphrase(old, new_, options);
 
     res.send(200, { success: true });
   });
@@ -391,6 +407,7 @@ HTTPServer.prototype.initRouter = function initRouter() {
       blocks: valid.u32('blocks'),
       maxFee: valid.u64('maxFee'),
       selection: valid.str('selection'),
+      maxInputs: valid.u32('maxInputs'),
       smart: valid.bool('smart'),
       subtractFee: valid.bool('subtractFee'),
       subtractIndex: valid.i32('subtractIndex'),
@@ -414,10 +431,26 @@ HTTPServer.prototype.initRouter = function initRouter() {
     }
 
     const tx = await req.wallet.send(options, passphrase);
+    const hash = tx.hash('hex');
+    const pending = await req.wallet.getPendingSpend(hash);
+
+    // Large spends are held back for approval.
+    if (pending) {
+      res.send(200, {
+        pending: true,
+        spend: pending.getJSON(this.network)
+      });
+      return;
+    }
 
-    const details = await req.wallet.getDetails(tx.hash('hex'));
+    const details = await req.wallet.getDetails(hash);
 
-    res.send(200, details.toJSON());
+    enforce(details, 'Transaction was not sent.');
+
+    const json = details.toJSON();
+    json.pending = false;
+
+    res.send(200, json);
   });
 
   // Create TX
@@ -430,6 +463,7 @@ HTTPServer.prototype.initRouter = function initRouter() {
       rate: valid.u64('rate'),
       maxFee: valid.u64('maxFee'),
       selection: valid.str('selection'),
+      maxInputs: valid.u32('maxInputs'),
       smart: valid.bool('smart'),
       subtractFee: valid.bool('subtractFee'),
       subtractIndex: valid.i32('subtractIndex'),
@@ -475,6 +509,56 @@ HTTPServer.prototype.initRouter = function initRouter() {
     res.send(200, tx.getJSON(this.network));
   });
 
+  // Process PSBT
+  this.post('/:id/psbt', async (req, res) => {
+    const valid = req.valid();
+    const passphrase = valid.str('passphrase');
+    const raw = valid.str('psbt');
+    const sign = valid.bool('sign', true);
+    const derivations = valid.bool('derivations', true);
+    const finalize = valid.bool('finalize', true);
+
+    enforce(raw, 'PSBT is required.');
+
+    let psbt;
+    try {
+      psbt = PSBT.fromBase64(raw);
+    } catch (e) {
+      enforce(false, 'Invalid PSBT.');
+    }
+
+    const signed = await req.wallet.processPSBT(psbt, {
+      sign: sign,
+      derivations: derivations,
+      passphrase: passphrase
+    });
+
+    const complete = finalize ? psbt.finalize() : psbt.isFinalized();
+    const json = {
+      psbt: psbt.toBase64(),
+      signed: signed,
+      complete: complete
+    };
+
+    if (complete)
+      json.tx = psbt.extract().toRaw().toString('hex');
+
+    res.send(200, json);
+  });
+
+  // Restore wallet history
+  this.post('/:id/restore', async (req, res) => {
+    const valid = req.valid();
+    const gap = valid.u32('gap');
+    const index = valid.bool('index');
+
+    enforce(gap !== 0, 'Gap must be positive.');
+
+    const result = await this.walletdb.restore(req.wallet, { gap, index });
+
+    res.send(200, result);
+  });
+
   // Zap Wallet TXs
   this.post('/:id/zap', async (req, res) => {
     const valid = req.valid();
@@ -563,7 +647,27 @@ HTTPServer.prototype.initRouter = function initRouter() {
       return;
     }
 
-    res.send(200, key.toJSON());
+    const meta = await req.wallet.getAddressMeta(address);
+    const json = key.toJSON();
+
+    json.meta = meta ? meta.toJSON() : null;
+
+    res.send(200, json);
+  });
+
+  // Label address
+  this.put('/:id/key/:address', async (req, res) => {
+    const valid = req.valid();
+    const address = valid.str('address');
+
+    enforce(address, 'Address is required.');
+
+    const meta = await req.wallet.setAddressMeta(address, {
+      label: valid.str('label'),
+      memo: valid.get('memo')
+    });
+
+    res.send(200, meta.toJSON());
   });
 
   // Get private key
@@ -716,6 +820,59 @@ HTTPServer.prototype.initRouter = function initRouter() {
     res.send(200, result);
   });
 
+  // Export history (CSV or JSON lines)
+  this.get('/:id/export', async (req, res) => {
+    const valid = req.valid();
+    const format = valid.str('format', 'csv');
+
+    enforce(HistoryExporter.FORMATS.indexOf(format) !== -1,
+      'Format must be csv or jsonl.');
+
+    const exporter = new HistoryExporter(req.wallet, {
+      format: format,
+      account: valid.str('account'),
+      start: valid.u32('start'),
+      end: valid.u32('end'),
+      startHeight: valid.u32('startHeight'),
+      endHeight: valid.u32('endHeight')
+    });
+
+    // Resolve everything that can fail
+    // before the headers go out.
+    await exporter.open();
+
+    const name = `${req.wallet.id}-history.${format}`;
+
+    let closed = false;
+
+    res.on('close', () => {
+      closed = true;
+      res.emit('drain');
+    });
+
+    res.setStatus(200);
+    res.setType(exporter.getType());
+    res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+
+    try {
+      await exporter.run(async (line) => {
+        if (closed)
+          throw new Error('Connection closed.');
+
+        if (!res.write(line, 'utf8'))
+          await new Promise((resolve) => res.once('drain', resolve));
+      });
+    } catch (e) {
+      this.logger.warning('History export failed for %s.', req.wallet.id);
+      this.logger.error(e);
+      res.sent = true;
+      res.destroy();
+      return;
+    }
+
+    res.end();
+  });
+
   // Wallet Pending TXs
   this.get('/:id/tx/unconfirmed', async (req, res) => {
     const valid = req.valid();
@@ -773,6 +930,74 @@ HTTPServer.prototype.initRouter = function initRouter() {
     res.send(200, result);
   });
 
+  // Label TX
+  this.put('/:id/tx/:hash', async (req, res) => {
+    const valid = req.valid();
+    const hash = valid.hash('hash');
+
+    enforce(hash, 'Hash is required.');
+
+    const meta = await req.wallet.setTXMeta(hash, {
+      label: valid.str('label'),
+      memo: valid.get('memo')
+    });
+
+    res.send(200, meta.toJSON());
+  });
+
+  // Label coin
+  this.put('/:id/coin/:hash/:index', async (req, res) => {
+    const valid = req.valid();
+    const hash = valid.hash('hash');
+    const index = valid.u32('index');
+
+    enforce(hash, 'Hash is required.');
+    enforce(index != null, 'Index is required.');
+
+    const meta = await req.wallet.setCoinMeta(hash, index, {
+      label: valid.str('label'),
+      memo: valid.get('memo')
+    });
+
+    res.send(200, meta.toJSON());
+  });
+
+  // Search labels
+  this.get('/:id/meta', async (req, res) => {
+    const valid = req.valid();
+    const query = valid.str('query');
+    const items = await req.wallet.searchMeta(query);
+    const result = [];
+
+    for (const item of items) {
+      const json = {
+        type: item.type,
+        hash: null,
+        index: null,
+        address: null,
+        meta: item.meta.toJSON()
+      };
+
+      if (item.type === 'address') {
+        const path = await req.wallet.getPath(item.hash);
+
+        if (!path)
+          continue;
+
+        json.address = path.toAddress(this.network).toString(this.network);
+      } else {
+        json.hash = util.revHex(item.hash);
+
+        if (item.type === 'coin')
+          json.index = item.index;
+      }
+
+      result.push(json);
+    }
+
+    res.send(200, result);
+  });
+
   // Wallet TX
   this.get('/:id/tx/:hash', async (req, res) => {
     const valid = req.valid();
@@ -797,6 +1022,125 @@ HTTPServer.prototype.initRouter = function initRouter() {
     await req.wallet.resend();
     res.send(200, { success: true });
   });
+
+  // Get spend policy
+  this.get('/:id/policy', async (req, res) => {
+    const valid = req.valid();
+    const acct = valid.str('account');
+    const policy = await req.wallet.getSpendPolicy(acct);
+
+    res.send(200, policy.toJSON());
+  });
+
+  // Set spend policy (admin)
+  this.put('/:id/policy', async (req, res) => {
+    this.enforceAdmin(req);
+
+    const valid = req.valid();
+    const acct = valid.str('account');
+
+    const policy = await req.wallet.setSpendPolicy(acct, {
+      limit: valid.u64('limit'),
+      window: valid.u32('window'),
+      maxTX: valid.u64('maxTX'),
+      allowlist: valid.array('allowlist'),
+      minConf: valid.u32('minConf'),
+      approval: valid.u64('approval')
+    });
+
+    res.send(200, policy.toJSON());
+  });
+
+  // Spends awaiting approval
+  this.get('/:id/pending', async (req, res) => {
+    const pending = await req.wallet.getPendingSpends();
+    const result = [];
+
+    for (const item of pending)
+      result.push(item.getJSON(this.network));
+
+    res.send(200, result);
+  });
+
+  // Spend awaiting approval
+  this.get('/:id/pending/:hash', async (req, res) => {
+    const valid = req.valid();
+    const hash = valid.hash('hash');
+
+    enforce(hash, 'Hash is required.');
+
+    const pending = await req.wallet.getPendingSpend(hash);
+
+    if (!pending) {
+      res.send(404);
+      return;
+    }
+
+    res.send(200, pending.getJSON(this.network));
+  });
+
+  // Approve spend (admin)
+  this.post('/:id/pending/:hash', async (req, res) => {
+    this.enforceAdmin(req);
+
+    const valid = req.valid();
+    const hash = valid.hash('hash');
+
+    enforce(hash, 'Hash is required.');
+
+    const tx = await req.wallet.approveSpend(hash);
+
+    if (!tx) {
+      res.send(404);
+      return;
+    }
+
+    const details = await req.wallet.getDetails(hash);
+
+    enforce(details, 'Transaction was not added.');
+
+    res.send(200, details.toJSON());
+  });
+
+  // Reject spend
+  this.del('/:id/pending/:hash', async (req, res) => {
+    const valid = req.valid();
+    const hash = valid.hash('hash');
+
+    enforce(hash, 'Hash is required.');
+
+    const result = await req.wallet.rejectSpend(hash);
+
+    if (!result) {
+      res.send(404);
+      return;
+    }
+
+    res.send(200, { success: true });
+  });
+};
+
+/**
+ * Ensure a request carries the admin token.
+ * @private
+ * @param {Request} req
+ * @throws on missing or bad token.
+ */
+
+HTTPServer.prototype.enforceAdmin = function enforceAdmin(req) {
+  const valid = req.valid();
+  const token = valid.str('adminToken', '');
+
+  if (!this.options.adminHash)
+    deny('Admin token is not configured.');
+
+  if (token.length > 255)
+    deny('Invalid admin token.');
+
+  const hash = digest.hash256(Buffer.from(token, 'utf8'));
+
+  if (!ccmp(hash, this.options.adminHash))
+    deny('Invalid admin token.');
 };
 
 /**
@@ -845,6 +1189,11 @@ HTTPServer.prototype.initSockets = function initSockets() {
 
     this.to(`w:${id}`, 'wallet address', json);
   });
+
+  this.walletdb.on('pending spend', (id, pending) => {
+    const json = pending.getJSON(this.network);
+    this.to(`w:${id}`, 'wallet pending spend', json);
+  });
 };
 
 /**
@@ -953,6 +1302,7 @@ function HTTPOptions(options) {
   this.apiKey = base58.encode(random.randomBytes(20));
   this.apiHash = digest.hash256(Buffer.from(this.apiKey, 'ascii'));
   this.serviceHash = this.apiHash;
+  this.adminHash = null;
   this.noAuth = false;
   this.walletAuth = false;
 
@@ -999,6 +1349,16 @@ HTTPOptions.prototype.fromOptions = function fromOptions(options) {
     this.apiHash = digest.hash256(Buffer.from(this.apiKey, 'ascii'));
   }
 
+  if (options.adminToken != null) {
+    assert(typeof options.adminToken === 'string',
+      'Admin token must be a string.');
+    assert(options.adminToken.length > 0 && options.adminToken.length <= 255,
+      'Admin token must be 1-255 bytes.');
+    assert(util.isAscii(options.adminToken),
+      'Admin token must be ASCII.');
+    this.adminHash = digest.hash256(Buffer.from(options.adminToken, 'ascii'));
+  }
+
   if (options.noAuth != null) {
     assert(typeof options.noAuth === 'boolean');
     this.noAuth = options.noAuth;
@@ -1073,6 +1433,12 @@ function enforce(value, msg) {
   }
 }
 
+function deny(msg) {
+  const err = new Error(msg);
+  err.statusCode = 403;
+  throw err;
+}
+
 /*
  * Expose
  */
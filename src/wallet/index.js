@@ -17,6 +17,7 @@
 exports.Account = require('./account');
 exports.Client = require('./client');
 exports.common = require('./common');
+exports.HistoryExporter = require('./exporter');
 exports.HTTPServer = require('./http');
 exports.layout = require('./layout');
 exports.MasterKey = require('./masterkey');
@@ -26,6 +27,7 @@ exports.plugin = require('./plugin');
 exports.records = require('./records');
 exports.RPC = require('./rpc');
 exports.server = require('./server');
+exports.spendpolicy = require('./spendpolicy');
 exports.TXDB = require('./txdb');
 exports.WalletDB = require('./walletdb');
 exports.Wallet = require('./wallet');
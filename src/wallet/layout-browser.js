@@ -87,6 +87,21 @@ layouts.walletdb = {
   },
   oo: function oo(key) {
     return [key.slice(1, 65), parseInt(key.slice(65), 10)];
+  },
+  y: function y(wid, index) {
+    return 'y' + pad32(wid) + pad32(index);
+  },
+  yy: function yy(key) {
+    assert(typeof key === 'string');
+    return parseInt(key.slice(11), 10);
+  },
+  q: function q(wid, hash) {
+    assert(typeof hash === 'string');
+    return 'q' + pad32(wid) + hash;
+  },
+  qq: function qq(key) {
+    assert(typeof key === 'string');
+    return key.slice(11);
   }
 };
 
@@ -242,5 +257,23 @@ layouts.txdb = {
     assert(typeof key === 'string');
     key = key.slice(12);
     return parseInt(key.slice(0), 10);
+  },
+  e: function e(hash) {
+    return this.ha('e', hash);
+  },
+  ee: function ee(key) {
+    return this.haa(key);
+  },
+  u: function u(hash, index) {
+    return this.hi('u', hash, index);
+  },
+  uu: function uu(key) {
+    return this.hii(key);
+  },
+  a: function a(hash) {
+    return this.ha('a', hash);
+  },
+  aa: function aa(key) {
+    return this.haa(key);
   }
 };
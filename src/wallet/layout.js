@@ -28,6 +28,8 @@ const layouts = exports;
  *  h[height] -> recent block hash
  *  b[height] -> block->wid map
  *  o[hash][index] -> outpoint->wid map
+ *  y[wid][index] -> spend policy
+ *  q[wid][hash] -> pending spend
  */
 
 layouts.walletdb = {
@@ -167,6 +169,34 @@ layouts.walletdb = {
     assert(Buffer.isBuffer(key));
     assert(key.length === 37);
     return [key.toString('hex', 1, 33), key.readUInt32BE(33, true)];
+  },
+  y: function y(wid, index) {
+    assert(typeof wid === 'number');
+    assert(typeof index === 'number');
+    const key = Buffer.allocUnsafe(9);
+    key[0] = 0x79;
+    key.writeUInt32BE(wid, 1, true);
+    key.writeUInt32BE(index, 5, true);
+    return key;
+  },
+  yy: function yy(key) {
+    assert(Buffer.isBuffer(key));
+    assert(key.length === 9);
+    return key.readUInt32BE(5, true);
+  },
+  q: function q(wid, hash) {
+    assert(typeof wid === 'number');
+    assert(typeof hash === 'string');
+    const key = Buffer.allocUnsafe(37);
+    key[0] = 0x71;
+    key.writeUInt32BE(wid, 1, true);
+    key.write(hash, 5, 'hex');
+    return key;
+  },
+  qq: function qq(key) {
+    assert(Buffer.isBuffer(key));
+    assert(key.length === 37);
+    return key.toString('hex', 5);
   }
 };
 
@@ -186,6 +216,9 @@ layouts.walletdb = {
  *   H[account][height][hash] -> dummy (tx by height + account)
  *   C[account][hash][index] -> dummy (coin by account)
  *   r[hash] -> dummy (replace by fee chain)
+ *   e[hash] -> tx label and memo
+ *   u[hash][index] -> coin label and memo
+ *   a[addr-hash] -> address label and memo
  */
 
 layouts.txdb = {
@@ -377,5 +410,29 @@ layouts.txdb = {
     assert(key.length - 5 === 5);
     key = key.slice(6);
     return key.readUInt32BE(0, true);
+  },
+  e: function e(hash) {
+    return this.ha(0x65, hash);
+  },
+  ee: function ee(key) {
+    return this.haa(key);
+  },
+  u: function u(hash, index) {
+    return this.hi(0x75, hash, index);
+  },
+  uu: function uu(key) {
+    return this.hii(key);
+  },
+  a: function a(hash) {
+    assert(typeof hash === 'string');
+    const key = Buffer.allocUnsafe(1 + (hash.length / 2));
+    key[0] = 0x61;
+    key.write(hash, 1, 'hex');
+    return key;
+  },
+  aa: function aa(key) {
+    assert(Buffer.isBuffer(key));
+    assert(key.length - 5 >= 21);
+    return key.toString('hex', 6);
   }
 };
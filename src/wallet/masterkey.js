@@ -18,6 +18,7 @@ const cleanse = require('../crypto/cleanse');
 const aes = require('../crypto/aes');
 const pbkdf2 = require('../crypto/pbkdf2');
 const scrypt = require('../crypto/scrypt');
+const argon2 = require('../crypto/argon2');
 const BufferReader = require('../utils/reader');
 const StaticWriter = require('../utils/staticwriter');
 const encoding = require('../utils/encoding');
@@ -46,7 +47,9 @@ function MasterKey(options) {
   this.N = 50000;
   this.r = 0;
   this.p = 0;
+  this.target = 0;
 
+  this.workers = null;
   this.aesKey = null;
   this.timer = null;
   this.until = 0;
@@ -73,7 +76,8 @@ MasterKey.SALT = Buffer.from('wmcc', 'ascii');
 
 MasterKey.alg = {
   PBKDF2: 0,
-  SCRYPT: 1
+  SCRYPT: 1,
+  ARGON2ID: 2
 };
 
 /**
@@ -84,9 +88,40 @@ MasterKey.alg = {
 
 MasterKey.algByVal = {
   0: 'PBKDF2',
-  1: 'SCRYPT'
+  1: 'SCRYPT',
+  2: 'ARGON2ID'
 };
 
+/**
+ * Default (and minimum tuned) cost parameters by
+ * algorithm. For argon2id, `N` is the memory in
+ * KiB, `r` the number of passes and `p` the lanes.
+ * @const {Object}
+ * @default
+ */
+
+MasterKey.params = {
+  PBKDF2: { N: 50000, r: 0, p: 0 },
+  SCRYPT: { N: 16384, r: 8, p: 1 },
+  ARGON2ID: { N: 19456, r: 2, p: 1 }
+};
+
+/**
+ * Upper bound on argon2id memory (KiB).
+ * @const {Number}
+ * @default
+ */
+
+MasterKey.MAX_MEMORY = 256 * 1024;
+
+/**
+ * Upper bound on argon2id passes.
+ * @const {Number}
+ * @default
+ */
+
+MasterKey.MAX_PASSES = 64;
+
 /**
  * Inject properties from options object.
  * @private
@@ -121,16 +156,8 @@ MasterKey.prototype.fromOptions = function fromOptions(options) {
     this.mnemonic = options.mnemonic;
   }
 
-  if (options.alg != null) {
-    if (typeof options.alg === 'string') {
-      this.alg = MasterKey.alg[options.alg.toUpperCase()];
-      assert(this.alg != null, 'Unknown algorithm.');
-    } else {
-      assert(typeof options.alg === 'number');
-      assert(MasterKey.algByVal[options.alg]);
-      this.alg = options.alg;
-    }
-  }
+  if (options.alg != null)
+    this.alg = parseAlg(options.alg);
 
   if (options.rounds != null) {
     assert(util.isU32(options.rounds));
@@ -152,6 +179,11 @@ MasterKey.prototype.fromOptions = function fromOptions(options) {
     this.p = options.p;
   }
 
+  if (options.target != null) {
+    assert(util.isU32(options.target));
+    this.target = options.target;
+  }
+
   assert(this.encrypted ? !this.key : this.key);
 
   return this;
@@ -251,28 +283,221 @@ MasterKey.prototype.stop = function stop() {
 /**
  * Derive an aes key based on params.
  * @param {String|Buffer} passphrase
+ * @param {Buffer?} iv - Defaults to the current iv.
  * @returns {Promise}
  */
 
-MasterKey.prototype.derive = async function derive(passwd) {
-  const salt = MasterKey.SALT;
-  const N = this.N;
-  const r = this.r;
-  const p = this.p;
-
+MasterKey.prototype.derive = async function derive(passwd, iv) {
   if (typeof passwd === 'string')
     passwd = Buffer.from(passwd, 'utf8');
 
+  return await this.kdf(passwd, iv || this.iv, this.N, this.r, this.p);
+};
+
+/**
+ * Run the key derivation function with explicit costs.
+ * @private
+ * @param {Buffer} passwd
+ * @param {Buffer} iv
+ * @param {Number} N
+ * @param {Number} r
+ * @param {Number} p
+ * @returns {Promise} - Returns Buffer.
+ */
+
+MasterKey.prototype.kdf = async function kdf(passwd, iv, N, r, p) {
+  const salt = MasterKey.SALT;
+
   switch (this.alg) {
     case MasterKey.alg.PBKDF2:
       return await pbkdf2.deriveAsync(passwd, salt, N, 32, 'sha256');
     case MasterKey.alg.SCRYPT:
       return await scrypt.deriveAsync(passwd, salt, N, r, p, 32);
+    case MasterKey.alg.ARGON2ID:
+      // Argon2 needs a longer salt: use the random iv.
+      assert(iv, 'Argon2id requires an iv.');
+      if (this.workers && this.workers.enabled)
+        return await this.workers.argon2(passwd, iv, r, N, p, 32);
+      return await argon2.deriveAsync(passwd, iv, r, N, p, 32);
     default:
       throw new Error(`Unknown algorithm: ${this.alg}.`);
   }
 };
 
+/**
+ * Resolve key derivation options against the current
+ * algorithm. Switching algorithms starts from the new
+ * algorithm's defaults.
+ * @param {Object} options
+ * @param {(String|Number)?} options.alg
+ * @param {Number?} options.N
+ * @param {Number?} options.r
+ * @param {Number?} options.p
+ * @param {Number?} options.target - Tune costs to take
+ * about this many milliseconds on encryption.
+ * @returns {Object} - {alg, N, r, p, target}.
+ */
+
+MasterKey.prototype.getParams = function getParams(options) {
+  assert(options && typeof options === 'object', 'Options are required.');
+
+  let alg = this.alg;
+
+  if (options.alg != null)
+    alg = parseAlg(options.alg);
+
+  const defaults = alg !== this.alg
+    ? MasterKey.params[MasterKey.algByVal[alg]]
+    : this;
+
+  let {N, r, p} = defaults;
+
+  if (options.rounds != null) {
+    assert(util.isU32(options.rounds), 'Rounds must be a number.');
+    N = options.rounds;
+  }
+
+  if (options.N != null) {
+    assert(util.isU32(options.N), 'N must be a number.');
+    N = options.N;
+  }
+
+  if (options.r != null) {
+    assert(util.isU32(options.r), 'r must be a number.');
+    r = options.r;
+  }
+
+  if (options.p != null) {
+    assert(util.isU32(options.p), 'p must be a number.');
+    p = options.p;
+  }
+
+  let target = 0;
+
+  if (options.target != null) {
+    assert(util.isU32(options.target), 'Target must be milliseconds.');
+    target = options.target;
+  }
+
+  checkParams(alg, N, r, p);
+
+  return { alg, N, r, p, target };
+};
+
+/**
+ * Change the key derivation algorithm and costs.
+ * Only possible while the key is not encrypted.
+ * @param {Object} options - See {@link MasterKey#getParams}.
+ * @returns {MasterKey}
+ */
+
+MasterKey.prototype.setParams = function setParams(options) {
+  assert(!this.encrypted, 'Cannot change parameters of an encrypted key.');
+
+  const params = this.getParams(options);
+
+  this.alg = params.alg;
+  this.N = params.N;
+  this.r = params.r;
+  this.p = params.p;
+  this.target = params.target;
+
+  return this;
+};
+
+/**
+ * Benchmark the key derivation function and pick
+ * costs taking about `target` milliseconds. Costs
+ * never drop below the algorithm's defaults.
+ * @param {Number} target - Milliseconds.
+ * @returns {Promise}
+ */
+
+MasterKey.prototype.tune = async function tune(target) {
+  assert(util.isU32(target) && target > 0, 'Target must be milliseconds.');
+
+  const defaults = MasterKey.params[MasterKey.algByVal[this.alg]];
+  const passwd = random.randomBytes(32);
+  const iv = random.randomBytes(16);
+
+  switch (this.alg) {
+    case MasterKey.alg.PBKDF2: {
+      const rounds = 10000;
+      const ms = await this.bench(passwd, iv, rounds, 0, 0);
+      const N = Math.floor(rounds * target / ms);
+
+      this.N = Math.max(defaults.N, Math.min(N, 0xffffffff));
+
+      break;
+    }
+
+    case MasterKey.alg.SCRYPT: {
+      const N = 1024;
+      const r = Math.max(this.r, 1);
+      const p = Math.max(this.p, 1);
+      const ms = await this.bench(passwd, iv, N, r, p);
+      const max = Math.floor(Math.log2(MasterKey.MAX_MEMORY * 8 / r));
+
+      let bits = Math.floor(Math.log2(N * target / ms));
+
+      bits = Math.max(bits, Math.log2(defaults.N));
+      bits = Math.min(bits, max);
+
+      this.N = Math.pow(2, bits);
+      this.r = r;
+      this.p = p;
+
+      break;
+    }
+
+    case MasterKey.alg.ARGON2ID: {
+      const p = Math.max(this.p, 1);
+      const m = 1024 * p;
+      const ms = await this.bench(passwd, iv, m, 1, p);
+      const cost = ms / m;
+
+      // Spend the budget on memory first, then passes.
+      let r = defaults.r;
+      let N = Math.floor(target / (cost * r));
+
+      N = Math.max(defaults.N, N);
+      N = Math.min(MasterKey.MAX_MEMORY, N);
+
+      r = Math.max(r, Math.floor(target / (cost * N)));
+      r = Math.min(MasterKey.MAX_PASSES, r);
+
+      this.N = Math.max(N, 8 * p);
+      this.r = r;
+      this.p = p;
+
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown algorithm: ${this.alg}.`);
+  }
+};
+
+/**
+ * Time one key derivation.
+ * @private
+ * @param {Buffer} passwd
+ * @param {Buffer} iv
+ * @param {Number} N
+ * @param {Number} r
+ * @param {Number} p
+ * @returns {Promise} - Returns Number (milliseconds).
+ */
+
+MasterKey.prototype.bench = async function bench(passwd, iv, N, r, p) {
+  const start = util.ms();
+  const key = await this.kdf(passwd, iv, N, r, p);
+
+  cleanse(key);
+
+  return Math.max(util.ms() - start, 1);
+};
+
 /**
  * Encrypt data with in-memory aes key.
  * @param {Buffer} data
@@ -439,7 +664,12 @@ MasterKey.prototype._encrypt = async function _encrypt(passphrase, clean) {
 
   this.stop();
 
-  const key = await this.derive(passphrase);
+  if (this.target !== 0) {
+    await this.tune(this.target);
+    this.target = 0;
+  }
+
+  const key = await this.derive(passphrase, iv);
   const data = aes.encipher(raw, key, iv);
 
   this.key = null;
@@ -699,6 +929,43 @@ MasterKey.isMasterKey = function isMasterKey(obj) {
   return obj instanceof MasterKey;
 };
 
+/*
+ * Helpers
+ */
+
+function parseAlg(alg) {
+  if (typeof alg === 'string') {
+    alg = MasterKey.alg[alg.toUpperCase()];
+    assert(alg != null, 'Unknown algorithm.');
+    return alg;
+  }
+
+  assert(typeof alg === 'number');
+  assert(MasterKey.algByVal[alg], 'Unknown algorithm.');
+
+  return alg;
+}
+
+function checkParams(alg, N, r, p) {
+  switch (alg) {
+    case MasterKey.alg.PBKDF2:
+      assert(N > 0, 'Rounds must be positive.');
+      break;
+    case MasterKey.alg.SCRYPT:
+      assert(N > 1 && (N & (N - 1)) === 0, 'N must be a power of two.');
+      assert(r > 0 && p > 0, 'r and p must be positive.');
+      assert(r * p < (1 << 30), 'r * p is too large.');
+      break;
+    case MasterKey.alg.ARGON2ID:
+      assert(r > 0 && r <= MasterKey.MAX_PASSES,
+        'Passes (r) are out of range.');
+      assert(p > 0 && p <= 0xffffff, 'Lanes (p) are out of range.');
+      assert(N >= 8 * p, 'Memory (N) must be at least 8 KiB per lane.');
+      assert(N <= MasterKey.MAX_MEMORY, 'Memory (N) is too large.');
+      break;
+  }
+}
+
 /*
  * Expose
  */
@@ -174,6 +174,26 @@ NodeClient.prototype.estimateFee = async function estimateFee(blocks) {
   return this.node.fees.estimateFee(blocks);
 };
 
+/**
+ * Get transactions pertinent to addresses
+ * from the address index.
+ * @param {Hash[]} hashes - Address hashes.
+ * @returns {Promise} - Returns {@link TXMeta}[], or
+ * null if the node does not index addresses.
+ */
+
+NodeClient.prototype.getMetaByAddress = async function getMetaByAddress(hashes) {
+  const options = this.node.chain.options;
+
+  if (!this.node.getMetaByAddress)
+    return null;
+
+  if (!options.indexTX || !options.indexAddress)
+    return null;
+
+  return await this.node.getMetaByAddress(hashes);
+};
+
 /**
  * Rescan for any missed transactions.
  * @param {Number|Hash} start - Start block.
@@ -50,6 +50,7 @@ plugin.init = function init(node) {
     startHeight: config.uint('wallet-start-height'),
     wipeNoReally: config.bool('wallet-wipe-no-really'),
     apiKey: config.str(['wallet-api-key', 'api-key']),
+    adminToken: config.str('wallet-admin-token'),
     walletAuth: config.bool('wallet-auth'),
     noAuth: config.bool(['wallet-no-auth', 'no-auth']),
     ssl: config.str('wallet-ssl'),
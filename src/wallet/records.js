@@ -744,6 +744,193 @@ function serializeWallets(bw, wids) {
   return bw;
 }
 
+/**
+ * Meta Record
+ * A label and free-form JSON memo attached to
+ * a transaction, coin or address.
+ * @constructor
+ * @param {Object?} options
+ * @property {String} label
+ * @property {Object?} memo
+ * @property {Number} time - Last update.
+ */
+
+function MetaRecord(options) {
+  if (!(this instanceof MetaRecord))
+    return new MetaRecord(options);
+
+  this.label = '';
+  this.memo = null;
+  this.time = 0;
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Maximum label size in bytes.
+ * @const {Number}
+ * @default
+ */
+
+MetaRecord.MAX_LABEL = 255;
+
+/**
+ * Maximum serialized memo size in bytes.
+ * @const {Number}
+ * @default
+ */
+
+MetaRecord.MAX_MEMO = 4096;
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ * @returns {MetaRecord}
+ */
+
+MetaRecord.prototype.fromOptions = function fromOptions(options) {
+  if (options.label != null) {
+    assert(typeof options.label === 'string', 'Label must be a string.');
+    assert(Buffer.byteLength(options.label, 'utf8') <= MetaRecord.MAX_LABEL,
+      'Label is too long.');
+    this.label = options.label;
+  }
+
+  if (options.memo != null) {
+    const json = JSON.stringify(options.memo);
+    assert(typeof json === 'string', 'Memo must be JSON.');
+    assert(Buffer.byteLength(json, 'utf8') <= MetaRecord.MAX_MEMO,
+      'Memo is too large.');
+    this.memo = JSON.parse(json);
+  }
+
+  this.time = util.now();
+
+  if (options.time != null) {
+    assert(util.isU32(options.time));
+    this.time = options.time;
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate meta record from options object.
+ * @param {Object} options
+ * @returns {MetaRecord}
+ */
+
+MetaRecord.fromOptions = function fromOptions(options) {
+  return new MetaRecord().fromOptions(options);
+};
+
+/**
+ * Test whether the record holds nothing.
+ * @returns {Boolean}
+ */
+
+MetaRecord.prototype.isNull = function isNull() {
+  return this.label.length === 0 && this.memo == null;
+};
+
+/**
+ * Test whether the label or memo contains
+ * a string (case-insensitive).
+ * @param {String} query
+ * @returns {Boolean}
+ */
+
+MetaRecord.prototype.matches = function matches(query) {
+  const needle = query.toLowerCase();
+
+  if (this.label.toLowerCase().indexOf(needle) !== -1)
+    return true;
+
+  if (this.memo == null)
+    return false;
+
+  const memo = JSON.stringify(this.memo).toLowerCase();
+
+  return memo.indexOf(needle) !== -1;
+};
+
+/**
+ * Get serialization size.
+ * @returns {Number}
+ */
+
+MetaRecord.prototype.getSize = function getSize() {
+  const memo = this.memo != null ? JSON.stringify(this.memo) : '';
+  let size = 4;
+  size += encoding.sizeVarString(this.label, 'utf8');
+  size += encoding.sizeVarString(memo, 'utf8');
+  return size;
+};
+
+/**
+ * Serialize the meta record.
+ * @returns {Buffer}
+ */
+
+MetaRecord.prototype.toRaw = function toRaw() {
+  const size = this.getSize();
+  const bw = new StaticWriter(size);
+  const memo = this.memo != null ? JSON.stringify(this.memo) : '';
+
+  bw.writeU32(this.time);
+  bw.writeVarString(this.label, 'utf8');
+  bw.writeVarString(memo, 'utf8');
+
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ * @returns {MetaRecord}
+ */
+
+MetaRecord.prototype.fromRaw = function fromRaw(data) {
+  const br = new BufferReader(data);
+
+  this.time = br.readU32();
+  this.label = br.readVarString('utf8');
+
+  const memo = br.readVarString('utf8');
+
+  if (memo.length > 0)
+    this.memo = JSON.parse(memo);
+
+  return this;
+};
+
+/**
+ * Instantiate meta record from serialized data.
+ * @param {Buffer} data
+ * @returns {MetaRecord}
+ */
+
+MetaRecord.fromRaw = function fromRaw(data) {
+  return new MetaRecord().fromRaw(data);
+};
+
+/**
+ * Convert the record to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+MetaRecord.prototype.toJSON = function toJSON() {
+  return {
+    label: this.label,
+    memo: this.memo,
+    time: this.time
+  };
+};
+
 /*
  * Expose
  */
@@ -755,5 +942,6 @@ exports.TXMapRecord = TXMapRecord;
 exports.OutpointMapRecord = OutpointMapRecord;
 exports.PathMapRecord = PathMapRecord;
 exports.TXRecord = TXRecord;
+exports.MetaRecord = MetaRecord;
 
 module.exports = exports;
@@ -22,6 +22,7 @@ const MerkleBlock = require('../primitives/merkleblock');
 const MTX = require('../primitives/mtx');
 const Outpoint = require('../primitives/outpoint');
 const Output = require('../primitives/output');
+const PSBT = require('../primitives/psbt');
 const TX = require('../primitives/tx');
 const encoding = require('../utils/encoding');
 const RPCBase = require('../http/rpcbase');
@@ -107,6 +108,7 @@ RPC.prototype.init = function init() {
   this.add('walletlock', this.walletLock);
   this.add('walletpassphrasechange', this.walletPassphraseChange);
   this.add('walletpassphrase', this.walletPassphrase);
+  this.add('walletprocesspsbt', this.walletProcessPSBT);
   this.add('removeprunedfunds', this.removePrunedFunds);
   this.add('selectwallet', this.selectWallet);
   this.add('getmemoryinfo', this.getMemoryInfo);
@@ -278,14 +280,17 @@ RPC.prototype.dumpWallet = async function dumpWallet(args, help) {
 
     const addr = ring.getAddress('string');
 
-    let fmt = '%s %s label= addr=%s';
-
-    if (ring.branch === 1)
-      fmt = '%s %s change=1 addr=%s';
+    if (ring.branch === 1) {
+      out.push(util.fmt('%s %s change=1 addr=%s',
+        ring.toSecret(), time, addr));
+      continue;
+    }
 
-    const str = util.fmt(fmt, ring.toSecret(), time, addr);
+    const meta = await wallet.getAddressMeta(hash);
+    const label = meta ? encodeURIComponent(meta.label) : '';
 
-    out.push(str);
+    out.push(util.fmt('%s %s label=%s addr=%s',
+      ring.toSecret(), time, label, addr));
   }
 
   out.push('');
@@ -550,7 +555,7 @@ RPC.prototype._toWalletTX = async function _toWalletTX(wtx) {
         address: member.address.toString(this.network),
         category: 'receive',
         amount: Amount.wmcc(member.value, true),
-        label: member.path.name,
+        label: member.meta ? member.meta.label : member.path.name,
         vout: i
       });
 
@@ -587,6 +592,8 @@ RPC.prototype._toWalletTX = async function _toWalletTX(wtx) {
     time: details.mtime,
     timereceived: details.mtime,
     'bip125-replaceable': 'no',
+    comment: details.meta ? details.meta.label : '',
+    memo: details.meta ? details.meta.memo : null,
     details: det,
     hex: details.tx.toRaw().toString('hex')
   };
@@ -715,13 +722,23 @@ RPC.prototype.importWallet = async function importWallet(args, help) {
       throw new RPCError(errs.DESERIALIZATION_ERROR, 'Malformed wallet.');
 
     const secret = parseSecret(parts[0], this.network);
+    let label = '';
 
-    keys.push(secret);
+    for (const part of parts.slice(2)) {
+      if (part.indexOf('label=') === 0)
+        label = decodeURIComponent(part.substring(6));
+    }
+
+    keys.push([secret, label]);
   }
 
-  for (const key of keys)
+  for (const [key, label] of keys) {
     await wallet.importKey(0, key);
 
+    if (label.length > 0)
+      await wallet.setAddressMeta(key.getAddress(), { label });
+  }
+
   if (rescan)
     await this.wdb.rescan(0);
 
@@ -1269,6 +1286,11 @@ RPC.prototype.sendFrom = async function sendFrom(args, help) {
 
   const tx = await wallet.send(options);
 
+  if (await wallet.getPendingSpend(tx.hash('hex'))) {
+    throw new RPCError(errs.WALLET_ERROR,
+      `Spend awaits approval (txid=${tx.txid()}).`);
+  }
+
   return tx.txid();
 };
 
@@ -1324,6 +1346,11 @@ RPC.prototype.sendMany = async function sendMany(args, help) {
 
   const tx = await wallet.send(options);
 
+  if (await wallet.getPendingSpend(tx.hash('hex'))) {
+    throw new RPCError(errs.WALLET_ERROR,
+      `Spend awaits approval (txid=${tx.txid()}).`);
+  }
+
   return tx.txid();
 };
 
@@ -1355,6 +1382,11 @@ RPC.prototype.sendToAddress = async function sendToAddress(args, help) {
 
   const tx = await wallet.send(options);
 
+  if (await wallet.getPendingSpend(tx.hash('hex'))) {
+    throw new RPCError(errs.WALLET_ERROR,
+      `Spend awaits approval (txid=${tx.txid()}).`);
+  }
+
   return tx.txid();
 };
 
@@ -1364,8 +1396,26 @@ RPC.prototype.setAccount = async function setAccount(args, help) {
       'setaccount "wmccaddress" "account"');
   }
 
-  // Impossible to implement in wmcc_core:
-  throw new Error('Not implemented.');
+  const wallet = this.wallet;
+  const valid = new Validator([args]);
+  const addr = valid.str(0, '');
+  const label = valid.str(1, '');
+
+  // Addresses cannot move between accounts
+  // here, so the name becomes a label.
+  const hash = parseHash(addr, this.network);
+  const meta = await wallet.getAddressMeta(hash);
+
+  try {
+    await wallet.setAddressMeta(hash, {
+      label: label,
+      memo: meta ? meta.memo : null
+    });
+  } catch (e) {
+    throw new RPCError(errs.WALLET_ERROR, e.message);
+  }
+
+  return null;
 };
 
 RPC.prototype.setTXFee = async function setTXFee(args, help) {
@@ -1412,6 +1462,56 @@ RPC.prototype.signMessage = async function signMessage(args, help) {
   return sig.toString('base64');
 };
 
+RPC.prototype.walletProcessPSBT = async function walletProcessPSBT(args, help) {
+  if (help || args.length < 1 || args.length > 4) {
+    throw new RPCError(errs.MISC_ERROR,
+      'walletprocesspsbt "psbt" ( sign "sighashtype" bip32derivs )');
+  }
+
+  const wallet = this.wallet;
+  const valid = new Validator([args]);
+  const raw = valid.str(0, '');
+  const sign = valid.bool(1, true);
+  const sighash = valid.str(2, 'ALL');
+  const derivations = valid.bool(3, true);
+
+  let psbt;
+  try {
+    psbt = PSBT.fromBase64(raw);
+  } catch (e) {
+    throw new RPCError(errs.DESERIALIZATION_ERROR, 'PSBT decode failed.');
+  }
+
+  const parts = sighash.split('|');
+
+  let type = Script.hashType[parts[0]];
+
+  if (type == null || parts.length > 2)
+    throw new RPCError(errs.INVALID_PARAMETER, 'Invalid sighash type.');
+
+  if (parts.length === 2) {
+    if (parts[1] !== 'ANYONECANPAY')
+      throw new RPCError(errs.INVALID_PARAMETER, 'Invalid sighash type.');
+    type |= Script.hashType.ANYONECANPAY;
+  }
+
+  if (sign && wallet.master.encrypted && !wallet.master.key)
+    throw new RPCError(errs.WALLET_UNLOCK_NEEDED, 'Wallet is locked.');
+
+  await wallet.processPSBT(psbt, {
+    sign: sign,
+    type: type,
+    derivations: derivations
+  });
+
+  const complete = sign ? psbt.finalize() : psbt.isFinalized();
+
+  return {
+    psbt: psbt.toBase64(),
+    complete: complete
+  };
+};
+
 RPC.prototype.walletLock = async function walletLock(args, help) {
   const wallet = this.wallet;
 
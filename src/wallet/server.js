@@ -76,6 +76,7 @@ server.create = function create(options) {
     startHeight: config.uint('start-height'),
     wipeNoReally: config.bool('wipe-no-really'),
     apiKey: config.str('api-key'),
+    adminToken: config.str('admin-token'),
     walletAuth: config.bool('auth'),
     noAuth: config.bool('no-auth'),
     ssl: config.str('ssl'),
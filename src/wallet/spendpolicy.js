@@ -0,0 +1,417 @@
+/*!
+ * Copyright (c) 2017, Park Alter (pseudonym)
+ * Distributed under the MIT software license, see the accompanying
+ * file COPYING or http://www.opensource.org/licenses/mit-license.php
+ *
+ * https://github.com/park-alter/wmcc-core
+ * spendpolicy.js - wallet spending policies for wmcc_core.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const util = require('../utils/util');
+const encoding = require('../utils/encoding');
+const BufferReader = require('../utils/reader');
+const StaticWriter = require('../utils/staticwriter');
+const Address = require('../primitives/address');
+const TX = require('../primitives/tx');
+
+/**
+ * Spend Policy
+ * Limits applied to outgoing wallet
+ * transactions. A zero value disables
+ * the corresponding limit.
+ * @alias module:wallet.SpendPolicy
+ * @constructor
+ * @param {Object?} options
+ * @property {Number} account - Account index (-1 for wallet-wide).
+ * @property {Amount} limit - Maximum spent per rolling window.
+ * @property {Number} window - Rolling window in seconds.
+ * @property {Amount} maxTX - Maximum spent per transaction.
+ * @property {String[]} allowlist - Allowed recipient addresses.
+ * @property {Number} minConf - Minimum confirmations on spent coins.
+ * @property {Amount} approval - Spends at or above this
+ * amount wait for admin approval.
+ */
+
+function SpendPolicy(options) {
+  if (!(this instanceof SpendPolicy))
+    return new SpendPolicy(options);
+
+  this.account = -1;
+  this.limit = 0;
+  this.window = SpendPolicy.WINDOW;
+  this.maxTX = 0;
+  this.allowlist = [];
+  this.minConf = 0;
+  this.approval = 0;
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Default rolling window (one day).
+ * @const {Number}
+ * @default
+ */
+
+SpendPolicy.WINDOW = 24 * 60 * 60;
+
+/**
+ * Maximum allowlist size.
+ * @const {Number}
+ * @default
+ */
+
+SpendPolicy.MAX_ALLOWLIST = 1000;
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ * @param {Network?} network - Used to normalize addresses.
+ * @returns {SpendPolicy}
+ */
+
+SpendPolicy.prototype.fromOptions = function fromOptions(options, network) {
+  assert(options, 'Policy options are required.');
+
+  if (options.account != null) {
+    assert(options.account === -1 || util.isU32(options.account),
+      'Account must be an index.');
+    this.account = options.account;
+  }
+
+  if (options.limit != null) {
+    assert(util.isU64(options.limit), 'Limit must be an amount.');
+    this.limit = options.limit;
+  }
+
+  if (options.window != null) {
+    assert(util.isU32(options.window) && options.window > 0,
+      'Window must be a positive number of seconds.');
+    this.window = options.window;
+  }
+
+  if (options.maxTX != null) {
+    assert(util.isU64(options.maxTX), 'Max TX must be an amount.');
+    this.maxTX = options.maxTX;
+  }
+
+  if (options.allowlist != null) {
+    assert(Array.isArray(options.allowlist), 'Allowlist must be an array.');
+    assert(options.allowlist.length <= SpendPolicy.MAX_ALLOWLIST,
+      'Allowlist is too large.');
+
+    this.allowlist = [];
+
+    for (const item of options.allowlist) {
+      const addr = typeof item === 'string'
+        ? Address.fromString(item, network)
+        : item;
+      assert(addr instanceof Address, 'Allowlist must contain addresses.');
+      this.allowlist.push(addr.toString(network));
+    }
+  }
+
+  if (options.minConf != null) {
+    assert(util.isU32(options.minConf),
+      'Minimum confirmations must be a number.');
+    this.minConf = options.minConf;
+  }
+
+  if (options.approval != null) {
+    assert(util.isU64(options.approval), 'Approval must be an amount.');
+    this.approval = options.approval;
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate policy from options object.
+ * @param {Object} options
+ * @param {Network?} network
+ * @returns {SpendPolicy}
+ */
+
+SpendPolicy.fromOptions = function fromOptions(options, network) {
+  return new SpendPolicy().fromOptions(options, network);
+};
+
+/**
+ * Test whether the policy has no effect.
+ * @returns {Boolean}
+ */
+
+SpendPolicy.prototype.isNull = function isNull() {
+  return this.limit === 0
+    && this.maxTX === 0
+    && this.allowlist.length === 0
+    && this.minConf === 0
+    && this.approval === 0;
+};
+
+/**
+ * Test whether an address may receive funds.
+ * @param {Address} addr
+ * @param {Network} network
+ * @returns {Boolean}
+ */
+
+SpendPolicy.prototype.allows = function allows(addr, network) {
+  if (this.allowlist.length === 0)
+    return true;
+
+  if (!addr)
+    return false;
+
+  return this.allowlist.indexOf(addr.toString(network)) !== -1;
+};
+
+/**
+ * Test whether a spend must be approved.
+ * @param {Amount} value
+ * @returns {Boolean}
+ */
+
+SpendPolicy.prototype.needsApproval = function needsApproval(value) {
+  return this.approval !== 0 && value >= this.approval;
+};
+
+/**
+ * Calculate serialization size.
+ * @returns {Number}
+ */
+
+SpendPolicy.prototype.getSize = function getSize() {
+  let size = 32;
+
+  size += encoding.sizeVarint(this.allowlist.length);
+
+  for (const addr of this.allowlist)
+    size += encoding.sizeVarString(addr, 'ascii');
+
+  return size;
+};
+
+/**
+ * Serialize the policy.
+ * @returns {Buffer}
+ */
+
+SpendPolicy.prototype.toRaw = function toRaw() {
+  const size = this.getSize();
+  const bw = new StaticWriter(size);
+
+  bw.writeU64(this.limit);
+  bw.writeU32(this.window);
+  bw.writeU64(this.maxTX);
+  bw.writeU32(this.minConf);
+  bw.writeU64(this.approval);
+
+  bw.writeVarint(this.allowlist.length);
+
+  for (const addr of this.allowlist)
+    bw.writeVarString(addr, 'ascii');
+
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ * @returns {SpendPolicy}
+ */
+
+SpendPolicy.prototype.fromRaw = function fromRaw(data) {
+  const br = new BufferReader(data);
+
+  this.limit = br.readU64();
+  this.window = br.readU32();
+  this.maxTX = br.readU64();
+  this.minConf = br.readU32();
+  this.approval = br.readU64();
+
+  const count = br.readVarint();
+
+  for (let i = 0; i < count; i++)
+    this.allowlist.push(br.readVarString('ascii'));
+
+  return this;
+};
+
+/**
+ * Instantiate policy from serialized data.
+ * @param {Buffer} data
+ * @returns {SpendPolicy}
+ */
+
+SpendPolicy.fromRaw = function fromRaw(data) {
+  return new SpendPolicy().fromRaw(data);
+};
+
+/**
+ * Convert the policy to an object suitable
+ * for JSON serialization.
+ * @returns {Object}
+ */
+
+SpendPolicy.prototype.toJSON = function toJSON() {
+  return {
+    account: this.account,
+    limit: this.limit,
+    window: this.window,
+    maxTX: this.maxTX,
+    allowlist: this.allowlist.slice(),
+    minConf: this.minConf,
+    approval: this.approval
+  };
+};
+
+/**
+ * Pending Spend
+ * A signed transaction held back
+ * until an admin approves it.
+ * @alias module:wallet.PendingSpend
+ * @constructor
+ * @param {Object?} options
+ * @property {Hash} hash
+ * @property {Number} account - Funding account (-1 for several).
+ * @property {Amount} value - Amount leaving the wallet.
+ * @property {Number} time - Time the spend was parked.
+ * @property {TX} tx
+ */
+
+function PendingSpend(options) {
+  if (!(this instanceof PendingSpend))
+    return new PendingSpend(options);
+
+  this.hash = encoding.NULL_HASH;
+  this.account = -1;
+  this.value = 0;
+  this.time = 0;
+  this.tx = null;
+
+  if (options)
+    this.fromOptions(options);
+}
+
+/**
+ * Inject properties from options object.
+ * @private
+ * @param {Object} options
+ * @returns {PendingSpend}
+ */
+
+PendingSpend.prototype.fromOptions = function fromOptions(options) {
+  assert(options.tx instanceof TX, 'Pending spend requires a TX.');
+  assert(options.account === -1 || util.isU32(options.account));
+  assert(util.isU64(options.value));
+
+  this.tx = options.tx;
+  this.hash = options.tx.hash('hex');
+  this.account = options.account;
+  this.value = options.value;
+  this.time = util.now();
+
+  if (options.time != null) {
+    assert(util.isU32(options.time));
+    this.time = options.time;
+  }
+
+  return this;
+};
+
+/**
+ * Instantiate pending spend from options object.
+ * @param {Object} options
+ * @returns {PendingSpend}
+ */
+
+PendingSpend.fromOptions = function fromOptions(options) {
+  return new PendingSpend().fromOptions(options);
+};
+
+/**
+ * Calculate serialization size.
+ * @returns {Number}
+ */
+
+PendingSpend.prototype.getSize = function getSize() {
+  return 16 + this.tx.getSize();
+};
+
+/**
+ * Serialize the pending spend.
+ * @returns {Buffer}
+ */
+
+PendingSpend.prototype.toRaw = function toRaw() {
+  const size = this.getSize();
+  const bw = new StaticWriter(size);
+
+  bw.writeU32(this.account >>> 0);
+  bw.writeU64(this.value);
+  bw.writeU32(this.time);
+  this.tx.toWriter(bw);
+
+  return bw.render();
+};
+
+/**
+ * Inject properties from serialized data.
+ * @private
+ * @param {Buffer} data
+ * @returns {PendingSpend}
+ */
+
+PendingSpend.prototype.fromRaw = function fromRaw(data) {
+  const br = new BufferReader(data);
+
+  this.account = br.readI32();
+  this.value = br.readU64();
+  this.time = br.readU32();
+  this.tx = TX.fromReader(br);
+  this.hash = this.tx.hash('hex');
+
+  return this;
+};
+
+/**
+ * Instantiate pending spend from serialized data.
+ * @param {Buffer} data
+ * @returns {PendingSpend}
+ */
+
+PendingSpend.fromRaw = function fromRaw(data) {
+  return new PendingSpend().fromRaw(data);
+};
+
+/**
+ * Convert the pending spend to an object suitable
+ * for JSON serialization.
+ * @param {Network} network
+ * @returns {Object}
+ */
+
+PendingSpend.prototype.getJSON = function getJSON(network) {
+  return {
+    hash: util.revHex(this.hash),
+    account: this.account,
+    value: this.value,
+    time: this.time,
+    date: util.date(this.time),
+    tx: this.tx.getJSON(network)
+  };
+};
+
+/*
+ * Expose
+ */
+
+exports.SpendPolicy = SpendPolicy;
+exports.PendingSpend = PendingSpend;
@@ -29,6 +29,7 @@ const Script = require('../script/script');
 const BlockMapRecord = records.BlockMapRecord;
 const OutpointMapRecord = records.OutpointMapRecord;
 const TXRecord = records.TXRecord;
+const MetaRecord = records.MetaRecord;
 
 /**
  * TXDB
@@ -1264,6 +1265,13 @@ TXDB.prototype.erase = async function erase(wtx, block) {
   // Remove the RBF index if we have one.
   this.del(layout.r(hash));
 
+  // Drop labels of the transaction
+  // and the coins it created.
+  this.del(layout.e(hash));
+
+  for (let i = 0; i < tx.outputs.length; i++)
+    this.del(layout.u(hash, i));
+
   // Remove the transaction data
   // itself as well as unindex.
   this.del(layout.t(hash));
@@ -1681,6 +1689,181 @@ TXDB.prototype.getLocked = function getLocked() {
   return outpoints;
 };
 
+/**
+ * Write or remove a meta record.
+ * @private
+ * @param {Buffer} key
+ * @param {MetaRecord} meta
+ */
+
+TXDB.prototype.writeMeta = function writeMeta(key, meta) {
+  if (meta.isNull()) {
+    this.del(key);
+    return;
+  }
+
+  this.put(key, meta.toRaw());
+};
+
+/**
+ * Get the label and memo of a transaction.
+ * @param {Hash} hash
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+TXDB.prototype.getTXMeta = async function getTXMeta(hash) {
+  const data = await this.get(layout.e(hash));
+
+  if (!data)
+    return null;
+
+  return MetaRecord.fromRaw(data);
+};
+
+/**
+ * Label a transaction. An empty record removes the label.
+ * @param {Hash} hash
+ * @param {MetaRecord} meta
+ * @returns {Promise}
+ */
+
+TXDB.prototype.setTXMeta = async function setTXMeta(hash, meta) {
+  if (!await this.hasTX(hash))
+    throw new Error('TX not found.');
+
+  this.writeMeta(layout.e(hash), meta);
+};
+
+/**
+ * Get the label and memo of a coin.
+ * @param {Hash} hash
+ * @param {Number} index
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+TXDB.prototype.getCoinMeta = async function getCoinMeta(hash, index) {
+  const data = await this.get(layout.u(hash, index));
+
+  if (!data)
+    return null;
+
+  return MetaRecord.fromRaw(data);
+};
+
+/**
+ * Label a coin owned by the wallet (spent or not).
+ * @param {Hash} hash
+ * @param {Number} index
+ * @param {MetaRecord} meta
+ * @returns {Promise}
+ */
+
+TXDB.prototype.setCoinMeta = async function setCoinMeta(hash, index, meta) {
+  const wtx = await this.getTX(hash);
+
+  if (!wtx)
+    throw new Error('TX not found.');
+
+  const output = wtx.tx.outputs[index];
+
+  if (!output || !await this.hasPath(output))
+    throw new Error('Coin not found.');
+
+  this.writeMeta(layout.u(hash, index), meta);
+};
+
+/**
+ * Get the label and memo of an address.
+ * @param {Hash} hash - Address hash.
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+TXDB.prototype.getAddressMeta = async function getAddressMeta(hash) {
+  const data = await this.get(layout.a(hash));
+
+  if (!data)
+    return null;
+
+  return MetaRecord.fromRaw(data);
+};
+
+/**
+ * Label an address. The caller checks ownership.
+ * @param {Hash} hash - Address hash.
+ * @param {MetaRecord} meta
+ */
+
+TXDB.prototype.setAddressMeta = function setAddressMeta(hash, meta) {
+  this.writeMeta(layout.a(hash), meta);
+};
+
+/**
+ * Get the metadata shown for a wallet-owned details
+ * member: the coin's own, falling back to the address.
+ * @private
+ * @param {Hash} hash
+ * @param {Number} index
+ * @param {Path} path
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+TXDB.prototype.getMemberMeta = async function getMemberMeta(hash, index, path) {
+  const meta = await this.getCoinMeta(hash, index);
+
+  if (meta)
+    return meta;
+
+  return await this.getAddressMeta(path.hash);
+};
+
+/**
+ * Find labelled transactions, coins and addresses.
+ * @param {String?} query - Substring of the label or
+ * memo (case-insensitive). Omit to list everything.
+ * @returns {Promise} - Returns Object[] ({type, hash, index, meta}).
+ */
+
+TXDB.prototype.searchMeta = async function searchMeta(query) {
+  const result = [];
+
+  const add = (type, hash, index, data) => {
+    const meta = MetaRecord.fromRaw(data);
+
+    if (query && !meta.matches(query))
+      return;
+
+    result.push({ type, hash, index, meta });
+  };
+
+  const txs = await this.range({
+    gte: layout.e(encoding.NULL_HASH),
+    lte: layout.e(encoding.HIGH_HASH)
+  });
+
+  for (const {key, value} of txs)
+    add('tx', layout.ee(key), -1, value);
+
+  const coins = await this.range({
+    gte: layout.u(encoding.NULL_HASH, 0),
+    lte: layout.u(encoding.HIGH_HASH, 0xffffffff)
+  });
+
+  for (const {key, value} of coins) {
+    const [hash, index] = layout.uu(key);
+    add('coin', hash, index, value);
+  }
+
+  const addrs = await this.range({
+    gte: layout.a(encoding.NULL_HASH160),
+    lte: layout.a(encoding.HIGH_HASH)
+  });
+
+  for (const {key, value} of addrs)
+    add('address', layout.aa(key), -1, value);
+
+  return result;
+};
+
 /**
  * Get hashes of all transactions in the database.
  * @param {Number?} account
@@ -2468,14 +2651,28 @@ TXDB.prototype._toDetails = async function _toDetails(wtx) {
       path = await this.getPath(coin);
 
     details.setInput(i, path, coin);
+
+    if (path) {
+      const {prevout} = tx.inputs[i];
+      const member = details.inputs[i];
+      member.meta = await this.getMemberMeta(prevout.hash, prevout.index, path);
+    }
   }
 
   for (let i = 0; i < tx.outputs.length; i++) {
     const output = tx.outputs[i];
     const path = await this.getPath(output);
+
     details.setOutput(i, path);
+
+    if (path) {
+      const member = details.outputs[i];
+      member.meta = await this.getMemberMeta(wtx.hash, i, path);
+    }
   }
 
+  details.meta = await this.getTXMeta(wtx.hash);
+
   return details;
 };
 
@@ -3245,6 +3442,7 @@ function Details(txdb, wtx, block) {
 
   this.inputs = [];
   this.outputs = [];
+  this.meta = null;
 
   this.init();
 }
@@ -3385,6 +3583,7 @@ Details.prototype.toJSON = function toJSON() {
     outputs: this.outputs.map((output) => {
       return output.getJSON(this.network);
     }),
+    meta: this.meta ? this.meta.toJSON() : null,
     tx: this.tx.toRaw().toString('hex')
   };
 };
@@ -3396,6 +3595,7 @@ Details.prototype.toJSON = function toJSON() {
  * @property {Number} value
  * @property {Address} address
  * @property {Path} path
+ * @property {MetaRecord?} meta
  */
 
 function DetailsMember() {
@@ -3405,6 +3605,7 @@ function DetailsMember() {
   this.value = 0;
   this.address = null;
   this.path = null;
+  this.meta = null;
 }
 
 /**
@@ -3430,6 +3631,9 @@ DetailsMember.prototype.getJSON = function getJSON(network) {
       : null,
     path: this.path
       ? this.path.toJSON()
+      : null,
+    meta: this.meta
+      ? this.meta.toJSON()
       : null
   };
 };
@@ -28,17 +28,23 @@ const Path = require('./path');
 const common = require('./common');
 const Address = require('../primitives/address');
 const MTX = require('../primitives/mtx');
+const PSBT = require('../primitives/psbt');
 const Script = require('../script/script');
 const WalletKey = require('./walletkey');
 const HD = require('../hd/hd');
 const Output = require('../primitives/output');
 const Account = require('./account');
 const MasterKey = require('./masterkey');
+const spendpolicy = require('./spendpolicy');
+const records = require('./records');
 //const HSM = require('./hsm');
 const LRU = require('../utils/lru');
 const policy = require('../protocol/policy');
 const consensus = require('../protocol/consensus');
 const Mnemonic = HD.Mnemonic;
+const SpendPolicy = spendpolicy.SpendPolicy;
+const PendingSpend = spendpolicy.PendingSpend;
+const MetaRecord = records.MetaRecord;
 
 /**
  * BIP44 Wallet
@@ -65,6 +71,10 @@ const Mnemonic = HD.Mnemonic;
  * @param {String?} options.mnemonic - mnemonic phrase to use to instantiate an
  * hd private key for wallet
  * (default=account key "address").
+ * @param {Number?} options.birthday - Time of the wallet's first possible
+ * transaction (default=now for newly generated keys).
+ * @param {Number?} options.birthHeight - Chain height at the birthday
+ * (default=current height for newly generated keys).
  */
 
 function Wallet(db, options) {
@@ -95,7 +105,10 @@ function Wallet(db, options) {
   this.tokenDepth = 0;
   this.lock = null;
   this.chksum = null;
+  this.birthday = 0;
+  this.birthHeight = 0;
   this.master = new MasterKey();
+  this.master.workers = db.workers;
 
   this.txdb = new TXDB(this);
   this.account = null;
@@ -188,6 +201,26 @@ Wallet.prototype.fromOptions = function fromOptions(options) {
     this.tokenDepth = options.tokenDepth;
   }
 
+  // A freshly generated key cannot have seen any
+  // transaction before now. Imported account keys
+  // of watch-only wallets may have.
+  const imported = this.watchOnly && options.accountKey;
+
+  if (!options.master && !options.mnemonic && !imported) {
+    this.birthday = util.now();
+    this.birthHeight = this.db.state.height;
+  }
+
+  if (options.birthday != null) {
+    assert(util.isU32(options.birthday), 'Bad birthday.');
+    this.birthday = options.birthday;
+  }
+
+  if (options.birthHeight != null) {
+    assert(util.isU32(options.birthHeight), 'Bad birth height.');
+    this.birthHeight = options.birthHeight;
+  }
+
   if (!id)
     id = this.getID();
 
@@ -264,6 +297,15 @@ Wallet.prototype.open = async function open() {
   this.logger.info('Wallet opened (%s).', this.id);
 
   await this.txdb.open();
+
+  // Keep coins of spends awaiting
+  // approval out of coin selection.
+  const pending = await this.getPendingSpends();
+
+  for (const item of pending) {
+    for (const input of item.tx.inputs)
+      this.txdb.lockCoin(input.prevout);
+  }
 };
 
 /**
@@ -394,21 +436,31 @@ Wallet.prototype._removeSharedKey = async function _removeSharedKey(acct, key) {
 };
 
 /**
- * Change or set master key's passphrase.
+ * Change or set master key's passphrase. Passing
+ * key derivation options re-encrypts with a new
+ * algorithm or costs (the passphrase may stay
+ * the same).
  * @param {(String|Buffer)?} old
  * @param {String|Buffer} new_
+ * @param {Object?} options - See {@link MasterKey#getParams}.
  * @returns {Promise}
  */
 
-Wallet.prototype.setPassphrase = async function setPassphrase(old, new_) {
+Wallet.prototype.setPassphrase = async function setPassphrase(old, new_, options) {
   if (new_ == null) {
     new_ = old;
     old = null;
   }
 
+  // Validate before touching the key.
+  const params = options ? this.master.getParams(options) : null;
+
   if (old != null)
     await this.decrypt(old);
 
+  if (params)
+    this.master.setParams(params);
+
   if (new_ != null)
     await this.encrypt(new_);
 };
@@ -1361,7 +1413,8 @@ Wallet.prototype._importAddress = async function _importAddress(acct, address) {
  * @param {(String|Number)?} options.account - If no account is
  * specified, coins from the entire wallet will be filled.
  * @param {String?} options.selection - Coin selection priority. Can
- * be `age`, `random`, or `all`. (default=age).
+ * be `age`, `random`, `all`, `value`, `fifo`, `largest-first`,
+ * `branch-and-bound`, `consolidate` or `privacy`. (default=value).
  * @param {Boolean} options.round - Whether to round to the nearest
  * kilobyte for fee calculation.
  * See {@link TX#getMinFee} vs. {@link TX#getRoundFee}.
@@ -1373,6 +1426,7 @@ Wallet.prototype._importAddress = async function _importAddress(acct, address) {
  * calculating one.
  * @param {Number|Boolean} options.subtractFee - Whether to subtract the
  * fee from existing outputs rather than adding more inputs.
+ * @param {Number?} options.maxInputs - Maximum number of inputs to select.
  */
 
 Wallet.prototype.fund = async function fund(mtx, options, force) {
@@ -1417,6 +1471,17 @@ Wallet.prototype._fund = async function _fund(mtx, options) {
   if (rate == null)
     rate = await this.db.estimateFee(options.blocks);
 
+  // Spend policies may demand deeper coins.
+  let depth = options.depth;
+  const scope = options.account != null
+    ? new Set([account.accountIndex])
+    : null;
+
+  for (const policy of await this.getActivePolicies(scope)) {
+    if (policy.minConf > (depth || 0))
+      depth = policy.minConf;
+  }
+
   let coins;
   if (options.smart) {
     coins = await this.getSmartCoins(options.account);
@@ -1428,7 +1493,7 @@ Wallet.prototype._fund = async function _fund(mtx, options) {
   await mtx.fund(coins, {
     selection: options.selection,
     round: options.round,
-    depth: options.depth,
+    depth: depth,
     hardFee: options.hardFee,
     subtractFee: options.subtractFee,
     subtractIndex: options.subtractIndex,
@@ -1436,6 +1501,7 @@ Wallet.prototype._fund = async function _fund(mtx, options) {
     height: this.db.state.height,
     rate: rate,
     maxFee: options.maxFee,
+    maxInputs: options.maxInputs,
     estimate: prev => this.estimateSize(prev)
   });
 
@@ -1574,6 +1640,9 @@ Wallet.prototype.createTX = async function createTX(options, force) {
   // Fill the inputs with unspents
   await this.fund(mtx, options, force);
 
+  // Enforce wallet spend policies
+  await this.checkSpend(mtx);
+
   // Sort members a la BIP69
   if (options.sort !== false)
     mtx.sortMembers();
@@ -1626,7 +1695,8 @@ Wallet.prototype.send = async function send(options, passphrase) {
 Wallet.prototype._send = async function _send(options, passphrase) {
   const mtx = await this.createTX(options, true);
 
-  await this.sign(mtx, passphrase);
+  // Policies were checked by createTX.
+  await this._sign(mtx, passphrase);
 
   if (!mtx.isSigned())
     throw new Error('TX could not be fully signed.');
@@ -1640,6 +1710,14 @@ Wallet.prototype._send = async function _send(options, passphrase) {
   if (tx.getWeight() > policy.MAX_TX_WEIGHT)
     throw new Error('TX exceeds policy weight.');
 
+  const spend = await this.getSpend(mtx);
+
+  // Large spends wait for an admin.
+  if (await this.needsApproval(spend)) {
+    await this.parkSpend(tx, spend);
+    return tx;
+  }
+
   await this.db.addTX(tx);
 
   this.logger.debug('Sending wallet tx (%s): %s', this.id, tx.txid());
@@ -1649,6 +1727,409 @@ Wallet.prototype._send = async function _send(options, passphrase) {
   return tx;
 };
 
+/**
+ * Resolve the account index a spend policy applies to.
+ * @private
+ * @param {(Number|String)?} acct - Omit for the wallet itself.
+ * @returns {Promise} - Returns Number (-1 for wallet-wide).
+ */
+
+Wallet.prototype.getPolicyIndex = async function getPolicyIndex(acct) {
+  if (acct == null)
+    return -1;
+
+  const index = await this.getAccountIndex(acct);
+
+  if (index === -1 || !await this.hasAccount(index))
+    throw new Error('Account not found.');
+
+  return index;
+};
+
+/**
+ * Get the spend policy of the wallet or an account.
+ * @param {(Number|String)?} acct - Omit for the wallet-wide policy.
+ * @returns {Promise} - Returns {@link SpendPolicy}.
+ */
+
+Wallet.prototype.getSpendPolicy = async function getSpendPolicy(acct) {
+  const index = await this.getPolicyIndex(acct);
+  const policy = await this.db.getSpendPolicy(this.wid, index);
+
+  if (!policy)
+    return new SpendPolicy({ account: index });
+
+  return policy;
+};
+
+/**
+ * Replace the spend policy of the wallet or an account.
+ * A policy without limits removes it.
+ * @param {(Number|String)?} acct - Omit for the wallet-wide policy.
+ * @param {Object} options - See {@link SpendPolicy}.
+ * @returns {Promise} - Returns {@link SpendPolicy}.
+ */
+
+Wallet.prototype.setSpendPolicy = async function setSpendPolicy(acct, options) {
+  const unlock = await this.writeLock.lock();
+  try {
+    return await this._setSpendPolicy(acct, options);
+  } finally {
+    unlock();
+  }
+};
+
+/**
+ * Replace a spend policy without a lock.
+ * @private
+ * @param {(Number|String)?} acct
+ * @param {Object} options
+ * @returns {Promise} - Returns {@link SpendPolicy}.
+ */
+
+Wallet.prototype._setSpendPolicy = async function _setSpendPolicy(acct, options) {
+  const index = await this.getPolicyIndex(acct);
+  const policy = SpendPolicy.fromOptions(options, this.network);
+
+  policy.account = index;
+
+  this.start();
+
+  this.db.saveSpendPolicy(this, policy);
+
+  await this.commit();
+
+  this.logger.info('Updated spend policy for %s/%d.', this.id, index);
+
+  return policy;
+};
+
+/**
+ * Get the spend policies covering the given accounts.
+ * @private
+ * @param {Set?} accounts - Account indexes (null for all).
+ * @returns {Promise} - Returns {@link SpendPolicy}[].
+ */
+
+Wallet.prototype.getActivePolicies = async function getActivePolicies(accounts) {
+  const policies = await this.db.getSpendPolicies(this.wid);
+
+  return policies.filter((policy) => {
+    if (policy.account === -1 || !accounts)
+      return true;
+    return accounts.has(policy.account);
+  });
+};
+
+/**
+ * Summarize what a funded transaction moves
+ * out of the wallet: outputs to foreign
+ * addresses plus the fee.
+ * @param {MTX} mtx
+ * @returns {Promise} - Returns Object
+ * ({accounts, value, recipients}).
+ */
+
+Wallet.prototype.getSpend = async function getSpend(mtx) {
+  const paths = await this.getInputPaths(mtx);
+  const accounts = new Set();
+  const recipients = [];
+  let value = mtx.getFee();
+
+  for (const path of paths)
+    accounts.add(path.account);
+
+  for (const output of mtx.outputs) {
+    const addr = output.getAddress();
+
+    if (addr && await this.hasAddress(addr))
+      continue;
+
+    if (output.value === 0)
+      continue;
+
+    value += output.value;
+    recipients.push(addr);
+  }
+
+  return { accounts, value, recipients };
+};
+
+/**
+ * Calculate the amount spent since a point in time,
+ * including spends awaiting approval.
+ * @param {Number} account - Account index (-1 for wallet-wide).
+ * @param {Number} since - Unix time.
+ * @returns {Promise} - Returns Amount.
+ */
+
+Wallet.prototype.getRecentSpent = async function getRecentSpent(account, since) {
+  const wtxs = await this.txdb.getRange(account !== -1 ? account : null, {
+    start: since
+  });
+
+  const details = await this.txdb.toDetails(wtxs);
+  let total = 0;
+
+  for (const item of details) {
+    const ours = item.inputs.some((input) => {
+      if (!input.path)
+        return false;
+      return account === -1 || input.path.account === account;
+    });
+
+    if (!ours)
+      continue;
+
+    for (const output of item.outputs) {
+      if (!output.path)
+        total += output.value;
+    }
+
+    total += item.getFee();
+  }
+
+  const pending = await this.getPendingSpends();
+
+  for (const item of pending) {
+    if (account === -1 || item.account === -1 || item.account === account)
+      total += item.value;
+  }
+
+  return total;
+};
+
+/**
+ * Check a funded transaction against the spend policies.
+ * @param {MTX} mtx
+ * @returns {Promise}
+ * @throws on policy violation.
+ */
+
+Wallet.prototype.checkSpend = async function checkSpend(mtx) {
+  const spend = await this.getSpend(mtx);
+  const policies = await this.getActivePolicies(spend.accounts);
+  const now = util.now();
+
+  for (const policy of policies) {
+    if (policy.maxTX !== 0 && spend.value > policy.maxTX)
+      throw new Error('Spend exceeds policy per-transaction maximum.');
+
+    for (const addr of spend.recipients) {
+      if (!policy.allows(addr, this.network))
+        throw new Error('Recipient is not in the policy allowlist.');
+    }
+
+    if (policy.limit !== 0) {
+      const since = Math.max(0, now - policy.window);
+      const spent = await this.getRecentSpent(policy.account, since);
+
+      if (spent + spend.value > policy.limit)
+        throw new Error('Spend exceeds policy rolling limit.');
+    }
+  }
+};
+
+/**
+ * Check a transaction against the spend policies
+ * before signing it outside of {@link Wallet#send}.
+ * Spends needing a second approval are refused.
+ * @param {MTX} mtx
+ * @returns {Promise}
+ * @throws on policy violation.
+ */
+
+Wallet.prototype.checkSign = async function checkSign(mtx) {
+  const policies = await this.db.getSpendPolicies(this.wid);
+
+  if (policies.length === 0)
+    return;
+
+  const spend = await this.getSpend(mtx);
+
+  if (spend.accounts.size === 0)
+    return;
+
+  await this.checkSpend(mtx);
+
+  if (await this.needsApproval(spend))
+    throw new Error('Spend requires approval and must be sent by the wallet.');
+};
+
+/**
+ * Test whether a spend needs a second approval.
+ * @param {Object} spend - See {@link Wallet#getSpend}.
+ * @returns {Promise} - Returns Boolean.
+ */
+
+Wallet.prototype.needsApproval = async function needsApproval(spend) {
+  const policies = await this.getActivePolicies(spend.accounts);
+
+  for (const policy of policies) {
+    if (policy.needsApproval(spend.value))
+      return true;
+  }
+
+  return false;
+};
+
+/**
+ * Hold back a signed transaction until it is
+ * approved. Its coins stay locked meanwhile.
+ * @private
+ * @param {TX} tx
+ * @param {Object} spend - See {@link Wallet#getSpend}.
+ * @returns {Promise} - Returns {@link PendingSpend}.
+ */
+
+Wallet.prototype.parkSpend = async function parkSpend(tx, spend) {
+  let account = -1;
+
+  if (spend.accounts.size === 1)
+    [account] = spend.accounts;
+
+  const pending = PendingSpend.fromOptions({
+    tx: tx,
+    account: account,
+    value: spend.value
+  });
+
+  this.start();
+
+  this.db.savePendingSpend(this, pending);
+
+  await this.commit();
+
+  for (const input of tx.inputs)
+    this.txdb.lockCoin(input.prevout);
+
+  this.logger.info('Wallet tx awaiting approval (%s): %s (value=%d).',
+    this.id, tx.txid(), spend.value);
+
+  this.db.emit('pending spend', this.id, pending);
+  this.emit('pending spend', pending);
+
+  return pending;
+};
+
+/**
+ * Get a spend awaiting approval.
+ * @param {Hash} hash
+ * @returns {Promise} - Returns {@link PendingSpend}.
+ */
+
+Wallet.prototype.getPendingSpend = function getPendingSpend(hash) {
+  return this.db.getPendingSpend(this.wid, hash);
+};
+
+/**
+ * Get all spends awaiting approval.
+ * @returns {Promise} - Returns {@link PendingSpend}[].
+ */
+
+Wallet.prototype.getPendingSpends = function getPendingSpends() {
+  return this.db.getPendingSpends(this.wid);
+};
+
+/**
+ * Approve a pending spend and broadcast it.
+ * @param {Hash} hash
+ * @returns {Promise} - Returns {@link TX}.
+ */
+
+Wallet.prototype.approveSpend = async function approveSpend(hash) {
+  const unlock = await this.fundLock.lock();
+  try {
+    return await this._approveSpend(hash);
+  } finally {
+    unlock();
+  }
+};
+
+/**
+ * Approve a pending spend without a lock.
+ * @private
+ * @param {Hash} hash
+ * @returns {Promise} - Returns {@link TX}.
+ */
+
+Wallet.prototype._approveSpend = async function _approveSpend(hash) {
+  const pending = await this.getPendingSpend(hash);
+
+  if (!pending)
+    return null;
+
+  const tx = pending.tx;
+
+  for (const {prevout} of tx.inputs) {
+    const coin = await this.getCoin(prevout.hash, prevout.index);
+
+    if (!coin)
+      throw new Error('Pending spend inputs are no longer available.');
+  }
+
+  this.start();
+
+  this.db.removePendingSpend(this, hash);
+
+  await this.commit();
+
+  for (const input of tx.inputs)
+    this.txdb.unlockCoin(input.prevout);
+
+  await this.db.addTX(tx);
+
+  this.logger.debug('Sending approved wallet tx (%s): %s',
+    this.id, tx.txid());
+
+  await this.db.send(tx);
+
+  return tx;
+};
+
+/**
+ * Reject a pending spend and release its coins.
+ * @param {Hash} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+Wallet.prototype.rejectSpend = async function rejectSpend(hash) {
+  const unlock = await this.fundLock.lock();
+  try {
+    return await this._rejectSpend(hash);
+  } finally {
+    unlock();
+  }
+};
+
+/**
+ * Reject a pending spend without a lock.
+ * @private
+ * @param {Hash} hash
+ * @returns {Promise} - Returns Boolean.
+ */
+
+Wallet.prototype._rejectSpend = async function _rejectSpend(hash) {
+  const pending = await this.getPendingSpend(hash);
+
+  if (!pending)
+    return false;
+
+  this.start();
+
+  this.db.removePendingSpend(this, hash);
+
+  await this.commit();
+
+  for (const input of pending.tx.inputs)
+    this.txdb.unlockCoin(input.prevout);
+
+  this.logger.info('Rejected wallet tx (%s): %s.',
+    this.id, pending.tx.txid());
+
+  return true;
+};
+
 /**
  * Intentionally double-spend outputs by
  * increasing fee for an existing transaction.
@@ -1735,12 +2216,22 @@ Wallet.prototype.increaseFee = async function increaseFee(hash, rate, passphrase
     mtx.changeIndex = -1;
   }
 
-  await this.sign(mtx, passphrase);
+  // Enforce wallet spend policies
+  await this.checkSpend(mtx);
+
+  await this._sign(mtx, passphrase);
 
   if (!mtx.isSigned())
     throw new Error('TX could not be fully signed.');
 
   const ntx = mtx.toTX();
+  const spend = await this.getSpend(mtx);
+
+  // Large spends wait for an admin.
+  if (await this.needsApproval(spend)) {
+    await this.parkSpend(ntx, spend);
+    return ntx;
+  }
 
   this.logger.debug(
     'Increasing fee for wallet tx (%s): %s',
@@ -1948,6 +2439,154 @@ Wallet.prototype._setLookahead = async function _setLookahead(acct, lookahead) {
   await this.commit();
 };
 
+/**
+ * Find the wallet's transactions through the chain's
+ * address index. Addresses are derived in windows of
+ * `gap` past the last used one on every branch, and
+ * account depths are raised to cover what was found.
+ * @param {Number?} gap - Unused addresses to look past
+ * (default=account lookahead or the BIP44 gap limit).
+ * @returns {Promise} - Returns {@link TXMeta}[], or
+ * null if the chain has no address index.
+ */
+
+Wallet.prototype.discover = async function discover(gap) {
+  const unlock = await this.writeLock.lock();
+  try {
+    return await this._discover(gap);
+  } finally {
+    unlock();
+  }
+};
+
+/**
+ * Find the wallet's transactions (without a lock).
+ * @private
+ * @param {Number?} gap
+ * @returns {Promise} - Returns {@link TXMeta}[] or null.
+ */
+
+Wallet.prototype._discover = async function _discover(gap) {
+  const metas = new Map();
+
+  for (let i = 0; i < this.accountDepth; i++) {
+    const account = await this.getAccount(i);
+    assert(account);
+
+    const size = gap != null
+      ? gap
+      : Math.max(account.lookahead, Account.GAP_LIMIT);
+    const branches = account.witness ? 3 : 2;
+    const depths = [0, 0, 0];
+
+    assert(util.isU32(size) && size > 0 && size <= 1000, 'Bad gap.');
+
+    for (let branch = 0; branch < branches; branch++) {
+      const used = await this.discoverBranch(account, branch, size, metas);
+
+      if (used === null)
+        return null;
+
+      // Same depth a transaction to
+      // this address would give us.
+      depths[branch] = used + 2;
+    }
+
+    this.start();
+
+    try {
+      await this.raiseDepth(account, depths);
+    } catch (e) {
+      this.drop();
+      throw e;
+    }
+
+    await this.commit();
+  }
+
+  return Array.from(metas.values());
+};
+
+/**
+ * Scan one branch of an account against the address index.
+ * @private
+ * @param {Account} account
+ * @param {Number} branch
+ * @param {Number} gap
+ * @param {Map} metas - Found transactions, by hash.
+ * @returns {Promise} - Returns Number (highest
+ * used index, -1 if none) or null.
+ */
+
+Wallet.prototype.discoverBranch = async function discoverBranch(account, branch, gap, metas) {
+  let used = -1;
+  let index = 0;
+
+  while (index <= used + gap) {
+    const end = used + gap + 1;
+    const map = new Map();
+
+    for (; index < end; index++) {
+      const key = account.deriveKey(branch, index);
+      map.set(key.getHash('hex'), index);
+    }
+
+    const items = await this.db.getMetaByAddress(Array.from(map.keys()));
+
+    if (!items)
+      return null;
+
+    for (const meta of items) {
+      const hash = meta.tx.hash('hex');
+      const prev = metas.get(hash);
+
+      if (!prev || prev.height === -1)
+        metas.set(hash, meta);
+
+      for (const addr of meta.tx.getOutputHashes('hex')) {
+        const i = map.get(addr);
+
+        if (i != null && i > used)
+          used = i;
+      }
+    }
+  }
+
+  this.logger.debug(
+    'Discovered depth %d for %s/%s (branch=%d).',
+    used + 1, this.id, account.name, branch);
+
+  return used;
+};
+
+/**
+ * Raise account depths, deriving lookahead
+ * addresses one window at a time.
+ * @private
+ * @param {Account} account
+ * @param {Number[]} depths - Receive, change and nested.
+ * @returns {Promise}
+ */
+
+Wallet.prototype.raiseDepth = async function raiseDepth(account, depths) {
+  const [receive, change, nested] = depths;
+  const step = Math.max(account.lookahead, 1);
+
+  for (;;) {
+    const r = Math.min(receive, account.receiveDepth + step);
+    const c = Math.min(change, account.changeDepth + step);
+    const n = Math.min(nested, account.nestedDepth + step);
+
+    if (r <= account.receiveDepth
+        && c <= account.changeDepth
+        && (!account.witness || n <= account.nestedDepth)) {
+      break;
+    }
+
+    await account.syncDepth(r, c, n);
+  }
+};
+
 /**
  * Sync address depths based on a transaction's outputs.
  * This is used for deriving new addresses when
@@ -2048,7 +2687,8 @@ Wallet.prototype.template = async function template(mtx) {
 
 /**
  * Build input scripts and sign inputs for a transaction. Only attempts
- * to build/sign inputs that are redeemable by this wallet.
+ * to build/sign inputs that are redeemable by this wallet. The
+ * transaction must satisfy the wallet's spend policies.
  * @param {MTX} tx
  * @param {Object|String|Buffer} options - Options or passphrase.
  * @returns {Promise} - Returns Number (total number
@@ -2059,6 +2699,23 @@ Wallet.prototype.sign = async function sign(mtx, passphrase) {
   if (this.watchOnly)
     throw new Error('Cannot sign from a watch-only wallet.');
 
+  await this.checkSign(mtx);
+
+  return this._sign(mtx, passphrase);
+};
+
+/**
+ * Sign a transaction without checking spend policies.
+ * @private
+ * @param {MTX} tx
+ * @param {Object|String|Buffer} options - Options or passphrase.
+ * @returns {Promise} - Returns Number.
+ */
+
+Wallet.prototype._sign = async function _sign(mtx, passphrase) {
+  if (this.watchOnly)
+    throw new Error('Cannot sign from a watch-only wallet.');
+
   await this.unlock(passphrase);
 
   const rings = await this.deriveInputs(mtx);
@@ -2066,6 +2723,171 @@ Wallet.prototype.sign = async function sign(mtx, passphrase) {
   return await mtx.signAsync(rings, Script.hashType.ALL, this.db.workers);
 };
 
+/**
+ * Fill in previous outputs, redeem scripts and key
+ * derivations for the inputs and outputs of a PSBT
+ * which belong to this wallet, optionally signing them.
+ * @param {PSBT} psbt
+ * @param {Object?} options
+ * @param {Boolean?} [options.sign=true]
+ * @param {SighashType?} options.type
+ * @param {Boolean?} [options.derivations=true]
+ * @param {(String|Buffer)?} options.passphrase
+ * @returns {Promise} - Returns Number (total
+ * number of signatures added).
+ */
+
+Wallet.prototype.processPSBT = async function processPSBT(psbt, options) {
+  assert(PSBT.isPSBT(psbt), 'PSBT required.');
+
+  if (!options)
+    options = {};
+
+  const sign = options.sign !== false;
+  const derivations = options.derivations !== false;
+  const rings = [];
+
+  if (sign) {
+    if (this.watchOnly)
+      throw new Error('Cannot sign from a watch-only wallet.');
+
+    await this.unlock(options.passphrase);
+  }
+
+  for (let i = 0; i < psbt.inputs.length; i++) {
+    const {prevout} = psbt.tx.inputs[i];
+    const pin = psbt.inputs[i];
+
+    if (pin.isFinalized())
+      continue;
+
+    if (!pin.nonWitnessUTXO) {
+      const wtx = await this.getTX(prevout.hash);
+      if (wtx)
+        pin.nonWitnessUTXO = wtx.tx;
+    }
+
+    const coin = psbt.getCoin(i);
+
+    if (!coin)
+      continue;
+
+    const ring = await this.getKeyByScript(coin.script);
+
+    if (!ring)
+      continue;
+
+    if (!pin.witnessUTXO && ring.witness)
+      pin.witnessUTXO = Output.fromScript(coin.script, coin.value);
+
+    pin.template(coin.script, ring);
+
+    if (derivations)
+      await this.addKeyOrigins(pin.derivations, ring);
+
+    rings.push(ring);
+  }
+
+  for (let i = 0; i < psbt.outputs.length; i++) {
+    const {script} = psbt.tx.outputs[i];
+    const pout = psbt.outputs[i];
+    const ring = await this.getKeyByScript(script);
+
+    if (!ring)
+      continue;
+
+    pout.template(script, ring);
+
+    if (derivations)
+      await this.addKeyOrigins(pout.derivations, ring);
+  }
+
+  if (!sign)
+    return 0;
+
+  const signers = rings.filter((ring) => ring.privateKey);
+
+  if (signers.length > 0) {
+    const mtx = MTX.fromTX(psbt.tx);
+
+    for (let i = 0; i < psbt.inputs.length; i++) {
+      const output = psbt.getCoin(i);
+      if (output)
+        mtx.view.addOutput(psbt.tx.inputs[i].prevout, output);
+    }
+
+    await this.checkSign(mtx);
+  }
+
+  const type = options.type != null ? options.type : Script.hashType.ALL;
+
+  return psbt.sign(signers, type);
+};
+
+/**
+ * Retrieve the keyring able to redeem an output script.
+ * @private
+ * @param {Script} script
+ * @returns {Promise} - Returns {@link WalletKey}.
+ */
+
+Wallet.prototype.getKeyByScript = async function getKeyByScript(script) {
+  const addr = script.getAddress();
+
+  if (!addr)
+    return null;
+
+  return await this.getKey(addr);
+};
+
+/**
+ * Add the BIP32 origins of every key involved in a keyring.
+ * Keys derived from our master key are reported relative to
+ * it, cosigner and watch-only keys relative to their account
+ * key.
+ * @private
+ * @param {Map} origins - Public key (hex) to {@link KeyOrigin}.
+ * @param {WalletKey} ring
+ * @returns {Promise}
+ */
+
+Wallet.prototype.addKeyOrigins = async function addKeyOrigins(origins, ring) {
+  if (ring.keyType !== Path.types.HD)
+    return;
+
+  const account = await this.getAccount(ring.account);
+
+  if (!account)
+    return;
+
+  const {branch, index} = ring;
+  const hex = ring.publicKey.toString('hex');
+
+  if (this.master.key && !account.watchOnly) {
+    const {HARDENED} = HD.common;
+    const coinType = this.network.keyPrefix.coinType;
+
+    origins.set(hex, new PSBT.KeyOrigin(
+      getFingerPrint(this.master.key), [
+        (44 | HARDENED) >>> 0,
+        (coinType | HARDENED) >>> 0,
+        (account.accountIndex | HARDENED) >>> 0,
+        branch,
+        index
+      ]));
+  } else {
+    origins.set(hex, new PSBT.KeyOrigin(
+      getFingerPrint(account.accountKey), [branch, index]));
+  }
+
+  for (const shared of account.keys) {
+    const key = shared.derive(branch).derive(index);
+
+    origins.set(key.publicKey.toString('hex'),
+      new PSBT.KeyOrigin(getFingerPrint(shared), [branch, index]));
+  }
+};
+
 /**
  * Get a coin viewpoint.
  * @param {TX} tx
@@ -2146,6 +2968,124 @@ Wallet.prototype.getBlock = function getBlock(height) {
   return this.txdb.getBlock(height);
 };
 
+/**
+ * Get the label and memo of a transaction.
+ * @param {Hash} hash
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+Wallet.prototype.getTXMeta = function getTXMeta(hash) {
+  return this.txdb.getTXMeta(hash);
+};
+
+/**
+ * Label a transaction. Omitting both
+ * label and memo removes the record.
+ * @param {Hash} hash
+ * @param {Object} options
+ * @param {String?} options.label
+ * @param {Object?} options.memo - Any JSON value.
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+Wallet.prototype.setTXMeta = async function setTXMeta(hash, options) {
+  const meta = MetaRecord.fromOptions(options);
+  await this.writeMeta(() => this.txdb.setTXMeta(hash, meta));
+  return meta;
+};
+
+/**
+ * Get the label and memo of a coin.
+ * @param {Hash} hash
+ * @param {Number} index
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+Wallet.prototype.getCoinMeta = function getCoinMeta(hash, index) {
+  return this.txdb.getCoinMeta(hash, index);
+};
+
+/**
+ * Label a coin.
+ * @param {Hash} hash
+ * @param {Number} index
+ * @param {Object} options - See {@link Wallet#setTXMeta}.
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+Wallet.prototype.setCoinMeta = async function setCoinMeta(hash, index, options) {
+  const meta = MetaRecord.fromOptions(options);
+  await this.writeMeta(() => this.txdb.setCoinMeta(hash, index, meta));
+  return meta;
+};
+
+/**
+ * Get the label and memo of an address.
+ * @param {Address|Hash} address
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+Wallet.prototype.getAddressMeta = function getAddressMeta(address) {
+  const hash = Address.getHash(address, 'hex');
+  return this.txdb.getAddressMeta(hash);
+};
+
+/**
+ * Label an address owned by the wallet.
+ * @param {Address|Hash} address
+ * @param {Object} options - See {@link Wallet#setTXMeta}.
+ * @returns {Promise} - Returns {@link MetaRecord}.
+ */
+
+Wallet.prototype.setAddressMeta = async function setAddressMeta(address, options) {
+  const hash = Address.getHash(address, 'hex');
+  const meta = MetaRecord.fromOptions(options);
+
+  await this.writeMeta(async () => {
+    if (!await this.hasPath(hash))
+      throw new Error('Address not found.');
+
+    this.txdb.setAddressMeta(hash, meta);
+  });
+
+  return meta;
+};
+
+/**
+ * Find labelled transactions, coins and addresses.
+ * @param {String?} query - See {@link TXDB#searchMeta}.
+ * @returns {Promise} - Returns Object[].
+ */
+
+Wallet.prototype.searchMeta = function searchMeta(query) {
+  return this.txdb.searchMeta(query);
+};
+
+/**
+ * Run a metadata write in its own batch.
+ * @private
+ * @param {Function} write
+ * @returns {Promise}
+ */
+
+Wallet.prototype.writeMeta = async function writeMeta(write) {
+  const unlock = await this.writeLock.lock();
+  try {
+    this.txdb.start();
+
+    try {
+      await write();
+    } catch (e) {
+      this.txdb.drop();
+      throw e;
+    }
+
+    await this.txdb.commit();
+  } finally {
+    unlock();
+  }
+};
+
 /**
  * Add a transaction to the wallets TX history.
  * @param {TX} tx
@@ -2598,6 +3538,8 @@ Wallet.prototype.toJSON = function toJSON(unsafe) {
     tokenDepth: this.tokenDepth,
     lock: this.lock.toString('hex'),
     chksum: this.chksum.toString('hex'),
+    birthday: this.birthday,
+    birthHeight: this.birthHeight,
     state: this.txdb.state.toJSON(true),
     master: this.master.toJSON(unsafe),
     account: this.account.toJSON(true)
@@ -2615,6 +3557,7 @@ Wallet.prototype.getSize = function getSize() {
   size += encoding.sizeVarBytes(this.lock); // check this
   size += encoding.sizeVarString(this.id, 'ascii');
   size += encoding.sizeVarlen(this.master.getSize());
+  size += 8;
   return size;
 };
 
@@ -2638,6 +3581,8 @@ Wallet.prototype.toRaw = function toRaw() {
   bw.writeVarBytes(this.lock); // check
   bw.writeBytes(this.chksum); // check
   bw.writeVarBytes(this.master.toRaw());
+  bw.writeU32(this.birthday);
+  bw.writeU32(this.birthHeight);
 
   return bw.render();
 };
@@ -2663,6 +3608,13 @@ Wallet.prototype.fromRaw = function fromRaw(data) {
   this.chksum = br.readBytes(4);
   this.master.fromRaw(br.readVarBytes());
 
+  // Wallets created before birthdays
+  // were recorded have none.
+  if (br.left() > 0) {
+    this.birthday = br.readU32();
+    this.birthHeight = br.readU32();
+  }
+
   assert(network === this.db.network, 'Wallet network mismatch.');
 
   return this;
@@ -2700,6 +3652,10 @@ function mergeLocks(locks) {
   return locks;
 };
 
+function getFingerPrint(key) {
+  return digest.hash160(key.publicKey).readUInt32BE(0, true);
+}
+
 /*
  * Expose
  */
@@ -33,6 +33,7 @@ const Logger = require('../node/logger');
 const Outpoint = require('../primitives/outpoint');
 const layouts = require('./layout');
 const records = require('./records');
+const spendpolicy = require('./spendpolicy');
 const HTTPServer = require('./http');
 const RPC = require('./rpc');
 const layout = layouts.walletdb;
@@ -42,6 +43,8 @@ const BlockMeta = records.BlockMeta;
 const PathMapRecord = records.PathMapRecord;
 const OutpointMapRecord = records.OutpointMapRecord;
 const TXRecord = records.TXRecord;
+const SpendPolicy = spendpolicy.SpendPolicy;
+const PendingSpend = spendpolicy.PendingSpend;
 const U32 = encoding.U32;
 
 /**
@@ -84,6 +87,7 @@ function WalletDB(options) {
       logger: this.logger,
       prefix: this.options.prefix,
       apiKey: this.options.apiKey,
+      adminToken: this.options.adminToken,
       walletAuth: this.options.walletAuth,
       noAuth: this.options.noAuth,
       host: this.options.host,
@@ -561,6 +565,117 @@ WalletDB.prototype._rescan = async function _rescan(height) {
   return await this.scan(height);
 };
 
+/**
+ * Restore a wallet's history. With an address index on
+ * the chain server, transactions are looked up directly
+ * (see {@link Wallet#discover}). Otherwise the chain is
+ * rescanned from the wallet's birthday.
+ * @param {Wallet} wallet
+ * @param {Object?} options
+ * @param {Number?} options.gap - Unused addresses to look past.
+ * @param {Boolean?} options.index - Use the address index (default=true).
+ * @returns {Promise} - Returns Object.
+ */
+
+WalletDB.prototype.restore = async function restore(wallet, options) {
+  const unlock = await this.txLock.lock();
+  try {
+    return await this._restore(wallet, options || {});
+  } finally {
+    unlock();
+  }
+};
+
+/**
+ * Restore a wallet's history (without a lock).
+ * @private
+ * @param {Wallet} wallet
+ * @param {Object} options
+ * @returns {Promise} - Returns Object.
+ */
+
+WalletDB.prototype._restore = async function _restore(wallet, options) {
+  if (options.index !== false) {
+    const metas = await wallet.discover(options.gap);
+
+    if (metas) {
+      let total = 0;
+
+      // Added to this wallet only: going through
+      // _insert would mark the start block at the
+      // first (old) confirmed transaction.
+      for (const [tx, block] of sortMeta(metas)) {
+        if (await wallet.add(tx, block))
+          total++;
+      }
+
+      this.logger.info(
+        'Restored %d transactions for %s from the address index.',
+        total, wallet.id);
+
+      return { mode: 'index', height: -1, txs: total };
+    }
+  }
+
+  const height = await this.getBirthHeight(wallet);
+
+  this.logger.info(
+    'No address index, rescanning for %s from height %d.',
+    wallet.id, height);
+
+  await this.scan(height);
+
+  return { mode: 'rescan', height: height, txs: -1 };
+};
+
+/**
+ * Get the height a wallet rescan can start at.
+ * @param {Wallet} wallet
+ * @returns {Promise} - Returns Number.
+ */
+
+WalletDB.prototype.getBirthHeight = async function getBirthHeight(wallet) {
+  if (wallet.birthHeight > 0)
+    return Math.min(wallet.birthHeight, this.state.height);
+
+  if (wallet.birthday === 0 || !this.client)
+    return 0;
+
+  // Block timestamps may run up to
+  // two hours ahead of the clock.
+  const time = Math.max(0, wallet.birthday - 2 * 60 * 60);
+
+  let lo = 0;
+  let hi = this.state.height;
+
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    const entry = await this.client.getEntry(mid);
+
+    if (!entry || entry.time >= time)
+      hi = mid;
+    else
+      lo = mid + 1;
+  }
+
+  return lo;
+};
+
+/**
+ * Get transactions pertinent to addresses
+ * from the chain server's address index.
+ * @param {Hash[]} hashes - Address hashes.
+ * @returns {Promise} - Returns {@link TXMeta}[], or
+ * null if the chain server has no address index.
+ */
+
+WalletDB.prototype.getMetaByAddress = async function getMetaByAddress(hashes) {
+  if (!this.client || !this.client.getMetaByAddress)
+    return null;
+
+  return await this.client.getMetaByAddress(hashes);
+};
+
 /**
  * Broadcast a transaction via chain server.
  * @param {TX} tx
@@ -1545,6 +1660,113 @@ WalletDB.prototype.decryptKeys = async function decryptKeys(wallet, key) {
   }
 };
 
+/**
+ * Get a spend policy.
+ * @param {WalletID} wid
+ * @param {Number} index - Account index (-1 for wallet-wide).
+ * @returns {Promise} - Returns {@link SpendPolicy}.
+ */
+
+WalletDB.prototype.getSpendPolicy = async function getSpendPolicy(wid, index) {
+  const data = await this.db.get(layout.y(wid, index >>> 0));
+
+  if (!data)
+    return null;
+
+  const policy = SpendPolicy.fromRaw(data);
+  policy.account = index;
+
+  return policy;
+};
+
+/**
+ * Get all spend policies for a wallet.
+ * @param {WalletID} wid
+ * @returns {Promise} - Returns {@link SpendPolicy}[].
+ */
+
+WalletDB.prototype.getSpendPolicies = function getSpendPolicies(wid) {
+  return this.db.range({
+    gte: layout.y(wid, 0x00000000),
+    lte: layout.y(wid, 0xffffffff),
+    parse: (key, value) => {
+      const policy = SpendPolicy.fromRaw(value);
+      policy.account = layout.yy(key) | 0;
+      return policy;
+    }
+  });
+};
+
+/**
+ * Save a spend policy. Null policies are removed.
+ * @param {Wallet} wallet
+ * @param {SpendPolicy} policy
+ */
+
+WalletDB.prototype.saveSpendPolicy = function saveSpendPolicy(wallet, policy) {
+  const batch = this.batch(wallet);
+  const key = layout.y(wallet.wid, policy.account >>> 0);
+
+  if (policy.isNull()) {
+    batch.del(key);
+    return;
+  }
+
+  batch.put(key, policy.toRaw());
+};
+
+/**
+ * Get a spend awaiting approval.
+ * @param {WalletID} wid
+ * @param {Hash} hash
+ * @returns {Promise} - Returns {@link PendingSpend}.
+ */
+
+WalletDB.prototype.getPendingSpend = async function getPendingSpend(wid, hash) {
+  const data = await this.db.get(layout.q(wid, hash));
+
+  if (!data)
+    return null;
+
+  return PendingSpend.fromRaw(data);
+};
+
+/**
+ * Get all spends awaiting approval for a wallet.
+ * @param {WalletID} wid
+ * @returns {Promise} - Returns {@link PendingSpend}[].
+ */
+
+WalletDB.prototype.getPendingSpends = function getPendingSpends(wid) {
+  return this.db.values({
+    gte: layout.q(wid, encoding.NULL_HASH),
+    lte: layout.q(wid, encoding.HIGH_HASH),
+    parse: data => PendingSpend.fromRaw(data)
+  });
+};
+
+/**
+ * Save a spend awaiting approval.
+ * @param {Wallet} wallet
+ * @param {PendingSpend} pending
+ */
+
+WalletDB.prototype.savePendingSpend = function savePendingSpend(wallet, pending) {
+  const batch = this.batch(wallet);
+  batch.put(layout.q(wallet.wid, pending.hash), pending.toRaw());
+};
+
+/**
+ * Remove a spend awaiting approval.
+ * @param {Wallet} wallet
+ * @param {Hash} hash
+ */
+
+WalletDB.prototype.removePendingSpend = function removePendingSpend(wallet, hash) {
+  const batch = this.batch(wallet);
+  batch.del(layout.q(wallet.wid, hash));
+};
+
 /**
  * Resend all pending transactions.
  * @returns {Promise}
@@ -2287,6 +2509,7 @@ function WalletOptions(options) {
   this.keepBlocks = this.network.block.keepBlocks;
   this.wipeNoReally = false;
   this.apiKey = null;
+  this.adminToken = null;
   this.walletAuth = false;
   this.noAuth = false;
   this.ssl = false;
@@ -2394,6 +2617,11 @@ WalletOptions.prototype.fromOptions = function fromOptions(options) {
     this.apiKey = options.apiKey;
   }
 
+  if (options.adminToken != null) {
+    assert(typeof options.adminToken === 'string');
+    this.adminToken = options.adminToken;
+  }
+
   if (options.walletAuth != null) {
     assert(typeof options.walletAuth === 'boolean');
     this.walletAuth = options.walletAuth;
@@ -2437,6 +2665,40 @@ WalletOptions.fromOptions = function fromOptions(options) {
   return new WalletOptions().fromOptions(options);
 };
 
+/*
+ * Helpers
+ */
+
+function sortMeta(metas) {
+  const confirmed = [];
+  const pending = [];
+
+  for (const meta of metas) {
+    if (meta.block)
+      confirmed.push(meta);
+    else
+      pending.push(meta.tx);
+  }
+
+  confirmed.sort((a, b) => {
+    if (a.height !== b.height)
+      return a.height - b.height;
+    return a.index - b.index;
+  });
+
+  const items = [];
+
+  for (const meta of confirmed) {
+    const block = new BlockMeta(meta.block, meta.height, meta.time);
+    items.push([meta.tx, block]);
+  }
+
+  for (const tx of common.sortDeps(pending))
+    items.push([tx, null]);
+
+  return items;
+}
+
 /*
  * Expose
  */
@@ -12,6 +12,7 @@
 
 const secp256k1 = require('../crypto/secp256k1');
 const {derive} = require('../crypto/scrypt');
+const {derive: deriveArgon2} = require('../crypto/argon2');
 const hashcash = require('../mining/mine');
 const packets = require('./packets');
 
@@ -63,6 +64,8 @@ jobs.handle = function handle(p) {
       return jobs.mine(p.data, p.target, p.min, p.max);
     case packets.types.SCRYPT:
       return jobs.scrypt(p.passwd, p.salt, p.N, p.r, p.p, p.len);
+    case packets.types.ARGON2:
+      return jobs.argon2(p.passwd, p.salt, p.t, p.m, p.p, p.len);
     default:
       throw new Error(`Unknown command: "${p.cmd}".`);
   }
@@ -194,3 +197,20 @@ jobs.scrypt = function scrypt(passwd, salt, N, r, p, len) {
   const key = derive(passwd, salt, N, r, p, len);
   return new packets.ScryptResultPacket(key);
 };
+
+/**
+ * Execute argon2id on worker.
+ * @see argon2
+ * @param {Buffer} passwd
+ * @param {Buffer} salt
+ * @param {Number} t
+ * @param {Number} m
+ * @param {Number} p
+ * @param {Number} len
+ * @returns {Buffer}
+ */
+
+jobs.argon2 = function argon2(passwd, salt, t, m, p, len) {
+  const key = deriveArgon2(passwd, salt, t, m, p, len);
+  return new packets.Argon2ResultPacket(key);
+};
@@ -51,7 +51,9 @@ const packetTypes = {
   MINE: 17,
   MINERESULT: 18,
   SCRYPT: 19,
-  SCRYPTRESULT: 20
+  SCRYPTRESULT: 20,
+  ARGON2: 21,
+  ARGON2RESULT: 22
 };
 
 /**
@@ -1086,6 +1088,91 @@ ScryptResultPacket.fromRaw = function fromRaw(data) {
   return new ScryptResultPacket().fromRaw(data);
 };
 
+/**
+ * Argon2Packet
+ * @constructor
+ */
+
+function Argon2Packet(passwd, salt, t, m, p, len) {
+  Packet.call(this);
+  this.passwd = passwd || null;
+  this.salt = salt || null;
+  this.t = t != null ? t : -1;
+  this.m = m != null ? m : -1;
+  this.p = p != null ? p : -1;
+  this.len = len != null ? len : -1;
+}
+
+Object.setPrototypeOf(Argon2Packet.prototype, Packet.prototype);
+
+Argon2Packet.prototype.cmd = packetTypes.ARGON2;
+
+Argon2Packet.prototype.getSize = function getSize() {
+  let size = 0;
+  size += encoding.sizeVarBytes(this.passwd);
+  size += encoding.sizeVarBytes(this.salt);
+  size += 16;
+  return size;
+};
+
+Argon2Packet.prototype.toWriter = function toWriter(bw) {
+  bw.writeVarBytes(this.passwd);
+  bw.writeVarBytes(this.salt);
+  bw.writeU32(this.t);
+  bw.writeU32(this.m);
+  bw.writeU32(this.p);
+  bw.writeU32(this.len);
+  return bw;
+};
+
+Argon2Packet.prototype.fromRaw = function fromRaw(data) {
+  const br = new BufferReader(data, true);
+  this.passwd = br.readVarBytes();
+  this.salt = br.readVarBytes();
+  this.t = br.readU32();
+  this.m = br.readU32();
+  this.p = br.readU32();
+  this.len = br.readU32();
+  return this;
+};
+
+Argon2Packet.fromRaw = function fromRaw(data) {
+  return new Argon2Packet().fromRaw(data);
+};
+
+/**
+ * Argon2ResultPacket
+ * @constructor
+ */
+
+function Argon2ResultPacket(key) {
+  Packet.call(this);
+  this.key = key || null;
+}
+
+Object.setPrototypeOf(Argon2ResultPacket.prototype, Packet.prototype);
+
+Argon2ResultPacket.prototype.cmd = packetTypes.ARGON2RESULT;
+
+Argon2ResultPacket.prototype.getSize = function getSize() {
+  return encoding.sizeVarBytes(this.key);
+};
+
+Argon2ResultPacket.prototype.toWriter = function toWriter(bw) {
+  bw.writeVarBytes(this.key);
+  return bw;
+};
+
+Argon2ResultPacket.prototype.fromRaw = function fromRaw(data) {
+  const br = new BufferReader(data, true);
+  this.key = br.readVarBytes();
+  return this;
+};
+
+Argon2ResultPacket.fromRaw = function fromRaw(data) {
+  return new Argon2ResultPacket().fromRaw(data);
+};
+
 /*
  * Helpers
  */
@@ -1122,3 +1209,5 @@ exports.MinePacket = MinePacket;
 exports.MineResultPacket = MineResultPacket;
 exports.ScryptPacket = ScryptPacket;
 exports.ScryptResultPacket = ScryptResultPacket;
+exports.Argon2Packet = Argon2Packet;
+exports.Argon2ResultPacket = Argon2ResultPacket;
@@ -175,6 +175,10 @@ Parser.prototype.parsePacket = function parsePacket(header, data) {
       return packets.ScryptPacket.fromRaw(data);
     case packets.types.SCRYPTRESULT:
       return packets.ScryptResultPacket.fromRaw(data);
+    case packets.types.ARGON2:
+      return packets.Argon2Packet.fromRaw(data);
+    case packets.types.ARGON2RESULT:
+      return packets.Argon2ResultPacket.fromRaw(data);
     default:
       throw new Error('Unknown packet.');
   }
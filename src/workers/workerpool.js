@@ -359,6 +359,24 @@ WorkerPool.prototype.scrypt = async function scrypt(passwd, salt, N, r, p, len)
   return result.key;
 };
 
+/**
+ * Execute argon2id job (no timeout).
+ * @method
+ * @param {Buffer} passwd
+ * @param {Buffer} salt
+ * @param {Number} t
+ * @param {Number} m
+ * @param {Number} p
+ * @param {Number} len
+ * @returns {Promise}
+ */
+
+WorkerPool.prototype.argon2 = async function argon2(passwd, salt, t, m, p, len) {
+  const packet = new packets.Argon2Packet(passwd, salt, t, m, p, len);
+  const result = await this.execute(packet, -1);
+  return result.key;
+};
+
 /**
  * Represents a worker.
  * @alias module:workers.Worker